@@ -1,23 +1,44 @@
-import { useEffect, useCallback, useState } from "react";
+import { useEffect, useCallback, useState, useRef } from "react";
+import { useLocation, useMatch, useNavigate } from "react-router-dom";
 import { Editor } from "./components/Editor/Editor";
 import { Sidebar } from "./components/Sidebar/Sidebar";
 import { TopBar } from "./components/TopBar/TopBar";
 import { ToastContainer } from "./components/Toast/Toast";
 import { Dialog } from "./components/Dialog/Dialog";
+import { HistoryPanel } from "./components/HistoryPanel/HistoryPanel";
 import { useDocumentsStore } from "./stores/documentsStore";
 import { useEditorStore } from "./stores/editorStore";
 import { useToastStore } from "./stores/toastStore";
 import * as storage from "./services/documentStorage";
+import * as linkMetadata from "./services/linkMetadata";
 import {
     downloadAsMarkdown,
     copyAsMarkdown,
     copyAsPlainText
 } from "./services/markdownSerializer";
 import { cn } from "./utils/cn";
+import { getChildPages, getPageAncestors } from "./utils/pages";
+
+// Minimum time between automatic version snapshots
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// URL hash pointing at a block: /doc/:id#block-:blockId
+const BLOCK_HASH_PREFIX = "#block-";
+
+/**
+ * URL of a document, optionally jumping to one of its blocks
+ */
+function getDocumentPath(documentId, blockId) {
+    const hash = blockId ? `${BLOCK_HASH_PREFIX}${blockId}` : "";
+    return `/doc/${documentId}${hash}`;
+}
 
 function App() {
     const {
         documents,
+        groups,
+        trash,
+        trashRetentionDays,
         activeDocumentId,
         isLoading,
         isSaving,
@@ -26,32 +47,184 @@ function App() {
         loadDocuments,
         selectDocument,
         createDocument,
-        deleteDocument,
+        trashDocument,
+        restoreDocument,
+        deleteDocumentForever,
+        emptyTrash,
+        setTrashRetention,
         duplicateDocument,
         renameDocument,
+        moveDocumentToGroup,
+        createGroup,
+        updateGroup,
+        moveGroup,
+        deleteGroup,
         saveDocument,
-        toggleSidebar
+        toggleSidebar,
+        snapshots,
+        isLoadingSnapshots,
+        loadSnapshots,
+        createSnapshot,
+        searchDocuments
     } = useDocumentsStore();
 
-    const { document: editorDocument, loadDocument } = useEditorStore();
+    const {
+        document: editorDocument,
+        loadDocument,
+        previewSnapshot,
+        diffMode,
+        startSnapshotPreview,
+        exitSnapshotPreview,
+        setSnapshotDiff,
+        restoreBlocks,
+        revealBlock,
+        relabelWikiLinks,
+        openComments
+    } = useEditorStore();
     const { showToast } = useToastStore();
 
+    // Document and block named in the URL
+    const location = useLocation();
+    const navigate = useNavigate();
+    const routeMatch = useMatch("/doc/:documentId");
+    const routeDocumentId = routeMatch?.params.documentId ?? null;
+    const routeBlockId = location.hash.startsWith(BLOCK_HASH_PREFIX)
+        ? decodeURIComponent(location.hash.slice(BLOCK_HASH_PREFIX.length))
+        : null;
+
+    // The URL points at a document that doesn't exist (deleted or mistyped)
+    const isRouteNotFound =
+        !isLoading &&
+        routeDocumentId !== null &&
+        !documents.some((d) => d.id === routeDocumentId);
+
+    // The missing document is in the trash and can be restored
+    const trashedRouteDocument = isRouteNotFound
+        ? trash.find((d) => d.id === routeDocumentId)
+        : null;
+
     // Get active document data
     const activeDocument = documents.find((d) => d.id === activeDocumentId);
+    const editorDocumentId = editorDocument?.id ?? null;
+
+    // Parent pages of the active document, shown as breadcrumbs
+    const breadcrumbs = getPageAncestors(documents, activeDocumentId);
 
-    // Delete dialog state
+    // Permanent delete dialog state (no docId empties the whole trash)
     const [deleteDialog, setDeleteDialog] = useState({
         isOpen: false,
         docId: null,
         docTitle: ""
     });
 
+    // Version history panel state
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [linkPreviewSettings, setLinkPreviewSettings] = useState(
+        linkMetadata.getLinkPreviewSettings
+    );
+    const lastSnapshotRef = useRef(null);
+
+    // Block to show once the selected document has loaded (block links)
+    const pendingBlockRef = useRef(null);
+
+    // Last URL and selection synced between the router and the store
+    const lastLocationKeyRef = useRef(null);
+    const lastActiveIdRef = useRef(null);
+
+    // Activate a block and scroll it into view
+    const showBlock = useCallback(
+        (blockId) => {
+            revealBlock(blockId);
+            setTimeout(() => {
+                window.document
+                    .querySelector(
+                        `[data-block-id="${blockId}"], [data-nested-block-id="${blockId}"]`
+                    )
+                    ?.scrollIntoView({ behavior: "smooth", block: "center" });
+            }, 50);
+        },
+        [revealBlock]
+    );
+
     // Initialize: load documents from IndexedDB
     useEffect(() => {
-        storage.initDB().then(() => {
-            loadDocuments();
+        storage.initDB().then(async () => {
+            await loadDocuments();
+
+            // Drop images nothing refers to anymore. Only done here, before
+            // any undo history could still point at them
+            storage
+                .deleteUnusedAssets()
+                .catch((error) =>
+                    console.error("Failed to delete unused images:", error)
+                );
+
+            // Documents that couldn't be upgraded are hidden, not changed
+            const { failed } = storage.getMigrationReport();
+            const failedDocuments = failed.filter(
+                (entry) => entry.store === "documents"
+            );
+            if (failedDocuments.length > 0) {
+                showToast(
+                    `${failedDocuments.length} document(s) could not be upgraded and were left unchanged`,
+                    "error",
+                    5000
+                );
+            }
         });
-    }, [loadDocuments]);
+    }, [loadDocuments, showToast]);
+
+    // Keep the URL and the selected document in sync: a new URL (link,
+    // reload, back/forward) picks the document, while a selection made in
+    // the app (sidebar, new page, delete) is pushed to the history
+    useEffect(() => {
+        if (isLoading) return;
+
+        const locationChanged = location.key !== lastLocationKeyRef.current;
+        const activeChanged = activeDocumentId !== lastActiveIdRef.current;
+        lastLocationKeyRef.current = location.key;
+        lastActiveIdRef.current = activeDocumentId;
+
+        if (locationChanged && routeDocumentId) {
+            if (isRouteNotFound) {
+                if (activeDocumentId) selectDocument(null);
+                return;
+            }
+            if (routeBlockId) {
+                const isLoaded =
+                    routeDocumentId === activeDocumentId &&
+                    routeDocumentId === editorDocumentId;
+                if (isLoaded) {
+                    showBlock(routeBlockId);
+                } else {
+                    pendingBlockRef.current = routeBlockId;
+                }
+            }
+            if (routeDocumentId !== activeDocumentId) {
+                selectDocument(routeDocumentId);
+            }
+        } else if (
+            (activeChanged || !routeDocumentId) &&
+            activeDocumentId &&
+            activeDocumentId !== routeDocumentId
+        ) {
+            // Replace bare or unknown paths instead of adding an entry
+            navigate(getDocumentPath(activeDocumentId), {
+                replace: !routeDocumentId
+            });
+        }
+    }, [
+        isLoading,
+        location.key,
+        routeDocumentId,
+        routeBlockId,
+        isRouteNotFound,
+        activeDocumentId,
+        editorDocumentId,
+        selectDocument,
+        showBlock,
+        navigate
+    ]);
 
     // Load active document into editor when it changes
     useEffect(() => {
@@ -59,30 +232,67 @@ function App() {
             storage.getDocument(activeDocumentId).then((doc) => {
                 if (doc) {
                     loadDocument(doc);
+                    if (pendingBlockRef.current) {
+                        showBlock(pendingBlockRef.current);
+                        pendingBlockRef.current = null;
+                    }
                 }
             });
         }
-    }, [activeDocumentId, isLoading, loadDocument]);
+    }, [activeDocumentId, isLoading, loadDocument, showBlock]);
 
     // Auto-save when editor document changes
     useEffect(() => {
         if (editorDocument && activeDocumentId) {
             const timeout = setTimeout(() => {
                 saveDocument(editorDocument);
+
+                // Periodically keep a version snapshot for history
+                const now = Date.now();
+                if (lastSnapshotRef.current === null) {
+                    lastSnapshotRef.current = now;
+                } else if (
+                    now - lastSnapshotRef.current >
+                    SNAPSHOT_INTERVAL_MS
+                ) {
+                    createSnapshot(
+                        editorDocument.id,
+                        editorDocument.blocks,
+                        editorDocument.comments
+                    );
+                    lastSnapshotRef.current = now;
+                }
             }, 1000);
 
             return () => clearTimeout(timeout);
         }
-    }, [editorDocument, activeDocumentId, saveDocument]);
+    }, [editorDocument, activeDocumentId, saveDocument, createSnapshot]);
+
+    // Reload snapshots when the history panel opens or the document changes
+    useEffect(() => {
+        if (isHistoryOpen && activeDocumentId) {
+            loadSnapshots(activeDocumentId);
+        }
+    }, [isHistoryOpen, activeDocumentId, loadSnapshots]);
 
     // Handle rename from TopBar (direct title)
     const handleRenameFromTopBar = useCallback(
         (newTitle) => {
             if (activeDocumentId) {
                 renameDocument(activeDocumentId, newTitle);
+                relabelWikiLinks(activeDocumentId, newTitle);
             }
         },
-        [activeDocumentId, renameDocument]
+        [activeDocumentId, renameDocument, relabelWikiLinks]
+    );
+
+    // Open a document from a link, search result or backlink, jumping to
+    // the matching block
+    const handleOpenDocument = useCallback(
+        (documentId, blockId) => {
+            navigate(getDocumentPath(documentId, blockId));
+        },
+        [navigate]
     );
 
     // Handle rename from Sidebar (inline edit)
@@ -90,32 +300,83 @@ function App() {
         (docId, newTitle) => {
             if (newTitle && newTitle.trim()) {
                 renameDocument(docId, newTitle.trim());
+                relabelWikiLinks(docId, newTitle.trim());
             }
         },
-        [renameDocument]
+        [renameDocument, relabelWikiLinks]
     );
 
-    // Handle delete - show confirmation dialog
-    const handleDeleteRequest = useCallback(
-        (docId) => {
+    // Move a document to the trash, keeping its latest unsaved edits
+    const handleTrashDocument = useCallback(
+        async (docId) => {
             const targetId = docId || activeDocumentId;
-            const doc = documents.find((d) => d.id === targetId);
+            if (!targetId) return;
+            if (targetId === editorDocument?.id) {
+                await saveDocument(editorDocument);
+            }
+
+            const subPageCount = getChildPages(documents, targetId).length;
+            await trashDocument(targetId);
+            showToast(
+                subPageCount > 0
+                    ? `Moved to Trash, its ${subPageCount} sub-page(s) moved up one level`
+                    : "Moved to Trash",
+                "success"
+            );
+        },
+        [
+            documents,
+            activeDocumentId,
+            editorDocument,
+            saveDocument,
+            trashDocument,
+            showToast
+        ]
+    );
+
+    // Restore a document from the trash
+    const handleRestoreDocument = useCallback(
+        async (docId) => {
+            const restored = await restoreDocument(docId);
+            if (restored) showToast("Page restored", "success");
+            return restored;
+        },
+        [restoreDocument, showToast]
+    );
+
+    // Restore the document the URL points at and open it
+    const handleRestoreRouteDocument = useCallback(async () => {
+        if (await handleRestoreDocument(routeDocumentId)) {
+            selectDocument(routeDocumentId);
+        }
+    }, [routeDocumentId, handleRestoreDocument, selectDocument]);
+
+    // Permanent delete - show confirmation dialog
+    const handleDeleteForeverRequest = useCallback(
+        (docId) => {
+            const doc = trash.find((d) => d.id === docId);
             setDeleteDialog({
                 isOpen: true,
-                docId: targetId,
+                docId,
                 docTitle: doc?.title || "Untitled"
             });
         },
-        [documents, activeDocumentId]
+        [trash]
     );
 
+    const handleEmptyTrashRequest = useCallback(() => {
+        setDeleteDialog({ isOpen: true, docId: null, docTitle: "" });
+    }, []);
+
     // Confirm delete
     const handleDeleteConfirm = useCallback(() => {
         if (deleteDialog.docId) {
-            deleteDocument(deleteDialog.docId);
+            deleteDocumentForever(deleteDialog.docId);
+        } else {
+            emptyTrash();
         }
         setDeleteDialog({ isOpen: false, docId: null, docTitle: "" });
-    }, [deleteDialog.docId, deleteDocument]);
+    }, [deleteDialog.docId, deleteDocumentForever, emptyTrash]);
 
     // Cancel delete
     const handleDeleteCancel = useCallback(() => {
@@ -133,10 +394,97 @@ function App() {
         [activeDocumentId, duplicateDocument]
     );
 
+    // Version history handlers
+    const handleOpenHistory = useCallback(() => {
+        setIsHistoryOpen(true);
+    }, []);
+
+    const handleCloseHistory = useCallback(() => {
+        setIsHistoryOpen(false);
+        exitSnapshotPreview();
+    }, [exitSnapshotPreview]);
+
+    // Snapshot saved just before the given one (list is newest first)
+    const getPreviousSnapshot = useCallback(
+        (snapshot) => {
+            const index = snapshots.findIndex((s) => s.id === snapshot?.id);
+            return index === -1 ? null : snapshots[index + 1] || null;
+        },
+        [snapshots]
+    );
+
+    const handlePreviewSnapshot = useCallback(
+        (snapshot) => {
+            startSnapshotPreview(snapshot);
+
+            // Keep comparing against the previous version while browsing
+            if (diffMode === "previous") {
+                const previous = getPreviousSnapshot(snapshot);
+                setSnapshotDiff(previous ? "previous" : null, previous);
+            }
+        },
+        [diffMode, startSnapshotPreview, setSnapshotDiff, getPreviousSnapshot]
+    );
+
+    const handleDiffModeChange = useCallback(
+        (mode) => {
+            setSnapshotDiff(
+                mode,
+                mode === "previous"
+                    ? getPreviousSnapshot(previewSnapshot)
+                    : null
+            );
+        },
+        [previewSnapshot, setSnapshotDiff, getPreviousSnapshot]
+    );
+
+    const handleSaveVersion = useCallback(async () => {
+        if (!activeDocumentId) return;
+        await createSnapshot(
+            activeDocumentId,
+            editorDocument.blocks,
+            editorDocument.comments
+        );
+        lastSnapshotRef.current = Date.now();
+        await loadSnapshots(activeDocumentId);
+        showToast("Version saved", "success");
+    }, [
+        activeDocumentId,
+        editorDocument,
+        createSnapshot,
+        loadSnapshots,
+        showToast
+    ]);
+
+    const handleRestoreSnapshot = useCallback(
+        async (snapshot) => {
+            if (!snapshot || !activeDocumentId) return;
+
+            // Keep the current state as a version so the restore can be reverted
+            await createSnapshot(
+                activeDocumentId,
+                editorDocument.blocks,
+                editorDocument.comments
+            );
+            lastSnapshotRef.current = Date.now();
+            restoreBlocks(snapshot.blocks, snapshot.comments);
+            await loadSnapshots(activeDocumentId);
+            showToast("Version restored", "success");
+        },
+        [
+            activeDocumentId,
+            editorDocument,
+            createSnapshot,
+            restoreBlocks,
+            loadSnapshots,
+            showToast
+        ]
+    );
+
     // Export handlers
-    const handleExportDownload = useCallback(() => {
+    const handleExportDownload = useCallback(async () => {
         if (editorDocument) {
-            downloadAsMarkdown(editorDocument);
+            await downloadAsMarkdown(editorDocument);
             showToast("Downloaded as Markdown", "success");
         }
     }, [editorDocument, showToast]);
@@ -155,6 +503,12 @@ function App() {
         }
     }, [editorDocument, showToast]);
 
+    // Provider used by link blocks to fetch previews
+    const handleLinkPreviewSettingsChange = useCallback((settings) => {
+        setLinkPreviewSettings(settings);
+        linkMetadata.setLinkPreviewSettings(settings);
+    }, []);
+
     // Create first document if none exist
     useEffect(() => {
         if (!isLoading && documents.length === 0) {
@@ -179,14 +533,28 @@ function App() {
             {/* Sidebar */}
             <Sidebar
                 documents={documents}
+                groups={groups}
                 activeDocumentId={activeDocumentId}
                 isCollapsed={sidebarCollapsed}
                 onToggleCollapse={toggleSidebar}
                 onSelectDocument={selectDocument}
                 onCreateDocument={createDocument}
-                onDeleteDocument={handleDeleteRequest}
+                onDeleteDocument={handleTrashDocument}
                 onDuplicateDocument={handleDuplicate}
                 onRenameDocument={handleRenameFromSidebar}
+                onMoveDocument={moveDocumentToGroup}
+                onCreateGroup={createGroup}
+                onUpdateGroup={updateGroup}
+                onMoveGroup={moveGroup}
+                onDeleteGroup={deleteGroup}
+                onSearch={searchDocuments}
+                onOpenSearchResult={handleOpenDocument}
+                trash={trash}
+                trashRetentionDays={trashRetentionDays}
+                onRestoreDocument={handleRestoreDocument}
+                onDeleteDocumentForever={handleDeleteForeverRequest}
+                onEmptyTrash={handleEmptyTrashRequest}
+                onTrashRetentionChange={setTrashRetention}
                 isSaving={isSaving}
                 lastSaved={lastSaved}
             />
@@ -195,18 +563,30 @@ function App() {
             <div className="flex-1 flex flex-col overflow-hidden">
                 {/* TopBar */}
                 <TopBar
-                    title={activeDocument?.title || "Untitled"}
+                    title={
+                        isRouteNotFound
+                            ? "Page not found"
+                            : activeDocument?.title || "Untitled"
+                    }
+                    breadcrumbs={breadcrumbs}
                     createdAt={activeDocument?.createdAt}
                     updatedAt={activeDocument?.updatedAt}
                     isSidebarVisible={!sidebarCollapsed}
                     onToggleSidebar={toggleSidebar}
                     onRename={handleRenameFromTopBar}
+                    onNavigate={selectDocument}
                     onNewDocument={createDocument}
-                    onDelete={() => handleDeleteRequest(activeDocumentId)}
+                    onDelete={() => handleTrashDocument(activeDocumentId)}
                     onDuplicate={() => handleDuplicate(activeDocumentId)}
+                    onOpenHistory={handleOpenHistory}
+                    onOpenComments={() => openComments()}
                     onExportDownload={handleExportDownload}
                     onExportCopyMarkdown={handleExportCopyMarkdown}
                     onExportCopyPlainText={handleExportCopyPlainText}
+                    linkPreviewSettings={linkPreviewSettings}
+                    onLinkPreviewSettingsChange={
+                        handleLinkPreviewSettingsChange
+                    }
                 />
 
                 {/* Editor */}
@@ -218,7 +598,44 @@ function App() {
                             </div>
                         </div>
                     ) : activeDocumentId ? (
-                        <Editor />
+                        <Editor onOpenDocument={handleOpenDocument} />
+                    ) : isRouteNotFound ? (
+                        <div className="flex flex-col items-center justify-center h-full gap-3">
+                            <p className="text-gray-400 text-sm">
+                                {trashedRouteDocument
+                                    ? `"${trashedRouteDocument.title || "Untitled"}" is in the Trash`
+                                    : "This page doesn't exist or was deleted"}
+                            </p>
+                            {trashedRouteDocument ? (
+                                <button
+                                    onClick={handleRestoreRouteDocument}
+                                    className={cn(
+                                        "px-4 py-2 rounded-lg",
+                                        "bg-gray-900 text-white text-sm",
+                                        "hover:bg-gray-800",
+                                        "transition-colors duration-150"
+                                    )}
+                                >
+                                    Restore page
+                                </button>
+                            ) : (
+                                documents.length > 0 && (
+                                    <button
+                                        onClick={() =>
+                                            selectDocument(documents[0].id)
+                                        }
+                                        className={cn(
+                                            "px-4 py-2 rounded-lg",
+                                            "bg-gray-900 text-white text-sm",
+                                            "hover:bg-gray-800",
+                                            "transition-colors duration-150"
+                                        )}
+                                    >
+                                        Go to first page
+                                    </button>
+                                )
+                            )}
+                        </div>
                     ) : (
                         <div className="flex flex-col items-center justify-center h-full gap-3">
                             <p className="text-gray-400 text-sm">
@@ -240,13 +657,31 @@ function App() {
                 </main>
             </div>
 
+            {/* Version History */}
+            <HistoryPanel
+                isOpen={isHistoryOpen}
+                snapshots={snapshots}
+                isLoading={isLoadingSnapshots}
+                previewSnapshotId={previewSnapshot?.id}
+                diffMode={diffMode}
+                onPreview={handlePreviewSnapshot}
+                onDiffModeChange={handleDiffModeChange}
+                onRestore={handleRestoreSnapshot}
+                onSaveVersion={handleSaveVersion}
+                onClose={handleCloseHistory}
+            />
+
             {/* Delete Confirmation Dialog */}
             <Dialog
                 isOpen={deleteDialog.isOpen}
                 onClose={handleDeleteCancel}
                 onConfirm={handleDeleteConfirm}
-                title="Delete Document"
-                message={`Are you sure you want to delete "${deleteDialog.docTitle}"? This action cannot be undone.`}
+                title={deleteDialog.docId ? "Delete Forever" : "Empty Trash"}
+                message={
+                    deleteDialog.docId
+                        ? `Are you sure you want to permanently delete "${deleteDialog.docTitle}"? Its version history is deleted too. This action cannot be undone.`
+                        : `Are you sure you want to permanently delete all ${trash.length} page(s) in the Trash? This action cannot be undone.`
+                }
                 confirmText="Delete"
                 cancelText="Cancel"
                 danger={true}
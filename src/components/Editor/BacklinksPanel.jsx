@@ -0,0 +1,107 @@
+import { useState } from "react";
+import { ChevronRight, FileText, Link2 } from "lucide-react";
+import { cn } from "../../utils/cn";
+
+/**
+ * BacklinksPanel - "Linked from" list of blocks referencing this document
+ * Backlinks from the same document are grouped under its title
+ */
+export function BacklinksPanel({ backlinks = [], onOpen }) {
+    const [isExpanded, setIsExpanded] = useState(true);
+
+    if (backlinks.length === 0) return null;
+
+    // Group by linking document, keeping list order
+    const groups = [];
+    for (const backlink of backlinks) {
+        const group = groups.find(
+            (g) => g.document.id === backlink.document.id
+        );
+        if (group) {
+            group.backlinks.push(backlink);
+        } else {
+            groups.push({ document: backlink.document, backlinks: [backlink] });
+        }
+    }
+
+    return (
+        <section className="w-full max-w-3xl mx-auto px-16 pb-8">
+            <div className="border-t border-black/5 pt-4">
+                {/* Header */}
+                <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className={cn(
+                        "flex items-center gap-1.5 px-1 py-0.5 rounded",
+                        "text-[13px] font-medium text-gray-500",
+                        "hover:bg-black/5 hover:text-gray-700",
+                        "transition-colors duration-100"
+                    )}
+                >
+                    <ChevronRight
+                        className={cn(
+                            "w-3.5 h-3.5 transition-transform duration-150",
+                            isExpanded && "rotate-90"
+                        )}
+                        strokeWidth={2}
+                    />
+                    Linked from
+                    <span className="text-gray-400 font-normal">
+                        {groups.length}
+                    </span>
+                </button>
+
+                {/* Linking documents and blocks */}
+                {isExpanded && (
+                    <div className="mt-2 space-y-3">
+                        {groups.map(({ document, backlinks: items }) => (
+                            <div key={document.id}>
+                                <button
+                                    onClick={() => onOpen?.(document.id)}
+                                    className={cn(
+                                        "flex items-center gap-2 px-1 py-0.5 rounded",
+                                        "text-[14px] font-medium text-gray-800",
+                                        "hover:bg-black/5",
+                                        "transition-colors duration-100"
+                                    )}
+                                >
+                                    <FileText
+                                        className="w-4 h-4 text-gray-400"
+                                        strokeWidth={1.5}
+                                    />
+                                    {document.title || "Untitled"}
+                                </button>
+                                <div className="mt-1 ml-3 pl-3 border-l border-black/10">
+                                    {items.map((backlink) => (
+                                        <button
+                                            key={backlink.blockId}
+                                            onClick={() =>
+                                                onOpen?.(
+                                                    document.id,
+                                                    backlink.blockId
+                                                )
+                                            }
+                                            className={cn(
+                                                "w-full flex items-start gap-2 px-2 py-1 rounded",
+                                                "text-left text-[13px] text-gray-600",
+                                                "hover:bg-black/5",
+                                                "transition-colors duration-100"
+                                            )}
+                                        >
+                                            <Link2
+                                                className="w-3.5 h-3.5 mt-0.5 shrink-0 text-gray-400"
+                                                strokeWidth={1.5}
+                                            />
+                                            <span className="line-clamp-2">
+                                                {backlink.text || "Page link"}
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </section>
+    );
+}
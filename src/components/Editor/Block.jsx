@@ -3,6 +3,8 @@ import { ParagraphBlock } from "./blocks/ParagraphBlock";
 import { HeadingBlock } from "./blocks/HeadingBlock";
 import { TaskBlock } from "./blocks/TaskBlock";
 import { QuoteBlock } from "./blocks/QuoteBlock";
+import { CalloutBlock } from "./blocks/CalloutBlock";
+import { ToggleBlock } from "./blocks/ToggleBlock";
 import { DividerBlock } from "./blocks/DividerBlock";
 import { SectionBlock } from "./blocks/SectionBlock";
 import { GalleryBlock } from "./blocks/GalleryBlock";
@@ -10,6 +12,12 @@ import { ColumnsBlock } from "./blocks/ColumnsBlock";
 import { TabsBlock } from "./blocks/TabsBlock";
 import { ImageBlock } from "./blocks/ImageBlock";
 import { LinkBlock } from "./blocks/LinkBlock";
+import { CodeBlock } from "./blocks/CodeBlock";
+import { EquationBlock } from "./blocks/EquationBlock";
+import { ListBlock } from "./blocks/ListBlock";
+import { TableBlock } from "./blocks/TableBlock";
+import { PageBlock } from "./blocks/PageBlock";
+import { TocBlock } from "./blocks/TocBlock";
 import { cn } from "../../utils/cn";
 
 /**
@@ -20,6 +28,7 @@ export function Block({
     isActive,
     isFirstBlock,
     isSingleBlock,
+    listNumber,
     onContentChange,
     onPropertiesChange,
     onKeyDown,
@@ -56,9 +65,67 @@ export function Block({
             case BLOCK_TYPES.TASK:
                 return <TaskBlock {...commonProps} />;
 
+            case BLOCK_TYPES.BULLETED_LIST:
+            case BLOCK_TYPES.NUMBERED_LIST:
+                return (
+                    <ListBlock
+                        {...commonProps}
+                        type={type}
+                        listNumber={listNumber}
+                    />
+                );
+
             case BLOCK_TYPES.QUOTE:
                 return <QuoteBlock {...commonProps} />;
 
+            case BLOCK_TYPES.CALLOUT:
+                return <CalloutBlock {...commonProps} />;
+
+            case BLOCK_TYPES.TOGGLE:
+                return <ToggleBlock {...commonProps} blocks={block.children} />;
+
+            case BLOCK_TYPES.CODE:
+                return <CodeBlock {...commonProps} />;
+
+            case BLOCK_TYPES.EQUATION:
+                return <EquationBlock {...commonProps} />;
+
+            case BLOCK_TYPES.TABLE:
+                return (
+                    <TableBlock
+                        block={block}
+                        isActive={isActive}
+                        onFocus={onFocus}
+                        onKeyDown={onKeyDown}
+                        onUpdate={(updatedBlock) => {
+                            onPropertiesChange?.(id, updatedBlock.properties);
+                        }}
+                    />
+                );
+
+            case BLOCK_TYPES.PAGE:
+                return (
+                    <PageBlock
+                        block={block}
+                        isActive={isActive}
+                        onFocus={onFocus}
+                        onKeyDown={onKeyDown}
+                    />
+                );
+
+            case BLOCK_TYPES.TOC:
+                return (
+                    <TocBlock
+                        block={block}
+                        isActive={isActive}
+                        onFocus={onFocus}
+                        onKeyDown={onKeyDown}
+                        onUpdate={(updatedBlock) => {
+                            onPropertiesChange?.(id, updatedBlock.properties);
+                        }}
+                    />
+                );
+
             case BLOCK_TYPES.DIVIDER:
                 return (
                     <DividerBlock
@@ -77,7 +144,7 @@ export function Block({
                         onFocus={onFocus}
                         onKeyDown={onKeyDown}
                         onUpdate={(updatedBlock) => {
-                            onPropertiesChange?.(updatedBlock.properties);
+                            onPropertiesChange?.(id, updatedBlock.properties);
                         }}
                     />
                 );
@@ -7,7 +7,8 @@ import {
     Italic,
     Strikethrough,
     Link,
-    Pencil
+    Pencil,
+    MessageSquarePlus
 } from "lucide-react";
 import { cn } from "../../utils/cn";
 import { BLOCK_TYPES } from "../../constants/BLOCK_TYPES";
@@ -22,7 +23,20 @@ const BLOCK_TYPE_OPTIONS = [
     { id: "heading2", label: "Heading 2", type: BLOCK_TYPES.HEADING_2 },
     { id: "heading3", label: "Heading 3", type: BLOCK_TYPES.HEADING_3 },
     { id: "body", label: "Body", type: BLOCK_TYPES.PARAGRAPH },
-    { id: "quote", label: "Quote", type: BLOCK_TYPES.QUOTE }
+    {
+        id: "bulleted_list",
+        label: "Bulleted list",
+        type: BLOCK_TYPES.BULLETED_LIST
+    },
+    {
+        id: "numbered_list",
+        label: "Numbered list",
+        type: BLOCK_TYPES.NUMBERED_LIST
+    },
+    { id: "quote", label: "Quote", type: BLOCK_TYPES.QUOTE },
+    { id: "callout", label: "Callout", type: BLOCK_TYPES.CALLOUT },
+    { id: "toggle", label: "Toggle", type: BLOCK_TYPES.TOGGLE },
+    { id: "code", label: "Code", type: BLOCK_TYPES.CODE }
 ];
 
 /**
@@ -86,9 +100,12 @@ export function BottomToolbar({
     onBlockTypeChange,
     onFormatToggle,
     onLinkInsert,
+    onAddComment,
     onDuplicateBlock,
     onDeleteBlock,
-    onInsertDivider
+    onInsertDivider,
+    onExpandAllToggles,
+    onCollapseAllToggles
 }) {
     const [isBlockTypeOpen, setIsBlockTypeOpen] = useState(false);
     const { isMobile } = useMobile();
@@ -301,7 +318,7 @@ export function BottomToolbar({
 
                 <ToolbarDivider />
 
-                {/* Link & Highlight */}
+                {/* Link, Highlight & Comment */}
                 <ToolbarButton
                     icon={Link}
                     onClick={() => onLinkInsert?.()}
@@ -315,6 +332,12 @@ export function BottomToolbar({
                     disabled={!hasSelection}
                     title="Highlight"
                 />
+                <ToolbarButton
+                    icon={MessageSquarePlus}
+                    onClick={() => onAddComment?.()}
+                    disabled={!hasSelection}
+                    title="Comment"
+                />
 
                 <ToolbarDivider />
 
@@ -342,6 +365,8 @@ export function BottomToolbar({
                     onDuplicateBlock={onDuplicateBlock}
                     onDeleteBlock={onDeleteBlock}
                     onInsertDivider={onInsertDivider}
+                    onExpandAllToggles={onExpandAllToggles}
+                    onCollapseAllToggles={onCollapseAllToggles}
                 />
             </div>
         </div>
@@ -0,0 +1,304 @@
+import { useState, useMemo } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Check, MessageSquare, RotateCcw, Trash2, X } from "lucide-react";
+import { useEditorStore } from "../../stores/editorStore";
+import { findCommentAnchors } from "../../utils/comments";
+import { cn } from "../../utils/cn";
+
+/**
+ * CommentsPanel - Comment threads of the document, next to the editor
+ * Threads are listed in the order of their anchors; threads whose text
+ * was deleted come last.
+ */
+export function CommentsPanel() {
+    const {
+        document: editorDocument,
+        activeCommentId,
+        setActiveComment,
+        closeComments,
+        addComment,
+        setCommentResolved,
+        deleteCommentThread,
+        revealBlock
+    } = useEditorStore();
+    const [showResolved, setShowResolved] = useState(false);
+
+    const anchors = useMemo(
+        () => findCommentAnchors(editorDocument.blocks),
+        [editorDocument.blocks]
+    );
+
+    const threads = useMemo(() => {
+        const order = [...anchors.keys()];
+        const position = (thread) => {
+            const index = order.indexOf(thread.id);
+            return index === -1 ? order.length : index;
+        };
+        return (editorDocument.comments || [])
+            .filter((thread) => thread.resolved === showResolved)
+            .sort((a, b) => position(a) - position(b));
+    }, [editorDocument.comments, anchors, showResolved]);
+
+    const openCount = (editorDocument.comments || []).filter(
+        (thread) => !thread.resolved
+    ).length;
+
+    // Select a thread and scroll its anchor into view
+    const handleSelect = (thread) => {
+        setActiveComment(thread.id);
+        const blockId = anchors.get(thread.id);
+        if (!blockId) return;
+
+        revealBlock(blockId, { focus: false });
+        setTimeout(() => {
+            window.document
+                .querySelector(`mark[data-comment="${thread.id}"]`)
+                ?.scrollIntoView({ behavior: "smooth", block: "center" });
+        }, 50);
+    };
+
+    return (
+        <aside className="shrink-0 h-full w-72 flex flex-col border-l border-[#e8e8e6] bg-[#fbfbfa]">
+            {/* Header */}
+            <div className="flex items-center justify-between px-3 pt-3 pb-2">
+                <span className="flex items-center gap-1.5 text-[11px] font-medium text-[#91918e] uppercase tracking-wider">
+                    <MessageSquare className="w-3.5 h-3.5" strokeWidth={2} />
+                    Comments
+                    {openCount > 0 && (
+                        <span className="font-normal normal-case">
+                            {openCount}
+                        </span>
+                    )}
+                </span>
+                <button
+                    onClick={closeComments}
+                    className={cn(
+                        "w-6 h-6 rounded",
+                        "flex items-center justify-center",
+                        "text-[#91918e] hover:text-[#37352f]",
+                        "hover:bg-[#ebebea]",
+                        "transition-colors duration-100"
+                    )}
+                    title="Close"
+                >
+                    <X className="w-4 h-4" strokeWidth={2} />
+                </button>
+            </div>
+
+            {/* Open / Resolved */}
+            <div className="px-3 pb-2">
+                <div className="flex items-center gap-0.5 p-0.5 rounded-lg bg-[#ebebea]">
+                    <FilterOption
+                        label="Open"
+                        isActive={!showResolved}
+                        onClick={() => setShowResolved(false)}
+                    />
+                    <FilterOption
+                        label="Resolved"
+                        isActive={showResolved}
+                        onClick={() => setShowResolved(true)}
+                    />
+                </div>
+            </div>
+
+            {/* Threads */}
+            <div className="flex-1 overflow-y-auto px-2 pb-3 space-y-2">
+                {threads.length === 0 ? (
+                    <div className="text-center px-4 py-8 text-[#91918e] text-[13px]">
+                        {showResolved
+                            ? "No resolved comments"
+                            : "Select text and add a comment to start a discussion"}
+                    </div>
+                ) : (
+                    threads.map((thread) => (
+                        <CommentThread
+                            key={thread.id}
+                            thread={thread}
+                            isActive={thread.id === activeCommentId}
+                            isDetached={!anchors.has(thread.id)}
+                            onSelect={() => handleSelect(thread)}
+                            onReply={(text) => addComment(thread.id, text)}
+                            onResolve={(resolved) =>
+                                setCommentResolved(thread.id, resolved)
+                            }
+                            onDelete={() => deleteCommentThread(thread.id)}
+                        />
+                    ))
+                )}
+            </div>
+        </aside>
+    );
+}
+
+/**
+ * CommentThread - Quoted text, its comments and a reply box
+ * A new thread opens with the box focused; leaving it empty with Escape
+ * removes the thread again.
+ */
+function CommentThread({
+    thread,
+    isActive,
+    isDetached,
+    onSelect,
+    onReply,
+    onResolve,
+    onDelete
+}) {
+    const [draft, setDraft] = useState("");
+    const isNew = thread.comments.length === 0;
+
+    const handleSubmit = () => {
+        const text = draft.trim();
+        if (!text) return;
+        onReply(text);
+        setDraft("");
+    };
+
+    const handleKeyDown = (e) => {
+        e.stopPropagation();
+        if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            handleSubmit();
+        } else if (e.key === "Escape") {
+            e.preventDefault();
+            if (isNew) {
+                onDelete();
+            } else {
+                setDraft("");
+                e.currentTarget.blur();
+            }
+        }
+    };
+
+    return (
+        <div
+            onClick={onSelect}
+            className={cn(
+                "group/thread px-3 py-2.5 rounded-lg cursor-pointer",
+                "bg-white border transition-colors duration-100",
+                isActive
+                    ? "border-amber-300 shadow-sm"
+                    : "border-[#e8e8e6] hover:border-[#d8d8d6]"
+            )}
+        >
+            {/* Quoted text and actions */}
+            <div className="flex items-start gap-2">
+                <div
+                    className={cn(
+                        "flex-1 min-w-0 pl-2 border-l-2",
+                        "text-[12px] leading-snug line-clamp-2",
+                        isDetached
+                            ? "border-gray-200 text-[#91918e] line-through"
+                            : "border-amber-300 text-[#73726e]"
+                    )}
+                    title={
+                        isDetached
+                            ? "The commented text was deleted"
+                            : undefined
+                    }
+                >
+                    {thread.quote}
+                </div>
+                <div
+                    className={cn(
+                        "flex items-center gap-0.5 shrink-0",
+                        !isActive && "opacity-0 group-hover/thread:opacity-100"
+                    )}
+                >
+                    {!isNew && (
+                        <ThreadAction
+                            icon={thread.resolved ? RotateCcw : Check}
+                            title={thread.resolved ? "Reopen" : "Resolve"}
+                            onClick={() => onResolve(!thread.resolved)}
+                        />
+                    )}
+                    <ThreadAction
+                        icon={Trash2}
+                        title="Delete thread"
+                        onClick={onDelete}
+                    />
+                </div>
+            </div>
+
+            {/* Comments */}
+            {thread.comments.map((comment) => (
+                <div key={comment.id} className="mt-2">
+                    <div className="text-[11px] text-[#91918e]">
+                        {formatDistanceToNow(new Date(comment.createdAt), {
+                            addSuffix: true
+                        })}
+                    </div>
+                    <div className="text-[13px] text-[#37352f] whitespace-pre-wrap break-words">
+                        {comment.text}
+                    </div>
+                </div>
+            ))}
+
+            {/* Reply */}
+            {(isActive || isNew) && !thread.resolved && (
+                <textarea
+                    value={draft}
+                    rows={Math.max(1, draft.split("\n").length)}
+                    autoFocus={isNew}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onClick={(e) => e.stopPropagation()}
+                    placeholder={isNew ? "Add a comment..." : "Reply..."}
+                    className={cn(
+                        "mt-2 w-full resize-none px-2 py-1.5 rounded-md",
+                        "text-[13px] text-[#37352f]",
+                        "bg-[#f7f7f5] border border-transparent outline-none",
+                        "focus:border-blue-300 focus:bg-white",
+                        "placeholder:text-[#91918e]"
+                    )}
+                />
+            )}
+        </div>
+    );
+}
+
+/**
+ * ThreadAction - Small icon button in a thread header
+ */
+function ThreadAction({ icon, title, onClick }) {
+    const Icon = icon;
+    return (
+        <button
+            onClick={(e) => {
+                e.stopPropagation();
+                onClick();
+            }}
+            className={cn(
+                "w-6 h-6 rounded",
+                "flex items-center justify-center",
+                "text-[#91918e] hover:text-[#37352f]",
+                "hover:bg-[#ebebea]",
+                "transition-colors duration-100"
+            )}
+            title={title}
+        >
+            <Icon className="w-3.5 h-3.5" strokeWidth={2} />
+        </button>
+    );
+}
+
+/**
+ * FilterOption - Segmented control button for open/resolved threads
+ */
+function FilterOption({ label, isActive, onClick }) {
+    return (
+        <button
+            onClick={onClick}
+            className={cn(
+                "flex-1 px-2 py-1 rounded-md",
+                "text-[12px] font-medium",
+                "transition-colors duration-100",
+                isActive
+                    ? "bg-white text-[#37352f] shadow-sm"
+                    : "text-[#91918e] hover:text-[#37352f]"
+            )}
+        >
+            {label}
+        </button>
+    );
+}
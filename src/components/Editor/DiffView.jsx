@@ -0,0 +1,401 @@
+import { useMemo } from "react";
+import { cn } from "../../utils/cn";
+import { diffBlocks, summarizeDiff, DIFF_STATUS } from "../../utils/blockDiff";
+import { BLOCK_TYPES, BLOCK_TYPE_INFO } from "../../constants/BLOCK_TYPES";
+import { getListMarker, getListNumbers } from "../../utils/blocks";
+import { renderTex } from "../../utils/math";
+
+// Text styles mirroring the editable block components
+const TEXT_STYLES = {
+    [BLOCK_TYPES.PARAGRAPH]: "text-base leading-relaxed",
+    [BLOCK_TYPES.HEADING_1]: "text-3xl font-bold",
+    [BLOCK_TYPES.HEADING_2]: "text-2xl font-semibold",
+    [BLOCK_TYPES.HEADING_3]: "text-xl font-medium",
+    [BLOCK_TYPES.TASK]: "text-base leading-relaxed",
+    [BLOCK_TYPES.BULLETED_LIST]: "text-base leading-relaxed",
+    [BLOCK_TYPES.NUMBERED_LIST]: "text-base leading-relaxed",
+    [BLOCK_TYPES.QUOTE]: "text-base leading-relaxed italic text-gray-700",
+    [BLOCK_TYPES.CALLOUT]: "text-base leading-relaxed",
+    [BLOCK_TYPES.TOGGLE]: "text-base leading-relaxed"
+};
+
+const STATUS_STYLES = {
+    [DIFF_STATUS.ADDED]: "border-green-400 bg-green-50/60",
+    [DIFF_STATUS.REMOVED]: "border-red-400 bg-red-50/60 opacity-70",
+    [DIFF_STATUS.CHANGED]: "border-amber-400",
+    [DIFF_STATUS.UNCHANGED]: "border-transparent"
+};
+
+/**
+ * DiffView - Read-only block-by-block comparison of two versions
+ */
+export function DiffView({ oldBlocks, newBlocks, oldLabel, newLabel }) {
+    const entries = useMemo(
+        () => diffBlocks(oldBlocks, newBlocks),
+        [oldBlocks, newBlocks]
+    );
+    const summary = useMemo(() => summarizeDiff(entries), [entries]);
+
+    const hasChanges = Object.values(summary).some((count) => count > 0);
+
+    return (
+        <div data-snapshot-diff>
+            {/* Summary */}
+            <div className="flex flex-wrap items-center gap-2 mb-6 text-[13px] text-gray-500">
+                <span>
+                    Comparing{" "}
+                    <strong className="text-gray-700">{oldLabel}</strong> with{" "}
+                    <strong className="text-gray-700">{newLabel}</strong>
+                </span>
+                {hasChanges ? (
+                    <>
+                        <SummaryChip
+                            count={summary.added}
+                            label="added"
+                            className="bg-green-100 text-green-800"
+                        />
+                        <SummaryChip
+                            count={summary.removed}
+                            label="removed"
+                            className="bg-red-100 text-red-800"
+                        />
+                        <SummaryChip
+                            count={summary.edited}
+                            label="edited"
+                            className="bg-amber-100 text-amber-800"
+                        />
+                        <SummaryChip
+                            count={summary.retyped}
+                            label="retyped"
+                            className="bg-purple-100 text-purple-800"
+                        />
+                        <SummaryChip
+                            count={summary.moved}
+                            label="moved"
+                            className="bg-blue-100 text-blue-800"
+                        />
+                    </>
+                ) : (
+                    <span className="px-2 py-0.5 rounded-full bg-gray-100">
+                        No changes
+                    </span>
+                )}
+            </div>
+
+            <DiffEntries entries={entries} />
+        </div>
+    );
+}
+
+/**
+ * SummaryChip - Count of one kind of change
+ */
+function SummaryChip({ count, label, className }) {
+    if (!count) return null;
+    return (
+        <span className={cn("px-2 py-0.5 rounded-full font-medium", className)}>
+            {count} {label}
+        </span>
+    );
+}
+
+/**
+ * DiffEntries - List of diffed blocks
+ */
+function DiffEntries({ entries }) {
+    const listNumbers = getListNumbers(entries.map((entry) => entry.block));
+
+    return (
+        <div className="space-y-1">
+            {entries.map((entry) => (
+                <DiffEntry
+                    key={entry.id}
+                    entry={entry}
+                    listNumber={listNumbers.get(entry.id)}
+                />
+            ))}
+        </div>
+    );
+}
+
+/**
+ * DiffEntry - Single block with its change markers
+ */
+function DiffEntry({ entry, listNumber }) {
+    const { block, previousBlock, status } = entry;
+
+    return (
+        <div
+            data-block-id={entry.id}
+            data-diff-status={status}
+            className={cn(
+                "relative pl-3 pr-2 py-0.5 border-l-2 rounded-r",
+                STATUS_STYLES[status]
+            )}
+        >
+            {/* Change badges */}
+            {status !== DIFF_STATUS.UNCHANGED && (
+                <div className="flex flex-wrap gap-1 mb-0.5 text-[11px] font-medium uppercase tracking-wider">
+                    {status === DIFF_STATUS.ADDED && (
+                        <span className="text-green-700">Added</span>
+                    )}
+                    {status === DIFF_STATUS.REMOVED && (
+                        <span className="text-red-700">Removed</span>
+                    )}
+                    {entry.retyped && (
+                        <span className="text-purple-700">
+                            {getTypeLabel(previousBlock.type)} →{" "}
+                            {getTypeLabel(block.type)}
+                        </span>
+                    )}
+                    {entry.edited && (
+                        <span className="text-amber-700">Edited</span>
+                    )}
+                    {entry.moved && (
+                        <span className="text-blue-700">Moved</span>
+                    )}
+                </div>
+            )}
+
+            <BlockPreview
+                block={block}
+                html={entry.html}
+                listNumber={listNumber}
+                isRemoved={status === DIFF_STATUS.REMOVED}
+            />
+
+            {/* Nested column/tab contents */}
+            {entry.groups?.map((group) => (
+                <div key={group.key} className="mt-2 ml-2">
+                    <div className="mb-1 text-[12px] font-medium text-gray-400">
+                        {group.label}
+                    </div>
+                    {group.entries.length > 0 ? (
+                        <DiffEntries entries={group.entries} />
+                    ) : (
+                        <div className="text-[13px] text-gray-300">Empty</div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * BlockPreview - Static rendering of a block's content
+ */
+function BlockPreview({ block, html, listNumber, isRemoved }) {
+    const { type, content, properties } = block;
+
+    if (TEXT_STYLES[type]) {
+        const text = (
+            <div
+                className={cn(
+                    "flex-1 min-h-[1.5em] py-1 text-gray-900",
+                    TEXT_STYLES[type],
+                    isRemoved && "line-through",
+                    "[&_ins]:no-underline [&_ins]:bg-green-100 [&_ins]:text-green-900 [&_ins]:rounded-sm",
+                    "[&_del]:bg-red-100 [&_del]:text-red-800 [&_del]:rounded-sm"
+                )}
+                dangerouslySetInnerHTML={{ __html: html ?? content }}
+            />
+        );
+
+        if (type === BLOCK_TYPES.TASK) {
+            return (
+                <div className="flex items-start gap-2">
+                    <input
+                        type="checkbox"
+                        checked={properties?.checked || false}
+                        readOnly
+                        className="mt-2.5 w-4 h-4"
+                    />
+                    {text}
+                </div>
+            );
+        }
+
+        if (
+            type === BLOCK_TYPES.BULLETED_LIST ||
+            type === BLOCK_TYPES.NUMBERED_LIST
+        ) {
+            const depth = properties?.indent || 0;
+            return (
+                <div
+                    className="flex items-start gap-1"
+                    style={{ paddingLeft: `${depth * 24}px` }}
+                >
+                    <span className="shrink-0 min-w-[1.5em] py-1 text-center leading-relaxed">
+                        {getListMarker(type, depth, listNumber)}
+                    </span>
+                    {text}
+                </div>
+            );
+        }
+
+        if (type === BLOCK_TYPES.QUOTE) {
+            return (
+                <div className="pl-4 border-l-4 border-gray-300">{text}</div>
+            );
+        }
+
+        if (type === BLOCK_TYPES.CALLOUT) {
+            return (
+                <div className="flex items-start gap-2 px-3 rounded-lg bg-gray-50 border border-gray-200">
+                    {properties?.icon && (
+                        <span className="py-1 leading-relaxed">
+                            {properties.icon}
+                        </span>
+                    )}
+                    {text}
+                </div>
+            );
+        }
+
+        if (type === BLOCK_TYPES.TOGGLE) {
+            return (
+                <div className="flex items-start gap-1">
+                    <span className="shrink-0 py-1 leading-relaxed text-gray-500">
+                        {properties?.isOpen === false ? "▸" : "▾"}
+                    </span>
+                    {text}
+                </div>
+            );
+        }
+
+        return text;
+    }
+
+    switch (type) {
+        case BLOCK_TYPES.DIVIDER:
+            return <hr className="my-3 border-gray-200" />;
+
+        case BLOCK_TYPES.CODE:
+            return (
+                <pre
+                    className={cn(
+                        "my-1 px-4 py-3 rounded-lg bg-[#f7f6f3]",
+                        "font-mono text-sm leading-6 whitespace-pre-wrap",
+                        isRemoved && "line-through"
+                    )}
+                >
+                    {content}
+                </pre>
+            );
+
+        case BLOCK_TYPES.EQUATION: {
+            const { html } = renderTex(content || "", { displayMode: true });
+            return html ? (
+                <div
+                    className={cn(
+                        "my-1 overflow-x-auto",
+                        isRemoved && "line-through"
+                    )}
+                    dangerouslySetInnerHTML={{ __html: html }}
+                />
+            ) : (
+                <pre className="my-1 font-mono text-sm text-red-600 whitespace-pre-wrap">
+                    {content}
+                </pre>
+            );
+        }
+
+        case BLOCK_TYPES.TABLE: {
+            const columns = properties?.columns || [];
+            return (
+                <table
+                    className={cn(
+                        "my-1 border-collapse text-sm",
+                        isRemoved && "line-through"
+                    )}
+                >
+                    <tbody>
+                        {(properties?.rows || []).map((row, rowIndex) => (
+                            <tr
+                                key={row.id}
+                                className={cn(
+                                    properties.hasHeader &&
+                                        rowIndex === 0 &&
+                                        "bg-gray-50 font-semibold"
+                                )}
+                            >
+                                {columns.map((column, columnIndex) => (
+                                    <td
+                                        key={column.id}
+                                        className="min-w-[80px] px-2 py-1 border border-gray-200 align-top"
+                                        style={{
+                                            textAlign: column.align || undefined
+                                        }}
+                                        dangerouslySetInnerHTML={{
+                                            __html: row.cells[columnIndex] || ""
+                                        }}
+                                    />
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            );
+        }
+
+        case BLOCK_TYPES.SECTION:
+            return (
+                <div className="py-2 text-sm font-medium text-gray-500 uppercase tracking-wider">
+                    {properties?.title || "Section"}
+                </div>
+            );
+
+        case BLOCK_TYPES.IMAGE:
+            return (
+                <div className="py-1 text-sm text-gray-600">
+                    {content || properties?.url ? (
+                        <img
+                            src={content || properties.url}
+                            alt={properties?.alt || "Image"}
+                            className="max-h-40 rounded-lg"
+                        />
+                    ) : (
+                        "Empty image"
+                    )}
+                    {properties?.caption && (
+                        <div className="mt-1 text-gray-500">
+                            {properties.caption}
+                        </div>
+                    )}
+                </div>
+            );
+
+        case BLOCK_TYPES.LINK:
+            return (
+                <div className="py-1 text-sm">
+                    <div className="font-medium text-gray-900">
+                        {properties?.title || content || "Empty link"}
+                    </div>
+                    {content && <div className="text-gray-500">{content}</div>}
+                </div>
+            );
+
+        case BLOCK_TYPES.GALLERY: {
+            const count = properties?.images?.length || 0;
+            return (
+                <div className="py-1 text-sm text-gray-600">
+                    Gallery · {count} {count === 1 ? "image" : "images"}
+                </div>
+            );
+        }
+
+        default:
+            return (
+                <div className="py-1 text-sm text-gray-600">
+                    {getTypeLabel(type)}
+                </div>
+            );
+    }
+}
+
+/**
+ * Get display label for a block type
+ */
+function getTypeLabel(type) {
+    return BLOCK_TYPE_INFO[type]?.label || type;
+}
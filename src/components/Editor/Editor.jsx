@@ -1,26 +1,48 @@
-import { useCallback, useState } from "react";
+import { useCallback, useMemo, useRef, useState } from "react";
+import { Eye } from "lucide-react";
 import { useEditorStore } from "../../stores/editorStore";
 import { useDocumentsStore } from "../../stores/documentsStore";
 import { EditorCanvas } from "./EditorCanvas";
 import { BottomToolbar } from "./BottomToolbar";
 import { LinkInsertionModal } from "./LinkInsertionModal";
+import { BacklinksPanel } from "./BacklinksPanel";
+import { OutlinePanel } from "./OutlinePanel";
+import { CommentsPanel } from "./CommentsPanel";
 import { useTextSelection } from "../../hooks/useTextSelection";
 import { cn } from "../../utils/cn";
 import { BLOCK_TYPES } from "../../constants/BLOCK_TYPES";
+import { findBacklinks } from "../../utils/wikiLinks";
+import { anchorSelectionToComment } from "../../utils/comments";
 
 /**
  * Editor - Main editor container
  */
-export function Editor() {
+export function Editor({ onOpenDocument }) {
     const {
+        document: editorDocument,
         activeBlockId,
         getBlockById,
         convertBlockType,
         duplicateBlock,
         deleteBlock,
-        addBlockAfter
+        addBlockAfter,
+        setAllTogglesOpen,
+        addCommentThread,
+        isCommentsOpen,
+        previewSnapshot,
+        exitSnapshotPreview
     } = useEditorStore();
-    const { sidebarCollapsed } = useDocumentsStore();
+    const {
+        documents,
+        sidebarCollapsed,
+        outlineCollapsed,
+        toggleOutline,
+        createDocument,
+        saveDocument
+    } = useDocumentsStore();
+
+    // Scrolling editor area, followed by the outline
+    const scrollContainerRef = useRef(null);
 
     // Link Modal state
     const [isLinkModalOpen, setIsLinkModalOpen] = useState(false);
@@ -31,6 +53,28 @@ export function Editor() {
         setIsLinkModalOpen(true);
     }, []);
 
+    // Create a sub-page of the open document, staying on this page
+    const handleCreateSubPage = useCallback(
+        () => createDocument({ parentId: editorDocument.id, select: false }),
+        [createDocument, editorDocument.id]
+    );
+
+    // Open another document, saving this one first so edits from the last
+    // moment aren't dropped by the switch
+    const handleOpenDocument = useCallback(
+        (documentId, blockId) => {
+            saveDocument(editorDocument);
+            onOpenDocument?.(documentId, blockId);
+        },
+        [editorDocument, saveDocument, onOpenDocument]
+    );
+
+    // Blocks in other documents that link here
+    const backlinks = useMemo(
+        () => findBacklinks(documents, editorDocument.id),
+        [documents, editorDocument.id]
+    );
+
     // Track text selection
     const selection = useTextSelection();
 
@@ -119,6 +163,12 @@ export function Editor() {
         });
     };
 
+    // Start a comment thread on the selected text
+    const handleAddComment = useCallback(() => {
+        const thread = anchorSelectionToComment();
+        if (thread) addCommentThread(thread);
+    }, [addCommentThread]);
+
     // Handle duplicate block
     const handleDuplicateBlock = useCallback(() => {
         if (activeBlockId) {
@@ -145,41 +195,112 @@ export function Editor() {
     }, [activeBlockId, addBlockAfter]);
 
     return (
-        <div
-            className={cn(
-                "flex-1 h-full overflow-auto",
-                "bg-gradient-to-br from-slate-50 via-white to-blue-50/30"
+        <div className="flex-1 h-full flex overflow-hidden">
+            <div
+                ref={scrollContainerRef}
+                className={cn(
+                    "flex-1 h-full overflow-auto",
+                    "bg-gradient-to-br from-slate-50 via-white to-blue-50/30"
+                )}
+            >
+                {/* Snapshot preview banner */}
+                {previewSnapshot && (
+                    <div
+                        className={cn(
+                            "sticky top-0 z-40",
+                            "flex items-center justify-center gap-3 px-4 py-2",
+                            "bg-amber-50/90 backdrop-blur-xl",
+                            "border-b border-amber-200/60",
+                            "text-[13px] text-amber-800"
+                        )}
+                    >
+                        <Eye className="w-4 h-4" strokeWidth={1.5} />
+                        <span>
+                            Viewing version from{" "}
+                            {new Date(previewSnapshot.timestamp).toLocaleString(
+                                "en-US",
+                                {
+                                    month: "short",
+                                    day: "numeric",
+                                    hour: "numeric",
+                                    minute: "2-digit"
+                                }
+                            )}{" "}
+                            (read-only)
+                        </span>
+                        <button
+                            onClick={exitSnapshotPreview}
+                            className={cn(
+                                "px-2 py-0.5 rounded-md",
+                                "font-medium text-amber-900",
+                                "hover:bg-amber-100",
+                                "transition-colors duration-100"
+                            )}
+                        >
+                            Back to current
+                        </button>
+                    </div>
+                )}
+
+                {/* Editor Canvas */}
+                <main className="pb-24">
+                    <EditorCanvas
+                        onOpenLinkModal={handleOpenLinkModal}
+                        onCreateSubPage={handleCreateSubPage}
+                        onOpenDocument={handleOpenDocument}
+                    />
+
+                    {/* Backlinks */}
+                    {!previewSnapshot && (
+                        <BacklinksPanel
+                            backlinks={backlinks}
+                            onOpen={handleOpenDocument}
+                        />
+                    )}
+                </main>
+
+                {/* Bottom Toolbar */}
+                {!previewSnapshot && (
+                    <BottomToolbar
+                        sidebarCollapsed={sidebarCollapsed}
+                        activeBlockId={activeBlockId}
+                        activeBlockType={activeBlockType}
+                        hasSelection={selection.hasSelection}
+                        formatting={{}}
+                        onBlockTypeChange={handleBlockTypeChange}
+                        onFormatToggle={handleFormatToggle}
+                        onLinkInsert={handleLinkInsert}
+                        onAddComment={handleAddComment}
+                        onDuplicateBlock={handleDuplicateBlock}
+                        onDeleteBlock={handleDeleteBlock}
+                        onInsertDivider={handleInsertDivider}
+                        onExpandAllToggles={() => setAllTogglesOpen(true)}
+                        onCollapseAllToggles={() => setAllTogglesOpen(false)}
+                    />
+                )}
+
+                <LinkInsertionModal
+                    isOpen={isLinkModalOpen}
+                    onClose={() => setIsLinkModalOpen(false)}
+                    onSubmit={(url) => {
+                        if (linkModalCallback) {
+                            linkModalCallback(url);
+                        }
+                    }}
+                />
+            </div>
+
+            {/* Comments */}
+            {!previewSnapshot && isCommentsOpen && <CommentsPanel />}
+
+            {/* Outline */}
+            {!previewSnapshot && (
+                <OutlinePanel
+                    isCollapsed={outlineCollapsed}
+                    onToggle={toggleOutline}
+                    scrollContainerRef={scrollContainerRef}
+                />
             )}
-        >
-            {/* Editor Canvas */}
-            <main className="pb-24">
-                <EditorCanvas onOpenLinkModal={handleOpenLinkModal} />
-            </main>
-
-            {/* Bottom Toolbar */}
-            <BottomToolbar
-                sidebarCollapsed={sidebarCollapsed}
-                activeBlockId={activeBlockId}
-                activeBlockType={activeBlockType}
-                hasSelection={selection.hasSelection}
-                formatting={{}}
-                onBlockTypeChange={handleBlockTypeChange}
-                onFormatToggle={handleFormatToggle}
-                onLinkInsert={handleLinkInsert}
-                onDuplicateBlock={handleDuplicateBlock}
-                onDeleteBlock={handleDeleteBlock}
-                onInsertDivider={handleInsertDivider}
-            />
-
-            <LinkInsertionModal
-                isOpen={isLinkModalOpen}
-                onClose={() => setIsLinkModalOpen(false)}
-                onSubmit={(url) => {
-                    if (linkModalCallback) {
-                        linkModalCallback(url);
-                    }
-                }}
-            />
         </div>
     );
 }
@@ -1,4 +1,4 @@
-import { useCallback, useState, useEffect, useRef } from "react";
+import { useCallback, useState, useEffect, useRef, useMemo } from "react";
 import {
     DndContext,
     closestCenter,
@@ -12,18 +12,44 @@ import {
     verticalListSortingStrategy
 } from "@dnd-kit/sortable";
 import { useEditorStore } from "../../stores/editorStore";
+import { useDocumentsStore } from "../../stores/documentsStore";
 import { SortableBlock } from "./SortableBlock";
 import { Block } from "./Block";
 import { SlashMenu } from "./SlashMenu";
+import { WikiLinkMenu } from "./WikiLinkMenu";
+import { InlineMathEditor } from "./InlineMathEditor";
+import { FindBar } from "./FindBar";
+import { DiffView } from "./DiffView";
 import { cn } from "../../utils/cn";
 import { BLOCK_TYPES } from "../../constants/BLOCK_TYPES";
 import { parseMarkdown } from "../../services/markdownParser";
 import { serializeBlocks } from "../../services/markdownSerializer";
+import {
+    getListNumbers,
+    isListBlock,
+    isPlainTextBlock,
+    getChildLists,
+    getMarkdownShortcut,
+    findBlockInTree,
+    findBlockLocation,
+    flattenBlocks,
+    splitContentAtCaret
+} from "../../utils/blocks";
+import {
+    getWikiLinkQueryAtCaret,
+    insertWikiLinkAtCaret
+} from "../../utils/wikiLinks";
+import { renderInlineMath } from "../../utils/math";
+import { anchorSelectionToComment } from "../../utils/comments";
 
 /**
  * EditorCanvas - Main editing area that renders all blocks
  */
-export function EditorCanvas({ onOpenLinkModal }) {
+export function EditorCanvas({
+    onOpenLinkModal,
+    onCreateSubPage,
+    onOpenDocument
+}) {
     const {
         document: editorDocument,
         activeBlockId,
@@ -34,10 +60,16 @@ export function EditorCanvas({ onOpenLinkModal }) {
         mergeWithPreviousBlock,
         convertBlockType,
         moveBlock,
+        duplicateBlock,
         addBlockAfter,
         indentBlock,
         outdentBlock,
+        moveBlockIntoToggle,
+        setAllTogglesOpen,
         insertBlocksAtPosition,
+        // Comments
+        addCommentThread,
+        openComments,
         // Undo/Redo
         undo,
         redo,
@@ -49,13 +81,22 @@ export function EditorCanvas({ onOpenLinkModal }) {
         deleteSelectedBlocks,
         deleteBlock,
         extendSelectionDown,
-        extendSelectionUp
+        extendSelectionUp,
+        // Version history preview
+        previewSnapshot,
+        diffMode,
+        diffBaseSnapshot,
+        exitSnapshotPreview
     } = useEditorStore();
 
-    // Filter out nested blocks (blocks inside columns/tabs) from main canvas
-    const blocks = editorDocument.blocks.filter(
-        (b) => b.columnIndex === undefined && b.parentTabId === undefined
-    );
+    // While previewing a version, render the snapshot instead of the document
+    // Nested blocks live inside their columns/tabs, not in this list
+    const blocks = previewSnapshot
+        ? previewSnapshot.blocks
+        : editorDocument.blocks;
+
+    // Numbers shown by numbered list items
+    const listNumbers = useMemo(() => getListNumbers(blocks), [blocks]);
 
     // Slash menu state
     const [slashMenu, setSlashMenu] = useState({
@@ -65,6 +106,17 @@ export function EditorCanvas({ onOpenLinkModal }) {
         blockId: null
     });
 
+    // Wiki link picker opened by [[ (null when closed)
+    const [wikiLink, setWikiLink] = useState(null);
+
+    // Inline formula being edited: { tex, position } or null
+    const [inlineMath, setInlineMath] = useState(null);
+    const inlineMathElementRef = useRef(null);
+    const documents = useDocumentsStore((state) => state.documents);
+
+    // Find bar - each Ctrl+F creates a new request (null when closed)
+    const [findRequest, setFindRequest] = useState(null);
+
     // Track backspace presses for double-tap actions
     const backspaceTracker = useRef({ id: null, timestamp: 0 });
 
@@ -74,6 +126,14 @@ export function EditorCanvas({ onOpenLinkModal }) {
             const isMac = navigator.platform.toUpperCase().indexOf("MAC") >= 0;
             const modKey = isMac ? e.metaKey : e.ctrlKey;
 
+            // Snapshot preview is read-only - only Escape (back to current) applies
+            if (previewSnapshot) {
+                if (e.key === "Escape") {
+                    exitSnapshotPreview();
+                }
+                return;
+            }
+
             // Reset backspace tracker if any other key is pressed
             if (e.key !== "Backspace") {
                 backspaceTracker.current = { id: null, timestamp: 0 };
@@ -93,6 +153,38 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 return;
             }
 
+            // Ctrl+F = Find in document, seeded with the selected text
+            if (modKey && e.key === "f") {
+                e.preventDefault();
+                const selectedText = window.getSelection()?.toString() || "";
+                setFindRequest({
+                    query: selectedText.includes("\n") ? "" : selectedText
+                });
+                return;
+            }
+
+            // Ctrl+Alt+T = Expand all toggles, or collapse them when all are open
+            if (modKey && e.altKey && e.code === "KeyT") {
+                e.preventDefault();
+                const toggles = flattenBlocks(blocks).filter(
+                    (block) => block.type === BLOCK_TYPES.TOGGLE
+                );
+                setAllTogglesOpen(
+                    toggles.some(
+                        (toggle) => toggle.properties?.isOpen === false
+                    )
+                );
+                return;
+            }
+
+            // Ctrl+Alt+M = Comment on the selected text
+            if (modKey && e.altKey && e.code === "KeyM") {
+                e.preventDefault();
+                const thread = anchorSelectionToComment();
+                if (thread) addCommentThread(thread);
+                return;
+            }
+
             // Check if we're inside the editor canvas
             const isInEditor = e.target.closest("[data-editor-canvas]");
 
@@ -118,7 +210,9 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     e.target.closest('[data-block-type="SECTION"]') ||
                     e.target.closest('[data-block-type="DIVIDER"]') ||
                     e.target.closest('[data-block-type="IMAGE"]') ||
-                    e.target.closest('[data-block-type="LINK"]');
+                    e.target.closest('[data-block-type="LINK"]') ||
+                    e.target.closest('[data-block-type="PAGE"]') ||
+                    e.target.closest('[data-block-type="TABLE"]');
 
                 // For container blocks OR blocks with no text content, skip straight to block selection
                 const isNoTextBlock = targetTextContent.trim().length === 0;
@@ -178,26 +272,16 @@ export function EditorCanvas({ onOpenLinkModal }) {
             // Ctrl+D = Duplicate block
             if (modKey && e.key === "d" && activeBlockId) {
                 e.preventDefault();
-                const activeBlock = blocks.find((b) => b.id === activeBlockId);
-                if (activeBlock) {
-                    const duplicatedBlock = {
-                        ...activeBlock,
-                        id: crypto.randomUUID(),
-                        properties: { ...activeBlock.properties }
-                    };
-                    addBlockAfter(activeBlockId, duplicatedBlock);
-                }
+                duplicateBlock(activeBlockId);
                 return;
             }
 
             // Ctrl+Shift+Up = Move block up
             if (modKey && e.shiftKey && e.key === "ArrowUp" && activeBlockId) {
                 e.preventDefault();
-                const currentIndex = blocks.findIndex(
-                    (b) => b.id === activeBlockId
-                );
-                if (currentIndex > 0) {
-                    moveBlock(activeBlockId, currentIndex - 1);
+                const location = findBlockLocation(blocks, activeBlockId);
+                if (location && location.index > 0) {
+                    moveBlock(activeBlockId, location.index - 1);
                 }
                 return;
             }
@@ -210,11 +294,9 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 activeBlockId
             ) {
                 e.preventDefault();
-                const currentIndex = blocks.findIndex(
-                    (b) => b.id === activeBlockId
-                );
-                if (currentIndex < blocks.length - 1) {
-                    moveBlock(activeBlockId, currentIndex + 1);
+                const location = findBlockLocation(blocks, activeBlockId);
+                if (location && location.index < location.list.length - 1) {
+                    moveBlock(activeBlockId, location.index + 1);
                 }
                 return;
             }
@@ -268,7 +350,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 const selectedBlocks = blocks.filter((b) =>
                     selectedBlockIds.includes(b.id)
                 );
-                const markdown = serializeBlocks(selectedBlocks);
+                const markdown = serializeBlocks(selectedBlocks, blocks);
                 navigator.clipboard.writeText(markdown);
                 return;
             }
@@ -284,7 +366,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 const selectedBlocks = blocks.filter((b) =>
                     selectedBlockIds.includes(b.id)
                 );
-                const markdown = serializeBlocks(selectedBlocks);
+                const markdown = serializeBlocks(selectedBlocks, blocks);
                 navigator.clipboard.writeText(markdown);
                 deleteSelectedBlocks();
                 return;
@@ -299,13 +381,9 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 isInEditor &&
                 activeBlockId
             ) {
+                // Nested blocks are not in this list, so they are left alone
                 const activeBlock = blocks.find((b) => b.id === activeBlockId);
 
-                // Check if this is a NESTED block (inside column/tab)
-                const isNestedBlock =
-                    activeBlock?.columnIndex !== undefined ||
-                    activeBlock?.parentTabId !== undefined;
-
                 // Container block types that can't be split
                 const containerTypes = [
                     BLOCK_TYPES.TABS,
@@ -314,14 +392,13 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     BLOCK_TYPES.DIVIDER,
                     BLOCK_TYPES.SECTION,
                     BLOCK_TYPES.IMAGE,
-                    BLOCK_TYPES.LINK
+                    BLOCK_TYPES.LINK,
+                    BLOCK_TYPES.PAGE,
+                    BLOCK_TYPES.TOC,
+                    BLOCK_TYPES.TABLE
                 ];
 
-                // Only handle for non-nested container blocks
-                if (
-                    !isNestedBlock &&
-                    containerTypes.includes(activeBlock?.type)
-                ) {
+                if (containerTypes.includes(activeBlock?.type)) {
                     // Check if we're NOT in an editable input (contenteditable, input, textarea)
                     const isInEditable =
                         e.target.isContentEditable ||
@@ -365,8 +442,13 @@ export function EditorCanvas({ onOpenLinkModal }) {
         blocks,
         addBlockAfter,
         moveBlock,
+        duplicateBlock,
+        setAllTogglesOpen,
+        addCommentThread,
         extendSelectionDown,
-        extendSelectionUp
+        extendSelectionUp,
+        previewSnapshot,
+        exitSnapshotPreview
     ]);
 
     /**
@@ -379,11 +461,16 @@ export function EditorCanvas({ onOpenLinkModal }) {
             /^#{1,6}\s/m, // Headings
             /^>\s/m, // Blockquote
             /^-\s\[([ xX])\]/m, // Task items
+            /^\s*[-*+]\s+\S/m, // Bulleted lists
+            /^\s*\d+[.)]\s+\S/m, // Numbered lists
             /^```/m, // Code blocks
+            /^\|.*\|\s*\n\|?\s*:?-+:?\s*\|/m, // Tables
+            /^<!-- (section|page|gallery|columns|tabs)\b/m, // Layout blocks
             /^---$/m, // Horizontal rules
             /\*\*[^*]+\*\*/, // Bold
             /\*[^*]+\*/, // Italic
             /\[.+\]\(.+\)/, // Links
+            /\[\[[^\]]+\]\]/, // Wiki links
             /!\[.*\]\(.+\)/ // Images
         ];
         return mdPatterns.some((pattern) => pattern.test(text));
@@ -400,8 +487,15 @@ export function EditorCanvas({ onOpenLinkModal }) {
             if (clipboardText && isMarkdownText(clipboardText)) {
                 e.preventDefault();
 
-                // Parse the Markdown into blocks
-                const parsed = parseMarkdown(clipboardText);
+                // Parse the Markdown into blocks, linking [[Title]] to
+                // documents with that title
+                const parsed = parseMarkdown(clipboardText, {
+                    resolveWikiLink: (title) =>
+                        documents.find(
+                            (doc) =>
+                                doc.title.toLowerCase() === title.toLowerCase()
+                        ) || null
+                });
 
                 if (parsed.blocks && parsed.blocks.length > 0) {
                     // Insert the blocks after the current active block
@@ -410,38 +504,40 @@ export function EditorCanvas({ onOpenLinkModal }) {
             }
             // If not Markdown, let the default paste behavior work
         },
-        [activeBlockId, insertBlocksAtPosition, isMarkdownText]
+        [activeBlockId, documents, insertBlocksAtPosition, isMarkdownText]
     );
 
     // Handle content changes and check for slash command and Markdown shortcuts
     const handleContentChange = useCallback(
         (blockId, content) => {
+            // Code and equations are plain text - no shortcuts or slash menu
+            const block = findBlockInTree(blocks, blockId);
+            if (isPlainTextBlock(block)) {
+                updateBlockContent(blockId, content);
+                return;
+            }
+
             // Check for Markdown shortcuts first
-            const markdownShortcuts = [
-                { pattern: /^### $/, type: BLOCK_TYPES.HEADING_3 },
-                { pattern: /^## $/, type: BLOCK_TYPES.HEADING_2 },
-                { pattern: /^# $/, type: BLOCK_TYPES.HEADING_1 },
-                { pattern: /^> $/, type: BLOCK_TYPES.QUOTE },
-                { pattern: /^- \[ \] $/, type: BLOCK_TYPES.TASK },
-                { pattern: /^---$/, type: BLOCK_TYPES.DIVIDER }
-            ];
-
-            for (const { pattern, type } of markdownShortcuts) {
-                if (pattern.test(content)) {
-                    // Convert block type and clear content
-                    convertBlockType(blockId, type, "");
+            const shortcut = getMarkdownShortcut(content);
+            if (shortcut) {
+                // Convert block type and clear content
+                convertBlockType(
+                    blockId,
+                    shortcut.type,
+                    "",
+                    shortcut.properties
+                );
 
-                    // Focus back to the block
-                    setTimeout(() => {
-                        const blockEl = window.document.querySelector(
-                            `[data-block-id="${blockId}"]`
-                        );
-                        if (blockEl) {
-                            blockEl.focus();
-                        }
-                    }, 0);
-                    return; // Exit early, don't update content
-                }
+                // Focus back to the block
+                setTimeout(() => {
+                    const blockEl = window.document.querySelector(
+                        `[data-block-id="${blockId}"]`
+                    );
+                    if (blockEl) {
+                        blockEl.focus();
+                    }
+                }, 0);
+                return; // Exit early, don't update content
             }
 
             updateBlockContent(blockId, content);
@@ -460,7 +556,29 @@ export function EditorCanvas({ onOpenLinkModal }) {
                         blockId: blockId
                     });
                 }
-            } else if (slashMenu.isOpen && blockId === slashMenu.blockId) {
+            }
+
+            // [[ opens the document picker for a wiki link
+            const wikiQuery = getWikiLinkQueryAtCaret();
+            if (wikiQuery !== null) {
+                const rect = window
+                    .getSelection()
+                    .getRangeAt(0)
+                    .getBoundingClientRect();
+                setWikiLink((prev) => ({
+                    blockId,
+                    filter: wikiQuery,
+                    // Stay where the menu opened while the query grows
+                    position:
+                        prev?.blockId === blockId
+                            ? prev.position
+                            : { top: rect.bottom + 8, left: rect.left }
+                }));
+            } else {
+                setWikiLink(null);
+            }
+
+            if (slashMenu.isOpen && blockId === slashMenu.blockId) {
                 // Update filter while menu is open
                 if (content.startsWith("/")) {
                     setSlashMenu((prev) => ({
@@ -479,6 +597,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
             }
         },
         [
+            blocks,
             updateBlockContent,
             slashMenu.isOpen,
             slashMenu.blockId,
@@ -533,6 +652,26 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 return;
             }
 
+            // Page blocks link to a new sub-page of this document
+            if (blockType === BLOCK_TYPES.PAGE && onCreateSubPage) {
+                const targetBlockId = slashMenu.blockId;
+
+                setSlashMenu({
+                    isOpen: false,
+                    position: { top: 0, left: 0 },
+                    filter: "",
+                    blockId: null
+                });
+
+                onCreateSubPage().then((page) => {
+                    if (!page) return;
+                    convertBlockType(targetBlockId, blockType, "", {
+                        pageId: page.id
+                    });
+                });
+                return;
+            }
+
             // Convert the block type and clear the slash command
             convertBlockType(slashMenu.blockId, blockType, "");
 
@@ -554,9 +693,38 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 }
             }, 0);
         },
-        [slashMenu.blockId, convertBlockType, onOpenLinkModal]
+        [slashMenu.blockId, convertBlockType, onOpenLinkModal, onCreateSubPage]
     );
 
+    // Insert the picked document as a wiki link
+    const handleWikiLinkSelect = useCallback((target) => {
+        insertWikiLinkAtCaret(target);
+        setWikiLink(null);
+    }, []);
+
+    const handleWikiLinkClose = useCallback(() => {
+        setWikiLink(null);
+    }, []);
+
+    // Replace the edited inline formula, or remove it when emptied
+    const handleInlineMathSubmit = useCallback((tex) => {
+        const element = inlineMathElementRef.current;
+        const editable = element.closest('[contenteditable="true"]');
+        if (tex.trim()) {
+            element.outerHTML = renderInlineMath(tex);
+        } else {
+            element.remove();
+        }
+        // Let the block store its new content
+        editable?.dispatchEvent(new Event("input", { bubbles: true }));
+        inlineMathElementRef.current = null;
+        setInlineMath(null);
+    }, []);
+
+    const handleInlineMathClose = useCallback(() => {
+        setInlineMath(null);
+    }, []);
+
     // Handle slash menu close
     const handleSlashMenuClose = useCallback(() => {
         setSlashMenu({
@@ -586,8 +754,8 @@ export function EditorCanvas({ onOpenLinkModal }) {
     // Handle keyboard events
     const handleKeyDown = useCallback(
         (e, blockId) => {
-            // If slash menu is open, let it handle keyboard events
-            if (slashMenu.isOpen) {
+            // If a menu is open, let it handle keyboard events
+            if (slashMenu.isOpen || wikiLink) {
                 return;
             }
 
@@ -605,11 +773,12 @@ export function EditorCanvas({ onOpenLinkModal }) {
             const cursorPosition = selection?.anchorOffset || 0;
 
             // Tab - Indent/Outdent block
+            // Right below a toggle, Tab moves the block into the toggle
             if (e.key === "Tab") {
                 e.preventDefault();
                 if (e.shiftKey) {
                     outdentBlock(blockId);
-                } else {
+                } else if (!moveBlockIntoToggle(blockId)) {
                     indentBlock(blockId);
                 }
                 return;
@@ -620,13 +789,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 e.preventDefault();
 
                 // Find the current block
-                const block = blocks.find((b) => b.id === blockId);
-
-                // Check if this is a NESTED block (inside column/tab)
-                // Nested blocks should use normal text split behavior
-                const isNestedBlock =
-                    block?.columnIndex !== undefined ||
-                    block?.parentTabId !== undefined;
+                const block = findBlockInTree(blocks, blockId);
 
                 // Container block types that can't be split
                 const containerTypes = [
@@ -636,11 +799,16 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     BLOCK_TYPES.DIVIDER,
                     BLOCK_TYPES.SECTION,
                     BLOCK_TYPES.IMAGE,
-                    BLOCK_TYPES.LINK
+                    BLOCK_TYPES.LINK,
+                    BLOCK_TYPES.PAGE,
+                    BLOCK_TYPES.TOC,
+                    BLOCK_TYPES.TABLE, // Reached via Enter in the last row
+                    BLOCK_TYPES.CODE, // Reached via Cmd/Ctrl+Enter
+                    BLOCK_TYPES.EQUATION // Reached via Cmd/Ctrl+Enter
                 ];
 
-                // If it's a container block (and NOT nested), add new block after
-                if (!isNestedBlock && containerTypes.includes(block?.type)) {
+                // If it's a container block, add new block after
+                if (containerTypes.includes(block?.type)) {
                     const newBlock = {
                         id: crypto.randomUUID(),
                         type: BLOCK_TYPES.PARAGRAPH,
@@ -659,54 +827,40 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     return;
                 }
 
-                // Regular text block - split using DOM Range to preserve formatting
-                const selection = window.getSelection();
-                if (selection.rangeCount > 0) {
-                    const range = selection.getRangeAt(0);
-                    const blockEl = e.currentTarget;
-
-                    // Ensure selection is actually inside this block
-                    if (!blockEl.contains(range.commonAncestorContainer)) {
-                        return;
+                // Enter on an empty list item leaves the list one level at a time
+                if (isListBlock(block) && e.currentTarget.textContent === "") {
+                    if (block.properties?.indent) {
+                        outdentBlock(blockId);
+                    } else {
+                        convertBlockType(blockId, BLOCK_TYPES.PARAGRAPH);
                     }
+                    return;
+                }
 
-                    // Extract HTML BEFORE cursor
-                    const rangeBefore = range.cloneRange();
-                    rangeBefore.collapse(true);
-                    rangeBefore.setStart(blockEl, 0);
-
-                    const div = document.createElement("div");
-                    div.appendChild(rangeBefore.cloneContents());
-                    const htmlBefore = div.innerHTML;
-
-                    // Extract HTML AFTER cursor
-                    const rangeAfter = range.cloneRange();
-                    rangeAfter.collapse(false);
-                    rangeAfter.setEnd(blockEl, blockEl.childNodes.length);
-
-                    div.innerHTML = "";
-                    div.appendChild(rangeAfter.cloneContents());
-                    const htmlAfter = div.innerHTML;
-
+                // Regular text block - split using DOM Range to preserve formatting
+                const blockEl = e.currentTarget;
+                const split = splitContentAtCaret(blockEl);
+                if (split) {
                     // Manually update original block's DOM to prevent duplication
                     // (contentEditable maintains its own state, React won't re-render it)
-                    blockEl.innerHTML = htmlBefore;
+                    blockEl.innerHTML = split.before;
 
-                    // If splitting a task, create another task
-                    const nextType =
-                        block?.type === BLOCK_TYPES.TASK
-                            ? BLOCK_TYPES.TASK
-                            : BLOCK_TYPES.PARAGRAPH;
+                    // If splitting a list item or task, continue the list
+                    const nextType = isListBlock(block)
+                        ? block.type
+                        : BLOCK_TYPES.PARAGRAPH;
 
-                    splitBlock(blockId, htmlBefore, htmlAfter, nextType);
+                    splitBlock(blockId, split.before, split.after, nextType);
                 }
             }
 
             // Backspace at start - Merge with previous or delete container block
             if (e.key === "Backspace") {
                 const isCollapsed = selection?.isCollapsed !== false;
-                const blockIndex = blocks.findIndex((b) => b.id === blockId);
-                const block = blocks[blockIndex];
+                const location = findBlockLocation(blocks, blockId);
+                const siblings = location?.list ?? [];
+                const blockIndex = location?.index ?? -1;
+                const block = location?.block;
 
                 // Container block types that don't have editable content
                 const containerTypes = [
@@ -714,19 +868,17 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     BLOCK_TYPES.COLUMNS,
                     BLOCK_TYPES.GALLERY,
                     BLOCK_TYPES.SECTION,
-                    BLOCK_TYPES.DIVIDER
+                    BLOCK_TYPES.DIVIDER,
+                    BLOCK_TYPES.PAGE,
+                    BLOCK_TYPES.TOC
                 ];
                 const isContainerBlock = containerTypes.includes(block?.type);
 
                 // For container blocks, check if they're truly empty
                 if (isContainerBlock) {
                     const hasNestedContent =
-                        (block?.children &&
-                            Object.keys(block.children).length > 0) ||
-                        block?.properties?.images?.length > 0 ||
-                        block?.properties?.tabs?.some(
-                            (t) => block.children?.[t.id]?.length > 0
-                        );
+                        getChildLists(block).some((list) => list.length > 0) ||
+                        block?.properties?.images?.length > 0;
 
                     // Allow deletion if:
                     // - Block is truly empty (no nested content)
@@ -735,15 +887,17 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     if (
                         !hasNestedContent ||
                         block?.type === BLOCK_TYPES.DIVIDER ||
-                        block?.type === BLOCK_TYPES.SECTION
+                        block?.type === BLOCK_TYPES.SECTION ||
+                        block?.type === BLOCK_TYPES.PAGE ||
+                        block?.type === BLOCK_TYPES.TOC
                     ) {
                         e.preventDefault();
                         if (blockIndex > 0) {
                             mergeWithPreviousBlock(blockId);
-                        } else if (blocks.length > 1) {
+                        } else if (siblings.length > 1) {
                             // First block - just delete it and focus next
                             deleteSelectedBlocks();
-                            const nextBlock = blocks[1];
+                            const nextBlock = siblings[1];
                             if (nextBlock) {
                                 setActiveBlock(nextBlock.id);
                             }
@@ -771,82 +925,64 @@ export function EditorCanvas({ onOpenLinkModal }) {
 
                 const isBlockEmpty = domContent.length === 0;
 
-                // SPECIAL HANDLER: Backspace on empty Task block -> convert to Paragraph
-                // This allows users to "undo" a task creation easily without deleting the block
-                if (isBlockEmpty && block?.type === BLOCK_TYPES.TASK) {
+                // SPECIAL HANDLER: Backspace at the start of a list item or task -> outdent,
+                // then convert to Paragraph. This allows users to "undo" a list/task creation
+                // easily without deleting the block
+                if (
+                    (isBlockEmpty || (cursorAtStart && isCollapsed)) &&
+                    isListBlock(block)
+                ) {
                     e.preventDefault();
-                    convertBlockType(blockId, BLOCK_TYPES.PARAGRAPH);
+                    if (block.properties?.indent) {
+                        outdentBlock(blockId);
+                    } else {
+                        convertBlockType(blockId, BLOCK_TYPES.PARAGRAPH);
+                    }
                     return;
                 }
 
                 // SPECIAL HANDLER: Backspace in empty Columns block -> delete the columns
                 // If the user hits backspace in an empty column and the entire columns block is empty
                 if (isBlockEmpty && e.key === "Backspace") {
-                    // We might be in a nested block, so we need to find the specific block object
-                    let currentBlock = block;
-                    if (!currentBlock) {
-                        currentBlock = editorDocument.blocks.find(
-                            (b) => b.id === blockId
-                        );
-                    }
-
-                    if (currentBlock?.columnIndex !== undefined) {
-                        // Find parent COLUMNS block
-                        const parentBlock = editorDocument.blocks.find(
-                            (p) =>
-                                p.type === BLOCK_TYPES.COLUMNS &&
-                                p.children?.some((col) =>
-                                    col.blocks?.includes(blockId)
-                                )
-                        );
+                    // We might be in a nested block
+                    const parentBlock = location?.parent;
+
+                    if (parentBlock?.type === BLOCK_TYPES.COLUMNS) {
+                        // Check if the ENTIRE columns block is effectively empty
+                        // (meaning all columns have either no blocks or only empty paragraphs)
+                        const allColumnsEmpty = getChildLists(parentBlock)
+                            .flatMap(flattenBlocks)
+                            .every(
+                                (child) =>
+                                    !child.content ||
+                                    child.content.trim() === ""
+                            );
 
-                        if (parentBlock) {
-                            // Check if the ENTIRE columns block is effectively empty
-                            // (meaning all columns have either no blocks or only empty paragraphs)
-                            const allColumnsEmpty =
-                                parentBlock.children?.every((col) => {
-                                    if (!col.blocks || col.blocks.length === 0)
-                                        return true;
-                                    return col.blocks.every((childId) => {
-                                        const child =
-                                            editorDocument.blocks.find(
-                                                (b) => b.id === childId
-                                            );
-                                        // It's empty if it has no content
-                                        return (
-                                            !child?.content ||
-                                            child.content.trim() === ""
-                                        );
-                                    });
-                                }) ?? true;
-
-                            if (allColumnsEmpty) {
-                                // Double tap detection (within 1000ms)
-                                const now = Date.now();
-                                const isDoubleTap =
-                                    backspaceTracker.current.id === blockId &&
-                                    now - backspaceTracker.current.timestamp <
-                                        1000;
-
-                                if (isDoubleTap) {
-                                    e.preventDefault();
-                                    deleteBlock(parentBlock.id);
-                                    // Reset tracker
-                                    backspaceTracker.current = {
-                                        id: null,
-                                        timestamp: 0
-                                    };
-                                    return;
-                                } else {
-                                    // First tap - register and prevent default
-                                    // User needs to tap again to confirm deletion
-                                    e.preventDefault();
-                                    backspaceTracker.current = {
-                                        id: blockId,
-                                        timestamp: now
-                                    };
-                                    return;
-                                }
+                        if (allColumnsEmpty) {
+                            // Double tap detection (within 1000ms)
+                            const now = Date.now();
+                            const isDoubleTap =
+                                backspaceTracker.current.id === blockId &&
+                                now - backspaceTracker.current.timestamp < 1000;
+
+                            if (isDoubleTap) {
+                                e.preventDefault();
+                                deleteBlock(parentBlock.id);
+                                // Reset tracker
+                                backspaceTracker.current = {
+                                    id: null,
+                                    timestamp: 0
+                                };
+                                return;
+                            } else {
+                                // First tap - register and prevent default
+                                // User needs to tap again to confirm deletion
+                                e.preventDefault();
+                                backspaceTracker.current = {
+                                    id: blockId,
+                                    timestamp: now
+                                };
+                                return;
                             }
                         }
                     }
@@ -866,7 +1002,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
 
             // Arrow Up - Move to previous block when at start
             if (e.key === "ArrowUp" && !e.shiftKey) {
-                const blockIndex = blocks.findIndex((b) => b.id === blockId);
+                const location = findBlockLocation(blocks, blockId);
 
                 // Check if cursor is at the very start
                 const selection = window.getSelection();
@@ -878,14 +1014,14 @@ export function EditorCanvas({ onOpenLinkModal }) {
                         (selection?.anchorNode?.previousSibling === null &&
                             range?.startOffset === 0));
 
-                if (blockIndex > 0 && isAtStart) {
+                if (location && location.index > 0 && isAtStart) {
                     e.preventDefault();
-                    const prevBlock = blocks[blockIndex - 1];
+                    const prevBlock = location.list[location.index - 1];
                     setActiveBlock(prevBlock.id);
                     // Focus at end of previous block
                     setTimeout(() => {
                         const prevEl = window.document.querySelector(
-                            `[data-block-id="${prevBlock.id}"] [contenteditable]`
+                            `[data-block-id="${prevBlock.id}"] [contenteditable], [data-nested-block-id="${prevBlock.id}"] [contenteditable]`
                         );
                         if (prevEl) {
                             prevEl.focus();
@@ -902,7 +1038,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
 
             // Arrow Down - Move to next block when at end
             if (e.key === "ArrowDown" && !e.shiftKey) {
-                const blockIndex = blocks.findIndex((b) => b.id === blockId);
+                const location = findBlockLocation(blocks, blockId);
 
                 // Check if cursor is at the very end
                 const selection = window.getSelection();
@@ -914,14 +1050,18 @@ export function EditorCanvas({ onOpenLinkModal }) {
                     (range?.endContainer === target ||
                         range?.endContainer?.nextSibling === null);
 
-                if (blockIndex < blocks.length - 1 && isAtEnd) {
+                if (
+                    location &&
+                    location.index < location.list.length - 1 &&
+                    isAtEnd
+                ) {
                     e.preventDefault();
-                    const nextBlock = blocks[blockIndex + 1];
+                    const nextBlock = location.list[location.index + 1];
                     setActiveBlock(nextBlock.id);
                     // Focus at start of next block
                     setTimeout(() => {
                         const nextEl = window.document.querySelector(
-                            `[data-block-id="${nextBlock.id}"] [contenteditable]`
+                            `[data-block-id="${nextBlock.id}"] [contenteditable], [data-nested-block-id="${nextBlock.id}"] [contenteditable]`
                         );
                         if (nextEl) {
                             nextEl.focus();
@@ -942,13 +1082,14 @@ export function EditorCanvas({ onOpenLinkModal }) {
             mergeWithPreviousBlock,
             setActiveBlock,
             slashMenu.isOpen,
+            wikiLink,
             indentBlock,
             outdentBlock,
+            moveBlockIntoToggle,
             deleteSelectedBlocks,
             deleteBlock,
             addBlockAfter,
             selectionLevel,
-            editorDocument,
             convertBlockType
         ]
     );
@@ -956,6 +1097,32 @@ export function EditorCanvas({ onOpenLinkModal }) {
     // Handle click on empty canvas area
     const handleCanvasClick = useCallback(
         (e) => {
+            // Wiki links open the document they point to
+            const wikiLinkEl = e.target.closest("a[data-document-id]");
+            if (wikiLinkEl) {
+                e.preventDefault();
+                onOpenDocument?.(wikiLinkEl.dataset.documentId);
+                return;
+            }
+
+            // Inline formulas open their TeX for editing
+            const mathEl = e.target.closest("var[data-math]");
+            if (mathEl && !previewSnapshot) {
+                const rect = mathEl.getBoundingClientRect();
+                inlineMathElementRef.current = mathEl;
+                setInlineMath({
+                    tex: mathEl.dataset.math,
+                    position: { top: rect.bottom + 8, left: rect.left }
+                });
+                return;
+            }
+
+            // Commented text opens its thread, the caret still moves there
+            const commentEl = e.target.closest("mark[data-comment]");
+            if (commentEl && !previewSnapshot) {
+                openComments(commentEl.dataset.comment);
+            }
+
             // Only trigger if clicking directly on canvas, not on a block
             if (e.target === e.currentTarget) {
                 // Focus the last block or create one if empty
@@ -968,7 +1135,10 @@ export function EditorCanvas({ onOpenLinkModal }) {
                         BLOCK_TYPES.DIVIDER,
                         BLOCK_TYPES.SECTION,
                         BLOCK_TYPES.IMAGE,
-                        BLOCK_TYPES.LINK
+                        BLOCK_TYPES.LINK,
+                        BLOCK_TYPES.PAGE,
+                        BLOCK_TYPES.TOC,
+                        BLOCK_TYPES.TABLE
                     ];
 
                     // If last block is a container, create a new paragraph below it
@@ -1014,7 +1184,15 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 }
             }
         },
-        [blocks, setActiveBlock, addBlockAfter, document]
+        [
+            blocks,
+            setActiveBlock,
+            addBlockAfter,
+            document,
+            onOpenDocument,
+            openComments,
+            previewSnapshot
+        ]
     );
 
     // Drag and drop state
@@ -1048,6 +1226,52 @@ export function EditorCanvas({ onOpenLinkModal }) {
         [blocks, moveBlock]
     );
 
+    // Read-only snapshot preview - no drag, no editing handlers
+    if (previewSnapshot) {
+        return (
+            <div
+                key={previewSnapshot.id}
+                data-snapshot-preview
+                inert
+                className={cn(
+                    "w-full max-w-3xl mx-auto",
+                    "min-h-[calc(100vh-8rem)]",
+                    "px-16 py-8",
+                    "cursor-default"
+                )}
+            >
+                {diffMode === "current" ? (
+                    <DiffView
+                        oldBlocks={previewSnapshot.blocks}
+                        newBlocks={editorDocument.blocks}
+                        oldLabel="this version"
+                        newLabel="the current document"
+                    />
+                ) : diffMode === "previous" && diffBaseSnapshot ? (
+                    <DiffView
+                        oldBlocks={diffBaseSnapshot.blocks}
+                        newBlocks={previewSnapshot.blocks}
+                        oldLabel="the previous version"
+                        newLabel="this version"
+                    />
+                ) : (
+                    blocks.map((block) => (
+                        <Block
+                            key={block.id}
+                            block={block}
+                            isActive={false}
+                            listNumber={listNumbers.get(block.id)}
+                            onContentChange={() => {}}
+                            onPropertiesChange={() => {}}
+                            onKeyDown={() => {}}
+                            onFocus={() => {}}
+                        />
+                    ))
+                )}
+            </div>
+        );
+    }
+
     return (
         <DndContext
             sensors={sensors}
@@ -1078,6 +1302,7 @@ export function EditorCanvas({ onOpenLinkModal }) {
                             isSelected={selectedBlockIds.includes(block.id)}
                             isFirstBlock={index === 0}
                             isSingleBlock={blocks.length === 1}
+                            listNumber={listNumbers.get(block.id)}
                             onContentChange={handleContentChange}
                             onPropertiesChange={handlePropertiesChange}
                             onKeyDown={handleKeyDown}
@@ -1111,6 +1336,36 @@ export function EditorCanvas({ onOpenLinkModal }) {
                 onSelect={handleSlashMenuSelect}
                 onClose={handleSlashMenuClose}
             />
+
+            {/* Wiki Link Picker */}
+            <WikiLinkMenu
+                isOpen={wikiLink !== null}
+                position={wikiLink?.position}
+                filter={wikiLink?.filter || ""}
+                documents={documents.filter(
+                    (doc) => doc.id !== editorDocument.id
+                )}
+                onSelect={handleWikiLinkSelect}
+                onClose={handleWikiLinkClose}
+            />
+
+            {/* Inline Formula Editor */}
+            {inlineMath && (
+                <InlineMathEditor
+                    tex={inlineMath.tex}
+                    position={inlineMath.position}
+                    onSubmit={handleInlineMathSubmit}
+                    onClose={handleInlineMathClose}
+                />
+            )}
+
+            {/* Find & Replace */}
+            {findRequest && (
+                <FindBar
+                    request={findRequest}
+                    onClose={() => setFindRequest(null)}
+                />
+            )}
         </DndContext>
     );
 }
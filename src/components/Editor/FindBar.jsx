@@ -0,0 +1,435 @@
+import { useState, useEffect, useRef, useMemo } from "react";
+import {
+    ChevronDown,
+    ChevronUp,
+    ChevronRight,
+    CaseSensitive,
+    WholeWord,
+    Regex,
+    X
+} from "lucide-react";
+import { useEditorStore } from "../../stores/editorStore";
+import { useToastStore } from "../../stores/toastStore";
+import { createFindPattern, findMatches } from "../../utils/findReplace";
+import { cn } from "../../utils/cn";
+
+// Shortcuts that keep working while typing in the find bar
+const PASS_THROUGH_KEYS = ["z", "y", "f"];
+
+/**
+ * Element showing a field of a block inside the canvas
+ */
+function getFieldElement(canvas, { blockId, field }) {
+    const blockElement = canvas?.querySelector(
+        `[data-nested-block-id="${blockId}"], [data-block-id="${blockId}"]`
+    );
+    if (!blockElement) return null;
+
+    if (field.startsWith("cell:")) {
+        return blockElement.querySelector(
+            `[data-table-cell="${field.slice(5)}"]`
+        );
+    }
+    if (field !== "content") {
+        return blockElement.querySelector(`[data-find-field="${field}"]`);
+    }
+    return blockElement.querySelector('[contenteditable="true"], pre');
+}
+
+/**
+ * Text nodes of an element with their offset in its text
+ * Code blocks render one element per line without the line breaks, so
+ * each line adds one character for its break. Rendered inline math is
+ * skipped, as find and replace skip it.
+ */
+function getTextNodes(element) {
+    const lines = element.tagName === "PRE" ? [...element.children] : [element];
+    const nodes = [];
+    let lineStart = 0;
+    const filter = (node) =>
+        node.parentElement?.closest("var[data-math]")
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT;
+
+    for (const line of lines) {
+        const walker = document.createTreeWalker(
+            line,
+            NodeFilter.SHOW_TEXT,
+            filter
+        );
+        let offset = lineStart;
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: offset });
+            offset += walker.currentNode.length;
+        }
+        lineStart += line.textContent.replace(/\n/g, "").length + 1;
+    }
+    return nodes;
+}
+
+/**
+ * DOM range covering `length` characters from `offset` in an element
+ */
+function createTextRange(element, offset, length) {
+    const nodes = getTextNodes(element);
+    const end = offset + length;
+    const startNode = nodes.find(
+        ({ node, start }) => offset >= start && offset < start + node.length
+    );
+    const endNode = nodes.find(
+        ({ node, start }) => end > start && end <= start + node.length
+    );
+    if (!startNode || !endNode) return null;
+
+    const range = document.createRange();
+    range.setStart(startNode.node, offset - startNode.start);
+    range.setEnd(endNode.node, end - endNode.start);
+    return range;
+}
+
+/**
+ * FindBar - Find and replace within the current document
+ * Matches are highlighted with the CSS Custom Highlight API so the block
+ * DOM is never touched; inputs (image captions) get a data attribute.
+ */
+export function FindBar({ request, onClose }) {
+    const blocks = useEditorStore((state) => state.document.blocks);
+    const replaceInDocument = useEditorStore(
+        (state) => state.replaceInDocument
+    );
+    const revealBlock = useEditorStore((state) => state.revealBlock);
+    const showToast = useToastStore((state) => state.showToast);
+
+    const [query, setQuery] = useState(request.query || "");
+    const [replacement, setReplacement] = useState("");
+    const [isReplaceOpen, setIsReplaceOpen] = useState(false);
+    const [options, setOptions] = useState({
+        caseSensitive: false,
+        wholeWord: false,
+        regex: false
+    });
+    const [currentIndex, setCurrentIndex] = useState(0);
+
+    const inputRef = useRef(null);
+    const scrollRequest = useRef(true);
+
+    // Pressing Ctrl+F again picks up the newly selected text
+    const [prevRequest, setPrevRequest] = useState(request);
+    if (request !== prevRequest) {
+        setPrevRequest(request);
+        if (request.query) {
+            setQuery(request.query);
+            setCurrentIndex(0);
+        }
+    }
+
+    // Focus the find input whenever the bar is (re)opened
+    useEffect(() => {
+        scrollRequest.current = true;
+        inputRef.current?.focus();
+        inputRef.current?.select();
+    }, [request]);
+
+    const { pattern, error } = useMemo(() => {
+        try {
+            return { pattern: createFindPattern(query, options), error: null };
+        } catch (patternError) {
+            return { pattern: null, error: patternError.message };
+        }
+    }, [query, options]);
+
+    const matches = useMemo(
+        () => findMatches(blocks, pattern),
+        [blocks, pattern]
+    );
+    const activeIndex =
+        matches.length > 0 ? Math.min(currentIndex, matches.length - 1) : -1;
+
+    // Highlight all matches, the current one separately
+    useEffect(() => {
+        const canvas = document.querySelector("[data-editor-canvas]");
+        const ranges = [];
+        const markedInputs = [];
+        let currentTarget = null;
+        let currentRange = null;
+
+        matches.forEach((match, index) => {
+            const element = getFieldElement(canvas, match);
+            if (!element) return;
+            const isCurrent = index === activeIndex;
+
+            if (element.tagName === "INPUT") {
+                if (isCurrent || !element.dataset.findMatch) {
+                    element.dataset.findMatch = isCurrent ? "current" : "match";
+                }
+                markedInputs.push(element);
+                if (isCurrent) currentTarget = element;
+                return;
+            }
+
+            const range = createTextRange(
+                element,
+                match.offset,
+                match.text.length
+            );
+            if (!range) return;
+            if (isCurrent) {
+                currentRange = range;
+                currentTarget = range.startContainer.parentElement;
+            } else {
+                ranges.push(range);
+            }
+        });
+
+        const highlights = typeof CSS !== "undefined" && CSS.highlights;
+        if (highlights) {
+            highlights.set("find-match", new Highlight(...ranges));
+            if (currentRange) {
+                highlights.set("find-current", new Highlight(currentRange));
+            }
+        }
+
+        if (scrollRequest.current && currentTarget) {
+            scrollRequest.current = false;
+            currentTarget.scrollIntoView({
+                block: "center",
+                behavior: "smooth"
+            });
+        }
+
+        return () => {
+            if (highlights) {
+                highlights.delete("find-match");
+                highlights.delete("find-current");
+            }
+            markedInputs.forEach((input) => delete input.dataset.findMatch);
+        };
+    }, [matches, activeIndex]);
+
+    // Step to a match, switching tabs if it lives in a hidden one
+    const goToMatch = (index) => {
+        if (matches.length === 0) return;
+        const nextIndex = (index + matches.length) % matches.length;
+        setCurrentIndex(nextIndex);
+        revealBlock(matches[nextIndex].blockId, { focus: false });
+        scrollRequest.current = true;
+    };
+
+    const handleQueryChange = (e) => {
+        setQuery(e.target.value);
+        setCurrentIndex(0);
+        scrollRequest.current = true;
+    };
+
+    const toggleOption = (name) => {
+        setOptions((prev) => ({ ...prev, [name]: !prev[name] }));
+        scrollRequest.current = true;
+    };
+
+    const handleReplace = () => {
+        if (activeIndex < 0) return;
+        replaceInDocument(pattern, replacement, {
+            regex: options.regex,
+            target: matches[activeIndex]
+        });
+        scrollRequest.current = true;
+    };
+
+    const handleReplaceAll = () => {
+        const count = replaceInDocument(pattern, replacement, {
+            regex: options.regex
+        });
+        if (count > 0) {
+            showToast(
+                `Replaced ${count} ${count === 1 ? "match" : "matches"}`,
+                "success"
+            );
+        }
+    };
+
+    // Close and put the caret in the current match's block
+    const handleClose = () => {
+        if (activeIndex >= 0) {
+            revealBlock(matches[activeIndex].blockId);
+        }
+        onClose();
+    };
+
+    // Keep keys away from the editor shortcuts (e.g. Backspace deleting
+    // selected blocks), except undo/redo and find itself
+    const handleKeyDown = (e, onEnter) => {
+        const isMac = navigator.platform.toUpperCase().indexOf("MAC") >= 0;
+        const modKey = isMac ? e.metaKey : e.ctrlKey;
+        if (modKey && PASS_THROUGH_KEYS.includes(e.key.toLowerCase())) return;
+        e.stopPropagation();
+
+        if (e.key === "Escape") {
+            e.preventDefault();
+            handleClose();
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            onEnter(e);
+        }
+    };
+
+    const status = error
+        ? "Invalid pattern"
+        : query
+          ? matches.length > 0
+              ? `${activeIndex + 1} of ${matches.length}`
+              : "No results"
+          : "";
+
+    return (
+        <div
+            data-find-bar
+            className={cn(
+                "fixed top-4 right-6 z-50",
+                "w-[420px] max-w-[calc(100vw-3rem)] p-2",
+                "bg-white/90 backdrop-blur-xl rounded-xl",
+                "shadow-lg border border-gray-200/60",
+                "text-sm text-gray-700"
+            )}
+        >
+            <div className="flex items-center gap-1">
+                <button
+                    onClick={() => setIsReplaceOpen((open) => !open)}
+                    className="p-1 rounded-md text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+                    title="Toggle replace"
+                >
+                    <ChevronRight
+                        className={cn(
+                            "w-4 h-4 transition-transform duration-150",
+                            isReplaceOpen && "rotate-90"
+                        )}
+                    />
+                </button>
+
+                {/* Find input with mode toggles */}
+                <div
+                    className={cn(
+                        "flex flex-1 min-w-0 items-center gap-0.5 pr-1",
+                        "rounded-md border bg-white",
+                        error ? "border-red-300" : "border-gray-200"
+                    )}
+                >
+                    <input
+                        ref={inputRef}
+                        type="text"
+                        value={query}
+                        onChange={handleQueryChange}
+                        onKeyDown={(e) =>
+                            handleKeyDown(e, () =>
+                                goToMatch(activeIndex + (e.shiftKey ? -1 : 1))
+                            )
+                        }
+                        placeholder="Find"
+                        title={error || undefined}
+                        className="flex-1 min-w-0 px-2 py-1 bg-transparent outline-none"
+                    />
+                    <OptionToggle
+                        icon={CaseSensitive}
+                        title="Match case"
+                        isOn={options.caseSensitive}
+                        onClick={() => toggleOption("caseSensitive")}
+                    />
+                    <OptionToggle
+                        icon={WholeWord}
+                        title="Match whole word"
+                        isOn={options.wholeWord}
+                        onClick={() => toggleOption("wholeWord")}
+                    />
+                    <OptionToggle
+                        icon={Regex}
+                        title="Use regular expression"
+                        isOn={options.regex}
+                        onClick={() => toggleOption("regex")}
+                    />
+                </div>
+
+                <span
+                    className={cn(
+                        "w-20 shrink-0 text-center text-xs tabular-nums",
+                        error ? "text-red-500" : "text-gray-400"
+                    )}
+                >
+                    {status}
+                </span>
+
+                <button
+                    onClick={() => goToMatch(activeIndex - 1)}
+                    disabled={matches.length === 0}
+                    className="p-1 rounded-md text-gray-500 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+                    title="Previous match (Shift+Enter)"
+                >
+                    <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={() => goToMatch(activeIndex + 1)}
+                    disabled={matches.length === 0}
+                    className="p-1 rounded-md text-gray-500 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+                    title="Next match (Enter)"
+                >
+                    <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={handleClose}
+                    className="p-1 rounded-md text-gray-500 hover:bg-gray-100"
+                    title="Close (Escape)"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {/* Replace row */}
+            {isReplaceOpen && (
+                <div className="flex items-center gap-1 mt-1.5 pl-7">
+                    <input
+                        type="text"
+                        value={replacement}
+                        onChange={(e) => setReplacement(e.target.value)}
+                        onKeyDown={(e) => handleKeyDown(e, handleReplace)}
+                        placeholder="Replace"
+                        className="flex-1 min-w-0 px-2 py-1 rounded-md border border-gray-200 bg-white outline-none"
+                    />
+                    <button
+                        onClick={handleReplace}
+                        disabled={activeIndex < 0}
+                        className="px-2 py-1 rounded-md text-xs font-medium hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+                    >
+                        Replace
+                    </button>
+                    <button
+                        onClick={handleReplaceAll}
+                        disabled={matches.length === 0}
+                        className="px-2 py-1 rounded-md text-xs font-medium hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+                    >
+                        Replace all
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * OptionToggle - Small on/off button for a find mode
+ */
+function OptionToggle({ icon, title, isOn, onClick }) {
+    const Icon = icon;
+    return (
+        <button
+            onClick={onClick}
+            title={title}
+            aria-pressed={isOn}
+            className={cn(
+                "p-0.5 rounded",
+                isOn
+                    ? "bg-blue-100 text-blue-600"
+                    : "text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+            )}
+        >
+            <Icon className="w-4 h-4" />
+        </button>
+    );
+}
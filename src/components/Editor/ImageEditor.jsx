@@ -0,0 +1,421 @@
+import { useState, useRef } from "react";
+import { createPortal } from "react-dom";
+import {
+    X,
+    Crop,
+    Crosshair,
+    RotateCcw,
+    RotateCw,
+    FlipHorizontal,
+    FlipVertical,
+    Loader2
+} from "lucide-react";
+import { cn } from "../../utils/cn";
+import { TransformedImage } from "./TransformedImage";
+import {
+    CROP_ASPECT_RATIOS,
+    MIN_CROP_SIZE,
+    clamp,
+    createImageTransform,
+    fitCropToAspect,
+    flipImageTransform,
+    getRotatedSize,
+    isImageEdited,
+    rotateImageTransform
+} from "../../utils/imageTransform";
+
+// Crop corners that can be dragged to resize
+const CROP_HANDLES = ["nw", "ne", "sw", "se"];
+
+/**
+ * ImageEditor - Crop, rotate/flip and focal point editor
+ * Edits a transform and never the image itself; saving an unedited
+ * transform saves null, which shows the original.
+ */
+export function ImageEditor({ src, alt, transform, onSave, onClose }) {
+    const [draft, setDraft] = useState(transform);
+    const [aspect, setAspect] = useState(null);
+    const [mode, setMode] = useState("crop"); // "crop" | "focus"
+    const frameRef = useRef(null);
+    const dragRef = useRef(null);
+
+    // The whole rotated image, with the crop drawn on top of it
+    const preview = draft && {
+        ...draft,
+        crop: { x: 0, y: 0, width: 1, height: 1 }
+    };
+    const previewAspect = draft
+        ? getRotatedSize(draft).width / getRotatedSize(draft).height
+        : 1;
+
+    // Pointer position as fractions of the preview
+    const getPoint = (e) => {
+        const rect = frameRef.current.getBoundingClientRect();
+        return {
+            x: clamp((e.clientX - rect.left) / rect.width, 0, 1),
+            y: clamp((e.clientY - rect.top) / rect.height, 0, 1)
+        };
+    };
+
+    const handleImageLoad = (e) => {
+        if (!draft) {
+            const { naturalWidth, naturalHeight } = e.currentTarget;
+            setDraft(createImageTransform(naturalWidth, naturalHeight));
+        }
+    };
+
+    const handleAspectChange = (value) => {
+        setAspect(value);
+        setDraft(fitCropToAspect(draft, value));
+    };
+
+    // Keep a fixed aspect ratio across quarter turns
+    const handleRotate = (direction) => {
+        setDraft(
+            fitCropToAspect(rotateImageTransform(draft, direction), aspect)
+        );
+    };
+
+    const handleReset = () => {
+        setAspect(null);
+        setDraft(createImageTransform(draft.sourceWidth, draft.sourceHeight));
+    };
+
+    // Start moving the crop, or resizing it from a corner
+    const handleCropPointerDown = (e, handle = null) => {
+        e.preventDefault();
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = {
+            handle,
+            start: getPoint(e),
+            crop: draft.crop
+        };
+    };
+
+    const handleCropPointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+
+        const point = getPoint(e);
+        const { crop } = drag;
+
+        if (!drag.handle) {
+            setDraft({
+                ...draft,
+                crop: {
+                    ...crop,
+                    x: clamp(
+                        crop.x + point.x - drag.start.x,
+                        0,
+                        1 - crop.width
+                    ),
+                    y: clamp(
+                        crop.y + point.y - drag.start.y,
+                        0,
+                        1 - crop.height
+                    )
+                }
+            });
+            return;
+        }
+
+        // The opposite corner stays in place
+        const fromLeft = drag.handle.includes("w");
+        const fromTop = drag.handle.includes("n");
+        const anchorX = fromLeft ? crop.x + crop.width : crop.x;
+        const anchorY = fromTop ? crop.y + crop.height : crop.y;
+        const maxWidth = fromLeft ? anchorX : 1 - anchorX;
+        const maxHeight = fromTop ? anchorY : 1 - anchorY;
+
+        let width = clamp(
+            fromLeft ? anchorX - point.x : point.x - anchorX,
+            MIN_CROP_SIZE,
+            maxWidth
+        );
+        let height = clamp(
+            fromTop ? anchorY - point.y : point.y - anchorY,
+            MIN_CROP_SIZE,
+            maxHeight
+        );
+        if (aspect) {
+            const size = getRotatedSize(draft);
+            height = (width * size.width) / (size.height * aspect);
+            if (height > maxHeight) {
+                height = maxHeight;
+                width = (height * size.height * aspect) / size.width;
+            }
+        }
+
+        setDraft({
+            ...draft,
+            crop: {
+                x: fromLeft ? anchorX - width : anchorX,
+                y: fromTop ? anchorY - height : anchorY,
+                width,
+                height
+            }
+        });
+    };
+
+    const handleCropPointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const handleFocusPointerDown = (e) => {
+        e.preventDefault();
+        setDraft({ ...draft, focalPoint: getPoint(e) });
+    };
+
+    const handleKeyDown = (e) => {
+        // Keep keys away from the editor canvas behind the dialog
+        e.stopPropagation();
+        if (e.key === "Escape") onClose();
+    };
+
+    const toolButton = (isActive) =>
+        cn(
+            "flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-sm",
+            "transition-colors",
+            isActive
+                ? "bg-gray-900 text-white"
+                : "text-gray-600 hover:bg-gray-100"
+        );
+
+    return createPortal(
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
+            onClick={(e) => {
+                e.stopPropagation();
+                onClose();
+            }}
+            onKeyDown={handleKeyDown}
+        >
+            <div
+                className="w-full max-w-3xl bg-white rounded-2xl shadow-2xl overflow-hidden outline-none"
+                onClick={(e) => e.stopPropagation()}
+                tabIndex={-1}
+                autoFocus
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-gray-100">
+                    <h3 className="text-lg font-semibold text-gray-900">
+                        Edit image
+                    </h3>
+                    <button
+                        onClick={onClose}
+                        className="p-2 hover:bg-gray-100 rounded-full transition-colors text-gray-500"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Tools */}
+                <div className="flex flex-wrap items-center gap-1 px-6 py-3 border-b border-gray-100">
+                    <button
+                        onClick={() => setMode("crop")}
+                        className={toolButton(mode === "crop")}
+                    >
+                        <Crop className="w-4 h-4" /> Crop
+                    </button>
+                    <button
+                        onClick={() => setMode("focus")}
+                        className={toolButton(mode === "focus")}
+                        title="Point kept in view when the image is cut to fit"
+                    >
+                        <Crosshair className="w-4 h-4" /> Focal point
+                    </button>
+                    <div className="w-px h-6 mx-1 bg-gray-200" />
+                    <button
+                        onClick={() => handleRotate(-1)}
+                        disabled={!draft}
+                        className={toolButton(false)}
+                        title="Rotate left"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                        onClick={() => handleRotate(1)}
+                        disabled={!draft}
+                        className={toolButton(false)}
+                        title="Rotate right"
+                    >
+                        <RotateCw className="w-4 h-4" />
+                    </button>
+                    <button
+                        onClick={() => setDraft(flipImageTransform(draft, "x"))}
+                        disabled={!draft}
+                        className={toolButton(false)}
+                        title="Flip horizontally"
+                    >
+                        <FlipHorizontal className="w-4 h-4" />
+                    </button>
+                    <button
+                        onClick={() => setDraft(flipImageTransform(draft, "y"))}
+                        disabled={!draft}
+                        className={toolButton(false)}
+                        title="Flip vertically"
+                    >
+                        <FlipVertical className="w-4 h-4" />
+                    </button>
+                </div>
+
+                {/* Crop aspect ratios */}
+                {mode === "crop" && (
+                    <div className="flex flex-wrap items-center gap-1 px-6 pt-3">
+                        {CROP_ASPECT_RATIOS.map((option) => (
+                            <button
+                                key={option.label}
+                                onClick={() => handleAspectChange(option.value)}
+                                disabled={!draft}
+                                className={cn(
+                                    "px-2 py-1 text-xs rounded",
+                                    "transition-colors",
+                                    aspect === option.value
+                                        ? "bg-gray-900 text-white"
+                                        : "bg-gray-100 hover:bg-gray-200 text-gray-600"
+                                )}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Preview */}
+                <div className="flex items-center justify-center p-6 bg-gray-50/50">
+                    {draft ? (
+                        <div
+                            ref={frameRef}
+                            className="relative select-none touch-none"
+                            style={{
+                                width: `min(100%, calc(55vh * ${previewAspect}))`
+                            }}
+                        >
+                            <TransformedImage
+                                src={src}
+                                alt={alt}
+                                transform={preview}
+                                className="w-full"
+                            />
+
+                            {mode === "crop" ? (
+                                <div className="absolute inset-0 overflow-hidden">
+                                    <div
+                                        className="absolute border-2 border-white cursor-move"
+                                        style={{
+                                            left: `${draft.crop.x * 100}%`,
+                                            top: `${draft.crop.y * 100}%`,
+                                            width: `${draft.crop.width * 100}%`,
+                                            height: `${draft.crop.height * 100}%`,
+                                            boxShadow:
+                                                "0 0 0 9999px rgba(0, 0, 0, 0.5)"
+                                        }}
+                                        onPointerDown={handleCropPointerDown}
+                                        onPointerMove={handleCropPointerMove}
+                                        onPointerUp={handleCropPointerUp}
+                                    >
+                                        {CROP_HANDLES.map((handle) => (
+                                            <div
+                                                key={handle}
+                                                className={cn(
+                                                    "absolute w-3 h-3 bg-white rounded-sm shadow",
+                                                    handle.includes("n")
+                                                        ? "-top-1.5"
+                                                        : "-bottom-1.5",
+                                                    handle.includes("w")
+                                                        ? "-left-1.5"
+                                                        : "-right-1.5",
+                                                    handle === "nw" ||
+                                                        handle === "se"
+                                                        ? "cursor-nwse-resize"
+                                                        : "cursor-nesw-resize"
+                                                )}
+                                                onPointerDown={(e) =>
+                                                    handleCropPointerDown(
+                                                        e,
+                                                        handle
+                                                    )
+                                                }
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
+                            ) : (
+                                <div
+                                    className="absolute inset-0 cursor-crosshair"
+                                    onPointerDown={handleFocusPointerDown}
+                                >
+                                    <div
+                                        className="absolute w-6 h-6 -ml-3 -mt-3 rounded-full border-2 border-white shadow-[0_0_0_1px_rgba(0,0,0,0.4)]"
+                                        style={{
+                                            left: `${draft.focalPoint.x * 100}%`,
+                                            top: `${draft.focalPoint.y * 100}%`
+                                        }}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    ) : (
+                        <div className="flex items-center justify-center h-48">
+                            <Loader2 className="w-8 h-8 text-blue-500 animate-spin" />
+                            {/* Loaded once to read the original size */}
+                            <img
+                                src={src}
+                                alt=""
+                                className="hidden"
+                                onLoad={handleImageLoad}
+                            />
+                        </div>
+                    )}
+                </div>
+
+                {/* Actions */}
+                <div className="flex items-center justify-between px-6 py-4 border-t border-gray-100">
+                    <button
+                        onClick={handleReset}
+                        disabled={!isImageEdited(draft)}
+                        className={cn(
+                            "px-3 py-1.5 rounded-lg",
+                            "text-sm text-gray-600",
+                            "hover:bg-gray-100",
+                            "disabled:opacity-50 disabled:cursor-not-allowed",
+                            "transition-colors"
+                        )}
+                    >
+                        Reset to original
+                    </button>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={onClose}
+                            className={cn(
+                                "px-3 py-1.5 rounded-lg",
+                                "text-sm text-gray-600",
+                                "hover:bg-gray-100",
+                                "transition-colors"
+                            )}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={() =>
+                                onSave(isImageEdited(draft) ? draft : null)
+                            }
+                            disabled={!draft}
+                            className={cn(
+                                "px-3 py-1.5 rounded-lg",
+                                "text-sm text-white",
+                                "bg-blue-500 hover:bg-blue-600",
+                                "disabled:opacity-50 disabled:cursor-not-allowed",
+                                "transition-colors"
+                            )}
+                        >
+                            Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
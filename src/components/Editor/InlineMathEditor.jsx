@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from "react";
+import { cn } from "../../utils/cn";
+import { renderTex } from "../../utils/math";
+
+/**
+ * InlineMathEditor - Popover to edit the TeX of an inline formula
+ * Enter saves (an empty formula removes it), Escape or clicking outside
+ * cancels.
+ */
+export function InlineMathEditor({ tex, position, onSubmit, onClose }) {
+    const [value, setValue] = useState(tex);
+    const editorRef = useRef(null);
+
+    const { html, error } = renderTex(value);
+
+    // Click outside to close
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (editorRef.current && !editorRef.current.contains(e.target)) {
+                onClose();
+            }
+        };
+
+        document.addEventListener("mousedown", handleClickOutside);
+        return () =>
+            document.removeEventListener("mousedown", handleClickOutside);
+    }, [onClose]);
+
+    const handleKeyDown = (e) => {
+        e.stopPropagation();
+        if (e.key === "Enter") {
+            e.preventDefault();
+            onSubmit(value);
+        } else if (e.key === "Escape") {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div
+            ref={editorRef}
+            className={cn(
+                "fixed z-50",
+                "w-80 p-2",
+                "bg-white/90 backdrop-blur-xl rounded-xl",
+                "shadow-lg border border-black/5"
+            )}
+            style={{
+                top: position.top,
+                left: position.left
+            }}
+        >
+            <input
+                type="text"
+                value={value}
+                autoFocus
+                spellCheck={false}
+                onChange={(e) => setValue(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="x^2"
+                className={cn(
+                    "w-full px-2 py-1.5 rounded-md",
+                    "font-mono text-sm text-gray-800",
+                    "border outline-none",
+                    error
+                        ? "border-red-300 bg-red-50/60"
+                        : "border-gray-200 bg-gray-50 focus:border-blue-300"
+                )}
+            />
+            <div className="mt-2 px-1 min-h-[1.5em] overflow-x-auto text-gray-900">
+                {!value.trim() ? (
+                    <span className="text-xs text-gray-400">
+                        Empty formulas are removed
+                    </span>
+                ) : error ? (
+                    <span className="text-xs text-red-500">{error}</span>
+                ) : (
+                    <span dangerouslySetInnerHTML={{ __html: html }} />
+                )}
+            </div>
+        </div>
+    );
+}
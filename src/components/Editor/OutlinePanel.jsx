@@ -0,0 +1,246 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import {
+    DndContext,
+    closestCenter,
+    PointerSensor,
+    useSensor,
+    useSensors
+} from "@dnd-kit/core";
+import {
+    SortableContext,
+    useSortable,
+    verticalListSortingStrategy
+} from "@dnd-kit/sortable";
+import { CSS } from "@dnd-kit/utilities";
+import { PanelRightClose, TableOfContents } from "lucide-react";
+import { useEditorStore } from "../../stores/editorStore";
+import { getDocumentHeadings } from "../../utils/toc";
+import { cn } from "../../utils/cn";
+
+// Headings above this line (px from the top of the editor) count as passed
+const CURRENT_HEADING_OFFSET = 96;
+
+/**
+ * Element showing a block in the editor
+ */
+function getBlockElement(container, blockId) {
+    return container?.querySelector(
+        `[data-block-id="${blockId}"], [data-nested-block-id="${blockId}"]`
+    );
+}
+
+/**
+ * OutlineItem - Heading in the outline, draggable to move its section
+ */
+function OutlineItem({ heading, indent, isCurrent, onOpen }) {
+    const {
+        attributes,
+        listeners,
+        setNodeRef,
+        transform,
+        transition,
+        isDragging,
+        isOver,
+        active
+    } = useSortable({ id: heading.id });
+
+    const showDropIndicator =
+        isOver && !isDragging && active?.id !== heading.id;
+
+    return (
+        <div
+            ref={setNodeRef}
+            style={{
+                transform: CSS.Transform.toString(transform),
+                transition
+            }}
+            className={cn("relative", isDragging && "z-10 opacity-40")}
+        >
+            {showDropIndicator && (
+                <div className="absolute -top-px left-1 right-1 h-0.5 bg-blue-500 rounded-full" />
+            )}
+            <button
+                type="button"
+                onClick={() => onOpen(heading.id)}
+                {...attributes}
+                {...listeners}
+                className={cn(
+                    "block w-full py-1 pr-2 rounded-md text-left",
+                    "text-[13px] leading-snug truncate",
+                    "cursor-pointer transition-colors duration-100",
+                    isCurrent
+                        ? "bg-[#ebebea] text-[#37352f] font-medium"
+                        : "text-[#73726e] hover:bg-[#ebebea] hover:text-[#37352f]"
+                )}
+                style={{ paddingLeft: `${8 + indent * 12}px` }}
+                title={heading.text}
+            >
+                {heading.text}
+            </button>
+        </div>
+    );
+}
+
+/**
+ * OutlinePanel - Collapsible heading outline next to the editor
+ * Highlights the heading being read while scrolling; dragging a heading
+ * moves it together with the blocks under it.
+ */
+export function OutlinePanel({ isCollapsed, onToggle, scrollContainerRef }) {
+    const blocks = useEditorStore((state) => state.document.blocks);
+    const revealBlock = useEditorStore((state) => state.revealBlock);
+    const moveHeadingSection = useEditorStore(
+        (state) => state.moveHeadingSection
+    );
+    const [currentId, setCurrentId] = useState(null);
+
+    const headings = useMemo(() => getDocumentHeadings(blocks), [blocks]);
+    const minLevel = Math.min(...headings.map((heading) => heading.level));
+
+    // Follow the scroll position: the current heading is the last one
+    // scrolled past the top of the editor
+    useEffect(() => {
+        const container = scrollContainerRef.current;
+        if (isCollapsed || !container) return;
+
+        let frame = null;
+        const update = () => {
+            frame = null;
+            const top =
+                container.getBoundingClientRect().top + CURRENT_HEADING_OFFSET;
+            let current = headings[0]?.id ?? null;
+            for (const heading of headings) {
+                const element = getBlockElement(container, heading.id);
+                if (element && element.getBoundingClientRect().top <= top) {
+                    current = heading.id;
+                }
+            }
+            setCurrentId(current);
+        };
+        const handleScroll = () => {
+            if (frame === null) frame = requestAnimationFrame(update);
+        };
+
+        handleScroll();
+        container.addEventListener("scroll", handleScroll, { passive: true });
+        return () => {
+            container.removeEventListener("scroll", handleScroll);
+            if (frame !== null) cancelAnimationFrame(frame);
+        };
+    }, [isCollapsed, headings, scrollContainerRef]);
+
+    // Activate the heading (opening the tab or toggle it's in) and show it
+    const handleOpen = useCallback(
+        (headingId) => {
+            revealBlock(headingId);
+            setTimeout(() => {
+                getBlockElement(window.document, headingId)?.scrollIntoView({
+                    behavior: "smooth",
+                    block: "start"
+                });
+            }, 50);
+        },
+        [revealBlock]
+    );
+
+    // Require 8px movement before dragging starts, so clicks still open
+    const sensors = useSensors(
+        useSensor(PointerSensor, {
+            activationConstraint: { distance: 8 }
+        })
+    );
+
+    // Dropping below a heading puts the section after that heading's own
+    // text, dropping above it right before the heading
+    const handleDragEnd = useCallback(
+        ({ active, over }) => {
+            if (!over || active.id === over.id) return;
+            const oldIndex = headings.findIndex((h) => h.id === active.id);
+            const newIndex = headings.findIndex((h) => h.id === over.id);
+            moveHeadingSection(
+                active.id,
+                over.id,
+                newIndex > oldIndex ? "after" : "before"
+            );
+        },
+        [headings, moveHeadingSection]
+    );
+
+    if (isCollapsed) {
+        return (
+            <aside className="hidden lg:flex shrink-0 h-full w-10 flex-col items-center pt-3 border-l border-[#e8e8e6] bg-[#fbfbfa]">
+                <button
+                    onClick={onToggle}
+                    className={cn(
+                        "w-7 h-7 rounded",
+                        "flex items-center justify-center",
+                        "text-[#91918e] hover:text-[#37352f]",
+                        "hover:bg-[#ebebea]",
+                        "transition-colors duration-100"
+                    )}
+                    title="Show outline"
+                >
+                    <TableOfContents className="w-4 h-4" strokeWidth={2} />
+                </button>
+            </aside>
+        );
+    }
+
+    return (
+        <aside className="hidden lg:flex shrink-0 h-full w-60 flex-col border-l border-[#e8e8e6] bg-[#fbfbfa]">
+            {/* Header */}
+            <div className="flex items-center justify-between px-3 pt-3 pb-2">
+                <span className="flex items-center gap-1.5 text-[11px] font-medium text-[#91918e] uppercase tracking-wider">
+                    <TableOfContents className="w-3.5 h-3.5" strokeWidth={2} />
+                    Outline
+                </span>
+                <button
+                    onClick={onToggle}
+                    className={cn(
+                        "w-6 h-6 rounded",
+                        "flex items-center justify-center",
+                        "text-[#91918e] hover:text-[#37352f]",
+                        "hover:bg-[#ebebea]",
+                        "transition-colors duration-100"
+                    )}
+                    title="Hide outline"
+                >
+                    <PanelRightClose className="w-4 h-4" strokeWidth={2} />
+                </button>
+            </div>
+
+            {/* Headings */}
+            <nav
+                aria-label="Outline"
+                className="flex-1 overflow-y-auto px-1.5 pb-3"
+            >
+                {headings.length === 0 ? (
+                    <div className="px-2 py-6 text-center text-[13px] text-[#91918e]">
+                        Headings you add show up here
+                    </div>
+                ) : (
+                    <DndContext
+                        sensors={sensors}
+                        collisionDetection={closestCenter}
+                        onDragEnd={handleDragEnd}
+                    >
+                        <SortableContext
+                            items={headings.map((h) => h.id)}
+                            strategy={verticalListSortingStrategy}
+                        >
+                            {headings.map((heading) => (
+                                <OutlineItem
+                                    key={heading.id}
+                                    heading={heading}
+                                    indent={heading.level - minLevel}
+                                    isCurrent={heading.id === currentId}
+                                    onOpen={handleOpen}
+                                />
+                            ))}
+                        </SortableContext>
+                    </DndContext>
+                )}
+            </nav>
+        </aside>
+    );
+}
@@ -2,15 +2,24 @@ import { useState, useEffect, useRef } from "react";
 import {
     Heading1,
     AlignLeft,
+    FileText,
     CheckSquare,
+    List,
+    ListOrdered,
     Quote,
+    Lightbulb,
+    ListCollapse,
+    Code,
+    Sigma,
+    Table,
     Minus,
     Image,
     Link,
     SeparatorHorizontal,
     Images,
     Columns2,
-    PanelTop
+    PanelTop,
+    TableOfContents
 } from "lucide-react";
 import { BLOCK_TYPES } from "../../constants/BLOCK_TYPES";
 import { cn } from "../../utils/cn";
@@ -37,18 +46,66 @@ const MENU_ITEMS = [
         icon: AlignLeft,
         type: BLOCK_TYPES.PARAGRAPH
     },
+    {
+        id: "page",
+        label: "Page",
+        icon: FileText,
+        type: BLOCK_TYPES.PAGE
+    },
     {
         id: "task",
         label: "Task",
         icon: CheckSquare,
         type: BLOCK_TYPES.TASK
     },
+    {
+        id: "bulleted_list",
+        label: "Bulleted list",
+        icon: List,
+        type: BLOCK_TYPES.BULLETED_LIST
+    },
+    {
+        id: "numbered_list",
+        label: "Numbered list",
+        icon: ListOrdered,
+        type: BLOCK_TYPES.NUMBERED_LIST
+    },
     {
         id: "quote",
         label: "Quote",
         icon: Quote,
         type: BLOCK_TYPES.QUOTE
     },
+    {
+        id: "callout",
+        label: "Callout",
+        icon: Lightbulb,
+        type: BLOCK_TYPES.CALLOUT
+    },
+    {
+        id: "toggle",
+        label: "Toggle",
+        icon: ListCollapse,
+        type: BLOCK_TYPES.TOGGLE
+    },
+    {
+        id: "code",
+        label: "Code",
+        icon: Code,
+        type: BLOCK_TYPES.CODE
+    },
+    {
+        id: "equation",
+        label: "Equation",
+        icon: Sigma,
+        type: BLOCK_TYPES.EQUATION
+    },
+    {
+        id: "table",
+        label: "Table",
+        icon: Table,
+        type: BLOCK_TYPES.TABLE
+    },
     // Layout category
     {
         type: "category",
@@ -60,6 +117,12 @@ const MENU_ITEMS = [
         icon: SeparatorHorizontal,
         type: BLOCK_TYPES.SECTION
     },
+    {
+        id: "toc",
+        label: "Table of contents",
+        icon: TableOfContents,
+        type: BLOCK_TYPES.TOC
+    },
     {
         id: "columns",
         label: "2 Columns",
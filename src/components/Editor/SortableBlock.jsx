@@ -14,6 +14,7 @@ export function SortableBlock({
     isSelected,
     isFirstBlock,
     isSingleBlock,
+    listNumber,
     onContentChange,
     onPropertiesChange,
     onKeyDown,
@@ -86,6 +87,7 @@ export function SortableBlock({
                     isActive={isActive}
                     isFirstBlock={isFirstBlock}
                     isSingleBlock={isSingleBlock}
+                    listNumber={listNumber}
                     onContentChange={onContentChange}
                     onPropertiesChange={onPropertiesChange}
                     onKeyDown={onKeyDown}
@@ -11,6 +11,8 @@ import {
     Copy,
     Trash2,
     Minus,
+    ChevronsUpDown,
+    ChevronsDownUp,
     ChevronRight,
     Check
 } from "lucide-react";
@@ -183,7 +185,9 @@ export function ToolbarMoreMenu({
     onAlign,
     onDuplicateBlock,
     onDeleteBlock,
-    onInsertDivider
+    onInsertDivider,
+    onExpandAllToggles,
+    onCollapseAllToggles
 }) {
     const [isOpen, setIsOpen] = useState(false);
     const [activeSubmenu, setActiveSubmenu] = useState(null);
@@ -384,6 +388,23 @@ export function ToolbarMoreMenu({
 
             <MenuDivider />
 
+            {/* Toggles */}
+            <MenuItem
+                icon={ChevronsUpDown}
+                label="Expand all toggles"
+                shortcut={isMobile ? "" : "⌘⌥T"}
+                onClick={() => handleMenuItemClick(onExpandAllToggles)}
+                isMobile={isMobile}
+            />
+            <MenuItem
+                icon={ChevronsDownUp}
+                label="Collapse all toggles"
+                onClick={() => handleMenuItemClick(onCollapseAllToggles)}
+                isMobile={isMobile}
+            />
+
+            <MenuDivider />
+
             {/* Insert Section */}
             <MenuItem
                 icon={Minus}
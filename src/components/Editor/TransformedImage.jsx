@@ -0,0 +1,95 @@
+import { cn } from "../../utils/cn";
+import { getCoverLayout, getCropAspect } from "../../utils/imageTransform";
+
+/**
+ * TransformedImage - Image shown with its crop, rotation and flips
+ * Without frameAspect the frame takes the cropped image's aspect ratio.
+ * With it, the parent sizes the frame and the image covers it, keeping
+ * the focal point in view.
+ */
+export function TransformedImage({
+    src,
+    alt,
+    transform,
+    frameAspect,
+    className,
+    imgClassName,
+    loading,
+    onError
+}) {
+    if (!transform) {
+        return (
+            <img
+                src={src}
+                alt={alt}
+                loading={loading}
+                className={cn(className, imgClassName)}
+                onError={onError}
+            />
+        );
+    }
+
+    const { crop, rotation, flipX, flipY, sourceWidth, sourceHeight } =
+        transform;
+    const isSideways = rotation % 180 !== 0;
+    const sourceAspect = sourceWidth / sourceHeight;
+
+    // Cropped image: fills the frame, or covers it around the focal point
+    const cropBox = frameAspect
+        ? getCoverLayout(transform, frameAspect)
+        : { left: 0, top: 0, width: 100, height: 100 };
+
+    return (
+        <div
+            className={cn("relative overflow-hidden", className)}
+            style={
+                frameAspect
+                    ? undefined
+                    : { aspectRatio: getCropAspect(transform) }
+            }
+        >
+            <div
+                className="absolute"
+                style={{
+                    left: `${cropBox.left}%`,
+                    top: `${cropBox.top}%`,
+                    width: `${cropBox.width}%`,
+                    height: `${cropBox.height}%`
+                }}
+            >
+                {/* Whole rotated image, placed so the crop fills its box */}
+                <div
+                    className="absolute"
+                    style={{
+                        left: `${(-crop.x / crop.width) * 100}%`,
+                        top: `${(-crop.y / crop.height) * 100}%`,
+                        width: `${100 / crop.width}%`,
+                        height: `${100 / crop.height}%`
+                    }}
+                >
+                    <img
+                        src={src}
+                        alt={alt}
+                        loading={loading}
+                        draggable={false}
+                        className={cn(
+                            "absolute max-w-none left-1/2 top-1/2",
+                            imgClassName
+                        )}
+                        style={{
+                            // Sideways images are sized before turning
+                            width: isSideways
+                                ? `${sourceAspect * 100}%`
+                                : "100%",
+                            height: isSideways
+                                ? `${100 / sourceAspect}%`
+                                : "100%",
+                            transform: `translate(-50%, -50%) scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1}) rotate(${rotation}deg)`
+                        }}
+                        onError={onError}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
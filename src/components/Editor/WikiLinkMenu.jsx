@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef } from "react";
+import { FileText } from "lucide-react";
+import { cn } from "../../utils/cn";
+
+// Most documents listed at once
+const MAX_RESULTS = 8;
+
+/**
+ * WikiLinkMenu - Document picker triggered by [[
+ */
+export function WikiLinkMenu({
+    isOpen,
+    position,
+    filter,
+    documents = [],
+    onSelect,
+    onClose
+}) {
+    const [selectedIndex, setSelectedIndex] = useState(0);
+    const menuRef = useRef(null);
+
+    // Track previous filter to reset selection on change
+    const [prevFilter, setPrevFilter] = useState(filter);
+
+    // Adjust state during render (recommended pattern to avoid cascading effects)
+    if (filter !== prevFilter) {
+        setPrevFilter(filter);
+        setSelectedIndex(0);
+    }
+
+    // Documents whose title contains the typed text
+    const query = filter.trim().toLowerCase();
+    const results = documents
+        .filter((doc) =>
+            (doc.title || "Untitled").toLowerCase().includes(query)
+        )
+        .slice(0, MAX_RESULTS);
+
+    // Handle keyboard navigation
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleKeyDown = (e) => {
+            switch (e.key) {
+                case "ArrowDown":
+                    e.preventDefault();
+                    setSelectedIndex((prev) =>
+                        prev < results.length - 1 ? prev + 1 : 0
+                    );
+                    break;
+                case "ArrowUp":
+                    e.preventDefault();
+                    setSelectedIndex((prev) =>
+                        prev > 0 ? prev - 1 : results.length - 1
+                    );
+                    break;
+                case "Enter":
+                case "Tab":
+                    e.preventDefault();
+                    if (results[selectedIndex]) {
+                        onSelect(results[selectedIndex]);
+                    } else {
+                        onClose();
+                    }
+                    break;
+                case "Escape":
+                    e.preventDefault();
+                    onClose();
+                    break;
+            }
+        };
+
+        document.addEventListener("keydown", handleKeyDown);
+        return () => document.removeEventListener("keydown", handleKeyDown);
+    }, [isOpen, selectedIndex, results, onSelect, onClose]);
+
+    // Click outside to close
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClickOutside = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) {
+                onClose();
+            }
+        };
+
+        document.addEventListener("mousedown", handleClickOutside);
+        return () =>
+            document.removeEventListener("mousedown", handleClickOutside);
+    }, [isOpen, onClose]);
+
+    if (!isOpen) return null;
+
+    return (
+        <div
+            ref={menuRef}
+            className={cn(
+                "fixed z-50",
+                "w-64",
+                "bg-white/80 backdrop-blur-xl rounded-xl",
+                "shadow-lg border border-white/40",
+                "overflow-hidden"
+            )}
+            style={{
+                top: position.top,
+                left: position.left
+            }}
+        >
+            <div className="px-3 pt-2 pb-1 text-xs font-medium text-gray-400 uppercase tracking-wider select-none">
+                Link to page
+            </div>
+            <div className="pb-2 overflow-y-auto max-h-[300px]">
+                {results.length === 0 ? (
+                    <div className="px-3 py-2 text-sm text-gray-400">
+                        No matching pages
+                    </div>
+                ) : (
+                    results.map((doc, index) => (
+                        <button
+                            key={doc.id}
+                            // Keep the caret in the block the link goes into
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => onSelect(doc)}
+                            onMouseEnter={() => setSelectedIndex(index)}
+                            className={cn(
+                                "w-full flex items-center gap-3",
+                                "px-3 py-2 text-left",
+                                "text-sm text-gray-700",
+                                "transition-colors",
+                                index === selectedIndex && "bg-gray-100"
+                            )}
+                        >
+                            <FileText className="w-4 h-4 shrink-0 text-gray-600" />
+                            <span className="truncate">
+                                {doc.title || "Untitled"}
+                            </span>
+                        </button>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
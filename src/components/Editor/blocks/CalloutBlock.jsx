@@ -0,0 +1,268 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { Info, CircleCheck, TriangleAlert, OctagonAlert } from "lucide-react";
+import { CALLOUT_VARIANTS } from "../../../constants/BLOCK_TYPES";
+import { cn } from "../../../utils/cn";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
+
+/**
+ * Colors and default icon of each callout variant
+ */
+const VARIANT_STYLES = {
+    info: {
+        icon: Info,
+        container: "bg-blue-50 border-blue-200",
+        iconColor: "text-blue-500",
+        swatch: "bg-blue-400"
+    },
+    success: {
+        icon: CircleCheck,
+        container: "bg-green-50 border-green-200",
+        iconColor: "text-green-500",
+        swatch: "bg-green-400"
+    },
+    warning: {
+        icon: TriangleAlert,
+        container: "bg-amber-50 border-amber-200",
+        iconColor: "text-amber-500",
+        swatch: "bg-amber-400"
+    },
+    danger: {
+        icon: OctagonAlert,
+        container: "bg-red-50 border-red-200",
+        iconColor: "text-red-500",
+        swatch: "bg-red-400"
+    }
+};
+
+/**
+ * Emoji that can replace the variant icon
+ */
+const CALLOUT_EMOJI = [
+    "💡",
+    "📌",
+    "📝",
+    "❗",
+    "❓",
+    "⚠️",
+    "✅",
+    "❌",
+    "🔥",
+    "🚀",
+    "🎉",
+    "🔒"
+];
+
+/**
+ * CalloutBlock - Highlighted note with an icon and a colored variant
+ */
+export function CalloutBlock({
+    id,
+    content,
+    properties,
+    isActive,
+    onContentChange,
+    onPropertiesChange,
+    onKeyDown,
+    onFocus
+}) {
+    const [isPickerOpen, setIsPickerOpen] = useState(false);
+    const contentRef = useRef(null);
+    const pickerRef = useRef(null);
+
+    const variant = VARIANT_STYLES[properties?.variant]
+        ? properties.variant
+        : "info";
+    const styles = VARIANT_STYLES[variant];
+    const VariantIcon = styles.icon;
+    const emoji = properties?.icon || null;
+
+    useSyncedContent(contentRef, content);
+
+    // Focus when block becomes active
+    useEffect(() => {
+        if (isActive && contentRef.current) {
+            contentRef.current.focus();
+            const range = document.createRange();
+            const sel = window.getSelection();
+            range.selectNodeContents(contentRef.current);
+            range.collapse(false);
+            sel?.removeAllRanges();
+            sel?.addRange(range);
+        }
+    }, [isActive]);
+
+    // Close the picker on outside click
+    useEffect(() => {
+        if (!isPickerOpen) return;
+        const handleClickOutside = (e) => {
+            if (pickerRef.current && !pickerRef.current.contains(e.target)) {
+                setIsPickerOpen(false);
+            }
+        };
+        document.addEventListener("mousedown", handleClickOutside);
+        return () =>
+            document.removeEventListener("mousedown", handleClickOutside);
+    }, [isPickerOpen]);
+
+    // Handle input changes
+    const handleInput = useCallback(
+        (e) => {
+            const newContent = e.currentTarget.innerHTML || "";
+            onContentChange(id, newContent);
+        },
+        [id, onContentChange]
+    );
+
+    // Handle key events
+    const handleKeyDown = useCallback(
+        (e) => {
+            onKeyDown(e, id, contentRef.current);
+        },
+        [id, onKeyDown]
+    );
+
+    // Handle focus
+    const handleFocus = useCallback(() => {
+        onFocus(id);
+    }, [id, onFocus]);
+
+    const handleVariantChange = (newVariant) => {
+        onPropertiesChange(id, { variant: newVariant });
+    };
+
+    const handleIconChange = (newIcon) => {
+        onPropertiesChange(id, { icon: newIcon });
+        setIsPickerOpen(false);
+    };
+
+    return (
+        <div
+            className={cn(
+                "flex items-start gap-3",
+                "my-1 px-4 py-3",
+                "border rounded-lg",
+                styles.container
+            )}
+        >
+            {/* Icon - opens the variant and icon picker */}
+            <div ref={pickerRef} className="relative shrink-0">
+                <button
+                    type="button"
+                    onClick={() => setIsPickerOpen(!isPickerOpen)}
+                    className={cn(
+                        "w-6 h-6 mt-0.5 rounded",
+                        "flex items-center justify-center",
+                        "hover:bg-black/5",
+                        "transition-colors duration-100"
+                    )}
+                    title="Change icon and color"
+                >
+                    {emoji ? (
+                        <span className="text-base leading-none">{emoji}</span>
+                    ) : (
+                        <VariantIcon
+                            className={cn("w-5 h-5", styles.iconColor)}
+                            strokeWidth={2}
+                        />
+                    )}
+                </button>
+
+                {isPickerOpen && (
+                    <div
+                        className={cn(
+                            "absolute left-0 top-full mt-2 z-50",
+                            "w-56 p-2",
+                            "bg-white/90 backdrop-blur-xl",
+                            "rounded-xl shadow-xl shadow-black/10",
+                            "border border-black/5"
+                        )}
+                    >
+                        <div className="px-1 pb-1 text-[11px] text-gray-400 uppercase tracking-wide">
+                            Color
+                        </div>
+                        <div className="flex flex-col">
+                            {CALLOUT_VARIANTS.map((option) => (
+                                <button
+                                    key={option.id}
+                                    onClick={() =>
+                                        handleVariantChange(option.id)
+                                    }
+                                    className={cn(
+                                        "flex items-center gap-2 px-2 py-1.5 rounded-md",
+                                        "text-[13px] text-gray-700 text-left",
+                                        "hover:bg-black/5",
+                                        variant === option.id && "bg-black/5"
+                                    )}
+                                >
+                                    <span
+                                        className={cn(
+                                            "w-3 h-3 rounded-full",
+                                            VARIANT_STYLES[option.id].swatch
+                                        )}
+                                    />
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="my-1.5 border-t border-black/5" />
+
+                        <div className="px-1 pb-1 text-[11px] text-gray-400 uppercase tracking-wide">
+                            Icon
+                        </div>
+                        <div className="grid grid-cols-6 gap-0.5">
+                            <button
+                                onClick={() => handleIconChange(null)}
+                                className={cn(
+                                    "h-8 rounded-md",
+                                    "flex items-center justify-center",
+                                    "hover:bg-black/5",
+                                    !emoji && "bg-black/5"
+                                )}
+                                title="Default icon"
+                            >
+                                <VariantIcon
+                                    className={cn("w-4 h-4", styles.iconColor)}
+                                />
+                            </button>
+                            {CALLOUT_EMOJI.map((option) => (
+                                <button
+                                    key={option}
+                                    onClick={() => handleIconChange(option)}
+                                    className={cn(
+                                        "h-8 rounded-md text-base",
+                                        "hover:bg-black/5",
+                                        emoji === option && "bg-black/5"
+                                    )}
+                                >
+                                    {option}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Body */}
+            <div
+                ref={contentRef}
+                contentEditable
+                suppressContentEditableWarning
+                className={cn(
+                    "flex-1 min-w-0",
+                    "outline-none",
+                    "min-h-[1.5em]",
+                    "text-base leading-relaxed text-gray-800",
+                    "empty:before:content-[attr(data-placeholder)]",
+                    "empty:before:text-gray-400",
+                    "empty:before:pointer-events-none"
+                )}
+                data-placeholder="Type something..."
+                data-block-id={id}
+                onInput={handleInput}
+                onKeyDown={handleKeyDown}
+                onFocus={handleFocus}
+            />
+        </div>
+    );
+}
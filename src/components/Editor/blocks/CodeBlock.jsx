@@ -0,0 +1,263 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { Highlight, themes } from "prism-react-renderer";
+import { Copy, Check, ChevronDown } from "lucide-react";
+import { cn } from "../../../utils/cn";
+import { CODE_LANGUAGES } from "../../../constants/BLOCK_TYPES";
+
+// Spaces inserted by Tab
+const INDENT = "  ";
+
+/**
+ * CodeBlock - Plain text code editor with Prism syntax highlighting
+ * A transparent textarea sits on top of the highlighted output so the
+ * caret and selection stay native while colors come from Prism.
+ */
+export function CodeBlock({
+    id,
+    content,
+    properties,
+    isActive,
+    onContentChange,
+    onPropertiesChange,
+    onKeyDown,
+    onFocus
+}) {
+    const textareaRef = useRef(null);
+    const [code, setCode] = useState(content || "");
+    const [isCopied, setIsCopied] = useState(false);
+    const language = properties?.language || "plaintext";
+
+    // Sync external changes (undo/redo, restore) while not typing
+    const [prevContent, setPrevContent] = useState(content);
+    if (content !== prevContent) {
+        setPrevContent(content);
+        if (content !== code) {
+            setCode(content || "");
+        }
+    }
+
+    // Focus when block becomes active
+    useEffect(() => {
+        if (isActive && textareaRef.current) {
+            textareaRef.current.focus();
+        }
+    }, [isActive]);
+
+    // Reset copied state
+    useEffect(() => {
+        if (!isCopied) return;
+        const timeout = setTimeout(() => setIsCopied(false), 1500);
+        return () => clearTimeout(timeout);
+    }, [isCopied]);
+
+    const updateCode = useCallback(
+        (newCode) => {
+            setCode(newCode);
+            onContentChange(id, newCode);
+        },
+        [id, onContentChange]
+    );
+
+    // Replace the current selection and move the caret
+    const replaceSelection = useCallback(
+        (textarea, start, end, text, caretStart, caretEnd = caretStart) => {
+            const newCode =
+                textarea.value.slice(0, start) +
+                text +
+                textarea.value.slice(end);
+            updateCode(newCode);
+            requestAnimationFrame(() => {
+                textarea.selectionStart = caretStart;
+                textarea.selectionEnd = caretEnd;
+            });
+        },
+        [updateCode]
+    );
+
+    // Handle key events - Tab indents, Enter keeps the indentation
+    const handleKeyDown = useCallback(
+        (e) => {
+            const textarea = e.currentTarget;
+            const { selectionStart, selectionEnd, value } = textarea;
+
+            if (e.key === "Tab") {
+                e.preventDefault();
+                const lineStart =
+                    value.lastIndexOf("\n", selectionStart - 1) + 1;
+
+                if (e.shiftKey) {
+                    // Outdent the current line
+                    const removable = value
+                        .slice(lineStart, lineStart + INDENT.length)
+                        .match(/^ */)[0].length;
+                    if (removable === 0) return;
+                    replaceSelection(
+                        textarea,
+                        lineStart,
+                        lineStart + removable,
+                        "",
+                        Math.max(lineStart, selectionStart - removable),
+                        Math.max(lineStart, selectionEnd - removable)
+                    );
+                } else if (selectionStart !== selectionEnd) {
+                    // Indent every selected line
+                    const selected = value.slice(lineStart, selectionEnd);
+                    const indented = selected.replace(/^/gm, INDENT);
+                    replaceSelection(
+                        textarea,
+                        lineStart,
+                        selectionEnd,
+                        indented,
+                        selectionStart + INDENT.length,
+                        selectionEnd + indented.length - selected.length
+                    );
+                } else {
+                    replaceSelection(
+                        textarea,
+                        selectionStart,
+                        selectionEnd,
+                        INDENT,
+                        selectionStart + INDENT.length
+                    );
+                }
+                return;
+            }
+
+            if (e.key === "Enter" && !e.shiftKey) {
+                // Cmd/Ctrl+Enter leaves the code block
+                if (e.metaKey || e.ctrlKey) {
+                    onKeyDown(e, id, textarea);
+                    return;
+                }
+
+                e.preventDefault();
+                const lineStart =
+                    value.lastIndexOf("\n", selectionStart - 1) + 1;
+                const indent = value.slice(lineStart).match(/^ */)[0];
+                const insert = "\n" + indent;
+                replaceSelection(
+                    textarea,
+                    selectionStart,
+                    selectionEnd,
+                    insert,
+                    selectionStart + insert.length
+                );
+                return;
+            }
+
+            // Only an empty code block can be removed with Backspace
+            if (e.key === "Backspace" && value.length === 0) {
+                onKeyDown(e, id, textarea);
+            }
+        },
+        [id, onKeyDown, replaceSelection]
+    );
+
+    // Copy code to clipboard
+    const handleCopy = useCallback(async () => {
+        try {
+            await navigator.clipboard.writeText(code);
+            setIsCopied(true);
+        } catch (error) {
+            console.error("Failed to copy code:", error);
+        }
+    }, [code]);
+
+    return (
+        <div
+            className={cn(
+                "relative group my-1 rounded-lg",
+                "bg-[#f7f6f3] border border-transparent",
+                isActive && "border-gray-200"
+            )}
+        >
+            {/* Toolbar */}
+            <div className="flex items-center justify-between px-3 pt-2">
+                <label className="relative flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700">
+                    <select
+                        value={language}
+                        onChange={(e) =>
+                            onPropertiesChange(id, { language: e.target.value })
+                        }
+                        className="appearance-none bg-transparent pr-4 outline-none cursor-pointer"
+                    >
+                        {!CODE_LANGUAGES.some((l) => l.id === language) && (
+                            <option value={language}>{language}</option>
+                        )}
+                        {CODE_LANGUAGES.map((lang) => (
+                            <option key={lang.id} value={lang.id}>
+                                {lang.label}
+                            </option>
+                        ))}
+                    </select>
+                    <ChevronDown className="absolute right-0 w-3 h-3 pointer-events-none" />
+                </label>
+
+                <button
+                    type="button"
+                    onClick={handleCopy}
+                    className={cn(
+                        "flex items-center gap-1 px-2 py-0.5 rounded",
+                        "text-xs text-gray-500 hover:text-gray-700 hover:bg-gray-200/60",
+                        "opacity-0 group-hover:opacity-100",
+                        isCopied && "opacity-100",
+                        "transition-all duration-150"
+                    )}
+                    title="Copy code"
+                >
+                    {isCopied ? (
+                        <Check className="w-3.5 h-3.5" />
+                    ) : (
+                        <Copy className="w-3.5 h-3.5" />
+                    )}
+                    {isCopied ? "Copied" : "Copy"}
+                </button>
+            </div>
+
+            {/* Editor */}
+            <div className="relative px-4 pb-3 pt-1 font-mono text-sm leading-6">
+                <Highlight
+                    theme={themes.github}
+                    code={code.endsWith("\n") ? code + " " : code}
+                    language={language}
+                >
+                    {({ tokens, getLineProps, getTokenProps }) => (
+                        <pre
+                            aria-hidden="true"
+                            className="m-0 whitespace-pre-wrap break-words pointer-events-none"
+                        >
+                            {tokens.map((line, i) => (
+                                <div key={i} {...getLineProps({ line })}>
+                                    {line.map((token, key) => (
+                                        <span
+                                            key={key}
+                                            {...getTokenProps({ token })}
+                                        />
+                                    ))}
+                                </div>
+                            ))}
+                        </pre>
+                    )}
+                </Highlight>
+
+                <textarea
+                    ref={textareaRef}
+                    value={code}
+                    spellCheck={false}
+                    data-block-id={id}
+                    onChange={(e) => updateCode(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => onFocus(id)}
+                    placeholder="Write some code…"
+                    className={cn(
+                        "absolute inset-0 w-full h-full resize-none overflow-hidden",
+                        "px-4 pb-3 pt-1 font-mono text-sm leading-6",
+                        "whitespace-pre-wrap break-words",
+                        "bg-transparent text-transparent caret-gray-900",
+                        "placeholder:text-gray-400 outline-none"
+                    )}
+                />
+            </div>
+        </div>
+    );
+}
@@ -174,11 +174,10 @@ export function ColumnsBlock({
                             {getColumnBlocks(columnIndex).length > 0 ? (
                                 <div className="space-y-1">
                                     {getColumnBlocks(columnIndex).map(
-                                        (blockId) => (
+                                        (child) => (
                                             <NestedBlock
-                                                key={blockId}
-                                                blockId={blockId}
-                                                parentBlockId={block.id}
+                                                key={child.id}
+                                                block={child}
                                             />
                                         )
                                     )}
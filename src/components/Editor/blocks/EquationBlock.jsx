@@ -0,0 +1,137 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import { Sigma } from "lucide-react";
+import { cn } from "../../../utils/cn";
+import { renderTex } from "../../../utils/math";
+
+/**
+ * EquationBlock - Display math written in LaTeX, rendered with KaTeX
+ * Shows the TeX source with a live preview while active, and only the
+ * rendered formula otherwise.
+ */
+export function EquationBlock({
+    id,
+    content,
+    isActive,
+    onContentChange,
+    onKeyDown,
+    onFocus
+}) {
+    const textareaRef = useRef(null);
+    const [tex, setTex] = useState(content || "");
+
+    // Sync external changes (undo/redo, restore) while not typing
+    const [prevContent, setPrevContent] = useState(content);
+    if (content !== prevContent) {
+        setPrevContent(content);
+        if (content !== tex) {
+            setTex(content || "");
+        }
+    }
+
+    const { html, error } = useMemo(
+        () => renderTex(tex, { displayMode: true }),
+        [tex]
+    );
+    const isEmpty = tex.trim().length === 0;
+
+    // Focus when block becomes active
+    useEffect(() => {
+        if (isActive && textareaRef.current) {
+            textareaRef.current.focus();
+        }
+    }, [isActive]);
+
+    const handleChange = useCallback(
+        (e) => {
+            setTex(e.target.value);
+            onContentChange(id, e.target.value);
+        },
+        [id, onContentChange]
+    );
+
+    // Handle key events - Enter adds a line, Cmd/Ctrl+Enter leaves the block
+    const handleKeyDown = useCallback(
+        (e) => {
+            const textarea = e.currentTarget;
+
+            if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+                onKeyDown(e, id, textarea);
+                return;
+            }
+
+            // Only an empty equation can be removed with Backspace
+            if (e.key === "Backspace" && textarea.value.length === 0) {
+                onKeyDown(e, id, textarea);
+            }
+        },
+        [id, onKeyDown]
+    );
+
+    const preview = isEmpty ? (
+        <div className="flex items-center justify-center gap-2 py-2 text-sm text-gray-400">
+            <Sigma className="w-4 h-4" />
+            Add a TeX equation
+        </div>
+    ) : error ? (
+        <div className="py-2 text-sm">
+            <div className="font-mono text-red-600 whitespace-pre-wrap break-words">
+                {tex}
+            </div>
+            <div className="mt-1 text-xs text-red-500">{error}</div>
+        </div>
+    ) : (
+        <div
+            className="overflow-x-auto overflow-y-hidden py-1"
+            dangerouslySetInnerHTML={{ __html: html }}
+        />
+    );
+
+    if (!isActive) {
+        return (
+            <div
+                tabIndex={0}
+                className={cn(
+                    "my-1 px-4 py-2 rounded-lg cursor-pointer outline-none",
+                    "hover:bg-gray-50",
+                    error && !isEmpty && "bg-red-50/60 hover:bg-red-50"
+                )}
+                onClick={() => onFocus(id)}
+                onFocus={() => onFocus(id)}
+            >
+                {preview}
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={cn(
+                "my-1 rounded-lg border",
+                error && !isEmpty
+                    ? "border-red-300 bg-red-50/40"
+                    : "border-gray-200 bg-[#f7f6f3]"
+            )}
+        >
+            <textarea
+                ref={textareaRef}
+                value={tex}
+                rows={Math.max(1, tex.split("\n").length)}
+                spellCheck={false}
+                data-block-id={id}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onFocus={() => onFocus(id)}
+                placeholder="E = mc^2"
+                className={cn(
+                    "block w-full resize-none overflow-hidden",
+                    "px-4 pt-3 pb-2 bg-transparent outline-none",
+                    "font-mono text-sm leading-6 text-gray-800",
+                    "placeholder:text-gray-400"
+                )}
+            />
+            <div className="px-4 pb-2 border-t border-black/5 bg-white/60 rounded-b-lg">
+                {preview}
+            </div>
+        </div>
+    );
+}
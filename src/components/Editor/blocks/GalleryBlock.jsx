@@ -9,7 +9,8 @@ import {
     Link,
     Loader2,
     GripVertical,
-    Trash2
+    Trash2,
+    Crop
 } from "lucide-react";
 import { AnimatePresence, motion } from "framer-motion";
 import {
@@ -30,6 +31,16 @@ import {
 import { CSS } from "@dnd-kit/utilities";
 import { cn } from "../../../utils/cn";
 import { useEditorStore } from "../../../stores/editorStore";
+import { uploadImage } from "../../../services/imageUpload";
+import { useAssetUrl } from "../../../hooks/useAssetUrl";
+import { ImageEditor } from "../ImageEditor";
+import { TransformedImage } from "../TransformedImage";
+
+// Poster size and frame aspect (width / height) for each gallery layout
+const POSTER_LAYOUTS = {
+    portrait: { className: "w-48 aspect-2/3", aspect: 2 / 3 },
+    landscape: { className: "w-72 aspect-3/2", aspect: 3 / 2 }
+};
 
 /**
  * SortablePoster - Individual poster component for drag & drop
@@ -37,10 +48,12 @@ import { useEditorStore } from "../../../stores/editorStore";
  */
 function SortablePoster({
     image,
+    layout,
     isActive,
     isPendingDelete,
     onClick,
-    onRemove
+    onRemove,
+    onEdit
 }) {
     const {
         attributes,
@@ -50,6 +63,7 @@ function SortablePoster({
         transition,
         isDragging
     } = useSortable({ id: image.id });
+    const imageSrc = useAssetUrl(image.url);
 
     const style = {
         transform: CSS.Transform.toString(transform),
@@ -73,8 +87,8 @@ function SortablePoster({
             className={cn(
                 "relative shrink-0 group/poster cursor-pointer snap-start",
                 "transition-all duration-300 ease-out",
-                // Base width/height - Portrait 2:3 ratio
-                "w-48 aspect-2/3",
+                // Base width/height from the gallery layout
+                layout.className,
                 isDragging && "opacity-50 scale-95 grayscale"
             )}
             onClick={onClick}
@@ -96,10 +110,13 @@ function SortablePoster({
                         "ring-4 ring-red-500/50 opacity-100 scale-[1.02] z-20 grayscale-[0.5]"
                 )}
             >
-                <img
-                    src={image.url}
+                <TransformedImage
+                    src={imageSrc}
                     alt={image.alt}
-                    className="w-full h-full object-cover transition-transform duration-700 group-hover/poster:scale-110"
+                    transform={image.transform}
+                    frameAspect={layout.aspect}
+                    className="w-full h-full"
+                    imgClassName="object-cover transition-[scale] duration-700 group-hover/poster:scale-110"
                     loading="lazy"
                 />
 
@@ -153,6 +170,26 @@ function SortablePoster({
                 )}
             </button>
 
+            {/* Crop button (Bottom-Right) */}
+            {!isPendingDelete && (
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onEdit(image.id);
+                    }}
+                    className={cn(
+                        "absolute bottom-2 right-2 z-30",
+                        "w-7 h-7 rounded-full bg-black/40 backdrop-blur-md",
+                        "flex items-center justify-center text-white",
+                        "opacity-0 group-hover/poster:opacity-100",
+                        "transition-all duration-200 hover:bg-black/60 hover:scale-105"
+                    )}
+                    title="Crop and rotate"
+                >
+                    <Crop className="w-3.5 h-3.5" />
+                </button>
+            )}
+
             {/* Drag Handle (Top-Left) */}
             {!isPendingDelete && (
                 <div
@@ -191,10 +228,12 @@ export function GalleryBlock({
     const [uploadUrl, setUploadUrl] = useState("");
     const [uploadError, setUploadError] = useState("");
     const [isLoading, setIsLoading] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(null); // 0-1 while uploading
     const [activeImageIndex, setActiveImageIndex] = useState(0); // Used for selection/focus
     const [isDraggingFile, setIsDraggingFile] = useState(false);
 
     const [pendingDeleteId, setPendingDeleteId] = useState(null);
+    const [editingImageId, setEditingImageId] = useState(null);
 
     const containerRef = useRef(null);
     const fileInputRef = useRef(null);
@@ -203,6 +242,12 @@ export function GalleryBlock({
 
     const images = block.properties?.images || [];
     const activeImage = images[activeImageIndex];
+    const aspectRatio = block.properties?.aspectRatio || "portrait";
+    const layout = POSTER_LAYOUTS[aspectRatio] || POSTER_LAYOUTS.portrait;
+
+    // Image open in the crop editor
+    const editingImage = images.find((img) => img.id === editingImageId);
+    const editingImageSrc = useAssetUrl(editingImage?.url);
 
     // Dnd Sensors
     const sensors = useSensors(
@@ -328,16 +373,33 @@ export function GalleryBlock({
         });
     };
 
+    // Save crop, rotation and focal point (null resets to the original)
+    const handleTransformSave = (transform) => {
+        updateImages(
+            images.map((img) =>
+                img.id === editingImageId ? { ...img, transform } : img
+            )
+        );
+        setEditingImageId(null);
+    };
+
+    const handleAspectRatioChange = (newAspectRatio) => {
+        onUpdate?.({
+            ...block,
+            properties: { ...block.properties, aspectRatio: newAspectRatio }
+        });
+    };
+
     // Add Image logic
-    const handleAddImage = (url, alt = "Gallery Image") => {
-        const newImage = {
+    const handleAddImages = (newImages) => {
+        const added = newImages.map(({ url, alt = "Gallery Image" }) => ({
             id: crypto.randomUUID(),
             url,
             alt,
             caption: ""
-        };
-        updateImages([...images, newImage]);
-        setActiveImageIndex(images.length); // Switch to new image (which is now last)
+        }));
+        updateImages([...images, ...added]);
+        setActiveImageIndex(images.length); // Switch to the first new image
         setIsAddingImage(false);
         setUploadUrl("");
         setUploadError("");
@@ -349,7 +411,7 @@ export function GalleryBlock({
         setIsLoading(true);
         const img = new Image();
         img.onload = () => {
-            handleAddImage(uploadUrl.trim());
+            handleAddImages([{ url: uploadUrl.trim() }]);
             setIsLoading(false);
         };
         img.onerror = () => {
@@ -360,24 +422,56 @@ export function GalleryBlock({
     };
 
     // File Upload Handlers
-    const processFile = (file) => {
-        if (!file.type.startsWith("image/")) return;
-
-        const reader = new FileReader();
-        reader.onload = (e) => handleAddImage(e.target.result, file.name);
-        reader.readAsDataURL(file);
+    // Files are processed one at a time, then added together in one update
+    const processFiles = async (files) => {
+        const imageFiles = files.filter((file) =>
+            file.type.startsWith("image/")
+        );
+        if (imageFiles.length === 0 || uploadProgress !== null) return;
+
+        setUploadProgress(0);
+        try {
+            const uploaded = [];
+            for (const [index, file] of imageFiles.entries()) {
+                const url = await uploadImage(file, {
+                    onProgress: (progress) =>
+                        setUploadProgress(
+                            (index + progress) / imageFiles.length
+                        )
+                });
+                uploaded.push({ url, alt: file.name });
+            }
+            handleAddImages(uploaded);
+        } catch (error) {
+            console.error("Failed to save images:", error);
+        } finally {
+            setUploadProgress(null);
+        }
     };
 
+    // Shown in the upload areas while files are processed
+    const uploadStatus = uploadProgress !== null && (
+        <div className="flex flex-col items-center gap-2">
+            <span className="text-sm text-gray-500">
+                Processing images... {Math.round(uploadProgress * 100)}%
+            </span>
+            <div className="w-40 h-1 rounded-full bg-gray-200 overflow-hidden">
+                <div
+                    className="h-full bg-blue-500 transition-[width] duration-150"
+                    style={{ width: `${uploadProgress * 100}%` }}
+                />
+            </div>
+        </div>
+    );
+
     const handleFileSelect = (e) => {
-        const files = Array.from(e.target.files || []);
-        files.forEach(processFile);
+        processFiles(Array.from(e.target.files || []));
     };
 
     const handleDrop = (e) => {
         e.preventDefault();
         setIsDraggingFile(false);
-        const files = Array.from(e.dataTransfer.files || []);
-        files.forEach(processFile);
+        processFiles(Array.from(e.dataTransfer.files || []));
     };
 
     // Drag & Drop Reorder
@@ -451,14 +545,16 @@ export function GalleryBlock({
                     >
                         <ImageIcon className="w-10 h-10" />
                     </div>
-                    <div className="text-center">
-                        <h3 className="text-lg font-semibold text-gray-800">
-                            Create Image Gallery
-                        </h3>
-                        <p className="text-sm text-gray-500 mt-1">
-                            Drag & drop photos here or click to browse
-                        </p>
-                    </div>
+                    {uploadStatus || (
+                        <div className="text-center">
+                            <h3 className="text-lg font-semibold text-gray-800">
+                                Create Image Gallery
+                            </h3>
+                            <p className="text-sm text-gray-500 mt-1">
+                                Drag & drop photos here or click to browse
+                            </p>
+                        </div>
+                    )}
                     <button className="mt-4 px-4 py-2 bg-black text-white rounded-lg text-sm font-medium hover:bg-gray-800 transition-colors shadow-lg hover:shadow-xl transform hover:-translate-y-0.5">
                         Add Images
                     </button>
@@ -479,6 +575,28 @@ export function GalleryBlock({
             onClick={onFocus}
             onKeyDown={handleContainerKeyDown}
         >
+            {/* Layout toggle - appears on hover */}
+            <div className="absolute top-0 right-4 z-30 flex gap-1 bg-white/90 backdrop-blur-sm rounded-lg p-1 shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                {Object.keys(POSTER_LAYOUTS).map((option) => (
+                    <button
+                        key={option}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            handleAspectRatioChange(option);
+                        }}
+                        className={cn(
+                            "px-2 py-1 text-xs rounded",
+                            "transition-colors",
+                            aspectRatio === option
+                                ? "bg-gray-900 text-white"
+                                : "hover:bg-gray-100 text-gray-600"
+                        )}
+                    >
+                        {option.charAt(0).toUpperCase() + option.slice(1)}
+                    </button>
+                ))}
+            </div>
+
             {/* Scrollable Horizontal Container */}
             <div
                 ref={scrollContainerRef}
@@ -505,6 +623,7 @@ export function GalleryBlock({
                             <SortablePoster
                                 key={image.id}
                                 image={image}
+                                layout={layout}
                                 isActive={
                                     isActive && index === activeImageIndex
                                 }
@@ -525,6 +644,7 @@ export function GalleryBlock({
                                     if (pendingDeleteId === id)
                                         setPendingDeleteId(null);
                                 }}
+                                onEdit={setEditingImageId}
                             />
                         ))}
                     </SortableContext>
@@ -534,7 +654,8 @@ export function GalleryBlock({
                 <button
                     onClick={() => setIsAddingImage(true)}
                     className={cn(
-                        "shrink-0 w-48 aspect-2/3 rounded-lg",
+                        "shrink-0 rounded-lg",
+                        layout.className,
                         "border-2 border-dashed border-gray-200",
                         "flex flex-col items-center justify-center gap-3",
                         "text-gray-400 hover:text-gray-600 hover:border-gray-400 hover:bg-gray-50",
@@ -553,6 +674,17 @@ export function GalleryBlock({
             {/* Selection/Action Bar (Optional - appears below active item or container) */}
             {/* Only show brief tip if active and no interaction recently? Keeping it clean for now. */}
 
+            {/* Crop, rotate and focal point editor */}
+            {editingImage && editingImageSrc && (
+                <ImageEditor
+                    src={editingImageSrc}
+                    alt={editingImage.alt}
+                    transform={editingImage.transform}
+                    onSave={handleTransformSave}
+                    onClose={() => setEditingImageId(null)}
+                />
+            )}
+
             {/* Add Image Modal Overlay */}
             <AnimatePresence>
                 {isAddingImage && (
@@ -628,16 +760,23 @@ export function GalleryBlock({
                                             onChange={handleFileSelect}
                                         />
                                         <div className="p-4 rounded-full bg-blue-50 text-blue-500 group-hover:scale-110 transition-transform">
-                                            <Upload className="w-8 h-8" />
-                                        </div>
-                                        <div className="text-center">
-                                            <p className="text-base font-semibold text-gray-700">
-                                                Click to upload
-                                            </p>
-                                            <p className="text-xs text-gray-500 mt-1">
-                                                SVG, PNG, JPG or GIF (max. 5MB)
-                                            </p>
+                                            {uploadStatus ? (
+                                                <Loader2 className="w-8 h-8 animate-spin" />
+                                            ) : (
+                                                <Upload className="w-8 h-8" />
+                                            )}
                                         </div>
+                                        {uploadStatus || (
+                                            <div className="text-center">
+                                                <p className="text-base font-semibold text-gray-700">
+                                                    Click to upload
+                                                </p>
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    SVG, PNG, JPG or GIF (max.
+                                                    5MB)
+                                                </p>
+                                            </div>
+                                        )}
                                     </div>
                                 ) : (
                                     <div className="space-y-4">
@@ -1,5 +1,6 @@
 import { useRef, useEffect, useCallback } from "react";
 import { cn } from "../../../utils/cn";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
 
 /**
  * HeadingBlock - H1, H2, H3 heading blocks
@@ -14,15 +15,8 @@ export function HeadingBlock({
     onFocus
 }) {
     const contentRef = useRef(null);
-    const isInitialMount = useRef(true);
 
-    // Set initial content only on mount
-    useEffect(() => {
-        if (isInitialMount.current && contentRef.current) {
-            contentRef.current.innerHTML = content;
-            isInitialMount.current = false;
-        }
-    }, [content]);
+    useSyncedContent(contentRef, content);
 
     // Focus when block becomes active
     useEffect(() => {
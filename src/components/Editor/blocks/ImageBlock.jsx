@@ -6,11 +6,17 @@ import {
     Upload,
     Link,
     Loader2,
-    Trash2
+    Trash2,
+    Crop
 } from "lucide-react";
 import { AnimatePresence, motion } from "framer-motion";
 import { cn } from "../../../utils/cn";
 import { useEditorStore } from "../../../stores/editorStore";
+import { uploadImage } from "../../../services/imageUpload";
+import { useAssetUrl } from "../../../hooks/useAssetUrl";
+import { getAssetId } from "../../../utils/assets";
+import { ImageEditor } from "../ImageEditor";
+import { TransformedImage } from "../TransformedImage";
 
 /**
  * ImageBlock - Single image display with URL input, file upload, and caption
@@ -32,7 +38,19 @@ export function ImageBlock({
     const [imageError, setImageError] = useState(false);
     const [previewUrl, setPreviewUrl] = useState("");
     const [isLoading, setIsLoading] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(0);
     const [isDragging, setIsDragging] = useState(false);
+    const [isTransforming, setIsTransforming] = useState(false);
+
+    // Sync external caption changes (undo/redo, replace)
+    const storedCaption = block.properties?.caption || "";
+    const [prevCaption, setPrevCaption] = useState(storedCaption);
+    if (storedCaption !== prevCaption) {
+        setPrevCaption(storedCaption);
+        if (storedCaption !== caption) {
+            setCaption(storedCaption);
+        }
+    }
 
     const urlInputRef = useRef(null);
     const containerRef = useRef(null);
@@ -42,6 +60,10 @@ export function ImageBlock({
     const hasImage = block.content && !imageError;
     const width = block.properties?.width || "full";
 
+    // Uploaded images are stored as assets and shown through object URLs
+    const imageSrc = useAssetUrl(block.content);
+    const previewSrc = useAssetUrl(previewUrl);
+
     // Focus URL input when switching to URL tab
     useEffect(() => {
         if (isEditing && activeTab === "url" && urlInputRef.current) {
@@ -59,7 +81,7 @@ export function ImageBlock({
     };
 
     // Handle file selection
-    const handleFileSelect = (file) => {
+    const handleFileSelect = async (file) => {
         if (!file) return;
 
         // Validate file type
@@ -82,20 +104,21 @@ export function ImageBlock({
         }
 
         setIsLoading(true);
-
-        // Convert to data URL
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const dataUrl = event.target.result;
-            setImageUrl(dataUrl);
-            setPreviewUrl(dataUrl);
-            setIsLoading(false);
-        };
-        reader.onerror = () => {
+        setUploadProgress(0);
+
+        // Resize and store the file, then point the block at it
+        try {
+            const assetUrl = await uploadImage(file, {
+                onProgress: setUploadProgress
+            });
+            setImageUrl(assetUrl);
+            setPreviewUrl(assetUrl);
+        } catch (error) {
+            console.error("Failed to save image:", error);
             alert("Failed to read file. Please try again.");
+        } finally {
             setIsLoading(false);
-        };
-        reader.readAsDataURL(file);
+        }
     };
 
     const handleFileInputChange = (e) => {
@@ -150,13 +173,17 @@ export function ImageBlock({
     const handleSaveImage = () => {
         if (!imageUrl.trim()) return;
 
+        // Crop and rotation belong to the old image
+        const isSameImage = imageUrl.trim() === block.content;
+
         setImageError(false);
         onUpdate?.({
             ...block,
             content: imageUrl.trim(),
             properties: {
                 ...block.properties,
-                alt: altText.trim() || "Image"
+                alt: altText.trim() || "Image",
+                transform: isSameImage ? block.properties?.transform : null
             }
         });
         setIsEditing(false);
@@ -170,7 +197,8 @@ export function ImageBlock({
             properties: {
                 ...block.properties,
                 alt: "",
-                caption: ""
+                caption: "",
+                transform: null
             }
         });
         setImageUrl("");
@@ -202,6 +230,18 @@ export function ImageBlock({
         });
     };
 
+    // Save crop, rotation and focal point (null resets to the original)
+    const handleTransformSave = (transform) => {
+        onUpdate?.({
+            ...block,
+            properties: {
+                ...block.properties,
+                transform
+            }
+        });
+        setIsTransforming(false);
+    };
+
     const handleContainerKeyDown = (e) => {
         parentOnKeyDown?.(e, block.id);
     };
@@ -315,10 +355,12 @@ export function ImageBlock({
                             "transition-all duration-200"
                         )}
                     >
-                        <img
-                            src={block.content}
+                        <TransformedImage
+                            src={imageSrc}
                             alt={block.properties?.alt || "Image"}
-                            className="w-full h-auto object-cover"
+                            transform={block.properties?.transform}
+                            className="w-full"
+                            imgClassName="h-auto object-cover"
                             onError={() => setImageError(true)}
                         />
 
@@ -354,6 +396,25 @@ export function ImageBlock({
                                 ))}
                             </div>
 
+                            {/* Crop and rotate button */}
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setIsTransforming(true);
+                                }}
+                                className={cn(
+                                    "w-8 h-8 rounded-lg",
+                                    "bg-white/90 backdrop-blur-sm hover:bg-white",
+                                    "flex items-center justify-center",
+                                    "text-gray-600 hover:text-gray-900",
+                                    "shadow-lg",
+                                    "transition-all duration-150"
+                                )}
+                                title="Crop and rotate"
+                            >
+                                <Crop className="w-4 h-4" />
+                            </button>
+
                             {/* Edit button */}
                             <button
                                 onClick={(e) => {
@@ -396,6 +457,7 @@ export function ImageBlock({
                     <input
                         ref={captionRef}
                         type="text"
+                        data-find-field="caption"
                         value={caption}
                         onChange={handleCaptionChange}
                         placeholder="Add a caption..."
@@ -411,6 +473,17 @@ export function ImageBlock({
                 </div>
             )}
 
+            {/* Crop, rotate and focal point editor */}
+            {isTransforming && imageSrc && (
+                <ImageEditor
+                    src={imageSrc}
+                    alt={block.properties?.alt || "Image"}
+                    transform={block.properties?.transform}
+                    onSave={handleTransformSave}
+                    onClose={() => setIsTransforming(false)}
+                />
+            )}
+
             {/* Upload/URL modal */}
             <AnimatePresence>
                 {isEditing && (
@@ -492,8 +565,20 @@ export function ImageBlock({
                                         <>
                                             <Loader2 className="w-8 h-8 text-blue-500 animate-spin" />
                                             <span className="text-sm text-gray-500">
-                                                Processing...
+                                                Processing...{" "}
+                                                {Math.round(
+                                                    uploadProgress * 100
+                                                )}
+                                                %
                                             </span>
+                                            <div className="w-40 h-1 rounded-full bg-gray-200 overflow-hidden">
+                                                <div
+                                                    className="h-full bg-blue-500 transition-[width] duration-150"
+                                                    style={{
+                                                        width: `${uploadProgress * 100}%`
+                                                    }}
+                                                />
+                                            </div>
                                         </>
                                     ) : (
                                         <>
@@ -522,7 +607,7 @@ export function ImageBlock({
                                     <div className="mt-2">
                                         <div className="relative rounded-lg overflow-hidden bg-gray-100 max-h-48">
                                             <img
-                                                src={previewUrl}
+                                                src={previewSrc}
                                                 alt="Preview"
                                                 className="w-full h-auto max-h-48 object-contain"
                                                 onError={() =>
@@ -556,7 +641,7 @@ export function ImageBlock({
                                 <input
                                     ref={urlInputRef}
                                     type="text"
-                                    value={imageUrl}
+                                    value={getAssetId(imageUrl) ? "" : imageUrl}
                                     onChange={handleUrlChange}
                                     onKeyDown={handleInputKeyDown}
                                     placeholder="Paste image URL..."
@@ -572,7 +657,7 @@ export function ImageBlock({
                                 {previewUrl && (
                                     <div className="relative rounded-lg overflow-hidden bg-gray-100 max-h-48">
                                         <img
-                                            src={previewUrl}
+                                            src={previewSrc}
                                             alt="Preview"
                                             className="w-full h-auto max-h-48 object-contain"
                                             onError={() => setPreviewUrl("")}
@@ -9,41 +9,8 @@ import {
     Loader2
 } from "lucide-react";
 import { AnimatePresence, motion } from "framer-motion";
-import axios from "axios";
 import { cn } from "../../../utils/cn";
-
-/**
- * Fetch link metadata using Microlink API (free, no registration required)
- */
-const fetchLinkMetadata = async (url) => {
-    try {
-        const { data } = await axios.get(
-            `https://api.microlink.io?url=${encodeURIComponent(url)}`,
-            { timeout: 5000 }
-        );
-
-        if (data.status === "success") {
-            return {
-                title: data.data.title || new URL(url).hostname,
-                description: data.data.description || "",
-                favicon:
-                    data.data.logo?.url ||
-                    `https://www.google.com/s2/favicons?domain=${new URL(url).hostname}&sz=64`,
-                image: data.data.image?.url || null
-            };
-        }
-        throw new Error("Failed to fetch metadata");
-    } catch {
-        // Fallback to basic info
-        const hostname = new URL(url).hostname;
-        return {
-            title: hostname,
-            description: url,
-            favicon: `https://www.google.com/s2/favicons?domain=${hostname}&sz=64`,
-            image: null
-        };
-    }
-};
+import { fetchLinkMetadata } from "../../../services/linkMetadata";
 
 /**
  * LinkBlock - Link preview card with favicon, title, description
@@ -146,6 +113,7 @@ export function LinkBlock({
 
         setIsLoading(true);
         try {
+            // Falls back to cached or basic metadata when offline
             const metadata = await fetchLinkMetadata(validUrl);
             onUpdate?.({
                 ...block,
@@ -158,17 +126,6 @@ export function LinkBlock({
                     image: metadata.image
                 }
             });
-        } catch {
-            onUpdate?.({
-                ...block,
-                content: validUrl,
-                properties: {
-                    ...block.properties,
-                    title: new URL(validUrl).hostname,
-                    description: "",
-                    favicon: `https://www.google.com/s2/favicons?domain=${new URL(validUrl).hostname}&sz=64`
-                }
-            });
         } finally {
             setIsLoading(false);
             setIsEditing(false);
@@ -327,7 +284,10 @@ export function LinkBlock({
                             </div>
 
                             {/* Title */}
-                            <h3 className="text-sm font-semibold text-gray-900 line-clamp-1 mb-1">
+                            <h3
+                                data-find-field="title"
+                                className="text-sm font-semibold text-gray-900 line-clamp-1 mb-1"
+                            >
                                 {title || getDomain(block.content)}
                             </h3>
 
@@ -0,0 +1,99 @@
+import { useRef, useEffect, useCallback } from "react";
+import { cn } from "../../../utils/cn";
+import { getListMarker } from "../../../utils/blocks";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
+
+/**
+ * ListBlock - Bulleted or numbered list item
+ * Nesting comes from properties.indent, the number from the block's
+ * position among its siblings (computed by the canvas)
+ */
+export function ListBlock({
+    id,
+    content,
+    type, // 'bulleted_list' | 'numbered_list'
+    properties,
+    listNumber = 1,
+    isActive,
+    onContentChange,
+    onKeyDown,
+    onFocus
+}) {
+    const contentRef = useRef(null);
+    const depth = properties?.indent || 0;
+
+    useSyncedContent(contentRef, content);
+
+    // Focus when block becomes active
+    useEffect(() => {
+        if (isActive && contentRef.current) {
+            contentRef.current.focus();
+            const range = document.createRange();
+            const sel = window.getSelection();
+            range.selectNodeContents(contentRef.current);
+            range.collapse(false);
+            sel?.removeAllRanges();
+            sel?.addRange(range);
+        }
+    }, [isActive]);
+
+    // Handle input changes
+    const handleInput = useCallback(
+        (e) => {
+            const newContent = e.currentTarget.innerHTML || "";
+            onContentChange(id, newContent);
+        },
+        [id, onContentChange]
+    );
+
+    // Handle key events
+    const handleKeyDown = useCallback(
+        (e) => {
+            onKeyDown(e, id, contentRef.current);
+        },
+        [id, onKeyDown]
+    );
+
+    // Handle focus
+    const handleFocus = useCallback(() => {
+        onFocus(id);
+    }, [id, onFocus]);
+
+    return (
+        <div className="flex items-start gap-1 py-1">
+            {/* Marker */}
+            <span
+                contentEditable={false}
+                className={cn(
+                    "shrink-0 min-w-[1.5em] pr-1 select-none",
+                    "text-base leading-relaxed text-gray-900",
+                    "text-center tabular-nums"
+                )}
+            >
+                {getListMarker(type, depth, listNumber)}
+            </span>
+
+            {/* Content */}
+            <div
+                ref={contentRef}
+                contentEditable
+                suppressContentEditableWarning
+                className={cn(
+                    "flex-1 outline-none",
+                    "min-h-[1.5em]",
+                    "text-base leading-relaxed",
+                    "text-gray-900",
+                    "empty:before:content-[attr(data-placeholder)]",
+                    "empty:before:text-gray-400",
+                    "empty:before:pointer-events-none",
+                    isActive && "bg-blue-50/30"
+                )}
+                data-placeholder="List"
+                data-block-id={id}
+                onInput={handleInput}
+                onKeyDown={handleKeyDown}
+                onFocus={handleFocus}
+            />
+        </div>
+    );
+}
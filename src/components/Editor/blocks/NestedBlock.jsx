@@ -2,94 +2,260 @@ import { useRef, useEffect, useCallback } from "react";
 import { cn } from "../../../utils/cn";
 import { useEditorStore } from "../../../stores/editorStore";
 import { BLOCK_TYPES } from "../../../constants/BLOCK_TYPES";
+import {
+    findBlockLocation,
+    getMarkdownShortcut,
+    isListBlock,
+    splitContentAtCaret
+} from "../../../utils/blocks";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
+import { Block } from "../Block";
+import { CodeBlock } from "./CodeBlock";
+import { EquationBlock } from "./EquationBlock";
+import { CalloutBlock } from "./CalloutBlock";
+import { ToggleBlock } from "./ToggleBlock";
 
 /**
- * NestedBlock - Renders an editable block inside a container (Columns/Tabs)
+ * Block types without an inline editor here, rendered with their full
+ * block component instead
+ */
+const FULL_BLOCK_TYPES = [
+    BLOCK_TYPES.IMAGE,
+    BLOCK_TYPES.LINK,
+    BLOCK_TYPES.GALLERY,
+    BLOCK_TYPES.TABLE,
+    BLOCK_TYPES.COLUMNS,
+    BLOCK_TYPES.TABS,
+    BLOCK_TYPES.DIVIDER,
+    BLOCK_TYPES.SECTION,
+    BLOCK_TYPES.PAGE,
+    BLOCK_TYPES.TOC
+];
+
+/**
+ * Check whether the caret sits at the very start of an element
+ */
+function isCaretAtStart(element) {
+    const selection = window.getSelection();
+    if (!selection?.isCollapsed || selection.rangeCount === 0) return false;
+
+    const range = selection.getRangeAt(0).cloneRange();
+    range.setStart(element, 0);
+    return range.toString().length === 0;
+}
+
+/**
+ * Focus a nested block after it changed type
+ * The new type can render a different element, which starts unfocused
+ */
+function focusNestedBlock(blockId) {
+    setTimeout(() => {
+        window.document
+            .querySelector(
+                `[data-nested-block-id="${blockId}"] [contenteditable="true"], [data-nested-block-id="${blockId}"] textarea`
+            )
+            ?.focus();
+    }, 0);
+}
+
+/**
+ * NestedBlock - Renders an editable block inside a container
+ * (Columns/Tabs/Toggle)
  * Uses uncontrolled contentEditable to avoid cursor reset issues
  */
-export function NestedBlock({ blockId }) {
+export function NestedBlock({ block }) {
     const contentRef = useRef(null);
-    const initialContentRef = useRef(null);
 
     const {
-        document: doc,
         activeBlockId,
         setActiveBlock,
-        updateNestedBlock
+        updateBlockContent,
+        updateBlockProperties,
+        convertBlockType,
+        outdentBlock,
+        splitBlock,
+        mergeWithPreviousBlock,
+        deleteBlock,
+        getBlocks,
+        getBlockIndex,
+        moveBlockIntoToggle,
+        moveBlockOutOfToggle
     } = useEditorStore();
 
-    // Find the block data
-    const block = doc.blocks.find((b) => b.id === blockId);
+    const blockId = block.id;
     const isActive = activeBlockId === blockId;
 
-    // Store initial content to detect changes
-    useEffect(() => {
-        if (block && initialContentRef.current === null) {
-            initialContentRef.current = block.content || "";
-        }
-    }, [block]);
+    useSyncedContent(contentRef, block.content || "");
 
-    // Set initial content only once when mounted
+    // Focus when block becomes active
     useEffect(() => {
-        if (contentRef.current && block) {
-            // Only set if element is empty (first mount)
-            if (contentRef.current.innerHTML === "") {
-                contentRef.current.innerHTML = block.content || "";
-            }
+        const element = contentRef.current;
+        if (!isActive || !element || document.activeElement === element) {
+            return;
         }
-    }, [block]);
-
-    // Save content on blur - this is when we persist changes
-    const handleBlur = useCallback(() => {
-        if (contentRef.current) {
-            const newContent = contentRef.current.innerHTML;
-            if (newContent !== initialContentRef.current) {
-                updateNestedBlock(blockId, { content: newContent });
-                initialContentRef.current = newContent;
+        element.focus();
+        const range = document.createRange();
+        const sel = window.getSelection();
+        range.selectNodeContents(element);
+        range.collapse(false);
+        sel?.removeAllRanges();
+        sel?.addRange(range);
+    }, [isActive]);
+
+    // Handle input changes, turning typed Markdown shortcuts into blocks
+    const handleInput = useCallback(
+        (e) => {
+            const element = e.currentTarget;
+            const shortcut = getMarkdownShortcut(element.innerHTML);
+            if (shortcut) {
+                // Keep the DOM in step, the store update won't re-render it
+                element.innerHTML = "";
+                convertBlockType(
+                    blockId,
+                    shortcut.type,
+                    "",
+                    shortcut.properties
+                );
+                focusNestedBlock(blockId);
+                return;
             }
+            updateBlockContent(blockId, element.innerHTML || "");
+        },
+        [blockId, updateBlockContent, convertBlockType]
+    );
+
+    // Leave a list one level at a time: outdent, then make a paragraph
+    const exitList = useCallback(() => {
+        if (block.properties?.indent) {
+            outdentBlock(blockId);
+        } else {
+            convertBlockType(blockId, BLOCK_TYPES.PARAGRAPH);
+            focusNestedBlock(blockId);
         }
-    }, [blockId, updateNestedBlock]);
+    }, [block, blockId, outdentBlock, convertBlockType]);
 
     // Handle focus
     const handleFocus = useCallback(() => {
         setActiveBlock(blockId);
     }, [blockId, setActiveBlock]);
 
-    // Handle key events
-    const handleKeyDown = useCallback((e) => {
-        // Prevent Enter from creating new blocks (keep content inline for now)
-        if (e.key === "Enter" && !e.shiftKey) {
+    // Tab moves the block into the toggle above it, Shift+Tab out of the
+    // toggle it is in
+    const handleTab = useCallback(
+        (e) => {
             e.preventDefault();
-            document.execCommand("insertLineBreak");
-        }
+            if (e.shiftKey) {
+                moveBlockOutOfToggle(blockId);
+            } else {
+                moveBlockIntoToggle(blockId);
+            }
+        },
+        [blockId, moveBlockIntoToggle, moveBlockOutOfToggle]
+    );
+
+    // Handle key events - Enter splits, Backspace merges with the block above
+    const handleKeyDown = useCallback(
+        (e) => {
+            // Stop propagation to prevent parent container from handling
+            e.stopPropagation();
+            const element = e.currentTarget;
+
+            if (e.key === "Tab") {
+                handleTab(e);
+                return;
+            }
+
+            if (e.key === "Enter") {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    document.execCommand("insertLineBreak");
+                    return;
+                }
+
+                // Enter on an empty list item leaves the list
+                if (element.textContent.length === 0 && isListBlock(block)) {
+                    exitList();
+                    return;
+                }
+
+                // Enter on an empty last block leaves the toggle
+                const location = findBlockLocation(getBlocks(), blockId);
+                if (
+                    element.textContent.length === 0 &&
+                    location?.parent?.type === BLOCK_TYPES.TOGGLE &&
+                    location.index === location.list.length - 1
+                ) {
+                    moveBlockOutOfToggle(blockId);
+                    return;
+                }
+
+                const split = splitContentAtCaret(element);
+                if (!split) return;
+
+                // Keep the DOM in step, the store update won't re-render it
+                element.innerHTML = split.before;
+                splitBlock(
+                    blockId,
+                    split.before,
+                    split.after,
+                    isListBlock(block) ? block.type : BLOCK_TYPES.PARAGRAPH
+                );
+                return;
+            }
 
-        // Stop propagation to prevent parent container from handling
-        e.stopPropagation();
-    }, []);
+            if (e.key === "Backspace" && isCaretAtStart(element)) {
+                // At the start of a list item Backspace leaves the list
+                if (isListBlock(block)) {
+                    e.preventDefault();
+                    exitList();
+                    return;
+                }
+
+                const isEmpty = element.textContent.length === 0;
+                const hasPrevious = getBlockIndex(blockId) > 0;
+
+                if (isEmpty) {
+                    e.preventDefault();
+                    deleteBlock(blockId);
+                } else if (hasPrevious) {
+                    e.preventDefault();
+                    mergeWithPreviousBlock(blockId);
+                }
+            }
+        },
+        [
+            block,
+            blockId,
+            handleTab,
+            exitList,
+            splitBlock,
+            mergeWithPreviousBlock,
+            deleteBlock,
+            getBlocks,
+            getBlockIndex,
+            moveBlockOutOfToggle
+        ]
+    );
+
+    // Keys of full block components - only Tab is handled here
+    const handleFullBlockKeyDown = useCallback(
+        (e) => {
+            e.stopPropagation();
+            if (e.key === "Tab") {
+                handleTab(e);
+            }
+        },
+        [handleTab]
+    );
 
     // Handle checkbox change for tasks
     const handleCheckboxChange = useCallback(
         (e) => {
-            if (!block) return;
-            updateNestedBlock(blockId, {
-                properties: {
-                    ...block.properties,
-                    checked: e.target.checked
-                }
-            });
+            updateBlockProperties(blockId, { checked: e.target.checked });
         },
-        [block, blockId, updateNestedBlock]
+        [blockId, updateBlockProperties]
     );
 
-    // Early return AFTER all hooks are called
-    if (!block) {
-        return (
-            <div className="p-2 text-gray-400 text-sm italic">
-                Block not found
-            </div>
-        );
-    }
-
     // Get class names based on block type
     const getContentClass = () => {
         switch (block.type) {
@@ -125,13 +291,39 @@ export function NestedBlock({ blockId }) {
                                 block.properties?.checked &&
                                     "line-through text-gray-400"
                             )}
-                            onBlur={handleBlur}
+                            onInput={handleInput}
                             onFocus={handleFocus}
                             onKeyDown={handleKeyDown}
                         />
                     </div>
                 );
 
+            case BLOCK_TYPES.CODE:
+                return (
+                    <CodeBlock
+                        id={blockId}
+                        content={block.content}
+                        properties={block.properties}
+                        isActive={isActive}
+                        onContentChange={updateBlockContent}
+                        onPropertiesChange={updateBlockProperties}
+                        onKeyDown={(e) => e.stopPropagation()}
+                        onFocus={handleFocus}
+                    />
+                );
+
+            case BLOCK_TYPES.EQUATION:
+                return (
+                    <EquationBlock
+                        id={blockId}
+                        content={block.content}
+                        isActive={isActive}
+                        onContentChange={updateBlockContent}
+                        onKeyDown={(e) => e.stopPropagation()}
+                        onFocus={handleFocus}
+                    />
+                );
+
             case BLOCK_TYPES.QUOTE:
                 return (
                     <div
@@ -145,14 +337,56 @@ export function NestedBlock({ blockId }) {
                             contentEditable
                             suppressContentEditableWarning
                             className="outline-none min-h-[1.5em]"
-                            onBlur={handleBlur}
+                            onInput={handleInput}
                             onFocus={handleFocus}
                             onKeyDown={handleKeyDown}
                         />
                     </div>
                 );
 
+            case BLOCK_TYPES.CALLOUT:
+                return (
+                    <CalloutBlock
+                        id={blockId}
+                        content={block.content}
+                        properties={block.properties}
+                        isActive={isActive}
+                        onContentChange={updateBlockContent}
+                        onPropertiesChange={updateBlockProperties}
+                        onKeyDown={handleKeyDown}
+                        onFocus={handleFocus}
+                    />
+                );
+
+            case BLOCK_TYPES.TOGGLE:
+                return (
+                    <ToggleBlock
+                        id={blockId}
+                        content={block.content}
+                        properties={block.properties}
+                        blocks={block.children}
+                        isActive={isActive}
+                        onContentChange={updateBlockContent}
+                        onPropertiesChange={updateBlockProperties}
+                        onKeyDown={handleKeyDown}
+                        onFocus={handleFocus}
+                    />
+                );
+
             default:
+                if (FULL_BLOCK_TYPES.includes(block.type)) {
+                    return (
+                        <Block
+                            block={block}
+                            isActive={isActive}
+                            onContentChange={updateBlockContent}
+                            onPropertiesChange={updateBlockProperties}
+                            onKeyDown={handleFullBlockKeyDown}
+                            onFocus={handleFocus}
+                        />
+                    );
+                }
+
                 // Paragraphs, headings, etc.
                 return (
                     <div
@@ -161,7 +395,7 @@ export function NestedBlock({ blockId }) {
                         suppressContentEditableWarning
                         className={getContentClass()}
                         data-placeholder="Type something..."
-                        onBlur={handleBlur}
+                        onInput={handleInput}
                         onFocus={handleFocus}
                         onKeyDown={handleKeyDown}
                     />
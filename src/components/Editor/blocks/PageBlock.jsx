@@ -0,0 +1,88 @@
+import { FileText, ChevronRight } from "lucide-react";
+import { useDocumentsStore } from "../../../stores/documentsStore";
+import { useEditorStore } from "../../../stores/editorStore";
+import { cn } from "../../../utils/cn";
+
+/**
+ * PageBlock - Link to a sub-page, showing its current title
+ */
+export function PageBlock({ block, isActive, onFocus, onKeyDown }) {
+    const pageId = block.properties?.pageId;
+    const page = useDocumentsStore((state) =>
+        state.documents.find((d) => d.id === pageId)
+    );
+    const selectDocument = useDocumentsStore((state) => state.selectDocument);
+    const saveDocument = useDocumentsStore((state) => state.saveDocument);
+
+    const handleOpen = () => {
+        if (!page) return;
+        // Save right away, the page block may have been added moments ago
+        saveDocument(useEditorStore.getState().document);
+        selectDocument(page.id);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+            e.preventDefault();
+            handleOpen();
+            return;
+        }
+        // Pass to parent for Enter/Backspace handling
+        onKeyDown?.(e, block.id);
+    };
+
+    return (
+        <div
+            tabIndex={0}
+            data-block-type="PAGE"
+            data-block-id={block.id}
+            onFocus={() => onFocus?.(block.id)}
+            onKeyDown={handleKeyDown}
+            className={cn(
+                "py-0.5 outline-none rounded",
+                isActive && "bg-blue-50/30"
+            )}
+        >
+            <button
+                type="button"
+                onClick={handleOpen}
+                disabled={!page}
+                className={cn(
+                    "group/page w-full flex items-center gap-2 px-1.5 py-1",
+                    "rounded-md text-left",
+                    "transition-colors duration-100",
+                    page ? "hover:bg-black/5" : "cursor-default"
+                )}
+            >
+                <FileText
+                    className="w-[18px] h-[18px] shrink-0 text-gray-400"
+                    strokeWidth={1.5}
+                />
+                {page ? (
+                    <span
+                        className={cn(
+                            "flex-1 truncate text-[16px] text-gray-800",
+                            "underline decoration-gray-300 underline-offset-4"
+                        )}
+                    >
+                        {page.title || "Untitled"}
+                    </span>
+                ) : (
+                    <span className="flex-1 truncate text-[16px] text-gray-400">
+                        Page not found
+                    </span>
+                )}
+                {page && (
+                    <ChevronRight
+                        className={cn(
+                            "w-4 h-4 text-gray-400",
+                            "opacity-0 group-hover/page:opacity-100",
+                            "transition-opacity duration-100"
+                        )}
+                        strokeWidth={1.5}
+                    />
+                )}
+            </button>
+        </div>
+    );
+}
@@ -1,5 +1,7 @@
 import { useRef, useEffect, useCallback } from "react";
 import { cn } from "../../../utils/cn";
+import { convertInlineMath, mapOutsideInlineMath } from "../../../utils/math";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
 
 /**
  * ParagraphBlock - Basic text block with contenteditable
@@ -17,15 +19,8 @@ export function ParagraphBlock({
     onFocus
 }) {
     const contentRef = useRef(null);
-    const isInitialMount = useRef(true);
 
-    // Set initial content only on mount
-    useEffect(() => {
-        if (isInitialMount.current && contentRef.current) {
-            contentRef.current.innerHTML = content;
-            isInitialMount.current = false;
-        }
-    }, [content]);
+    useSyncedContent(contentRef, content);
 
     // Focus when block becomes active
     useEffect(() => {
@@ -42,38 +37,50 @@ export function ParagraphBlock({
     }, [isActive]);
 
     // Convert inline Markdown patterns to HTML
+    // Rendered formulas are left out so their markup isn't matched
     const convertInlineMarkdown = useCallback((html) => {
-        let converted = html;
         let changed = false;
+        let converted = mapOutsideInlineMath(html, (text) => {
+            let result = text;
+
+            // **bold** -> <strong>bold</strong>
+            const boldPattern = /\*\*([^*]+)\*\*/g;
+            if (boldPattern.test(result)) {
+                result = result.replace(boldPattern, "<strong>$1</strong>");
+                changed = true;
+            }
 
-        // **bold** -> <strong>bold</strong>
-        const boldPattern = /\*\*([^*]+)\*\*/g;
-        if (boldPattern.test(converted)) {
-            converted = converted.replace(boldPattern, "<strong>$1</strong>");
-            changed = true;
-        }
+            // *italic* -> <em>italic</em> (but not if part of **)
+            const italicPattern = /(?<!\*)\*([^*]+)\*(?!\*)/g;
+            if (italicPattern.test(result)) {
+                result = result.replace(italicPattern, "<em>$1</em>");
+                changed = true;
+            }
 
-        // *italic* -> <em>italic</em> (but not if part of **)
-        const italicPattern = /(?<!\*)\*([^*]+)\*(?!\*)/g;
-        if (italicPattern.test(converted)) {
-            converted = converted.replace(italicPattern, "<em>$1</em>");
-            changed = true;
-        }
+            // ~~strikethrough~~ -> <s>strikethrough</s>
+            const strikePattern = /~~([^~]+)~~/g;
+            if (strikePattern.test(result)) {
+                result = result.replace(strikePattern, "<s>$1</s>");
+                changed = true;
+            }
 
-        // ~~strikethrough~~ -> <s>strikethrough</s>
-        const strikePattern = /~~([^~]+)~~/g;
-        if (strikePattern.test(converted)) {
-            converted = converted.replace(strikePattern, "<s>$1</s>");
-            changed = true;
-        }
+            // `code` -> <code>code</code>
+            const codePattern = /`([^`]+)`/g;
+            if (codePattern.test(result)) {
+                result = result.replace(
+                    codePattern,
+                    '<code class="bg-gray-100 px-1 rounded text-sm font-mono">$1</code>'
+                );
+                changed = true;
+            }
+
+            return result;
+        });
 
-        // `code` -> <code>code</code>
-        const codePattern = /`([^`]+)`/g;
-        if (codePattern.test(converted)) {
-            converted = converted.replace(
-                codePattern,
-                '<code class="bg-gray-100 px-1 rounded text-sm font-mono">$1</code>'
-            );
+        // $tex$ -> rendered inline formula
+        const withMath = convertInlineMath(converted);
+        if (withMath !== converted) {
+            converted = withMath;
             changed = true;
         }
 
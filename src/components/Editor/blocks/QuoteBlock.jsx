@@ -1,5 +1,6 @@
 import { useRef, useEffect, useCallback } from "react";
 import { cn } from "../../../utils/cn";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
 
 /**
  * QuoteBlock - Blockquote with left border styling
@@ -13,15 +14,8 @@ export function QuoteBlock({
     onFocus
 }) {
     const contentRef = useRef(null);
-    const isInitialMount = useRef(true);
 
-    // Set initial content only on mount
-    useEffect(() => {
-        if (isInitialMount.current && contentRef.current) {
-            contentRef.current.innerHTML = content;
-            isInitialMount.current = false;
-        }
-    }, [content]);
+    useSyncedContent(contentRef, content);
 
     // Focus when block becomes active
     useEffect(() => {
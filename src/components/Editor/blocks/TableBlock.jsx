@@ -0,0 +1,601 @@
+import { useState, useRef, useEffect } from "react";
+import {
+    Plus,
+    Trash2,
+    MoreHorizontal,
+    GripVertical,
+    AlignLeft,
+    AlignCenter,
+    AlignRight,
+    ArrowLeft,
+    ArrowRight,
+    ArrowUp,
+    ArrowDown
+} from "lucide-react";
+import { arrayMove } from "@dnd-kit/sortable";
+import { cn } from "../../../utils/cn";
+import { useEditorStore } from "../../../stores/editorStore";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
+
+const ALIGN_OPTIONS = [
+    { value: "left", label: "Align left", icon: AlignLeft },
+    { value: "center", label: "Align center", icon: AlignCenter },
+    { value: "right", label: "Align right", icon: AlignRight }
+];
+
+function createColumn() {
+    return { id: crypto.randomUUID(), align: null };
+}
+
+function createRow(columnCount) {
+    return { id: crypto.randomUUID(), cells: Array(columnCount).fill("") };
+}
+
+function insertAt(list, index, item) {
+    return [...list.slice(0, index), item, ...list.slice(index)];
+}
+
+function removeAt(list, index) {
+    return list.filter((_, i) => i !== index);
+}
+
+/**
+ * TableBlock - Grid of rich text cells
+ * Rows and columns carry stable ids so cells keep their DOM (and caret)
+ * when the table is reordered. The first row is the header when
+ * properties.hasHeader is set.
+ */
+export function TableBlock({ block, isActive, onFocus, onKeyDown, onUpdate }) {
+    const containerRef = useRef(null);
+    const [openMenu, setOpenMenu] = useState(null); // { kind: 'row' | 'column', index }
+    const { deleteBlock } = useEditorStore();
+
+    const columns = block.properties?.columns || [];
+    const rows = block.properties?.rows || [];
+    const hasHeader = block.properties?.hasHeader ?? true;
+
+    // Focus the first cell when the block becomes active from outside
+    useEffect(() => {
+        const container = containerRef.current;
+        if (
+            isActive &&
+            container &&
+            !container.contains(document.activeElement)
+        ) {
+            container.querySelector("[data-table-cell]")?.focus();
+        }
+    }, [isActive]);
+
+    const updateTable = (changes) => {
+        onUpdate?.({
+            ...block,
+            properties: { ...block.properties, ...changes }
+        });
+    };
+
+    // Focus a cell after the next render, with the caret at its end
+    const focusCell = (rowIndex, columnIndex) => {
+        setTimeout(() => {
+            const cell = containerRef.current?.querySelector(
+                `[data-table-cell="${rowIndex}:${columnIndex}"]`
+            );
+            if (!cell) return;
+            cell.focus();
+            const range = document.createRange();
+            range.selectNodeContents(cell);
+            range.collapse(false);
+            const selection = window.getSelection();
+            selection?.removeAllRanges();
+            selection?.addRange(range);
+        }, 0);
+    };
+
+    // ========== Cell Actions ==========
+
+    const updateCell = (rowIndex, columnIndex, html) => {
+        updateTable({
+            rows: rows.map((row, i) =>
+                i === rowIndex
+                    ? {
+                          ...row,
+                          cells: row.cells.map((cell, j) =>
+                              j === columnIndex ? html : cell
+                          )
+                      }
+                    : row
+            )
+        });
+    };
+
+    const handleCellKeyDown = (e, rowIndex, columnIndex) => {
+        // Tab / Shift+Tab move between cells, Tab on the last cell adds a row
+        if (e.key === "Tab") {
+            e.preventDefault();
+            e.stopPropagation();
+            const position = rowIndex * columns.length + columnIndex;
+            const target = position + (e.shiftKey ? -1 : 1);
+
+            if (target < 0) return;
+            if (target >= rows.length * columns.length) {
+                updateTable({ rows: [...rows, createRow(columns.length)] });
+            }
+            focusCell(
+                Math.floor(target / columns.length),
+                target % columns.length
+            );
+            return;
+        }
+
+        // Enter moves down a row, and leaves the table from the last row
+        if (e.key === "Enter" && !e.shiftKey) {
+            if (rowIndex < rows.length - 1) {
+                e.preventDefault();
+                e.stopPropagation();
+                focusCell(rowIndex + 1, columnIndex);
+            } else {
+                onKeyDown?.(e, block.id);
+            }
+            return;
+        }
+
+        // Keep line breaks and deletions inside the cell
+        if (e.key === "Enter" || e.key === "Backspace" || e.key === "Delete") {
+            e.stopPropagation();
+        }
+    };
+
+    // Paste as plain text so Markdown isn't turned into blocks mid-table
+    const handleCellPaste = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const text = e.clipboardData.getData("text/plain");
+        document.execCommand("insertText", false, text.replace(/\n/g, " "));
+    };
+
+    // ========== Row Actions ==========
+
+    const insertRow = (index) => {
+        updateTable({ rows: insertAt(rows, index, createRow(columns.length)) });
+        focusCell(index, 0);
+    };
+
+    const moveRow = (index, offset) => {
+        updateTable({ rows: arrayMove(rows, index, index + offset) });
+    };
+
+    const deleteRow = (index) => {
+        updateTable({ rows: removeAt(rows, index) });
+    };
+
+    // ========== Column Actions ==========
+
+    const insertColumn = (index) => {
+        updateTable({
+            columns: insertAt(columns, index, createColumn()),
+            rows: (rows.length > 0 ? rows : [createRow(0)]).map((row) => ({
+                ...row,
+                cells: insertAt(row.cells, index, "")
+            }))
+        });
+        focusCell(0, index);
+    };
+
+    const moveColumn = (index, offset) => {
+        updateTable({
+            columns: arrayMove(columns, index, index + offset),
+            rows: rows.map((row) => ({
+                ...row,
+                cells: arrayMove(row.cells, index, index + offset)
+            }))
+        });
+    };
+
+    const deleteColumn = (index) => {
+        updateTable({
+            columns: removeAt(columns, index),
+            rows: rows.map((row) => ({
+                ...row,
+                cells: removeAt(row.cells, index)
+            }))
+        });
+    };
+
+    const setColumnAlign = (index, align) => {
+        updateTable({
+            columns: columns.map((column, i) =>
+                i === index
+                    ? {
+                          ...column,
+                          align: column.align === align ? null : align
+                      }
+                    : column
+            )
+        });
+    };
+
+    const getRowMenuItems = (index) => [
+        {
+            label: "Insert above",
+            icon: Plus,
+            onSelect: () => insertRow(index)
+        },
+        {
+            label: "Insert below",
+            icon: Plus,
+            onSelect: () => insertRow(index + 1)
+        },
+        {
+            label: "Move up",
+            icon: ArrowUp,
+            disabled: index === 0,
+            onSelect: () => moveRow(index, -1)
+        },
+        {
+            label: "Move down",
+            icon: ArrowDown,
+            disabled: index === rows.length - 1,
+            onSelect: () => moveRow(index, 1)
+        },
+        {
+            label: "Delete row",
+            icon: Trash2,
+            danger: true,
+            disabled: rows.length === 1,
+            onSelect: () => deleteRow(index)
+        }
+    ];
+
+    const getColumnMenuItems = (index) => [
+        ...ALIGN_OPTIONS.map((option) => ({
+            label: option.label,
+            icon: option.icon,
+            isChecked: columns[index].align === option.value,
+            onSelect: () => setColumnAlign(index, option.value)
+        })),
+        {
+            label: "Insert left",
+            icon: Plus,
+            onSelect: () => insertColumn(index)
+        },
+        {
+            label: "Insert right",
+            icon: Plus,
+            onSelect: () => insertColumn(index + 1)
+        },
+        {
+            label: "Move left",
+            icon: ArrowLeft,
+            disabled: index === 0,
+            onSelect: () => moveColumn(index, -1)
+        },
+        {
+            label: "Move right",
+            icon: ArrowRight,
+            disabled: index === columns.length - 1,
+            onSelect: () => moveColumn(index, 1)
+        },
+        {
+            label: "Delete column",
+            icon: Trash2,
+            danger: true,
+            disabled: columns.length === 1,
+            onSelect: () => deleteColumn(index)
+        }
+    ];
+
+    const isMenuOpen = (kind, index) =>
+        openMenu?.kind === kind && openMenu.index === index;
+
+    const toggleMenu = (kind, index) => {
+        setOpenMenu(isMenuOpen(kind, index) ? null : { kind, index });
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            data-block-type="TABLE"
+            className="relative group my-2"
+            onClick={() => onFocus?.(block.id)}
+        >
+            <div className="overflow-x-auto pb-1">
+                <table className="border-collapse text-base">
+                    <tbody>
+                        {/* Column handles */}
+                        <tr>
+                            <td />
+                            {columns.map((column, columnIndex) => (
+                                <td
+                                    key={column.id}
+                                    className="relative h-5 p-0 text-center"
+                                >
+                                    <HandleButton
+                                        isVisible={isActive}
+                                        isOpen={isMenuOpen(
+                                            "column",
+                                            columnIndex
+                                        )}
+                                        title="Column options"
+                                        onClick={() =>
+                                            toggleMenu("column", columnIndex)
+                                        }
+                                    >
+                                        <MoreHorizontal className="w-3.5 h-3.5" />
+                                    </HandleButton>
+                                    {isMenuOpen("column", columnIndex) && (
+                                        <TableMenu
+                                            items={getColumnMenuItems(
+                                                columnIndex
+                                            )}
+                                            onClose={() => setOpenMenu(null)}
+                                        />
+                                    )}
+                                </td>
+                            ))}
+                        </tr>
+
+                        {rows.map((row, rowIndex) => {
+                            const isHeaderRow = hasHeader && rowIndex === 0;
+                            return (
+                                <tr key={row.id}>
+                                    {/* Row handle */}
+                                    <td className="relative w-6 p-0 align-middle">
+                                        <HandleButton
+                                            isVisible={isActive}
+                                            isOpen={isMenuOpen("row", rowIndex)}
+                                            title="Row options"
+                                            onClick={() =>
+                                                toggleMenu("row", rowIndex)
+                                            }
+                                        >
+                                            <GripVertical className="w-3.5 h-3.5" />
+                                        </HandleButton>
+                                        {isMenuOpen("row", rowIndex) && (
+                                            <TableMenu
+                                                items={getRowMenuItems(
+                                                    rowIndex
+                                                )}
+                                                onClose={() =>
+                                                    setOpenMenu(null)
+                                                }
+                                            />
+                                        )}
+                                    </td>
+
+                                    {columns.map((column, columnIndex) => (
+                                        <TableCell
+                                            key={column.id}
+                                            content={
+                                                row.cells[columnIndex] || ""
+                                            }
+                                            align={column.align}
+                                            isHeader={isHeaderRow}
+                                            position={`${rowIndex}:${columnIndex}`}
+                                            onInput={(html) =>
+                                                updateCell(
+                                                    rowIndex,
+                                                    columnIndex,
+                                                    html
+                                                )
+                                            }
+                                            onKeyDown={(e) =>
+                                                handleCellKeyDown(
+                                                    e,
+                                                    rowIndex,
+                                                    columnIndex
+                                                )
+                                            }
+                                            onPaste={handleCellPaste}
+                                            onFocus={() => onFocus?.(block.id)}
+                                        />
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Table controls */}
+            <div
+                className={cn(
+                    "flex items-center gap-1 mt-1 ml-6",
+                    "text-xs text-gray-500",
+                    "opacity-0 group-hover:opacity-100",
+                    isActive && "opacity-100",
+                    "transition-opacity duration-150"
+                )}
+            >
+                <button
+                    type="button"
+                    onClick={() => insertRow(rows.length)}
+                    className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-100 hover:text-gray-700"
+                >
+                    <Plus className="w-3.5 h-3.5" />
+                    Row
+                </button>
+                <button
+                    type="button"
+                    onClick={() => insertColumn(columns.length)}
+                    className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-100 hover:text-gray-700"
+                >
+                    <Plus className="w-3.5 h-3.5" />
+                    Column
+                </button>
+                <button
+                    type="button"
+                    role="switch"
+                    aria-checked={hasHeader}
+                    onClick={() => updateTable({ hasHeader: !hasHeader })}
+                    className={cn(
+                        "flex items-center gap-1.5 px-2 py-1 rounded hover:bg-gray-100 hover:text-gray-700",
+                        hasHeader && "text-gray-700"
+                    )}
+                >
+                    <span
+                        className={cn(
+                            "relative w-6 h-3.5 rounded-full transition-colors duration-150",
+                            hasHeader ? "bg-blue-500" : "bg-gray-300"
+                        )}
+                    >
+                        <span
+                            className={cn(
+                                "absolute top-0.5 left-0.5 w-2.5 h-2.5 rounded-full bg-white",
+                                "transition-transform duration-150",
+                                hasHeader && "translate-x-2.5"
+                            )}
+                        />
+                    </span>
+                    Header row
+                </button>
+            </div>
+
+            {/* Delete Block Button (Bottom Right) */}
+            <button
+                className={cn(
+                    "absolute -bottom-1 right-0 z-10",
+                    "p-2 rounded-lg bg-white shadow-sm border border-gray-200",
+                    "text-gray-400 hover:text-red-500 hover:bg-red-50 hover:border-red-200",
+                    "opacity-0 group-hover:opacity-100",
+                    isActive && "opacity-100 pointer-events-auto",
+                    "transition-all duration-200",
+                    "pointer-events-none group-hover:pointer-events-auto"
+                )}
+                onClick={(e) => {
+                    e.stopPropagation();
+                    deleteBlock(block.id);
+                }}
+            >
+                <Trash2 className="w-4 h-4" />
+            </button>
+        </div>
+    );
+}
+
+/**
+ * TableCell - Editable cell holding inline HTML
+ */
+function TableCell({
+    content,
+    align,
+    isHeader,
+    position,
+    onInput,
+    onKeyDown,
+    onPaste,
+    onFocus
+}) {
+    const cellRef = useRef(null);
+
+    useSyncedContent(cellRef, content);
+
+    return (
+        <td
+            className={cn(
+                "min-w-[120px] border border-gray-200 align-top",
+                isHeader && "bg-gray-50"
+            )}
+            style={{ textAlign: align || undefined }}
+        >
+            <div
+                ref={cellRef}
+                contentEditable
+                suppressContentEditableWarning
+                data-table-cell={position}
+                className={cn(
+                    "min-h-[1.5em] px-3 py-1.5 outline-none",
+                    "leading-relaxed text-gray-900",
+                    isHeader && "font-semibold"
+                )}
+                onInput={(e) => onInput(e.currentTarget.innerHTML || "")}
+                onKeyDown={onKeyDown}
+                onPaste={onPaste}
+                onFocus={onFocus}
+            />
+        </td>
+    );
+}
+
+/**
+ * HandleButton - Small row/column options trigger
+ */
+function HandleButton({ isVisible, isOpen, title, onClick, children }) {
+    return (
+        <button
+            type="button"
+            title={title}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={onClick}
+            className={cn(
+                "inline-flex items-center justify-center p-0.5 rounded",
+                "text-gray-400 hover:text-gray-700 hover:bg-gray-100",
+                "opacity-0 group-hover:opacity-100",
+                (isVisible || isOpen) && "opacity-100",
+                isOpen && "bg-gray-100 text-gray-700",
+                "transition-opacity duration-150"
+            )}
+        >
+            {children}
+        </button>
+    );
+}
+
+/**
+ * TableMenu - Dropdown of row or column actions
+ */
+function TableMenu({ items, onClose }) {
+    const menuRef = useRef(null);
+
+    // Close on outside click or Escape
+    useEffect(() => {
+        const handleMouseDown = (e) => {
+            if (!menuRef.current?.contains(e.target)) onClose();
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === "Escape") onClose();
+        };
+        document.addEventListener("mousedown", handleMouseDown);
+        document.addEventListener("keydown", handleKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", handleMouseDown);
+            document.removeEventListener("keydown", handleKeyDown);
+        };
+    }, [onClose]);
+
+    return (
+        <div
+            ref={menuRef}
+            className={cn(
+                "absolute left-0 top-full z-20 mt-1 w-44 py-1",
+                "bg-white rounded-lg shadow-lg border border-gray-200",
+                "text-left text-sm font-normal"
+            )}
+        >
+            {items.map((item) => {
+                const Icon = item.icon;
+                return (
+                    <button
+                        key={item.label}
+                        type="button"
+                        disabled={item.disabled}
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            item.onSelect();
+                            onClose();
+                        }}
+                        className={cn(
+                            "w-full flex items-center gap-2 px-3 py-1.5",
+                            "text-gray-700 hover:bg-gray-100",
+                            item.isChecked && "bg-blue-50 text-blue-700",
+                            item.danger && "hover:bg-red-50 hover:text-red-600",
+                            "disabled:opacity-40 disabled:pointer-events-none"
+                        )}
+                    >
+                        <Icon className="w-4 h-4" />
+                        {item.label}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
@@ -4,6 +4,7 @@ import { AnimatePresence, motion } from "framer-motion";
 import { cn } from "../../../utils/cn";
 import { useEditorStore } from "../../../stores/editorStore";
 import { BLOCK_TYPES } from "../../../constants/BLOCK_TYPES";
+import { duplicateBlock } from "../../../utils/blocks";
 import { NestedBlock } from "./NestedBlock";
 
 /**
@@ -159,7 +160,7 @@ export function TabsBlock({ block, isActive, onFocus, onKeyDown, onUpdate }) {
             },
             children: {
                 ...tabBlocks,
-                [newTab.id]: [...(tabBlocks[tabId] || [])]
+                [newTab.id]: (tabBlocks[tabId] || []).map(duplicateBlock)
             }
         });
         setMenuOpenTabId(null);
@@ -321,12 +322,8 @@ export function TabsBlock({ block, isActive, onFocus, onKeyDown, onUpdate }) {
                     >
                         {getActiveTabBlocks().length > 0 ? (
                             <div className="space-y-1">
-                                {getActiveTabBlocks().map((blockId) => (
-                                    <NestedBlock
-                                        key={blockId}
-                                        blockId={blockId}
-                                        parentBlockId={block.id}
-                                    />
+                                {getActiveTabBlocks().map((child) => (
+                                    <NestedBlock key={child.id} block={child} />
                                 ))}
                             </div>
                         ) : (
@@ -1,6 +1,7 @@
 import { useRef, useEffect, useCallback } from "react";
 import { Check } from "lucide-react";
 import { cn } from "../../../utils/cn";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
 
 /**
  * TaskBlock - Checkbox with text content
@@ -16,16 +17,9 @@ export function TaskBlock({
     onFocus
 }) {
     const contentRef = useRef(null);
-    const isInitialMount = useRef(true);
     const isChecked = properties?.checked || false;
 
-    // Set initial content only on mount
-    useEffect(() => {
-        if (isInitialMount.current && contentRef.current) {
-            contentRef.current.innerHTML = content;
-            isInitialMount.current = false;
-        }
-    }, [content]);
+    useSyncedContent(contentRef, content);
 
     // Focus when block becomes active
     useEffect(() => {
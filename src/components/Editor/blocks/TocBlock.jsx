@@ -0,0 +1,116 @@
+import { useMemo } from "react";
+import { Columns2, TableOfContents } from "lucide-react";
+import { useEditorStore } from "../../../stores/editorStore";
+import { getDocumentHeadings } from "../../../utils/toc";
+import { cn } from "../../../utils/cn";
+
+/**
+ * TocBlock - Table of contents listing the headings of the document
+ * Follows the headings as they change; clicking one scrolls to it and
+ * puts the caret in it.
+ */
+export function TocBlock({ block, isActive, onFocus, onKeyDown, onUpdate }) {
+    const blocks = useEditorStore((state) => state.document.blocks);
+    const revealBlock = useEditorStore((state) => state.revealBlock);
+    const includeNested = block.properties?.includeNested === true;
+
+    const headings = useMemo(
+        () => getDocumentHeadings(blocks, { includeNested }),
+        [blocks, includeNested]
+    );
+    const minLevel = Math.min(...headings.map((heading) => heading.level));
+
+    // Activate the heading (opening the tab or toggle it's in) and show it
+    const handleOpen = (headingId) => {
+        revealBlock(headingId);
+        setTimeout(() => {
+            window.document
+                .querySelector(
+                    `[data-block-id="${headingId}"], [data-nested-block-id="${headingId}"]`
+                )
+                ?.scrollIntoView({ behavior: "smooth", block: "center" });
+        }, 50);
+    };
+
+    const handleToggleNested = () => {
+        onUpdate?.({
+            ...block,
+            properties: { ...block.properties, includeNested: !includeNested }
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        // Only the block itself, not the heading links, passes keys on
+        if (e.target !== e.currentTarget) return;
+        onKeyDown?.(e, block.id);
+    };
+
+    return (
+        <div
+            tabIndex={0}
+            data-block-type="TOC"
+            data-block-id={block.id}
+            onFocus={() => onFocus?.(block.id)}
+            onKeyDown={handleKeyDown}
+            className={cn(
+                "group/toc relative py-1 outline-none rounded",
+                isActive && "bg-blue-50/30"
+            )}
+        >
+            <button
+                type="button"
+                onClick={handleToggleNested}
+                aria-pressed={includeNested}
+                title={
+                    includeNested
+                        ? "Leave out headings in tabs and columns"
+                        : "Include headings in tabs and columns"
+                }
+                className={cn(
+                    "absolute top-1 right-0 p-1 rounded-md",
+                    "transition-all duration-100",
+                    includeNested
+                        ? "text-blue-500 bg-blue-50 hover:bg-blue-100"
+                        : "text-gray-400 hover:text-gray-600 hover:bg-black/5",
+                    !isActive && "opacity-0 group-hover/toc:opacity-100"
+                )}
+            >
+                <Columns2 className="w-4 h-4" strokeWidth={1.5} />
+            </button>
+
+            {headings.length > 0 ? (
+                <nav aria-label="Table of contents" className="pr-8">
+                    {headings.map((heading) => (
+                        <button
+                            key={heading.id}
+                            type="button"
+                            onClick={() => handleOpen(heading.id)}
+                            className={cn(
+                                "block w-full py-1 rounded-md text-left",
+                                "text-[15px] leading-snug truncate",
+                                "underline decoration-gray-300 underline-offset-4",
+                                "hover:bg-black/5 transition-colors duration-100",
+                                heading.level === minLevel
+                                    ? "text-gray-700"
+                                    : "text-gray-500"
+                            )}
+                            style={{
+                                paddingLeft: `${6 + (heading.level - minLevel) * 24}px`
+                            }}
+                        >
+                            {heading.text}
+                        </button>
+                    ))}
+                </nav>
+            ) : (
+                <div className="flex items-center gap-2 px-1.5 py-1 text-[15px] text-gray-400">
+                    <TableOfContents
+                        className="w-[18px] h-[18px] shrink-0"
+                        strokeWidth={1.5}
+                    />
+                    Add headings to build a table of contents
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,185 @@
+import { useRef, useEffect, useCallback } from "react";
+import { ChevronRight, Plus } from "lucide-react";
+import { useEditorStore } from "../../../stores/editorStore";
+import { BLOCK_TYPES } from "../../../constants/BLOCK_TYPES";
+import { cn } from "../../../utils/cn";
+import { NestedBlock } from "./NestedBlock";
+import { useSyncedContent } from "../../../hooks/useSyncedContent";
+
+/**
+ * ToggleBlock - Collapsible section: an editable summary line with
+ * nested blocks that show while the toggle is open
+ */
+export function ToggleBlock({
+    id,
+    content,
+    properties,
+    blocks = [],
+    isActive,
+    onContentChange,
+    onPropertiesChange,
+    onKeyDown,
+    onFocus
+}) {
+    const contentRef = useRef(null);
+    const { addBlockToToggle } = useEditorStore();
+
+    const isOpen = properties?.isOpen !== false;
+
+    useSyncedContent(contentRef, content);
+
+    // Focus when block becomes active
+    useEffect(() => {
+        if (isActive && contentRef.current) {
+            contentRef.current.focus();
+            const range = document.createRange();
+            const sel = window.getSelection();
+            range.selectNodeContents(contentRef.current);
+            range.collapse(false);
+            sel?.removeAllRanges();
+            sel?.addRange(range);
+        }
+    }, [isActive]);
+
+    const handleToggle = useCallback(() => {
+        onPropertiesChange(id, { isOpen: !isOpen });
+    }, [id, isOpen, onPropertiesChange]);
+
+    // Add an empty paragraph to the toggle
+    const handleAddBlock = useCallback(
+        (index) => {
+            addBlockToToggle(
+                id,
+                { type: BLOCK_TYPES.PARAGRAPH, content: "" },
+                index
+            );
+        },
+        [id, addBlockToToggle]
+    );
+
+    // Handle input changes
+    const handleInput = useCallback(
+        (e) => {
+            const newContent = e.currentTarget.innerHTML || "";
+            onContentChange(id, newContent);
+        },
+        [id, onContentChange]
+    );
+
+    // Handle key events
+    // Cmd/Ctrl+Enter opens or closes the toggle, Enter in an open toggle
+    // starts its first nested block
+    const handleKeyDown = useCallback(
+        (e) => {
+            const isMac = navigator.platform.toUpperCase().indexOf("MAC") >= 0;
+            const modKey = isMac ? e.metaKey : e.ctrlKey;
+
+            if (e.key === "Enter" && modKey) {
+                e.preventDefault();
+                e.stopPropagation();
+                handleToggle();
+                return;
+            }
+
+            if (e.key === "Enter" && !e.shiftKey && isOpen) {
+                e.preventDefault();
+                e.stopPropagation();
+                handleAddBlock(0);
+                return;
+            }
+
+            // Merging away the summary would drop the nested blocks
+            if (
+                e.key === "Backspace" &&
+                blocks.length > 0 &&
+                window.getSelection()?.isCollapsed &&
+                window.getSelection()?.anchorOffset === 0
+            ) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+
+            onKeyDown(e, id, contentRef.current);
+        },
+        [id, isOpen, blocks.length, onKeyDown, handleToggle, handleAddBlock]
+    );
+
+    // Handle focus
+    const handleFocus = useCallback(() => {
+        onFocus(id);
+    }, [id, onFocus]);
+
+    return (
+        <div className="my-0.5">
+            {/* Summary */}
+            <div className="flex items-start gap-1">
+                <button
+                    type="button"
+                    onClick={handleToggle}
+                    className={cn(
+                        "w-6 h-6 mt-0.5 -ml-1 shrink-0 rounded",
+                        "flex items-center justify-center",
+                        "text-gray-500 hover:bg-black/5",
+                        "transition-colors duration-100"
+                    )}
+                    title={isOpen ? "Collapse" : "Expand"}
+                    aria-expanded={isOpen}
+                >
+                    <ChevronRight
+                        className={cn(
+                            "w-4 h-4 transition-transform duration-150",
+                            isOpen && "rotate-90"
+                        )}
+                    />
+                </button>
+                <div
+                    ref={contentRef}
+                    contentEditable
+                    suppressContentEditableWarning
+                    className={cn(
+                        "flex-1 min-w-0",
+                        "outline-none",
+                        "min-h-[1.5em]",
+                        "text-base leading-relaxed text-gray-800",
+                        "empty:before:content-[attr(data-placeholder)]",
+                        "empty:before:text-gray-400",
+                        "empty:before:pointer-events-none"
+                    )}
+                    data-placeholder="Toggle"
+                    data-block-id={id}
+                    onInput={handleInput}
+                    onKeyDown={handleKeyDown}
+                    onFocus={handleFocus}
+                />
+            </div>
+
+            {/* Nested blocks */}
+            {isOpen && (
+                <div className="pl-6">
+                    {blocks.length > 0 ? (
+                        <div className="space-y-1">
+                            {blocks.map((child) => (
+                                <NestedBlock key={child.id} block={child} />
+                            ))}
+                        </div>
+                    ) : (
+                        <button
+                            onClick={() => handleAddBlock()}
+                            className={cn(
+                                "w-full py-1 px-2 -mx-2",
+                                "flex items-center gap-1.5",
+                                "text-sm text-gray-400 hover:text-gray-600",
+                                "rounded hover:bg-gray-50",
+                                "transition-colors duration-150"
+                            )}
+                        >
+                            <Plus className="w-4 h-4" />
+                            Empty toggle. Click to add a block.
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
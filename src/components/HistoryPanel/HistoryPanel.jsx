@@ -0,0 +1,209 @@
+import { formatDistanceToNow } from "date-fns";
+import { History, X, RotateCcw, Plus, Loader2 } from "lucide-react";
+import { cn } from "../../utils/cn";
+import { flattenBlocks } from "../../utils/blocks";
+
+/**
+ * Format snapshot timestamp for the list
+ */
+function formatSnapshotDate(dateStr) {
+    const date = new Date(dateStr);
+    return (
+        date.toLocaleDateString("en-US", {
+            month: "short",
+            day: "numeric"
+        }) +
+        " at " +
+        date.toLocaleTimeString("en-US", {
+            hour: "numeric",
+            minute: "2-digit"
+        })
+    );
+}
+
+/**
+ * HistoryPanel - Right-hand panel listing saved versions of a document
+ */
+export function HistoryPanel({
+    isOpen = false,
+    snapshots = [],
+    isLoading = false,
+    previewSnapshotId = null,
+    diffMode = null,
+    onPreview,
+    onDiffModeChange,
+    onRestore,
+    onSaveVersion,
+    onClose
+}) {
+    const previewIndex = snapshots.findIndex((s) => s.id === previewSnapshotId);
+    const previewSnapshot = snapshots[previewIndex];
+    const hasPreviousVersion =
+        previewIndex !== -1 && previewIndex < snapshots.length - 1;
+
+    return (
+        <aside
+            style={{ width: isOpen ? 280 : 0 }}
+            className={cn(
+                "h-full overflow-hidden shrink-0",
+                "transition-[width] duration-200 ease-out",
+                "bg-[#fbfbfa]",
+                isOpen && "border-l border-[#e8e8e6]",
+                "flex flex-col"
+            )}
+        >
+            {/* Header */}
+            <div className="flex items-center justify-between px-3 pt-3 pb-2 w-[280px]">
+                <span className="flex items-center gap-1.5 text-[11px] font-medium text-[#91918e] uppercase tracking-wider">
+                    <History className="w-3.5 h-3.5" strokeWidth={2} />
+                    Version history
+                </span>
+
+                <div className="flex items-center gap-0.5">
+                    {/* Save current version */}
+                    <button
+                        onClick={onSaveVersion}
+                        className={cn(
+                            "w-6 h-6 rounded",
+                            "flex items-center justify-center",
+                            "text-[#91918e] hover:text-[#37352f]",
+                            "hover:bg-[#ebebea]",
+                            "transition-colors duration-100"
+                        )}
+                        title="Save current version"
+                    >
+                        <Plus className="w-4 h-4" strokeWidth={2} />
+                    </button>
+
+                    {/* Close */}
+                    <button
+                        onClick={onClose}
+                        className={cn(
+                            "w-6 h-6 rounded",
+                            "flex items-center justify-center",
+                            "text-[#91918e] hover:text-[#37352f]",
+                            "hover:bg-[#ebebea]",
+                            "transition-colors duration-100"
+                        )}
+                        title="Close"
+                    >
+                        <X className="w-4 h-4" strokeWidth={2} />
+                    </button>
+                </div>
+            </div>
+
+            {/* Snapshot List */}
+            <div className="flex-1 overflow-y-auto px-1 py-1 w-[280px]">
+                {isLoading ? (
+                    <div className="flex justify-center py-8">
+                        <Loader2 className="w-4 h-4 text-[#91918e] animate-spin" />
+                    </div>
+                ) : snapshots.length === 0 ? (
+                    <div className="text-center px-4 py-8 text-[#91918e] text-[13px]">
+                        No saved versions yet
+                    </div>
+                ) : (
+                    snapshots.map((snapshot) => (
+                        <SnapshotItem
+                            key={snapshot.id}
+                            snapshot={snapshot}
+                            isActive={snapshot.id === previewSnapshotId}
+                            onSelect={() => onPreview?.(snapshot)}
+                        />
+                    ))
+                )}
+            </div>
+
+            {/* Footer - Compare and restore selected version */}
+            <div className="px-3 py-2 border-t border-[#e8e8e6] w-[280px] space-y-2">
+                {previewSnapshot && (
+                    <div className="flex items-center gap-0.5 p-0.5 rounded-lg bg-[#ebebea]">
+                        <CompareOption
+                            label="Version"
+                            isActive={!diffMode}
+                            onClick={() => onDiffModeChange?.(null)}
+                        />
+                        <CompareOption
+                            label="vs. current"
+                            isActive={diffMode === "current"}
+                            onClick={() => onDiffModeChange?.("current")}
+                        />
+                        <CompareOption
+                            label="vs. previous"
+                            isActive={diffMode === "previous"}
+                            disabled={!hasPreviousVersion}
+                            onClick={() => onDiffModeChange?.("previous")}
+                        />
+                    </div>
+                )}
+                <button
+                    onClick={() => onRestore?.(previewSnapshot)}
+                    disabled={!previewSnapshot}
+                    className={cn(
+                        "w-full flex items-center justify-center gap-2",
+                        "px-3 py-1.5 rounded-lg",
+                        "text-[13px] font-medium",
+                        "bg-gray-900 text-white hover:bg-gray-800",
+                        "disabled:opacity-40 disabled:cursor-not-allowed",
+                        "transition-colors duration-150"
+                    )}
+                >
+                    <RotateCcw className="w-3.5 h-3.5" strokeWidth={2} />
+                    Restore this version
+                </button>
+            </div>
+        </aside>
+    );
+}
+
+/**
+ * SnapshotItem - Single version row with timestamp and block count
+ */
+function SnapshotItem({ snapshot, isActive, onSelect }) {
+    const blockCount = flattenBlocks(snapshot.blocks || []).length;
+
+    return (
+        <button
+            onClick={onSelect}
+            className={cn(
+                "w-full flex flex-col items-start gap-0.5",
+                "px-3 py-2 rounded text-left",
+                "transition-colors duration-75",
+                isActive ? "bg-[#ebebea]" : "hover:bg-[#f1f1ef]"
+            )}
+        >
+            <span className="text-[14px] text-[#37352f] font-medium">
+                {formatSnapshotDate(snapshot.timestamp)}
+            </span>
+            <span className="text-[12px] text-[#91918e]">
+                {formatDistanceToNow(new Date(snapshot.timestamp), {
+                    addSuffix: true
+                })}{" "}
+                · {blockCount} {blockCount === 1 ? "block" : "blocks"}
+            </span>
+        </button>
+    );
+}
+
+/**
+ * CompareOption - Segmented control button for the diff mode
+ */
+function CompareOption({ label, isActive, disabled = false, onClick }) {
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled}
+            className={cn(
+                "flex-1 px-2 py-1 rounded-md",
+                "text-[12px] font-medium",
+                "disabled:opacity-40 disabled:cursor-not-allowed",
+                "transition-colors duration-100",
+                isActive
+                    ? "bg-white text-[#37352f] shadow-sm"
+                    : "text-[#91918e] hover:text-[#37352f]"
+            )}
+        >
+            {label}
+        </button>
+    );
+}
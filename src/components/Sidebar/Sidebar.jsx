@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useDrag } from "@use-gesture/react";
 import {
@@ -10,16 +10,48 @@ import {
     Trash2,
     Copy,
     PenLine,
-    X
+    X,
+    Folder,
+    FolderOpen,
+    FolderPlus,
+    FolderInput,
+    ChevronRight,
+    Check,
+    ArrowLeft,
+    RotateCcw
 } from "lucide-react";
 import { cn } from "../../utils/cn";
 import { useMobile } from "../../hooks/useMobile";
+import {
+    getChildGroups,
+    getDescendantGroupIds,
+    getDocumentGroupId,
+    flattenGroups
+} from "../../utils/groups";
+import {
+    getChildPages,
+    getPageAncestors,
+    getParentPageId
+} from "../../utils/pages";
+
+// Drag data types for moving documents and groups around the tree
+const DOCUMENT_DRAG_TYPE = "application/x-editor-document";
+const GROUP_DRAG_TYPE = "application/x-editor-group";
+
+// How long deleted documents can be kept (0 keeps them until emptied)
+const TRASH_RETENTION_OPTIONS = [
+    { days: 7, label: "7 days" },
+    { days: 30, label: "30 days" },
+    { days: 90, label: "90 days" },
+    { days: 0, label: "Never" }
+];
 
 /**
  * Sidebar - Notion-inspired document navigation
  */
 export function Sidebar({
     documents = [],
+    groups = [],
     activeDocumentId,
     isCollapsed = false,
     onToggleCollapse,
@@ -28,18 +60,115 @@ export function Sidebar({
     onDeleteDocument,
     onDuplicateDocument,
     onRenameDocument,
+    onMoveDocument,
+    onCreateGroup,
+    onUpdateGroup,
+    onMoveGroup,
+    onDeleteGroup,
+    onSearch,
+    onOpenSearchResult,
+    trash = [],
+    trashRetentionDays,
+    onRestoreDocument,
+    onDeleteDocumentForever,
+    onEmptyTrash,
+    onTrashRetentionChange,
     isSaving = false,
     lastSaved = null
 }) {
     const [searchQuery, setSearchQuery] = useState("");
+    const [searchScopeId, setSearchScopeId] = useState(null);
     const [menuOpenId, setMenuOpenId] = useState(null);
+    const [newGroupId, setNewGroupId] = useState(null);
+    const [expandedPageIds, setExpandedPageIds] = useState([]);
+    const [prevActiveId, setPrevActiveId] = useState(activeDocumentId);
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+    const searchInputRef = useRef(null);
     const { isMobile } = useMobile();
 
-    // Filter documents
-    const filteredDocuments = documents.filter((doc) =>
-        doc.title.toLowerCase().includes(searchQuery.toLowerCase())
+    // Group the search is limited to (null searches everything)
+    const searchScope = groups.find((g) => g.id === searchScopeId) || null;
+
+    // Full-text search results (null while the search box is empty)
+    const searchResults = useMemo(() => {
+        if (!searchQuery.trim() || !onSearch || isTrashOpen) return null;
+        return documents.length > 0
+            ? onSearch(searchQuery, { groupId: searchScope?.id })
+            : [];
+    }, [searchQuery, searchScope, documents, onSearch, isTrashOpen]);
+
+    // Trashed documents whose title matches the search box
+    const trashQuery = searchQuery.trim().toLowerCase();
+    const trashResults = trash.filter((doc) =>
+        (doc.title || "Untitled").toLowerCase().includes(trashQuery)
     );
 
+    // Everything the trash view needs
+    const trashView = {
+        documents: trashResults,
+        totalCount: trash.length,
+        retentionDays: trashRetentionDays,
+        isMobile,
+        onClose: () => setIsTrashOpen(false),
+        onRestore: onRestoreDocument,
+        onDelete: onDeleteDocumentForever,
+        onEmpty: onEmptyTrash,
+        onRetentionChange: onTrashRetentionChange
+    };
+
+    // Reveal the active page inside its parent pages
+    if (activeDocumentId !== prevActiveId) {
+        setPrevActiveId(activeDocumentId);
+        const ancestorIds = getPageAncestors(documents, activeDocumentId)
+            .map((doc) => doc.id)
+            .filter((id) => !expandedPageIds.includes(id));
+        if (ancestorIds.length > 0) {
+            setExpandedPageIds([...expandedPageIds, ...ancestorIds]);
+        }
+    }
+
+    // Create a group and start renaming it right away
+    const handleCreateGroup = async (parentId = null) => {
+        const group = await onCreateGroup?.(parentId);
+        if (group) setNewGroupId(group.id);
+    };
+
+    // Everything the document tree needs, passed down through its levels
+    const tree = {
+        documents,
+        groups,
+        activeDocumentId,
+        isMobile,
+        menuOpenId,
+        newGroupId,
+        expandedPageIds,
+        onTogglePage: (id) =>
+            setExpandedPageIds(
+                expandedPageIds.includes(id)
+                    ? expandedPageIds.filter((pageId) => pageId !== id)
+                    : [...expandedPageIds, id]
+            ),
+        onMenuToggle: (id) => setMenuOpenId(menuOpenId === id ? null : id),
+        onMenuClose: () => setMenuOpenId(null),
+        onSelectDocument: (id) => {
+            onSelectDocument(id);
+            if (isMobile) onToggleCollapse?.();
+        },
+        onDeleteDocument,
+        onDuplicateDocument,
+        onRenameDocument,
+        onMoveDocument,
+        onCreateDocument: (groupId) => onCreateDocument?.({ groupId }),
+        onCreateGroup: handleCreateGroup,
+        onUpdateGroup,
+        onMoveGroup,
+        onDeleteGroup,
+        onSearchInGroup: (groupId) => {
+            setSearchScopeId(groupId);
+            searchInputRef.current?.focus();
+        }
+    };
+
     // Close menu when clicking outside
     useEffect(() => {
         const handleClickOutside = (e) => {
@@ -119,9 +248,27 @@ export function Sidebar({
                                 </span>
 
                                 <div className="flex items-center gap-2">
+                                    {/* New Folder */}
+                                    <button
+                                        onClick={() => handleCreateGroup()}
+                                        className={cn(
+                                            "w-10 h-10 rounded-xl",
+                                            "flex items-center justify-center",
+                                            "text-[#91918e] active:text-[#37352f]",
+                                            "active:bg-[#ebebea]",
+                                            "transition-colors duration-100"
+                                        )}
+                                        title="New folder"
+                                    >
+                                        <FolderPlus
+                                            className="w-5 h-5"
+                                            strokeWidth={2}
+                                        />
+                                    </button>
+
                                     {/* New Document */}
                                     <button
-                                        onClick={onCreateDocument}
+                                        onClick={() => onCreateDocument?.()}
                                         className={cn(
                                             "w-10 h-10 rounded-xl",
                                             "flex items-center justify-center",
@@ -171,8 +318,13 @@ export function Sidebar({
                                         strokeWidth={2}
                                     />
                                     <input
+                                        ref={searchInputRef}
                                         type="text"
-                                        placeholder="Search"
+                                        placeholder={
+                                            searchScope
+                                                ? `Search in ${searchScope.name}`
+                                                : "Search"
+                                        }
                                         value={searchQuery}
                                         onChange={(e) =>
                                             setSearchQuery(e.target.value)
@@ -184,73 +336,59 @@ export function Sidebar({
                                             "focus:outline-none"
                                         )}
                                     />
+                                    {searchScope && (
+                                        <SearchScopeChip
+                                            name={searchScope.name}
+                                            onClear={() =>
+                                                setSearchScopeId(null)
+                                            }
+                                        />
+                                    )}
                                 </div>
                             </div>
 
                             {/* Document List - larger touch targets */}
                             <div className="flex-1 overflow-y-auto px-2 py-1">
-                                <AnimatePresence mode="popLayout">
-                                    {filteredDocuments.map((doc, index) => (
-                                        <motion.div
-                                            key={doc.id}
-                                            layout
-                                            initial={{ opacity: 0, y: -4 }}
-                                            animate={{ opacity: 1, y: 0 }}
-                                            exit={{ opacity: 0, scale: 0.98 }}
-                                            transition={{
-                                                type: "spring",
-                                                stiffness: 500,
-                                                damping: 30,
-                                                delay: index * 0.02
-                                            }}
-                                        >
-                                            <DocumentItem
-                                                doc={doc}
-                                                isActive={
-                                                    doc.id === activeDocumentId
-                                                }
-                                                isMenuOpen={
-                                                    menuOpenId === doc.id
-                                                }
-                                                isMobile={true}
-                                                onSelect={() => {
-                                                    onSelectDocument(doc.id);
-                                                    onToggleCollapse?.();
-                                                }}
-                                                onMenuToggle={() =>
-                                                    setMenuOpenId(
-                                                        menuOpenId === doc.id
-                                                            ? null
-                                                            : doc.id
-                                                    )
-                                                }
-                                                onDelete={() => {
-                                                    onDeleteDocument(doc.id);
-                                                    setMenuOpenId(null);
-                                                }}
-                                                onDuplicate={() => {
-                                                    onDuplicateDocument(doc.id);
-                                                    setMenuOpenId(null);
-                                                }}
-                                                onRename={(newTitle) => {
-                                                    onRenameDocument(
-                                                        doc.id,
-                                                        newTitle
-                                                    );
-                                                    setMenuOpenId(null);
-                                                }}
-                                            />
-                                        </motion.div>
-                                    ))}
-                                </AnimatePresence>
-
-                                {filteredDocuments.length === 0 && (
-                                    <div className="text-center py-8 text-[#91918e] text-sm">
-                                        {searchQuery
-                                            ? "No results"
-                                            : "No pages yet"}
-                                    </div>
+                                {isTrashOpen && <TrashView trash={trashView} />}
+
+                                {searchResults && (
+                                    <SearchResults
+                                        results={searchResults}
+                                        activeDocumentId={activeDocumentId}
+                                        isMobile={true}
+                                        onOpen={(documentId, blockId) => {
+                                            onOpenSearchResult?.(
+                                                documentId,
+                                                blockId
+                                            );
+                                            onToggleCollapse?.();
+                                        }}
+                                    />
+                                )}
+
+                                {!searchResults && !isTrashOpen && (
+                                    <DocumentTree tree={tree} />
                                 )}
+
+                                {!isTrashOpen &&
+                                    (searchResults || documents).length ===
+                                        0 && (
+                                        <div className="text-center py-8 text-[#91918e] text-sm">
+                                            {searchQuery
+                                                ? "No results"
+                                                : "No pages yet"}
+                                        </div>
+                                    )}
+                            </div>
+
+                            {/* Trash */}
+                            <div className="px-2 pb-2">
+                                <TrashButton
+                                    count={trash.length}
+                                    isOpen={isTrashOpen}
+                                    isMobile={true}
+                                    onClick={() => setIsTrashOpen(!isTrashOpen)}
+                                />
                             </div>
 
                             {/* Footer - Save status */}
@@ -314,9 +452,24 @@ export function Sidebar({
                 </span>
 
                 <div className="flex items-center gap-0.5">
+                    {/* New Folder */}
+                    <button
+                        onClick={() => handleCreateGroup()}
+                        className={cn(
+                            "w-6 h-6 rounded",
+                            "flex items-center justify-center",
+                            "text-[#91918e] hover:text-[#37352f]",
+                            "hover:bg-[#ebebea]",
+                            "transition-colors duration-100"
+                        )}
+                        title="New folder"
+                    >
+                        <FolderPlus className="w-4 h-4" strokeWidth={2} />
+                    </button>
+
                     {/* New Document */}
                     <button
-                        onClick={onCreateDocument}
+                        onClick={() => onCreateDocument?.()}
                         className={cn(
                             "w-6 h-6 rounded",
                             "flex items-center justify-center",
@@ -365,8 +518,13 @@ export function Sidebar({
                         strokeWidth={2}
                     />
                     <input
+                        ref={searchInputRef}
                         type="text"
-                        placeholder="Search"
+                        placeholder={
+                            searchScope
+                                ? `Search in ${searchScope.name}`
+                                : "Search"
+                        }
                         value={searchQuery}
                         onChange={(e) => setSearchQuery(e.target.value)}
                         className={cn(
@@ -376,60 +534,45 @@ export function Sidebar({
                             "focus:outline-none"
                         )}
                     />
+                    {searchScope && (
+                        <SearchScopeChip
+                            name={searchScope.name}
+                            onClear={() => setSearchScopeId(null)}
+                        />
+                    )}
                 </div>
             </div>
 
             {/* Document List */}
             <div className="flex-1 overflow-y-auto px-1 py-1">
-                <AnimatePresence mode="popLayout">
-                    {filteredDocuments.map((doc, index) => (
-                        <motion.div
-                            key={doc.id}
-                            layout
-                            initial={{ opacity: 0, y: -4 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            exit={{ opacity: 0, scale: 0.98 }}
-                            transition={{
-                                type: "spring",
-                                stiffness: 500,
-                                damping: 30,
-                                delay: index * 0.02
-                            }}
-                        >
-                            <DocumentItem
-                                doc={doc}
-                                isActive={doc.id === activeDocumentId}
-                                isMenuOpen={menuOpenId === doc.id}
-                                onSelect={() => onSelectDocument(doc.id)}
-                                onMenuToggle={() =>
-                                    setMenuOpenId(
-                                        menuOpenId === doc.id ? null : doc.id
-                                    )
-                                }
-                                onDelete={() => {
-                                    onDeleteDocument(doc.id);
-                                    setMenuOpenId(null);
-                                }}
-                                onDuplicate={() => {
-                                    onDuplicateDocument(doc.id);
-                                    setMenuOpenId(null);
-                                }}
-                                onRename={(newTitle) => {
-                                    onRenameDocument(doc.id, newTitle);
-                                    setMenuOpenId(null);
-                                }}
-                            />
-                        </motion.div>
-                    ))}
-                </AnimatePresence>
+                {isTrashOpen && <TrashView trash={trashView} />}
+
+                {searchResults && (
+                    <SearchResults
+                        results={searchResults}
+                        activeDocumentId={activeDocumentId}
+                        onOpen={onOpenSearchResult}
+                    />
+                )}
 
-                {filteredDocuments.length === 0 && (
+                {!searchResults && !isTrashOpen && <DocumentTree tree={tree} />}
+
+                {!isTrashOpen && (searchResults || documents).length === 0 && (
                     <div className="text-center py-8 text-[#91918e] text-[13px]">
                         {searchQuery ? "No results" : "No pages yet"}
                     </div>
                 )}
             </div>
 
+            {/* Trash */}
+            <div className="px-1 pb-1">
+                <TrashButton
+                    count={trash.length}
+                    isOpen={isTrashOpen}
+                    onClick={() => setIsTrashOpen(!isTrashOpen)}
+                />
+            </div>
+
             {/* Footer - Save status */}
             <div className="px-3 py-2 border-t border-[#e8e8e6]">
                 <div className="flex items-center gap-1.5 text-[11px] text-[#91918e]">
@@ -458,21 +601,602 @@ export function Sidebar({
     );
 }
 
+/**
+ * Top-level pages of a group (null for the top level), in list order
+ * Sub-pages are listed under their parent page instead
+ */
+function getGroupDocuments(tree, groupId) {
+    return tree.documents.filter(
+        (doc) =>
+            getDocumentGroupId(doc, tree.groups) === groupId &&
+            getParentPageId(doc, tree.documents) === null
+    );
+}
+
+/**
+ * Read the dragged document or group from a drag event
+ */
+function getDragItem(e) {
+    const { types } = e.dataTransfer;
+    if (types.includes(DOCUMENT_DRAG_TYPE)) {
+        return {
+            type: "document",
+            id: e.dataTransfer.getData(DOCUMENT_DRAG_TYPE)
+        };
+    }
+    if (types.includes(GROUP_DRAG_TYPE)) {
+        return { type: "group", id: e.dataTransfer.getData(GROUP_DRAG_TYPE) };
+    }
+    return null;
+}
+
+/**
+ * DocumentTree - Groups (folders) followed by top-level documents
+ * Dropping on empty space moves a document or group to the top level
+ */
+function DocumentTree({ tree }) {
+    const [isDropTarget, setIsDropTarget] = useState(false);
+
+    const handleDragOver = (e) => {
+        if (!getDragItem(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        setIsDropTarget(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+            setIsDropTarget(false);
+        }
+    };
+
+    const handleDrop = (e) => {
+        const item = getDragItem(e);
+        setIsDropTarget(false);
+        if (!item) return;
+        e.preventDefault();
+
+        if (item.type === "document") {
+            tree.onMoveDocument?.(item.id, null);
+        } else {
+            tree.onMoveGroup?.(item.id, null, Infinity);
+        }
+    };
+
+    return (
+        <div
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+            className={cn(
+                "min-h-full pb-6 rounded",
+                isDropTarget && "bg-[#f1f1ef]"
+            )}
+        >
+            {getChildGroups(tree.groups, null).map((group) => (
+                <GroupItem key={group.id} group={group} depth={0} tree={tree} />
+            ))}
+            <DocumentList
+                documents={getGroupDocuments(tree, null)}
+                depth={0}
+                tree={tree}
+            />
+        </div>
+    );
+}
+
+/**
+ * DocumentList - Animated document rows at one level of the tree
+ * Expanded pages list their sub-pages below them
+ */
+function DocumentList({ documents, depth, tree }) {
+    return (
+        <AnimatePresence mode="popLayout">
+            {documents.map((doc, index) => {
+                const subPages = getChildPages(tree.documents, doc.id);
+                const isExpanded = tree.expandedPageIds.includes(doc.id);
+
+                return (
+                    <motion.div
+                        key={doc.id}
+                        layout
+                        initial={{ opacity: 0, y: -4 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, scale: 0.98 }}
+                        transition={{
+                            type: "spring",
+                            stiffness: 500,
+                            damping: 30,
+                            delay: index * 0.02
+                        }}
+                    >
+                        <DocumentItem
+                            doc={doc}
+                            depth={depth}
+                            groups={tree.groups}
+                            isActive={doc.id === tree.activeDocumentId}
+                            isMenuOpen={tree.menuOpenId === doc.id}
+                            isMobile={tree.isMobile}
+                            onSelect={() => tree.onSelectDocument(doc.id)}
+                            onMenuToggle={() => tree.onMenuToggle(doc.id)}
+                            onDelete={() => {
+                                tree.onDeleteDocument(doc.id);
+                                tree.onMenuClose();
+                            }}
+                            onDuplicate={() => {
+                                tree.onDuplicateDocument(doc.id);
+                                tree.onMenuClose();
+                            }}
+                            onRename={(newTitle) => {
+                                tree.onRenameDocument(doc.id, newTitle);
+                                tree.onMenuClose();
+                            }}
+                            onMove={(groupId) => {
+                                tree.onMoveDocument?.(doc.id, groupId);
+                                tree.onMenuClose();
+                            }}
+                            hasSubPages={subPages.length > 0}
+                            isExpanded={isExpanded}
+                            onToggleExpand={() => tree.onTogglePage(doc.id)}
+                        />
+                        {isExpanded && subPages.length > 0 && (
+                            <DocumentList
+                                documents={subPages}
+                                depth={depth + 1}
+                                tree={tree}
+                            />
+                        )}
+                    </motion.div>
+                );
+            })}
+        </AnimatePresence>
+    );
+}
+
+/**
+ * GroupItem - Collapsible folder with its sub-groups and documents
+ * Documents dropped on a group move into it; groups dropped on the top or
+ * bottom edge of the row are placed before/after it, otherwise inside
+ */
+function GroupItem({ group, depth, tree }) {
+    const [isEditing, setIsEditing] = useState(tree.newGroupId === group.id);
+    const [editValue, setEditValue] = useState(group.name);
+    const [isPickingGroup, setIsPickingGroup] = useState(false);
+    const [dropPosition, setDropPosition] = useState(null); // before | inside | after
+    const rowRef = useRef(null);
+    const inputRef = useCallback((node) => {
+        if (node) {
+            node.focus();
+            node.select();
+        }
+    }, []);
+
+    const isMenuOpen = tree.menuOpenId === group.id;
+    const childGroups = getChildGroups(tree.groups, group.id);
+    const documents = getGroupDocuments(tree, group.id);
+    const isEmpty = childGroups.length === 0 && documents.length === 0;
+
+    const closeMenu = () => {
+        setIsPickingGroup(false);
+        tree.onMenuClose();
+    };
+
+    const handleSave = () => {
+        const newName = editValue.trim() || "Untitled folder";
+        if (newName !== group.name) {
+            tree.onUpdateGroup?.(group.id, { name: newName });
+        }
+        setIsEditing(false);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            handleSave();
+        } else if (e.key === "Escape") {
+            setEditValue(group.name);
+            setIsEditing(false);
+        }
+    };
+
+    const toggleCollapsed = () => {
+        tree.onUpdateGroup?.(group.id, { collapsed: !group.collapsed });
+    };
+
+    const handleDragStart = (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData(GROUP_DRAG_TYPE, group.id);
+        e.dataTransfer.effectAllowed = "move";
+    };
+
+    const handleDragOver = (e) => {
+        const { types } = e.dataTransfer;
+        const isGroup = types.includes(GROUP_DRAG_TYPE);
+        if (!isGroup && !types.includes(DOCUMENT_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = "move";
+
+        let position = "inside";
+        if (isGroup && rowRef.current.contains(e.target)) {
+            const rect = rowRef.current.getBoundingClientRect();
+            const ratio = (e.clientY - rect.top) / rect.height;
+            if (ratio < 0.25) position = "before";
+            else if (ratio > 0.75) position = "after";
+        }
+        setDropPosition(position);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+            setDropPosition(null);
+        }
+    };
+
+    const handleDrop = (e) => {
+        const item = getDragItem(e);
+        const position = dropPosition;
+        setDropPosition(null);
+        if (!item) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (item.type === "document") {
+            tree.onMoveDocument?.(item.id, group.id);
+            return;
+        }
+        if (item.id === group.id) return;
+
+        if (position === "inside") {
+            tree.onMoveGroup?.(item.id, group.id, Infinity);
+        } else {
+            const parentId = group.parentId ?? null;
+            const siblings = getChildGroups(tree.groups, parentId).filter(
+                (g) => g.id !== item.id
+            );
+            const index = siblings.findIndex((g) => g.id === group.id);
+            tree.onMoveGroup?.(
+                item.id,
+                parentId,
+                position === "after" ? index + 1 : index
+            );
+        }
+    };
+
+    // Groups this one can't move into: itself and its sub-groups
+    const excludedGroupIds = getDescendantGroupIds(tree.groups, group.id);
+    const FolderIcon = group.collapsed ? Folder : FolderOpen;
+
+    return (
+        <div
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+        >
+            <div
+                ref={rowRef}
+                draggable={!isEditing && !tree.isMobile}
+                onDragStart={handleDragStart}
+                onClick={!isEditing ? toggleCollapsed : undefined}
+                onContextMenu={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    tree.onMenuToggle(group.id);
+                }}
+                className={cn(
+                    "group relative",
+                    "flex items-center gap-1.5",
+                    "pr-2 py-1 mx-1 rounded",
+                    "cursor-pointer select-none",
+                    "transition-colors duration-75",
+                    dropPosition === "inside"
+                        ? "bg-[#e8f1fb] ring-1 ring-[#2383e2]/40"
+                        : "hover:bg-[#f1f1ef]"
+                )}
+                style={{ paddingLeft: 4 + depth * 16 }}
+            >
+                {/* Drop indicator for reordering */}
+                {(dropPosition === "before" || dropPosition === "after") && (
+                    <div
+                        className={cn(
+                            "absolute left-1 right-1 h-0.5 bg-[#2383e2] rounded-full",
+                            dropPosition === "before" ? "-top-px" : "-bottom-px"
+                        )}
+                    />
+                )}
+
+                <ChevronRight
+                    className={cn(
+                        "w-3.5 h-3.5 shrink-0 text-[#91918e]",
+                        "transition-transform duration-100",
+                        !group.collapsed && "rotate-90"
+                    )}
+                    strokeWidth={2}
+                />
+                <FolderIcon
+                    className="w-4 h-4 shrink-0 text-[#91918e]"
+                    strokeWidth={1.5}
+                />
+
+                {/* Name - editable on double-click */}
+                {isEditing ? (
+                    <input
+                        ref={inputRef}
+                        type="text"
+                        value={editValue}
+                        onChange={(e) => setEditValue(e.target.value)}
+                        onBlur={handleSave}
+                        onKeyDown={handleKeyDown}
+                        onClick={(e) => e.stopPropagation()}
+                        className={cn(
+                            "flex-1 text-[14px] min-w-0",
+                            "bg-white border border-[#2383e2] rounded px-1",
+                            "text-[#37352f] font-medium",
+                            "focus:outline-none"
+                        )}
+                    />
+                ) : (
+                    <span
+                        onDoubleClick={(e) => {
+                            e.stopPropagation();
+                            setEditValue(group.name);
+                            setIsEditing(true);
+                        }}
+                        className="flex-1 text-[14px] text-[#37352f] font-medium truncate"
+                    >
+                        {group.name}
+                    </span>
+                )}
+
+                {/* Context Menu Button */}
+                <div data-doc-menu className="relative">
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            setIsPickingGroup(false);
+                            tree.onMenuToggle(group.id);
+                        }}
+                        className={cn(
+                            "w-5 h-5 rounded",
+                            "flex items-center justify-center",
+                            "opacity-0 group-hover:opacity-100",
+                            "transition-opacity duration-75",
+                            "hover:bg-[#dfdeda]",
+                            isMenuOpen && "opacity-100 bg-[#dfdeda]"
+                        )}
+                    >
+                        <MoreHorizontal
+                            className="w-4 h-4 text-[#91918e]"
+                            strokeWidth={2}
+                        />
+                    </button>
+
+                    {/* Dropdown Menu */}
+                    <AnimatePresence>
+                        {isMenuOpen && (
+                            <motion.div
+                                initial={{ opacity: 0, scale: 0.95, y: -4 }}
+                                animate={{ opacity: 1, scale: 1, y: 0 }}
+                                exit={{ opacity: 0, scale: 0.95, y: -4 }}
+                                transition={{ duration: 0.1 }}
+                                onClick={(e) => e.stopPropagation()}
+                                className={cn(
+                                    "absolute right-0 top-full mt-1 z-50",
+                                    "w-48 py-1",
+                                    "bg-white",
+                                    "rounded-lg shadow-lg",
+                                    "border border-[#e8e8e6]"
+                                )}
+                            >
+                                {isPickingGroup ? (
+                                    <GroupPicker
+                                        groups={tree.groups}
+                                        currentGroupId={group.parentId ?? null}
+                                        excludedGroupIds={excludedGroupIds}
+                                        onSelect={(parentId) => {
+                                            tree.onMoveGroup?.(
+                                                group.id,
+                                                parentId,
+                                                Infinity
+                                            );
+                                            closeMenu();
+                                        }}
+                                    />
+                                ) : (
+                                    <>
+                                        <MenuItem
+                                            icon={Plus}
+                                            label="New page"
+                                            onClick={() => {
+                                                tree.onCreateDocument(group.id);
+                                                if (group.collapsed) {
+                                                    toggleCollapsed();
+                                                }
+                                                closeMenu();
+                                            }}
+                                        />
+                                        <MenuItem
+                                            icon={FolderPlus}
+                                            label="New folder"
+                                            onClick={() => {
+                                                tree.onCreateGroup(group.id);
+                                                closeMenu();
+                                            }}
+                                        />
+                                        <MenuItem
+                                            icon={Search}
+                                            label="Search in folder"
+                                            onClick={() => {
+                                                tree.onSearchInGroup(group.id);
+                                                closeMenu();
+                                            }}
+                                        />
+                                        <div className="my-1 border-t border-[#e8e8e6]" />
+                                        <MenuItem
+                                            icon={PenLine}
+                                            label="Rename"
+                                            onClick={() => {
+                                                setEditValue(group.name);
+                                                setIsEditing(true);
+                                                closeMenu();
+                                            }}
+                                        />
+                                        <MenuItem
+                                            icon={FolderInput}
+                                            label="Move to"
+                                            onClick={() =>
+                                                setIsPickingGroup(true)
+                                            }
+                                        />
+                                        <div className="my-1 border-t border-[#e8e8e6]" />
+                                        <MenuItem
+                                            icon={Trash2}
+                                            label="Delete folder"
+                                            danger
+                                            onClick={() => {
+                                                tree.onDeleteGroup?.(group.id);
+                                                closeMenu();
+                                            }}
+                                        />
+                                    </>
+                                )}
+                            </motion.div>
+                        )}
+                    </AnimatePresence>
+                </div>
+            </div>
+
+            {/* Contents */}
+            {!group.collapsed && (
+                <>
+                    {childGroups.map((child) => (
+                        <GroupItem
+                            key={child.id}
+                            group={child}
+                            depth={depth + 1}
+                            tree={tree}
+                        />
+                    ))}
+                    <DocumentList
+                        documents={documents}
+                        depth={depth + 1}
+                        tree={tree}
+                    />
+                    {isEmpty && (
+                        <div
+                            className="py-1 text-[12px] text-[#91918e]"
+                            style={{ paddingLeft: 30 + (depth + 1) * 16 }}
+                        >
+                            Empty
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * GroupPicker - Menu list of groups to move an item into
+ */
+function GroupPicker({
+    groups,
+    currentGroupId,
+    excludedGroupIds = new Set(),
+    onSelect
+}) {
+    const options = [
+        { id: null, name: "Top level", depth: 0 },
+        ...flattenGroups(groups)
+            .filter(({ group }) => !excludedGroupIds.has(group.id))
+            .map(({ group, depth }) => ({
+                id: group.id,
+                name: group.name,
+                depth: depth + 1
+            }))
+    ];
+
+    return (
+        <div className="max-h-64 overflow-y-auto">
+            <div className="px-3 py-1 text-[11px] font-medium text-[#91918e] uppercase tracking-wider">
+                Move to
+            </div>
+            {options.map((option) => (
+                <button
+                    key={option.id ?? "top-level"}
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onSelect(option.id);
+                    }}
+                    className={cn(
+                        "w-full flex items-center gap-2 pr-3 py-1.5",
+                        "text-[13px] text-left text-[#37352f]",
+                        "hover:bg-[#f1f1ef] transition-colors duration-75"
+                    )}
+                    style={{ paddingLeft: 12 + option.depth * 12 }}
+                >
+                    {option.id ? (
+                        <Folder
+                            className="w-4 h-4 shrink-0"
+                            strokeWidth={1.5}
+                        />
+                    ) : (
+                        <FileText
+                            className="w-4 h-4 shrink-0"
+                            strokeWidth={1.5}
+                        />
+                    )}
+                    <span className="flex-1 truncate">{option.name}</span>
+                    {option.id === currentGroupId && (
+                        <Check className="w-3.5 h-3.5 shrink-0 text-[#2383e2]" />
+                    )}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * SearchScopeChip - Shows the group a search is limited to
+ */
+function SearchScopeChip({ name, onClear }) {
+    return (
+        <span className="flex items-center gap-0.5 max-w-[45%] mr-1 pl-1.5 pr-0.5 rounded bg-white text-[11px] text-[#37352f] shrink-0">
+            <span className="truncate">{name}</span>
+            <button
+                onClick={onClear}
+                className="p-0.5 rounded text-[#91918e] hover:text-[#37352f]"
+                title="Search all documents"
+            >
+                <X className="w-3 h-3" strokeWidth={2} />
+            </button>
+        </span>
+    );
+}
+
 /**
  * DocumentItem - Notion-style document row with inline rename
  */
 function DocumentItem({
     doc,
+    depth = 0,
+    groups = [],
     isActive,
     isMenuOpen,
+    isMobile,
     onSelect,
     onMenuToggle,
     onDelete,
     onDuplicate,
-    onRename
+    onRename,
+    onMove,
+    hasSubPages = false,
+    isExpanded = false,
+    onToggleExpand
 }) {
     const [isEditing, setIsEditing] = useState(false);
     const [editValue, setEditValue] = useState(doc.title || "");
+    const [isPickingGroup, setIsPickingGroup] = useState(false);
     const inputRef = useCallback((node) => {
         if (node) {
             node.focus();
@@ -508,30 +1232,71 @@ function DocumentItem({
     const handleContextMenu = (e) => {
         e.preventDefault();
         e.stopPropagation();
+        setIsPickingGroup(false);
         onMenuToggle();
     };
 
+    // Drag onto a folder to move the document into it
+    const handleDragStart = (e) => {
+        e.dataTransfer.setData(DOCUMENT_DRAG_TYPE, doc.id);
+        e.dataTransfer.effectAllowed = "move";
+    };
+
     return (
         <div
+            draggable={!isEditing && !isMobile}
+            onDragStart={handleDragStart}
             onClick={!isEditing ? onSelect : undefined}
             onContextMenu={handleContextMenu}
             className={cn(
                 "group relative",
                 "flex items-center gap-2",
-                "px-2 py-1 mx-1 rounded",
+                "pr-2 py-1 mx-1 rounded",
                 "cursor-pointer select-none",
                 "transition-colors duration-75",
                 isActive ? "bg-[#ebebea]" : "hover:bg-[#f1f1ef]"
             )}
+            style={{ paddingLeft: 8 + depth * 16 }}
         >
-            {/* Document Icon */}
-            <FileText
-                className={cn(
-                    "w-4 h-4 shrink-0",
-                    isActive ? "text-[#37352f]" : "text-[#91918e]"
-                )}
-                strokeWidth={1.5}
-            />
+            {/* Document Icon - toggles sub-pages on hover */}
+            {hasSubPages ? (
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onToggleExpand();
+                    }}
+                    className={cn(
+                        "w-4 h-4 shrink-0 rounded",
+                        "flex items-center justify-center",
+                        "hover:bg-[#dfdeda]"
+                    )}
+                    title={isExpanded ? "Hide sub-pages" : "Show sub-pages"}
+                >
+                    <FileText
+                        className={cn(
+                            "w-4 h-4 group-hover:hidden",
+                            isActive ? "text-[#37352f]" : "text-[#91918e]"
+                        )}
+                        strokeWidth={1.5}
+                    />
+                    <ChevronRight
+                        className={cn(
+                            "w-3.5 h-3.5 text-[#91918e] hidden group-hover:block",
+                            "transition-transform duration-150",
+                            isExpanded && "rotate-90"
+                        )}
+                        strokeWidth={2}
+                    />
+                </button>
+            ) : (
+                <FileText
+                    className={cn(
+                        "w-4 h-4 shrink-0",
+                        isActive ? "text-[#37352f]" : "text-[#91918e]"
+                    )}
+                    strokeWidth={1.5}
+                />
+            )}
 
             {/* Title - editable on double-click */}
             {isEditing ? (
@@ -569,6 +1334,7 @@ function DocumentItem({
                 <button
                     onClick={(e) => {
                         e.stopPropagation();
+                        setIsPickingGroup(false);
                         onMenuToggle();
                     }}
                     className={cn(
@@ -596,38 +1362,62 @@ function DocumentItem({
                             transition={{ duration: 0.1 }}
                             className={cn(
                                 "absolute right-0 top-full mt-1 z-50",
-                                "w-44 py-1",
+                                "w-48 py-1",
                                 "bg-white",
                                 "rounded-lg shadow-lg",
                                 "border border-[#e8e8e6]"
                             )}
                         >
-                            <MenuItem
-                                icon={PenLine}
-                                label="Rename"
-                                onClick={(e) => {
-                                    e.stopPropagation();
-                                    onRename();
-                                }}
-                            />
-                            <MenuItem
-                                icon={Copy}
-                                label="Duplicate"
-                                onClick={(e) => {
-                                    e.stopPropagation();
-                                    onDuplicate();
-                                }}
-                            />
-                            <div className="my-1 border-t border-[#e8e8e6]" />
-                            <MenuItem
-                                icon={Trash2}
-                                label="Delete"
-                                danger
-                                onClick={(e) => {
-                                    e.stopPropagation();
-                                    onDelete();
-                                }}
-                            />
+                            {isPickingGroup ? (
+                                <GroupPicker
+                                    groups={groups}
+                                    currentGroupId={getDocumentGroupId(
+                                        doc,
+                                        groups
+                                    )}
+                                    onSelect={(groupId) => {
+                                        setIsPickingGroup(false);
+                                        onMove(groupId);
+                                    }}
+                                />
+                            ) : (
+                                <>
+                                    <MenuItem
+                                        icon={PenLine}
+                                        label="Rename"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onRename();
+                                        }}
+                                    />
+                                    <MenuItem
+                                        icon={Copy}
+                                        label="Duplicate"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onDuplicate();
+                                        }}
+                                    />
+                                    <MenuItem
+                                        icon={FolderInput}
+                                        label="Move to"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setIsPickingGroup(true);
+                                        }}
+                                    />
+                                    <div className="my-1 border-t border-[#e8e8e6]" />
+                                    <MenuItem
+                                        icon={Trash2}
+                                        label="Move to Trash"
+                                        danger
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onDelete();
+                                        }}
+                                    />
+                                </>
+                            )}
                         </motion.div>
                     )}
                 </AnimatePresence>
@@ -636,6 +1426,227 @@ function DocumentItem({
     );
 }
 
+/**
+ * SearchResults - Ranked full-text matches with highlighted snippets
+ */
+function SearchResults({ results, activeDocumentId, isMobile, onOpen }) {
+    return (
+        <div className="space-y-0.5">
+            {results.map((result) => (
+                <button
+                    key={result.documentId}
+                    onClick={() => onOpen?.(result.documentId, result.blockId)}
+                    className={cn(
+                        "w-full flex items-start gap-2 px-2 mx-1 rounded text-left",
+                        isMobile ? "py-2.5" : "py-1.5",
+                        "transition-colors duration-75",
+                        result.documentId === activeDocumentId
+                            ? "bg-[#ebebea]"
+                            : "hover:bg-[#f1f1ef]"
+                    )}
+                    style={{ width: "calc(100% - 8px)" }}
+                >
+                    <FileText
+                        className="w-4 h-4 mt-0.5 shrink-0 text-[#91918e]"
+                        strokeWidth={1.5}
+                    />
+                    <div className="flex-1 min-w-0">
+                        <div className="text-[14px] text-[#37352f] truncate">
+                            <HighlightedText parts={result.titleParts} />
+                        </div>
+                        {result.snippet && (
+                            <div className="text-[12px] leading-snug text-[#91918e] line-clamp-2 break-words">
+                                <HighlightedText parts={result.snippet} />
+                            </div>
+                        )}
+                    </div>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Short "deleted ... ago" label for a trashed document
+ */
+function formatDeletedAt(deletedAt) {
+    const days = Math.floor(
+        (Date.now() - new Date(deletedAt).getTime()) / 86400000
+    );
+    if (days < 1) return "Deleted today";
+    if (days === 1) return "Deleted yesterday";
+    return `Deleted ${days} days ago`;
+}
+
+/**
+ * TrashButton - Opens and closes the trash view
+ */
+function TrashButton({ count, isOpen, isMobile, onClick }) {
+    return (
+        <button
+            onClick={onClick}
+            className={cn(
+                "w-full flex items-center gap-2 px-2 rounded text-left",
+                isMobile ? "py-2.5" : "py-1",
+                "text-[14px] text-[#37352f]",
+                "transition-colors duration-75",
+                isOpen ? "bg-[#ebebea]" : "hover:bg-[#f1f1ef]"
+            )}
+        >
+            <Trash2 className="w-4 h-4 text-[#91918e]" strokeWidth={1.5} />
+            <span className="flex-1">Trash</span>
+            {count > 0 && (
+                <span className="text-[12px] text-[#91918e]">{count}</span>
+            )}
+        </button>
+    );
+}
+
+/**
+ * TrashView - Deleted documents with restore and permanent-delete actions
+ */
+function TrashView({ trash }) {
+    return (
+        <div className="pb-6">
+            {/* Header */}
+            <div className="flex items-center gap-1 px-1 pb-1">
+                <button
+                    onClick={trash.onClose}
+                    className={cn(
+                        "w-6 h-6 rounded",
+                        "flex items-center justify-center",
+                        "text-[#91918e] hover:text-[#37352f]",
+                        "hover:bg-[#ebebea]",
+                        "transition-colors duration-100"
+                    )}
+                    title="Back to pages"
+                >
+                    <ArrowLeft className="w-4 h-4" strokeWidth={2} />
+                </button>
+                <span className="flex-1 text-[13px] font-medium text-[#37352f]">
+                    Trash
+                </span>
+                {trash.totalCount > 0 && (
+                    <button
+                        onClick={trash.onEmpty}
+                        className={cn(
+                            "px-1.5 py-0.5 rounded",
+                            "text-[12px] text-[#eb5757]",
+                            "hover:bg-[#eb5757]/10",
+                            "transition-colors duration-100"
+                        )}
+                    >
+                        Empty trash
+                    </button>
+                )}
+            </div>
+
+            {/* Deleted documents */}
+            <div className="space-y-0.5">
+                {trash.documents.map((doc) => (
+                    <div
+                        key={doc.id}
+                        className={cn(
+                            "group flex items-center gap-2 px-2 mx-1 rounded",
+                            trash.isMobile ? "py-2.5" : "py-1.5",
+                            "hover:bg-[#f1f1ef]",
+                            "transition-colors duration-75"
+                        )}
+                    >
+                        <FileText
+                            className="w-4 h-4 shrink-0 text-[#91918e]"
+                            strokeWidth={1.5}
+                        />
+                        <div className="flex-1 min-w-0">
+                            <div className="text-[14px] text-[#37352f] truncate">
+                                {doc.title || "Untitled"}
+                            </div>
+                            <div className="text-[12px] text-[#91918e]">
+                                {formatDeletedAt(doc.deletedAt)}
+                            </div>
+                        </div>
+                        <div
+                            className={cn(
+                                "flex items-center gap-0.5",
+                                !trash.isMobile &&
+                                    "opacity-0 group-hover:opacity-100",
+                                "transition-opacity duration-75"
+                            )}
+                        >
+                            <button
+                                onClick={() => trash.onRestore?.(doc.id)}
+                                className="w-6 h-6 rounded flex items-center justify-center text-[#91918e] hover:text-[#37352f] hover:bg-[#dfdeda]"
+                                title="Restore"
+                            >
+                                <RotateCcw
+                                    className="w-3.5 h-3.5"
+                                    strokeWidth={2}
+                                />
+                            </button>
+                            <button
+                                onClick={() => trash.onDelete?.(doc.id)}
+                                className="w-6 h-6 rounded flex items-center justify-center text-[#91918e] hover:text-[#eb5757] hover:bg-[#eb5757]/10"
+                                title="Delete forever"
+                            >
+                                <Trash2
+                                    className="w-3.5 h-3.5"
+                                    strokeWidth={2}
+                                />
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {trash.documents.length === 0 && (
+                <div className="text-center py-8 text-[#91918e] text-[13px]">
+                    {trash.totalCount > 0 ? "No results" : "Trash is empty"}
+                </div>
+            )}
+
+            {/* Retention */}
+            <label className="flex items-center justify-between gap-2 mt-2 px-3 text-[12px] text-[#91918e]">
+                Delete after
+                <select
+                    value={trash.retentionDays}
+                    onChange={(e) =>
+                        trash.onRetentionChange?.(Number(e.target.value))
+                    }
+                    className={cn(
+                        "px-1 py-0.5 rounded",
+                        "bg-[#f1f1ef] text-[#37352f]",
+                        "focus:outline-none"
+                    )}
+                >
+                    {TRASH_RETENTION_OPTIONS.map((option) => (
+                        <option key={option.days} value={option.days}>
+                            {option.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+        </div>
+    );
+}
+
+/**
+ * HighlightedText - Text parts with the matched ones marked
+ */
+function HighlightedText({ parts }) {
+    return parts.map((part, index) =>
+        part.isMatch ? (
+            <mark
+                key={index}
+                className="bg-[#fbeec4] text-[#37352f] rounded-sm"
+            >
+                {part.text}
+            </mark>
+        ) : (
+            <span key={index}>{part.text}</span>
+        )
+    );
+}
+
 /**
  * MenuItem - Notion-style dropdown menu item
  */
@@ -10,26 +10,36 @@ import {
     Copy,
     Download,
     Clipboard,
+    History,
+    MessageSquare,
+    ChevronRight,
     FileText as FileTextIcon
 } from "lucide-react";
 import { cn } from "../../utils/cn";
+import { LINK_PREVIEW_PROVIDERS } from "../../services/linkMetadata";
 
 /**
  * TopBar - Apple-style header with centered title
  */
 export function TopBar({
     title = "Untitled",
+    breadcrumbs = [],
     createdAt,
     updatedAt,
     isSidebarVisible = true,
     onToggleSidebar,
     onRename,
+    onNavigate,
     onNewDocument,
     onDelete,
     onDuplicate,
+    onOpenHistory,
+    onOpenComments,
     onExportDownload,
     onExportCopyMarkdown,
-    onExportCopyPlainText
+    onExportCopyPlainText,
+    linkPreviewSettings,
+    onLinkPreviewSettingsChange
 }) {
     const [isGearOpen, setIsGearOpen] = useState(false);
     const [isShareOpen, setIsShareOpen] = useState(false);
@@ -106,9 +116,34 @@ export function TopBar({
             {/* Left spacer for centering */}
             <div className="w-24" />
 
-            {/* Center - Document Title */}
-            <div className="flex-1 flex items-center justify-center gap-2">
-                <FileText className="w-4 h-4 text-gray-400" strokeWidth={1.5} />
+            {/* Center - Parent pages and document title */}
+            <div className="flex-1 min-w-0 flex items-center justify-center gap-2">
+                <FileText
+                    className="w-4 h-4 shrink-0 text-gray-400"
+                    strokeWidth={1.5}
+                />
+
+                {breadcrumbs.map((page) => (
+                    <div
+                        key={page.id}
+                        className="flex items-center gap-2 min-w-0"
+                    >
+                        <button
+                            onClick={() => onNavigate?.(page.id)}
+                            className={cn(
+                                "text-[15px] text-gray-400 truncate max-w-[160px]",
+                                "hover:text-gray-700",
+                                "transition-colors duration-100"
+                            )}
+                        >
+                            {page.title || "Untitled"}
+                        </button>
+                        <ChevronRight
+                            className="w-3.5 h-3.5 shrink-0 text-gray-300"
+                            strokeWidth={1.5}
+                        />
+                    </div>
+                ))}
 
                 {isEditing ? (
                     <input
@@ -135,7 +170,7 @@ export function TopBar({
                     <button
                         onClick={() => setIsEditing(true)}
                         className={cn(
-                            "text-[15px] text-gray-700 font-medium",
+                            "text-[15px] text-gray-700 font-medium truncate",
                             "hover:text-gray-900",
                             "transition-colors duration-100",
                             "cursor-text"
@@ -218,10 +253,10 @@ export function TopBar({
                                     Document
                                 </div>
 
-                                {/* Delete */}
+                                {/* Move to Trash */}
                                 <MenuItem
                                     icon={Trash2}
-                                    label="Delete"
+                                    label="Move to Trash"
                                     onClick={() => {
                                         onDelete?.();
                                         setIsGearOpen(false);
@@ -238,6 +273,37 @@ export function TopBar({
                                     }}
                                 />
 
+                                {/* Version History */}
+                                <MenuItem
+                                    icon={History}
+                                    label="Version history"
+                                    onClick={() => {
+                                        onOpenHistory?.();
+                                        setIsGearOpen(false);
+                                    }}
+                                />
+
+                                {/* Comments */}
+                                <MenuItem
+                                    icon={MessageSquare}
+                                    label="Comments"
+                                    onClick={() => {
+                                        onOpenComments?.();
+                                        setIsGearOpen(false);
+                                    }}
+                                />
+
+                                {/* Divider */}
+                                <div className="my-1.5 mx-3 border-t border-black/5" />
+
+                                {/* Link preview provider */}
+                                {linkPreviewSettings && (
+                                    <LinkPreviewSettings
+                                        settings={linkPreviewSettings}
+                                        onChange={onLinkPreviewSettingsChange}
+                                    />
+                                )}
+
                                 {/* Divider */}
                                 <div className="my-1.5 mx-3 border-t border-black/5" />
 
@@ -345,6 +411,67 @@ export function TopBar({
 /**
  * MenuItem - Dropdown menu item
  */
+/**
+ * LinkPreviewSettings - Provider used to fetch link previews
+ */
+function LinkPreviewSettings({ settings, onChange }) {
+    const provider =
+        LINK_PREVIEW_PROVIDERS.find((p) => p.id === settings.provider) ||
+        LINK_PREVIEW_PROVIDERS[0];
+
+    // The endpoint is saved when the field loses focus
+    const handleEndpointSave = (e) => {
+        const endpoint = e.target.value.trim();
+        if (endpoint !== settings.endpoint) {
+            onChange?.({ ...settings, endpoint });
+        }
+    };
+
+    return (
+        <div className="px-3 py-1 space-y-1.5">
+            <div className="text-[11px] text-gray-400 uppercase tracking-wide">
+                Link previews
+            </div>
+            <select
+                value={provider.id}
+                onChange={(e) =>
+                    onChange?.({ ...settings, provider: e.target.value })
+                }
+                className={cn(
+                    "w-full px-2 py-1 rounded-md",
+                    "text-[13px] text-gray-700",
+                    "bg-black/5 outline-none"
+                )}
+            >
+                {LINK_PREVIEW_PROVIDERS.map((option) => (
+                    <option key={option.id} value={option.id}>
+                        {option.label}
+                    </option>
+                ))}
+            </select>
+            {provider.id === "custom" && (
+                <input
+                    type="url"
+                    defaultValue={settings.endpoint}
+                    onBlur={handleEndpointSave}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                    }}
+                    placeholder="https://example.com/preview"
+                    className={cn(
+                        "w-full px-2 py-1 rounded-md",
+                        "text-[13px] text-gray-700 placeholder-gray-400",
+                        "bg-black/5 outline-none"
+                    )}
+                />
+            )}
+            <div className="text-[11px] text-gray-400">
+                {provider.description}
+            </div>
+        </div>
+    );
+}
+
 function MenuItem({ icon: Icon, label, onClick }) {
     return (
         <button
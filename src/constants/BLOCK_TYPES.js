@@ -8,10 +8,19 @@ export const BLOCK_TYPES = {
     HEADING_2: "heading2",
     HEADING_3: "heading3",
     TASK: "task",
+    BULLETED_LIST: "bulleted_list",
+    NUMBERED_LIST: "numbered_list",
     QUOTE: "quote",
+    CALLOUT: "callout",
+    TOGGLE: "toggle",
     IMAGE: "image",
     DIVIDER: "divider",
     LINK: "link",
+    CODE: "code",
+    EQUATION: "equation",
+    TABLE: "table",
+    PAGE: "page",
+    TOC: "toc",
     // Advanced block types
     SECTION: "section",
     GALLERY: "gallery",
@@ -53,12 +62,36 @@ export const BLOCK_TYPE_INFO = {
         icon: "CheckSquare",
         shortcut: "[]"
     },
+    [BLOCK_TYPES.BULLETED_LIST]: {
+        label: "Bulleted list",
+        description: "Simple bulleted list",
+        icon: "List",
+        shortcut: "-"
+    },
+    [BLOCK_TYPES.NUMBERED_LIST]: {
+        label: "Numbered list",
+        description: "List with automatic numbering",
+        icon: "ListOrdered",
+        shortcut: "1."
+    },
     [BLOCK_TYPES.QUOTE]: {
         label: "Quote",
         description: "Blockquote",
         icon: "Quote",
         shortcut: ">"
     },
+    [BLOCK_TYPES.CALLOUT]: {
+        label: "Callout",
+        description: "Highlighted note with an icon",
+        icon: "Lightbulb",
+        shortcut: null
+    },
+    [BLOCK_TYPES.TOGGLE]: {
+        label: "Toggle",
+        description: "Collapsible section with nested blocks",
+        icon: "ListCollapse",
+        shortcut: null
+    },
     [BLOCK_TYPES.IMAGE]: {
         label: "Image",
         description: "Embed an image",
@@ -77,6 +110,36 @@ export const BLOCK_TYPE_INFO = {
         icon: "Link",
         shortcut: null
     },
+    [BLOCK_TYPES.CODE]: {
+        label: "Code",
+        description: "Code snippet with syntax highlighting",
+        icon: "Code",
+        shortcut: "```"
+    },
+    [BLOCK_TYPES.EQUATION]: {
+        label: "Equation",
+        description: "Display math written in LaTeX",
+        icon: "Sigma",
+        shortcut: "$$"
+    },
+    [BLOCK_TYPES.TABLE]: {
+        label: "Table",
+        description: "Rows and columns of text",
+        icon: "Table",
+        shortcut: null
+    },
+    [BLOCK_TYPES.PAGE]: {
+        label: "Page",
+        description: "Sub-page nested inside this page",
+        icon: "FileText",
+        shortcut: null
+    },
+    [BLOCK_TYPES.TOC]: {
+        label: "Table of contents",
+        description: "Links to the headings of this page",
+        icon: "TableOfContents",
+        shortcut: null
+    },
     [BLOCK_TYPES.SECTION]: {
         label: "Section",
         description: "Section divider with title",
@@ -112,16 +175,114 @@ export const DEFAULT_BLOCK_PROPERTIES = {
     [BLOCK_TYPES.HEADING_2]: {},
     [BLOCK_TYPES.HEADING_3]: {},
     [BLOCK_TYPES.TASK]: { checked: false },
+    [BLOCK_TYPES.BULLETED_LIST]: {},
+    [BLOCK_TYPES.NUMBERED_LIST]: {},
     [BLOCK_TYPES.QUOTE]: {},
+    [BLOCK_TYPES.CALLOUT]: { variant: "info", icon: null },
+    [BLOCK_TYPES.TOGGLE]: { isOpen: true },
     [BLOCK_TYPES.IMAGE]: { url: "", alt: "", caption: "" },
     [BLOCK_TYPES.DIVIDER]: {},
     [BLOCK_TYPES.LINK]: { url: "", title: "" },
+    [BLOCK_TYPES.CODE]: { language: "plaintext" },
+    [BLOCK_TYPES.EQUATION]: {},
+    [BLOCK_TYPES.TABLE]: { columns: [], rows: [], hasHeader: true },
+    [BLOCK_TYPES.PAGE]: { pageId: null },
+    [BLOCK_TYPES.TOC]: { includeNested: false },
     [BLOCK_TYPES.SECTION]: { title: "" },
     [BLOCK_TYPES.GALLERY]: { images: [], aspectRatio: "portrait" },
     [BLOCK_TYPES.COLUMNS]: { count: 2, widths: [50, 50], gap: 16 },
     [BLOCK_TYPES.TABS]: { tabs: [], activeTabId: null }
 };
 
+/**
+ * Block types whose content is plain text rather than HTML
+ */
+export const PLAIN_TEXT_BLOCK_TYPES = [BLOCK_TYPES.CODE, BLOCK_TYPES.EQUATION];
+
+/**
+ * Block types that form (nestable) list items
+ * Nesting depth is stored in properties.indent
+ */
+export const LIST_BLOCK_TYPES = [
+    BLOCK_TYPES.BULLETED_LIST,
+    BLOCK_TYPES.NUMBERED_LIST,
+    BLOCK_TYPES.TASK
+];
+
+/**
+ * Callout variants, with the GitHub alert each is written as in Markdown
+ */
+export const CALLOUT_VARIANTS = [
+    { id: "info", label: "Info", alert: "NOTE" },
+    { id: "success", label: "Success", alert: "TIP" },
+    { id: "warning", label: "Warning", alert: "WARNING" },
+    { id: "danger", label: "Danger", alert: "CAUTION" }
+];
+
+/**
+ * GitHub alerts read from Markdown mapped to callout variants
+ */
+export const CALLOUT_ALERT_VARIANTS = {
+    NOTE: "info",
+    IMPORTANT: "info",
+    TIP: "success",
+    WARNING: "warning",
+    CAUTION: "danger"
+};
+
+/**
+ * Languages offered by the code block language picker
+ * Ids match Prism grammar names bundled with prism-react-renderer
+ */
+export const CODE_LANGUAGES = [
+    { id: "plaintext", label: "Plain text" },
+    { id: "javascript", label: "JavaScript" },
+    { id: "typescript", label: "TypeScript" },
+    { id: "jsx", label: "JSX" },
+    { id: "tsx", label: "TSX" },
+    { id: "markup", label: "HTML" },
+    { id: "css", label: "CSS" },
+    { id: "json", label: "JSON" },
+    { id: "yaml", label: "YAML" },
+    { id: "markdown", label: "Markdown" },
+    { id: "python", label: "Python" },
+    { id: "go", label: "Go" },
+    { id: "rust", label: "Rust" },
+    { id: "c", label: "C" },
+    { id: "cpp", label: "C++" },
+    { id: "swift", label: "Swift" },
+    { id: "kotlin", label: "Kotlin" },
+    { id: "objectivec", label: "Objective-C" },
+    { id: "sql", label: "SQL" },
+    { id: "graphql", label: "GraphQL" }
+];
+
+/**
+ * Common fence info strings mapped to language picker ids
+ */
+export const CODE_LANGUAGE_ALIASES = {
+    js: "javascript",
+    ts: "typescript",
+    html: "markup",
+    xml: "markup",
+    svg: "markup",
+    yml: "yaml",
+    md: "markdown",
+    py: "python",
+    rs: "rust",
+    "c++": "cpp",
+    objc: "objectivec",
+    kt: "kotlin",
+    text: "plaintext",
+    txt: "plaintext",
+    plain: "plaintext"
+};
+
+/**
+ * Size of a newly inserted table
+ */
+export const DEFAULT_TABLE_SIZE = { rows: 3, columns: 3 };
+
 /**
  * Factory function to create block properties with generated IDs
  * Call this when creating new blocks of these types
@@ -135,5 +296,19 @@ export function createBlockProperties(type) {
         defaultProps.activeTabId = tabId;
     }
 
+    if (type === BLOCK_TYPES.TABLE) {
+        defaultProps.columns = Array.from(
+            { length: DEFAULT_TABLE_SIZE.columns },
+            () => ({ id: crypto.randomUUID(), align: null })
+        );
+        defaultProps.rows = Array.from(
+            { length: DEFAULT_TABLE_SIZE.rows },
+            () => ({
+                id: crypto.randomUUID(),
+                cells: Array(DEFAULT_TABLE_SIZE.columns).fill("")
+            })
+        );
+    }
+
     return defaultProps;
 }
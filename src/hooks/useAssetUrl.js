@@ -0,0 +1,58 @@
+import { useEffect, useState } from "react";
+import * as storage from "../services/documentStorage";
+import { getAssetId } from "../utils/assets";
+
+// Object URLs of loaded assets, shared by every image showing them. They
+// live for the session: assets are immutable and mostly shown again.
+const objectUrls = new Map();
+const pendingLoads = new Map();
+
+/**
+ * Load an asset and create its object URL (null when it's missing)
+ */
+function loadObjectUrl(assetId) {
+    if (!pendingLoads.has(assetId)) {
+        const load = storage
+            .getAsset(assetId)
+            .then((blob) => (blob ? URL.createObjectURL(blob) : null))
+            .catch((error) => {
+                console.error("Failed to load image:", error);
+                return null;
+            })
+            .then((url) => {
+                objectUrls.set(assetId, url);
+                pendingLoads.delete(assetId);
+                return url;
+            });
+        pendingLoads.set(assetId, load);
+    }
+    return pendingLoads.get(assetId);
+}
+
+/**
+ * useAssetUrl - URL an <img> can show for a stored image URL
+ * Regular URLs are returned as they are. Uploaded images ("asset:<id>")
+ * resolve to an object URL; undefined while loading. A missing asset
+ * keeps its stored URL so the image fails to load and shows its error.
+ */
+export function useAssetUrl(url) {
+    const assetId = getAssetId(url);
+    const isLoaded = assetId !== null && objectUrls.has(assetId);
+    const [, setLoadedId] = useState(null);
+
+    useEffect(() => {
+        if (assetId === null || isLoaded) return;
+
+        let isCurrent = true;
+        loadObjectUrl(assetId).then(() => {
+            if (isCurrent) setLoadedId(assetId);
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [assetId, isLoaded]);
+
+    if (assetId === null) return url;
+    if (!isLoaded) return undefined;
+    return objectUrls.get(assetId) ?? url;
+}
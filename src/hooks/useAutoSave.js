@@ -27,7 +27,11 @@ export function useAutoSave({
 
                 // Create snapshot if interval has passed
                 if (Date.now() - lastSnapshotRef.current > snapshotIntervalMs) {
-                    await createSnapshot(document.id, document.blocks);
+                    await createSnapshot(
+                        document.id,
+                        document.blocks,
+                        document.comments
+                    );
                     lastSnapshotRef.current = Date.now();
                 }
             }
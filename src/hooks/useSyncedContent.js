@@ -0,0 +1,30 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * useSyncedContent - Keep an uncontrolled contentEditable showing `content`
+ * Sets it on mount and on outside changes (undo, replace), but never while
+ * the element has focus, so the caret stays put while typing. A replaced
+ * element (a nested block changing type renders a new one) is filled too.
+ */
+export function useSyncedContent(ref, content) {
+    const synced = useRef({ element: null, content: null });
+
+    useEffect(() => {
+        const element = ref.current;
+        if (!element) return;
+        if (
+            element === synced.current.element &&
+            content === synced.current.content
+        ) {
+            return;
+        }
+        synced.current = { element, content };
+
+        if (
+            element.innerHTML !== content &&
+            document.activeElement !== element
+        ) {
+            element.innerHTML = content;
+        }
+    });
+}
@@ -0,0 +1,83 @@
+/**
+ * Document Migrations
+ * Upgrades stored documents (and snapshots) to the current block model
+ */
+
+import { nestFlatBlocks } from "../utils/blocks";
+
+/**
+ * Ordered migration registry
+ * Each entry upgrades a document from `version - 1` to `version`. Append
+ * new entries at the end and never change ones that have shipped.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Move blocks inside columns/tabs into their container",
+        migrate: (document) => ({
+            ...document,
+            blocks: nestFlatBlocks(document.blocks || [])
+        })
+    },
+    {
+        version: 2,
+        description: "Add comment threads",
+        // Older snapshots only hold blocks; restoring one keeps the
+        // document's threads, so they get no empty list here
+        migrate: (document) =>
+            document.documentId
+                ? document
+                : { ...document, comments: document.comments || [] }
+    }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of a stored document
+ * Documents saved before versioning existed count as version 0
+ */
+export function getSchemaVersion(document) {
+    return document?.schemaVersion ?? 0;
+}
+
+/**
+ * Check whether a document is behind the current schema
+ */
+export function needsMigration(document) {
+    return getSchemaVersion(document) !== CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Run the pending migrations on a document
+ * Returns an upgraded copy and leaves the input untouched. Throws if a
+ * migration fails or the document comes from a newer version of the app.
+ */
+export function migrateDocument(document) {
+    const fromVersion = getSchemaVersion(document);
+
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(
+            `Schema version ${fromVersion} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`
+        );
+    }
+
+    let migrated = document;
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+
+        try {
+            migrated = {
+                ...migration.migrate(migrated),
+                schemaVersion: migration.version
+            };
+        } catch (error) {
+            throw new Error(
+                `Migration to version ${migration.version} (${migration.description}) failed: ${error.message}`,
+                { cause: error }
+            );
+        }
+    }
+
+    return migrated;
+}
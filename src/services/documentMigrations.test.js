@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import {
+    CURRENT_SCHEMA_VERSION,
+    migrateDocument,
+    needsMigration
+} from "./documentMigrations";
+
+// A document from before schema versions, with the blocks of its columns
+// in the top-level list
+function legacyDocument() {
+    return {
+        id: "doc",
+        title: "Legacy",
+        blocks: [
+            {
+                id: "columns",
+                type: BLOCK_TYPES.COLUMNS,
+                content: "",
+                properties: { count: 2 },
+                children: [
+                    { columnIndex: 0, blocks: ["left"] },
+                    { columnIndex: 1, blocks: ["right"] }
+                ]
+            },
+            {
+                id: "left",
+                type: BLOCK_TYPES.PARAGRAPH,
+                content: "L",
+                columnIndex: 0
+            },
+            {
+                id: "right",
+                type: BLOCK_TYPES.PARAGRAPH,
+                content: "R",
+                columnIndex: 1
+            },
+            { id: "after", type: BLOCK_TYPES.PARAGRAPH, content: "A" }
+        ]
+    };
+}
+
+describe("migrateDocument", () => {
+    it("runs every migration on unversioned documents", () => {
+        const document = legacyDocument();
+
+        const migrated = migrateDocument(document);
+
+        expect(needsMigration(document)).toBe(true);
+        expect(needsMigration(migrated)).toBe(false);
+        expect(migrated.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+        expect(migrated.blocks.map((block) => block.id)).toEqual([
+            "columns",
+            "after"
+        ]);
+        expect(
+            migrated.blocks[0].children.map((column) =>
+                column.blocks.map((block) => block.id)
+            )
+        ).toEqual([["left"], ["right"]]);
+        expect(migrated.comments).toEqual([]);
+        expect(document).toEqual(legacyDocument());
+    });
+
+    it("only runs the migrations after the stored version", () => {
+        const document = {
+            ...legacyDocument(),
+            schemaVersion: 1,
+            comments: [{ id: "thread" }]
+        };
+
+        const migrated = migrateDocument(document);
+
+        expect(migrated.blocks).toBe(document.blocks);
+        expect(migrated.comments).toEqual([{ id: "thread" }]);
+    });
+
+    it("leaves the comments of snapshots alone", () => {
+        const snapshot = { id: "s", documentId: "doc", blocks: [] };
+
+        expect(migrateDocument(snapshot)).not.toHaveProperty("comments");
+    });
+
+    it("rejects documents from a newer version", () => {
+        const document = {
+            id: "doc",
+            schemaVersion: CURRENT_SCHEMA_VERSION + 1
+        };
+
+        expect(() => migrateDocument(document)).toThrow(/newer/);
+    });
+
+    it("names the failing migration", () => {
+        const document = { id: "doc", blocks: [null] };
+
+        expect(() => migrateDocument(document)).toThrow(
+            /^Migration to version 1 \(.+\) failed: /
+        );
+    });
+});
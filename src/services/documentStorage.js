@@ -3,13 +3,132 @@
  * Handles persistence of documents locally
  */
 
+import {
+    CURRENT_SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateDocument,
+    needsMigration
+} from "./documentMigrations";
+import { findAssetIds, hashBlob } from "../utils/assets";
+
+// Version of the object stores and indexes; the shape of the documents
+// themselves is tracked per document by schemaVersion
 const DB_NAME = "text-editor-db";
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const DOCUMENTS_STORE = "documents";
 const SNAPSHOTS_STORE = "snapshots";
+const GROUPS_STORE = "groups";
+const TRASH_STORE = "trash";
+const ASSETS_STORE = "assets";
+const LINK_METADATA_STORE = "linkMetadata";
+
+// Number of snapshots kept per document for version history
+export const MAX_SNAPSHOTS = 20;
+
+// Days a deleted document stays in the trash (0 keeps it until emptied)
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_KEY = "text-editor-trash-retention-days";
 
 let db = null;
 
+// Records migrated, or left untouched because migration failed, this session
+const migrationReport = { migrated: [], failed: [] };
+
+/**
+ * Get the documents and snapshots migrated or failed this session
+ * Entries are { id, title, store, fromVersion, toVersion } for migrated
+ * records and { id, title, store, fromVersion, error } for failed ones
+ */
+export function getMigrationReport() {
+    return {
+        migrated: [...migrationReport.migrated],
+        failed: [...migrationReport.failed]
+    };
+}
+
+/**
+ * Add a migration outcome to the report, replacing an older entry
+ */
+function reportMigration(kind, entry) {
+    const list = migrationReport[kind];
+    const index = list.findIndex(
+        (e) => e.id === entry.id && e.store === entry.store
+    );
+    if (index !== -1) list.splice(index, 1);
+    list.push(entry);
+}
+
+/**
+ * Bring a stored record up to the current schema version
+ * Returns the migrated copy, the record itself when it is up to date, or
+ * null when migration failed (the stored record is left as it was)
+ */
+function upgradeRecord(record, storeName) {
+    if (!record || !needsMigration(record)) return record;
+
+    const entry = {
+        id: record.id,
+        title: record.title,
+        store: storeName,
+        fromVersion: getSchemaVersion(record)
+    };
+
+    try {
+        const migrated = migrateDocument(record);
+        reportMigration("migrated", {
+            ...entry,
+            toVersion: CURRENT_SCHEMA_VERSION
+        });
+        return migrated;
+    } catch (error) {
+        console.error(`Failed to migrate ${storeName} record:`, error);
+        reportMigration("failed", { ...entry, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Write migrated records back so they are only upgraded once
+ * A failed write is not fatal, the records migrate again on next load
+ */
+function saveMigratedRecords(storeName, records) {
+    if (records.length === 0) return;
+
+    try {
+        const transaction = db.transaction(storeName, "readwrite");
+        const store = transaction.objectStore(storeName);
+        for (const record of records) {
+            store.put(record);
+        }
+        transaction.onerror = () =>
+            console.error(
+                "Failed to save migrated records:",
+                transaction.error
+            );
+    } catch (error) {
+        console.error("Failed to save migrated records:", error);
+    }
+}
+
+/**
+ * Migrate a list of loaded records
+ * Failed records are dropped from the result and stay as they were
+ */
+function upgradeRecords(records, storeName) {
+    const upgraded = [];
+    const changed = [];
+
+    for (const record of records) {
+        const result = upgradeRecord(record, storeName);
+        if (!result) continue;
+        upgraded.push(result);
+        if (result !== record) changed.push(result);
+    }
+
+    saveMigratedRecords(storeName, changed);
+    return upgraded;
+}
+
 /**
  * Initialize the database
  */
@@ -54,10 +173,68 @@ export async function initDB() {
                     unique: false
                 });
             }
+
+            // Groups (folders) that documents are organized in
+            if (!database.objectStoreNames.contains(GROUPS_STORE)) {
+                const groupStore = database.createObjectStore(GROUPS_STORE, {
+                    keyPath: "id"
+                });
+                groupStore.createIndex("parentId", "parentId", {
+                    unique: false
+                });
+            }
+
+            // Deleted documents, kept with their snapshots until purged
+            if (!database.objectStoreNames.contains(TRASH_STORE)) {
+                const trashStore = database.createObjectStore(TRASH_STORE, {
+                    keyPath: "id"
+                });
+                trashStore.createIndex("deletedAt", "deletedAt", {
+                    unique: false
+                });
+            }
+
+            // Uploaded images, as blobs keyed by content hash
+            if (!database.objectStoreNames.contains(ASSETS_STORE)) {
+                database.createObjectStore(ASSETS_STORE, { keyPath: "id" });
+            }
+
+            // Fetched link previews, keyed by URL
+            if (!database.objectStoreNames.contains(LINK_METADATA_STORE)) {
+                database.createObjectStore(LINK_METADATA_STORE, {
+                    keyPath: "url"
+                });
+            }
+
+            // Existing data is brought up to the current schema right away
+            if (event.oldVersion >= 1) {
+                const transaction = event.target.transaction;
+                migrateStore(transaction.objectStore(DOCUMENTS_STORE));
+                migrateStore(transaction.objectStore(SNAPSHOTS_STORE));
+            }
         };
     });
 }
 
+/**
+ * Migrate every record of a store inside the upgrade transaction
+ * Records that fail to migrate are skipped and kept as they were
+ */
+function migrateStore(store) {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const record = cursor.value;
+        const migrated = upgradeRecord(record, store.name);
+        if (migrated && migrated !== record) {
+            cursor.update(migrated);
+        }
+        cursor.continue();
+    };
+}
+
 /**
  * Get all documents (metadata only for performance)
  */
@@ -71,7 +248,7 @@ export async function getAllDocuments() {
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
             // Sort by updatedAt descending
-            const docs = request.result.sort(
+            const docs = upgradeRecords(request.result, DOCUMENTS_STORE).sort(
                 (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)
             );
             resolve(docs);
@@ -81,6 +258,8 @@ export async function getAllDocuments() {
 
 /**
  * Get a single document by ID
+ * Resolves to null when the document can't be migrated, so it is never
+ * opened (and saved back) in a shape the editor doesn't understand
  */
 export async function getDocument(id) {
     await initDB();
@@ -90,7 +269,13 @@ export async function getDocument(id) {
         const request = store.get(id);
 
         request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => {
+            const document = upgradeRecord(request.result, DOCUMENTS_STORE);
+            if (document && document !== request.result) {
+                saveMigratedRecords(DOCUMENTS_STORE, [document]);
+            }
+            resolve(document ?? null);
+        };
     });
 }
 
@@ -105,6 +290,7 @@ export async function saveDocument(document) {
 
         const docToSave = {
             ...document,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             updatedAt: new Date().toISOString()
         };
 
@@ -116,24 +302,418 @@ export async function saveDocument(document) {
 }
 
 /**
- * Delete a document by ID
+ * Move a document to the trash
+ * Its sub-pages move up to the deleted page's parent and group, in the same
+ * transaction so no page is left pointing at a missing parent. Snapshots
+ * are kept for when the document is restored. Resolves the trashed record
+ * (with deletedAt), or null when there is no such document.
+ */
+export async function trashDocument(id) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+            [DOCUMENTS_STORE, TRASH_STORE],
+            "readwrite"
+        );
+        const store = transaction.objectStore(DOCUMENTS_STORE);
+        const request = store.get(id);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            if (!request.result) {
+                resolve(null);
+                return;
+            }
+            const trashed = {
+                ...request.result,
+                deletedAt: new Date().toISOString()
+            };
+            const placement = {
+                parentId: trashed.parentId ?? null,
+                groupId: trashed.groupId ?? null
+            };
+
+            const documents = store.openCursor();
+            documents.onsuccess = () => {
+                const cursor = documents.result;
+                if (!cursor) return;
+                if (cursor.value.parentId === id) {
+                    cursor.update({ ...cursor.value, ...placement });
+                }
+                cursor.continue();
+            };
+
+            transaction.objectStore(TRASH_STORE).put(trashed);
+            store.delete(id);
+            transaction.oncomplete = () => resolve(trashed);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Get all documents in the trash, most recently deleted first
  */
-export async function deleteDocument(id) {
+export async function getTrashedDocuments() {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(TRASH_STORE, "readonly");
+        const store = transaction.objectStore(TRASH_STORE);
+        const request = store.getAll();
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const docs = upgradeRecords(request.result, TRASH_STORE).sort(
+                (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)
+            );
+            resolve(docs);
+        };
+    });
+}
+
+/**
+ * Move a document out of the trash
+ * placement ({ parentId, groupId }) is where it goes back to, since its
+ * old parent page or group may be gone. Resolves the restored document.
+ */
+export async function restoreDocument(id, placement) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+            [TRASH_STORE, DOCUMENTS_STORE],
+            "readwrite"
+        );
+        const store = transaction.objectStore(TRASH_STORE);
+        const request = store.get(id);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            if (!request.result) {
+                resolve(null);
+                return;
+            }
+            const document = { ...request.result, ...placement };
+            delete document.deletedAt;
+
+            transaction.objectStore(DOCUMENTS_STORE).put(document);
+            store.delete(id);
+            transaction.oncomplete = () => resolve(document);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Permanently delete documents from the trash, with their snapshots
+ */
+export async function deleteTrashedDocuments(ids) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+            [TRASH_STORE, SNAPSHOTS_STORE],
+            "readwrite"
+        );
+        const trashStore = transaction.objectStore(TRASH_STORE);
+        const snapshotIndex = transaction
+            .objectStore(SNAPSHOTS_STORE)
+            .index("documentId");
+
+        for (const id of ids) {
+            trashStore.delete(id);
+
+            const snapshots = snapshotIndex.openCursor(IDBKeyRange.only(id));
+            snapshots.onsuccess = () => {
+                const cursor = snapshots.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        }
+
+        transaction.oncomplete = () => resolve(ids);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get how many days deleted documents are kept (0 keeps them until the
+ * trash is emptied)
+ */
+export function getTrashRetentionDays() {
+    try {
+        const stored = localStorage.getItem(TRASH_RETENTION_KEY);
+        const days = stored === null ? NaN : Number(stored);
+        return Number.isInteger(days) && days >= 0
+            ? days
+            : DEFAULT_TRASH_RETENTION_DAYS;
+    } catch (error) {
+        console.error("Failed to read trash retention:", error);
+        return DEFAULT_TRASH_RETENTION_DAYS;
+    }
+}
+
+/**
+ * Save how many days deleted documents are kept
+ */
+export function setTrashRetentionDays(days) {
+    try {
+        localStorage.setItem(TRASH_RETENTION_KEY, String(days));
+    } catch (error) {
+        console.error("Failed to save trash retention:", error);
+    }
+}
+
+/**
+ * Move a document into a group (null for the top level)
+ * A sub-page moved this way becomes a top-level page of the group. Only
+ * the placement changes, so the document keeps its place in the
+ * recently-updated order
+ */
+export async function moveDocumentToGroup(documentId, groupId) {
     await initDB();
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(DOCUMENTS_STORE, "readwrite");
         const store = transaction.objectStore(DOCUMENTS_STORE);
-        const request = store.delete(id);
+        const request = store.get(documentId);
 
         request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(true);
+        request.onsuccess = () => {
+            if (!request.result) {
+                resolve(null);
+                return;
+            }
+            const updated = { ...request.result, groupId, parentId: null };
+            store.put(updated);
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Get all groups
+ */
+export async function getAllGroups() {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(GROUPS_STORE, "readonly");
+        const store = transaction.objectStore(GROUPS_STORE);
+        const request = store.getAll();
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+    });
+}
+
+/**
+ * Save groups (create or update) in a single transaction
+ */
+export async function saveGroups(groups) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(GROUPS_STORE, "readwrite");
+        const store = transaction.objectStore(GROUPS_STORE);
+        for (const group of groups) {
+            store.put(group);
+        }
+
+        transaction.oncomplete = () => resolve(groups);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Delete a group
+ * Its sub-groups and documents move up to the deleted group's parent, in
+ * the same transaction so nothing is left pointing at a missing group
+ */
+export async function deleteGroup(groupId) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+            [GROUPS_STORE, DOCUMENTS_STORE],
+            "readwrite"
+        );
+        const groupStore = transaction.objectStore(GROUPS_STORE);
+        const documentStore = transaction.objectStore(DOCUMENTS_STORE);
+        const request = groupStore.get(groupId);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const parentId = request.result?.parentId ?? null;
+
+            const childGroups = groupStore
+                .index("parentId")
+                .openCursor(IDBKeyRange.only(groupId));
+            childGroups.onsuccess = () => {
+                const cursor = childGroups.result;
+                if (!cursor) return;
+                cursor.update({ ...cursor.value, parentId });
+                cursor.continue();
+            };
+
+            const documents = documentStore.openCursor();
+            documents.onsuccess = () => {
+                const cursor = documents.result;
+                if (!cursor) return;
+                if (cursor.value.groupId === groupId) {
+                    cursor.update({ ...cursor.value, groupId: parentId });
+                }
+                cursor.continue();
+            };
+
+            groupStore.delete(groupId);
+            transaction.oncomplete = () => resolve(parentId);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Store an uploaded file and resolve its asset id
+ * Identical content is only stored once
+ */
+export async function saveAsset(blob) {
+    const id = await hashBlob(blob);
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ASSETS_STORE, "readwrite");
+        const store = transaction.objectStore(ASSETS_STORE);
+        const request = store.getKey(id);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            if (request.result === undefined) {
+                store.put({
+                    id,
+                    blob,
+                    type: blob.type,
+                    size: blob.size,
+                    createdAt: new Date().toISOString()
+                });
+            }
+            transaction.oncomplete = () => resolve(id);
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Get the blob of an asset, or null when it doesn't exist
+ */
+export async function getAsset(id) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ASSETS_STORE, "readonly");
+        const store = transaction.objectStore(ASSETS_STORE);
+        const request = store.get(id);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result?.blob ?? null);
+    });
+}
+
+/**
+ * Get the cached metadata of a link, or null when it was never fetched
+ * Resolves { url, metadata, fetchedAt }, however old it is.
+ */
+export async function getCachedLinkMetadata(url) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(LINK_METADATA_STORE, "readonly");
+        const store = transaction.objectStore(LINK_METADATA_STORE);
+        const request = store.get(url);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result ?? null);
+    });
+}
+
+/**
+ * Cache the metadata fetched for a link, with the provider that fetched it
+ */
+export async function saveCachedLinkMetadata(url, metadata, provider) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(LINK_METADATA_STORE, "readwrite");
+        const store = transaction.objectStore(LINK_METADATA_STORE);
+        const request = store.put({
+            url,
+            metadata,
+            provider,
+            fetchedAt: new Date().toISOString()
+        });
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve();
+    });
+}
+
+/**
+ * Delete assets that no document, trashed document or snapshot refers to
+ * Resolves the number of assets deleted. Unsaved editor state (such as
+ * undo history) isn't seen here, so this should only run at startup.
+ */
+export async function deleteUnusedAssets() {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const storeNames = [DOCUMENTS_STORE, TRASH_STORE, SNAPSHOTS_STORE];
+        const transaction = db.transaction(
+            [...storeNames, ASSETS_STORE],
+            "readwrite"
+        );
+        const used = new Set();
+        let deleted = 0;
+
+        // Walk the stores one after the other, then sweep the assets
+        const scan = (index) => {
+            if (index === storeNames.length) {
+                sweep();
+                return;
+            }
+            const request = transaction
+                .objectStore(storeNames[index])
+                .openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    scan(index + 1);
+                    return;
+                }
+                for (const id of findAssetIds(cursor.value.blocks)) {
+                    used.add(id);
+                }
+                cursor.continue();
+            };
+        };
+
+        const sweep = () => {
+            const request = transaction
+                .objectStore(ASSETS_STORE)
+                .openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!used.has(cursor.primaryKey)) {
+                    transaction
+                        .objectStore(ASSETS_STORE)
+                        .delete(cursor.primaryKey);
+                    deleted++;
+                }
+                cursor.continue();
+            };
+        };
+
+        scan(0);
+        transaction.oncomplete = () => resolve(deleted);
+        transaction.onerror = () => reject(transaction.error);
     });
 }
 
 /**
- * Create a version snapshot
+ * Create a version snapshot of the blocks and comment threads
  */
-export async function createSnapshot(documentId, blocks) {
+export async function createSnapshot(documentId, blocks, comments = []) {
     await initDB();
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(SNAPSHOTS_STORE, "readwrite");
@@ -143,6 +723,8 @@ export async function createSnapshot(documentId, blocks) {
             id: crypto.randomUUID(),
             documentId,
             blocks: JSON.parse(JSON.stringify(blocks)), // Deep clone
+            comments: JSON.parse(JSON.stringify(comments)),
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             timestamp: new Date().toISOString()
         };
 
@@ -167,7 +749,7 @@ export async function getSnapshots(documentId, limit = 10) {
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
             // Sort by timestamp descending and limit
-            const snapshots = request.result
+            const snapshots = upgradeRecords(request.result, SNAPSHOTS_STORE)
                 .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
                 .slice(0, limit);
             resolve(snapshots);
@@ -178,7 +760,7 @@ export async function getSnapshots(documentId, limit = 10) {
 /**
  * Delete old snapshots (keep last N)
  */
-export async function cleanupSnapshots(documentId, keepCount = 20) {
+export async function cleanupSnapshots(documentId, keepCount = MAX_SNAPSHOTS) {
     const snapshots = await getSnapshots(documentId, 100);
     if (snapshots.length <= keepCount) return;
 
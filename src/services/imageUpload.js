@@ -0,0 +1,103 @@
+/**
+ * Image Upload Pipeline
+ * Normalizes uploaded images in a worker, then stores them as assets
+ */
+
+import { saveAsset } from "./documentStorage";
+import { toAssetUrl } from "../utils/assets";
+
+// How uploads are processed; each can be overridden per upload
+export const IMAGE_UPLOAD_SETTINGS = {
+    maxDimension: 2048, // Longest side in pixels
+    type: "image/webp", // Output format, JPEG when WebP can't be encoded
+    quality: 0.85
+};
+
+// Formats that would lose something when redrawn (animation, vectors)
+const PASSTHROUGH_TYPES = ["image/gif", "image/svg+xml"];
+
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map();
+
+/**
+ * Shared worker, started on first use
+ */
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(new URL("./imageUpload.worker.js", import.meta.url), {
+        type: "module"
+    });
+    worker.onmessage = (event) => {
+        const { id, status } = event.data;
+        const job = jobs.get(id);
+        if (!job) return;
+
+        if (status === "progress") {
+            job.onProgress?.(event.data.progress);
+            return;
+        }
+        jobs.delete(id);
+        if (status === "done") {
+            job.resolve(event.data.blob);
+        } else {
+            job.reject(new Error(event.data.message));
+        }
+    };
+    worker.onerror = (event) => {
+        // The worker can't run: fail everything waiting on it
+        for (const job of jobs.values()) {
+            job.reject(new Error(event.message || "Image worker failed"));
+        }
+        jobs.clear();
+        worker = null;
+    };
+    return worker;
+}
+
+/**
+ * Orient, downsize and re-encode an image file
+ * GIF and SVG files, and browsers without OffscreenCanvas, get the file
+ * back as it is.
+ * @param {File|Blob} file - Uploaded image
+ * @param {Object} options - IMAGE_UPLOAD_SETTINGS overrides and onProgress
+ * @returns {Promise<Blob>} Processed image
+ */
+export function processImage(file, { onProgress, ...options } = {}) {
+    if (
+        PASSTHROUGH_TYPES.includes(file.type) ||
+        typeof OffscreenCanvas === "undefined"
+    ) {
+        onProgress?.(1);
+        return Promise.resolve(file);
+    }
+
+    const settings = { ...IMAGE_UPLOAD_SETTINGS, ...options };
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        jobs.set(id, { resolve, reject, onProgress });
+        getWorker().postMessage({ id, file, ...settings });
+    }).then((blob) => {
+        onProgress?.(1);
+        return blob;
+    });
+}
+
+/**
+ * Process and store an uploaded image
+ * onProgress receives values from 0 to 1
+ * @param {File|Blob} file - Uploaded image
+ * @param {Object} options - IMAGE_UPLOAD_SETTINGS overrides and onProgress
+ * @returns {Promise<string>} Asset URL to store in the block
+ */
+export async function uploadImage(file, { onProgress, ...options } = {}) {
+    const processed = await processImage(file, {
+        ...options,
+        // Leave the last part of the bar for storing the result
+        onProgress: (progress) => onProgress?.(progress * 0.9)
+    });
+    const assetId = await saveAsset(processed);
+    onProgress?.(1);
+    return toAssetUrl(assetId);
+}
@@ -0,0 +1,50 @@
+/**
+ * Image Upload Worker
+ * Decodes, resizes and re-encodes uploaded images off the main thread.
+ * Drawing onto a canvas applies the EXIF orientation and leaves all
+ * metadata (camera, location) behind.
+ */
+
+self.onmessage = async (event) => {
+    const { id, file, maxDimension, type, quality } = event.data;
+    const reportProgress = (progress) =>
+        self.postMessage({ id, status: "progress", progress });
+
+    try {
+        reportProgress(0.1);
+        const bitmap = await createImageBitmap(file, {
+            imageOrientation: "from-image"
+        });
+        reportProgress(0.4);
+
+        // Fit the longest side within maxDimension, never upscale
+        const scale = Math.min(
+            1,
+            maxDimension / Math.max(bitmap.width, bitmap.height)
+        );
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext("2d");
+        context.imageSmoothingQuality = "high";
+        context.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        reportProgress(0.7);
+
+        let blob = await canvas.convertToBlob({ type, quality });
+
+        // Browsers without an encoder for the type fall back to PNG; use
+        // JPEG instead, on white since it has no transparency
+        if (blob.type !== type) {
+            context.globalCompositeOperation = "destination-over";
+            context.fillStyle = "#ffffff";
+            context.fillRect(0, 0, width, height);
+            blob = await canvas.convertToBlob({ type: "image/jpeg", quality });
+        }
+
+        self.postMessage({ id, status: "done", blob, width, height });
+    } catch (error) {
+        self.postMessage({ id, status: "error", message: error.message });
+    }
+};
@@ -0,0 +1,231 @@
+/**
+ * Link Metadata Service
+ * Fetches titles, descriptions and images for link previews through a
+ * configurable provider, caching what it finds in IndexedDB
+ */
+
+import axios from "axios";
+import {
+    getCachedLinkMetadata,
+    saveCachedLinkMetadata
+} from "./documentStorage";
+
+// Providers that can fetch link previews
+export const LINK_PREVIEW_PROVIDERS = [
+    {
+        id: "microlink",
+        label: "Microlink",
+        description: "Public service; links are sent to microlink.io"
+    },
+    {
+        id: "custom",
+        label: "Self-hosted",
+        description: "Your own endpoint, called with ?url="
+    },
+    {
+        id: "local",
+        label: "Local",
+        description: "Reads the page in this browser (some sites block it)"
+    }
+];
+
+export const DEFAULT_LINK_PREVIEW_SETTINGS = {
+    provider: "microlink",
+    endpoint: ""
+};
+const LINK_PREVIEW_SETTINGS_KEY = "text-editor-link-preview-settings";
+
+// How long fetched metadata is used before fetching it again
+export const LINK_METADATA_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Read the link preview settings
+ */
+export function getLinkPreviewSettings() {
+    try {
+        const stored = JSON.parse(
+            localStorage.getItem(LINK_PREVIEW_SETTINGS_KEY)
+        );
+        return { ...DEFAULT_LINK_PREVIEW_SETTINGS, ...stored };
+    } catch (error) {
+        console.error("Failed to read link preview settings:", error);
+        return DEFAULT_LINK_PREVIEW_SETTINGS;
+    }
+}
+
+/**
+ * Save the link preview settings
+ */
+export function setLinkPreviewSettings(settings) {
+    try {
+        localStorage.setItem(
+            LINK_PREVIEW_SETTINGS_KEY,
+            JSON.stringify(settings)
+        );
+    } catch (error) {
+        console.error("Failed to save link preview settings:", error);
+    }
+}
+
+/**
+ * Resolve a possibly relative URL found in a page, or null
+ */
+function resolveUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+        return new URL(value, baseUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Microlink API (free, no registration required)
+ */
+async function fetchFromMicrolink(url) {
+    const { data } = await axios.get(
+        `https://api.microlink.io?url=${encodeURIComponent(url)}`,
+        { timeout: REQUEST_TIMEOUT_MS }
+    );
+    if (data.status !== "success") {
+        throw new Error("Failed to fetch metadata");
+    }
+
+    return {
+        title: data.data.title || new URL(url).hostname,
+        description: data.data.description || "",
+        favicon: data.data.logo?.url || "",
+        image: data.data.image?.url || null
+    };
+}
+
+/**
+ * Self-hosted endpoint, expected to answer
+ * { title, description, favicon, image } for GET <endpoint>?url=<url>
+ */
+async function fetchFromEndpoint(url, endpoint) {
+    if (!endpoint) throw new Error("No link preview endpoint set");
+
+    const requestUrl = new URL(endpoint);
+    requestUrl.searchParams.set("url", url);
+    const { data } = await axios.get(requestUrl.href, {
+        timeout: REQUEST_TIMEOUT_MS
+    });
+
+    return {
+        title: data.title || new URL(url).hostname,
+        description: data.description || "",
+        favicon: resolveUrl(data.favicon, url) || "",
+        image: resolveUrl(data.image, url)
+    };
+}
+
+/**
+ * Fetch the page itself and read its title, description and Open Graph
+ * tags; only works for sites that allow cross-origin requests
+ */
+async function fetchFromPage(url) {
+    const { data } = await axios.get(url, {
+        timeout: REQUEST_TIMEOUT_MS,
+        responseType: "text"
+    });
+
+    const page = new DOMParser().parseFromString(data, "text/html");
+    const meta = (...names) => {
+        for (const name of names) {
+            const content = page
+                .querySelector(`meta[property="${name}"], meta[name="${name}"]`)
+                ?.getAttribute("content")
+                ?.trim();
+            if (content) return content;
+        }
+        return null;
+    };
+    const icon = page
+        .querySelector('link[rel~="icon"], link[rel="apple-touch-icon"]')
+        ?.getAttribute("href");
+
+    return {
+        title:
+            meta("og:title", "twitter:title") ||
+            page.title?.trim() ||
+            new URL(url).hostname,
+        description:
+            meta("og:description", "twitter:description", "description") || "",
+        favicon: resolveUrl(icon || "/favicon.ico", url),
+        image: resolveUrl(meta("og:image", "twitter:image"), url)
+    };
+}
+
+/**
+ * Basic preview used when nothing could be fetched or cached
+ * The title is the host name, or the URL itself when it can't be parsed
+ */
+function getFallbackMetadata(url) {
+    let title = url;
+    try {
+        title = new URL(url).hostname || url;
+    } catch {
+        // Not an absolute URL
+    }
+
+    return {
+        title,
+        description: url,
+        favicon: "",
+        image: null
+    };
+}
+
+/**
+ * Identify the provider settings metadata was fetched with, so changing
+ * the provider (or the self-hosted endpoint) doesn't reuse old previews
+ */
+function getProviderKey({ provider, endpoint }) {
+    return provider === "custom" ? `custom:${endpoint}` : provider;
+}
+
+/**
+ * Fetch the metadata of a link with the configured provider
+ * Fresh cached metadata is used as is. When fetching fails (or the
+ * browser is offline) older cached metadata is used, then a basic
+ * preview built from the URL. Metadata cached by another provider
+ * counts as not cached. Never rejects.
+ */
+export async function fetchLinkMetadata(url) {
+    const settings = getLinkPreviewSettings();
+    const providerKey = getProviderKey(settings);
+
+    let cached = null;
+    try {
+        cached = await getCachedLinkMetadata(url);
+    } catch (error) {
+        console.error("Failed to read cached link metadata:", error);
+    }
+    if (cached?.provider !== providerKey) cached = null;
+
+    const age = cached ? Date.now() - new Date(cached.fetchedAt) : Infinity;
+    if (age < LINK_METADATA_TTL_MS || (cached && !navigator.onLine)) {
+        return cached.metadata;
+    }
+
+    const { provider, endpoint } = settings;
+    try {
+        const metadata =
+            provider === "custom"
+                ? await fetchFromEndpoint(url, endpoint)
+                : provider === "local"
+                  ? await fetchFromPage(url)
+                  : await fetchFromMicrolink(url);
+
+        saveCachedLinkMetadata(url, metadata, providerKey).catch((error) =>
+            console.error("Failed to cache link metadata:", error)
+        );
+        return metadata;
+    } catch (error) {
+        console.error("Failed to fetch link metadata:", error);
+        return cached?.metadata ?? getFallbackMetadata(url);
+    }
+}
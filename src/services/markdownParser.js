@@ -4,7 +4,14 @@
  */
 
 import { marked } from "marked";
-import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import {
+    BLOCK_TYPES,
+    CALLOUT_ALERT_VARIANTS,
+    DEFAULT_BLOCK_PROPERTIES
+} from "../constants/BLOCK_TYPES";
+import { normalizeCodeLanguage } from "../utils/blocks";
+import { resolveWikiTitles, transformBlockHtml } from "../utils/wikiLinks";
+import { renderInlineMath } from "../utils/math";
 import { v4 as uuidv4 } from "uuid";
 
 // Configure marked for HTML output
@@ -13,6 +20,54 @@ marked.setOptions({
     breaks: false // Don't add <br> on single newlines
 });
 
+// Math: $$...$$ blocks and $...$ inline, with the same rules for inline
+// math as typing it in the editor
+marked.use({
+    extensions: [
+        {
+            name: "blockMath",
+            level: "block",
+            start: (src) => src.match(/^ {0,3}\$\$/m)?.index,
+            tokenizer(src) {
+                const match = src.match(
+                    /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/
+                );
+                if (match) {
+                    return {
+                        type: "blockMath",
+                        raw: match[0],
+                        text: match[1].trim()
+                    };
+                }
+            }
+        },
+        {
+            name: "inlineMath",
+            level: "inline",
+            start: (src) => src.match(/(?<![\\$\w])\$(?!\$)/)?.index,
+            tokenizer(src) {
+                const match = src.match(
+                    /^\$(?![\s$])([^$\n]*?[^\s\\$])\$(?![\w$])/
+                );
+                if (match) {
+                    return {
+                        type: "inlineMath",
+                        raw: match[0],
+                        text: match[1]
+                    };
+                }
+            }
+        }
+    ]
+});
+
+// First line of a GitHub alert, e.g. > [!NOTE]
+const ALERT_PATTERN = /^\[!(\w+)\][ \t]*(?:\n|$)/;
+
+// Custom callout icon on the line after the alert marker, e.g.
+// > <!-- callout {"icon":"🔥"} -->
+const CALLOUT_ICON_PATTERN = /^<!-- callout (\{.*\}) -->[ \t]*(?:\n|$)/;
+
 /**
  * Create a new block
  */
@@ -25,6 +80,34 @@ function createBlock(type, content = "", properties = {}) {
     };
 }
 
+/**
+ * Create a table block from a GFM table token
+ * GFM always has a header line; without a header row it is left empty
+ * and dropped (the serializer marks such tables with a table directive)
+ * @param {Object} token - marked table token
+ * @param {boolean} hasHeader - Whether the header line is a header row
+ * @returns {Object} Table block
+ */
+function tableToBlock(token, hasHeader = true) {
+    const toRow = (cells) => ({
+        id: uuidv4(),
+        cells: cells.map((cell) => parseInlineTokens(cell.tokens))
+    });
+    const rows = token.rows.map(toRow);
+    if (hasHeader || rows.length === 0) {
+        rows.unshift(toRow(token.header));
+    }
+
+    return createBlock(BLOCK_TYPES.TABLE, "", {
+        columns: token.header.map((_, i) => ({
+            id: uuidv4(),
+            align: token.align[i] || null
+        })),
+        rows,
+        hasHeader
+    });
+}
+
 /**
  * Convert marked token to block(s)
  */
@@ -41,7 +124,13 @@ function tokenToBlocks(token, blocks = []) {
             break;
         }
 
-        case "paragraph":
+        case "paragraph": {
+            const image = paragraphImage(token.tokens);
+            if (image) {
+                blocks.push(createBlock(BLOCK_TYPES.IMAGE, "", image));
+                break;
+            }
+
             blocks.push(
                 createBlock(
                     BLOCK_TYPES.PARAGRAPH,
@@ -49,59 +138,44 @@ function tokenToBlocks(token, blocks = []) {
                 )
             );
             break;
+        }
 
         case "blockquote": {
-            // Extract text from blockquote tokens
-            const quoteContent = token.tokens
-                .map((t) =>
-                    t.type === "paragraph" ? parseInlineTokens(t.tokens) : t.raw
-                )
-                .join("\n");
-            blocks.push(createBlock(BLOCK_TYPES.QUOTE, quoteContent));
+            // GitHub alerts (> [!NOTE]) become callouts
+            const alert = token.text.match(ALERT_PATTERN);
+            const variant = CALLOUT_ALERT_VARIANTS[alert?.[1].toUpperCase()];
+            if (variant) {
+                let text = token.text.slice(alert[0].length);
+                const iconMatch = text.match(CALLOUT_ICON_PATTERN);
+                if (iconMatch) text = text.slice(iconMatch[0].length);
+                const { icon } = parseDirectiveProperties(iconMatch?.[1]);
+
+                const body = marked.lexer(text);
+                blocks.push(
+                    createBlock(BLOCK_TYPES.CALLOUT, blockquoteContent(body), {
+                        ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.CALLOUT],
+                        variant,
+                        icon: typeof icon === "string" && icon ? icon : null
+                    })
+                );
+                break;
+            }
+
+            blocks.push(
+                createBlock(BLOCK_TYPES.QUOTE, blockquoteContent(token.tokens))
+            );
             break;
         }
 
         case "list":
-            token.items.forEach((item) => {
-                if (item.task) {
-                    // Task list item
-                    const taskContent = item.tokens
-                        .filter(
-                            (t) => t.type === "text" || t.type === "paragraph"
-                        )
-                        .map((t) =>
-                            t.tokens ? parseInlineTokens(t.tokens) : t.text
-                        )
-                        .join("");
-                    blocks.push(
-                        createBlock(BLOCK_TYPES.TASK, taskContent, {
-                            checked: item.checked
-                        })
-                    );
-                } else {
-                    // Regular list item -> paragraph with bullet/number
-                    const listContent = item.tokens
-                        .filter(
-                            (t) => t.type === "text" || t.type === "paragraph"
-                        )
-                        .map((t) =>
-                            t.tokens ? parseInlineTokens(t.tokens) : t.text
-                        )
-                        .join("");
-                    const prefix = token.ordered
-                        ? `${item.raw.match(/^\d+/)?.[0] || "1"}. `
-                        : "• ";
-                    blocks.push(
-                        createBlock(BLOCK_TYPES.PARAGRAPH, prefix + listContent)
-                    );
-                }
-            });
+            listToBlocks(token, blocks);
             break;
 
         case "code":
-            // Code blocks are converted to paragraph (CODE block type removed)
             blocks.push(
-                createBlock(BLOCK_TYPES.PARAGRAPH, `<code>${token.text}</code>`)
+                createBlock(BLOCK_TYPES.CODE, token.text, {
+                    language: normalizeCodeLanguage(token.lang)
+                })
             );
             break;
 
@@ -109,38 +183,12 @@ function tokenToBlocks(token, blocks = []) {
             blocks.push(createBlock(BLOCK_TYPES.DIVIDER));
             break;
 
-        case "table": {
-            // Convert table to readable paragraphs
-            // Header row
-            if (token.header && token.header.length > 0) {
-                const headerRow = token.header
-                    .map((cell) => parseInlineTokens(cell.tokens))
-                    .join(" | ");
-                blocks.push(
-                    createBlock(
-                        BLOCK_TYPES.PARAGRAPH,
-                        `<strong>${headerRow}</strong>`
-                    )
-                );
-            }
-            // Data rows
-            token.rows.forEach((row) => {
-                const rowContent = row
-                    .map((cell) => parseInlineTokens(cell.tokens))
-                    .join(" | ");
-                blocks.push(createBlock(BLOCK_TYPES.PARAGRAPH, rowContent));
-            });
+        case "blockMath":
+            blocks.push(createBlock(BLOCK_TYPES.EQUATION, token.text));
             break;
-        }
 
-        case "image":
-            blocks.push(
-                createBlock(BLOCK_TYPES.IMAGE, "", {
-                    url: token.href,
-                    alt: token.text || "",
-                    caption: token.title || ""
-                })
-            );
+        case "table":
+            blocks.push(tableToBlock(token));
             break;
 
         case "html":
@@ -164,6 +212,53 @@ function tokenToBlocks(token, blocks = []) {
     return blocks;
 }
 
+/**
+ * Extract text from the tokens inside a blockquote
+ */
+function blockquoteContent(tokens) {
+    return tokens
+        .map((t) =>
+            t.type === "paragraph" ? parseInlineTokens(t.tokens) : t.raw
+        )
+        .join("\n");
+}
+
+/**
+ * Convert a (possibly nested) list token to flat list item blocks
+ * Nesting depth is kept in properties.indent
+ */
+function listToBlocks(token, blocks, depth = 0) {
+    token.items.forEach((item, index) => {
+        const content = item.tokens
+            .filter((t) => t.type === "text" || t.type === "paragraph")
+            .map((t) => (t.tokens ? parseInlineTokens(t.tokens) : t.text))
+            .join("");
+
+        const properties = depth > 0 ? { indent: depth } : {};
+        let type = BLOCK_TYPES.BULLETED_LIST;
+
+        if (item.task) {
+            type = BLOCK_TYPES.TASK;
+            properties.checked = item.checked;
+        } else if (token.ordered) {
+            type = BLOCK_TYPES.NUMBERED_LIST;
+            // Keep a custom start number on the first item
+            if (index === 0 && token.start !== "" && token.start !== 1) {
+                properties.start = token.start;
+            }
+        }
+
+        blocks.push(createBlock(type, content, properties));
+
+        // Nested lists become deeper list items
+        item.tokens
+            .filter((t) => t.type === "list")
+            .forEach((nested) => listToBlocks(nested, blocks, depth + 1));
+    });
+
+    return blocks;
+}
+
 /**
  * Parse inline tokens to HTML string
  */
@@ -188,7 +283,13 @@ function parseInlineTokens(tokens) {
                 case "br":
                     return "<br>";
                 case "escape":
-                    return token.text;
+                    // An escaped < (as in \<!-- tab -->) is text, not markup
+                    return token.text
+                        .replace(/&/g, "&amp;")
+                        .replace(/</g, "&lt;")
+                        .replace(/>/g, "&gt;");
+                case "inlineMath":
+                    return renderInlineMath(token.text);
                 default:
                     return token.raw || token.text || "";
             }
@@ -197,31 +298,39 @@ function parseInlineTokens(tokens) {
 }
 
 /**
- * Parse Markdown string to document blocks
- * @param {string} markdown - Markdown string
- * @returns {Object} Document object with blocks
+ * Split Markdown into fenced code and regular text segments
+ * Unclosed fences run to the end of the input, like in CommonMark.
+ * $$ math blocks spanning lines count as code, so their lines stay apart.
  */
-export function parseMarkdown(markdown) {
-    if (!markdown || typeof markdown !== "string") {
-        return {
-            id: uuidv4(),
-            title: "Imported Document",
-            blocks: [createBlock(BLOCK_TYPES.PARAGRAPH, "")],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+function splitFencedCode(markdown) {
+    const segments = [];
+    const fencePattern =
+        /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[`~]*[ \t]*$|(?![\s\S]))|^ {0,3}\$\$[ \t]*\n[\s\S]*?^ {0,3}\$\$[ \t]*$/gm;
+    let lastIndex = 0;
+
+    for (const match of markdown.matchAll(fencePattern)) {
+        if (match.index > lastIndex) {
+            segments.push({
+                isCode: false,
+                text: markdown.slice(lastIndex, match.index)
+            });
+        }
+        segments.push({ isCode: true, text: match[0] });
+        lastIndex = match.index + match[0].length;
     }
 
-    // Preprocess: Normalize line endings and join continuation lines
-    let normalized = markdown
-        // Normalize Windows line endings
-        .replace(/\r\n/g, "\n")
-        // Normalize Mac line endings
-        .replace(/\r/g, "\n");
+    if (lastIndex < markdown.length) {
+        segments.push({ isCode: false, text: markdown.slice(lastIndex) });
+    }
 
-    // Join lines that should be together (single newline without blank line)
-    // but preserve intentional line breaks (double newlines, headings, lists, etc.)
-    normalized = normalized
+    return segments;
+}
+
+/**
+ * Join soft-wrapped lines into single lines, paragraph by paragraph
+ */
+function joinContinuationLines(text) {
+    return text
         .split(/\n\n+/) // Split on double (or more) newlines
         .map((block) => {
             // Within each block, check if lines should be joined
@@ -271,23 +380,421 @@ export function parseMarkdown(markdown) {
             return joined.join("\n");
         })
         .join("\n\n");
+}
+
+// Layout directives written by the serializer, e.g. <!-- columns {...} -->
+// and <!-- table {...} --> around tables without a header row
+const DIRECTIVE_PATTERN =
+    /^<!-- (\/?)(section|page|toc|gallery|columns|column|tabs|tab|table)(?: (\{.*\}))? -->[ \t]*$/gm;
+
+// Toggle blocks as written by the serializer: <details open> followed by
+// <summary>...</summary>, closed by </details>
+const DETAILS_PATTERN =
+    /^<details( open)?>[ \t]*\n?[ \t]*<summary>(.*?)<\/summary>[ \t]*$|^<\/details>[ \t]*$/gm;
+
+// Directives that start the next column/tab of the enclosing container
+const CHILD_DIRECTIVES = new Set(["column", "tab"]);
+
+/**
+ * Read the JSON properties of a directive, ignoring malformed ones
+ */
+function parseDirectiveProperties(json) {
+    if (!json) return {};
+    try {
+        const properties = JSON.parse(json);
+        return properties && typeof properties === "object" ? properties : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Find the layout directives and toggle <details> tags of a text, in order
+ * Returns [{ match, item }] with item as { name, isClosing, properties }
+ */
+function matchDirectives(text) {
+    const directives = [...text.matchAll(DIRECTIVE_PATTERN)].map((match) => ({
+        match,
+        item: {
+            name: match[2],
+            isClosing: match[1] === "/",
+            properties: parseDirectiveProperties(match[3])
+        }
+    }));
+    const toggles = [...text.matchAll(DETAILS_PATTERN)].map((match) => ({
+        match,
+        item: {
+            name: "toggle",
+            isClosing: match[0].startsWith("</"),
+            properties: { isOpen: match[1] !== undefined },
+            summary: match[2] || ""
+        }
+    }));
+
+    return [...directives, ...toggles].sort(
+        (a, b) => a.match.index - b.match.index
+    );
+}
+
+/**
+ * Split Markdown into layout directives and runs of regular Markdown
+ * Returns items of { segments } or { name, isClosing, properties };
+ * directives inside fenced code are left alone
+ */
+function splitDirectives(markdown) {
+    const items = [];
+    const addSegment = (segment) => {
+        if (!segment.text.trim()) return;
+        const last = items[items.length - 1];
+        if (last?.segments) {
+            last.segments.push(segment);
+        } else {
+            items.push({ segments: [segment] });
+        }
+    };
+
+    for (const segment of splitFencedCode(markdown)) {
+        if (segment.isCode) {
+            addSegment(segment);
+            continue;
+        }
+
+        let lastIndex = 0;
+        for (const { match, item } of matchDirectives(segment.text)) {
+            addSegment({
+                isCode: false,
+                text: segment.text.slice(lastIndex, match.index)
+            });
+            items.push(item);
+            lastIndex = match.index + match[0].length;
+        }
+        addSegment({ isCode: false, text: segment.text.slice(lastIndex) });
+    }
+
+    return items;
+}
+
+/**
+ * Tokenize a run of Markdown segments
+ */
+function lexSegments(segments) {
+    // Join lines that should be together (single newline without blank line)
+    // but preserve intentional line breaks (double newlines, headings, lists, etc.)
+    // Fenced code is left untouched so its whitespace survives
+    const normalized = segments
+        .map((segment) =>
+            segment.isCode ? segment.text : joinContinuationLines(segment.text)
+        )
+        .join("\n\n");
+
+    return marked.lexer(normalized);
+}
 
-    // Use marked's lexer to tokenize
-    const tokens = marked.lexer(normalized);
+/**
+ * Image properties of a paragraph that holds only an image, optionally
+ * followed by its caption in emphasis on the next line (as written on
+ * export), e.g. ![Alt](url) then *Caption*
+ * @param {Array} tokens - Inline tokens of the paragraph
+ * @returns {Object|null} { url, alt, caption }, or null for other paragraphs
+ */
+function paragraphImage(tokens = []) {
+    const [image, ...rest] = tokens.filter(
+        (token) =>
+            token.type !== "br" && !(token.type === "text" && !token.raw.trim())
+    );
+    if (image?.type !== "image") return null;
+    if (rest.length > 1 || (rest[0] && rest[0].type !== "em")) return null;
+
+    return {
+        url: image.href,
+        alt: image.text || "",
+        caption: rest[0] ? inlineText(rest[0].tokens) : image.title || ""
+    };
+}
+
+/**
+ * Plain text of inline tokens, without their markup
+ */
+function inlineText(tokens = []) {
+    return tokens
+        .map((token) =>
+            token.tokens ? inlineText(token.tokens) : token.text || ""
+        )
+        .join("");
+}
+
+/**
+ * Collect the images of a gallery body
+ */
+function collectImages(tokens, images) {
+    for (const token of tokens) {
+        if (token.type === "image") {
+            images.push({
+                id: uuidv4(),
+                url: token.href,
+                alt: token.text,
+                caption: token.title || ""
+            });
+        } else if (token.tokens) {
+            collectImages(token.tokens, images);
+        }
+    }
+}
+
+/**
+ * Read the columns/tabs of a container up to its closing directive
+ * Returns [{ properties, blocks }], one entry per column/tab marker
+ */
+function parseChildGroups(items, cursor, name) {
+    const groups = [];
+
+    while (cursor.index < items.length) {
+        const item = items[cursor.index];
+
+        if (item.name === name && item.isClosing) {
+            cursor.index++;
+            break;
+        }
+
+        if (CHILD_DIRECTIVES.has(item.name) || item.isClosing) {
+            cursor.index++;
+            if (!item.isClosing) {
+                groups.push({ properties: item.properties, blocks: [] });
+            }
+            continue;
+        }
+
+        // Content before the first marker goes into the first column/tab
+        if (groups.length === 0) {
+            groups.push({ properties: {}, blocks: [] });
+        }
+        groups[groups.length - 1].blocks.push(...itemsToBlocks(items, cursor));
+    }
+
+    return groups;
+}
+
+/**
+ * Rebuild a layout block from its directive
+ * Appends the block, holding any nested blocks, to `blocks`
+ */
+function directiveToBlocks(directive, items, cursor, blocks) {
+    const { name, properties } = directive;
+
+    switch (name) {
+        case "section":
+            blocks.push(
+                createBlock(BLOCK_TYPES.SECTION, "", {
+                    ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.SECTION],
+                    ...properties
+                })
+            );
+            break;
+
+        case "page":
+            blocks.push(
+                createBlock(BLOCK_TYPES.PAGE, "", {
+                    ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.PAGE],
+                    ...properties
+                })
+            );
+            break;
+
+        case "toc": {
+            // The list of links is rebuilt from the headings, so skip it
+            const isClosing = (item) => item?.name === "toc" && item.isClosing;
+            if (
+                items[cursor.index]?.segments &&
+                isClosing(items[cursor.index + 1])
+            ) {
+                cursor.index += 2;
+            } else if (isClosing(items[cursor.index])) {
+                cursor.index++;
+            }
+            blocks.push(
+                createBlock(BLOCK_TYPES.TOC, "", {
+                    ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.TOC],
+                    ...properties
+                })
+            );
+            break;
+        }
+
+        case "table": {
+            // The table up to the closing directive, without a header row
+            // when the directive says so
+            const content = items[cursor.index];
+            if (content?.segments) {
+                cursor.index++;
+                for (const token of lexSegments(content.segments)) {
+                    if (token.type === "table") {
+                        blocks.push(
+                            tableToBlock(token, properties.hasHeader !== false)
+                        );
+                    } else {
+                        tokenToBlocks(token, blocks);
+                    }
+                }
+            }
+            const closing = items[cursor.index];
+            if (closing?.name === "table" && closing.isClosing) {
+                cursor.index++;
+            }
+            break;
+        }
+
+        case "gallery": {
+            const images = [];
+            while (cursor.index < items.length) {
+                const item = items[cursor.index++];
+                if (item.name === "gallery" && item.isClosing) break;
+                if (item.segments) {
+                    collectImages(lexSegments(item.segments), images);
+                }
+            }
+            blocks.push(
+                createBlock(BLOCK_TYPES.GALLERY, "", {
+                    ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.GALLERY],
+                    ...properties,
+                    images
+                })
+            );
+            break;
+        }
+
+        case "columns": {
+            const groups = parseChildGroups(items, cursor, name);
+            const block = createBlock(BLOCK_TYPES.COLUMNS, "", {
+                ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.COLUMNS],
+                ...properties
+            });
+            block.children = groups.map((group, columnIndex) => ({
+                columnIndex,
+                blocks: group.blocks
+            }));
+            blocks.push(block);
+            break;
+        }
+
+        case "tabs": {
+            const groups = parseChildGroups(items, cursor, name);
+            const { activeTab = 0, ...tabsProperties } = properties;
+            const tabs = groups.map((group, index) => ({
+                id: uuidv4(),
+                label: group.properties.label || `Tab ${index + 1}`
+            }));
+            const block = createBlock(BLOCK_TYPES.TABS, "", {
+                ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.TABS],
+                ...tabsProperties,
+                tabs,
+                activeTabId: (tabs[activeTab] || tabs[0])?.id || null
+            });
+            block.children = Object.fromEntries(
+                groups.map((group, index) => [tabs[index].id, group.blocks])
+            );
+            blocks.push(block);
+            break;
+        }
+
+        case "toggle": {
+            const block = createBlock(
+                BLOCK_TYPES.TOGGLE,
+                parseInlineTokens(marked.Lexer.lexInline(directive.summary)),
+                {
+                    ...DEFAULT_BLOCK_PROPERTIES[BLOCK_TYPES.TOGGLE],
+                    ...properties
+                }
+            );
+            block.children = itemsToBlocks(items, cursor);
+
+            // Skip the closing </details>
+            const closing = items[cursor.index];
+            if (closing?.name === "toggle" && closing.isClosing) {
+                cursor.index++;
+            }
+            blocks.push(block);
+            break;
+        }
+    }
+}
+
+/**
+ * Convert items to blocks until a column/tab marker or closing directive,
+ * which belongs to the enclosing container
+ */
+function itemsToBlocks(items, cursor, handleToken = tokenToBlocks) {
+    const blocks = [];
+
+    while (cursor.index < items.length) {
+        const item = items[cursor.index];
+
+        if (item.segments) {
+            cursor.index++;
+            for (const token of lexSegments(item.segments)) {
+                handleToken(token, blocks);
+            }
+            continue;
+        }
+
+        if (item.isClosing || CHILD_DIRECTIVES.has(item.name)) break;
+
+        cursor.index++;
+        directiveToBlocks(item, items, cursor, blocks);
+    }
+
+    return blocks;
+}
+
+/**
+ * Parse Markdown string to document blocks
+ * Layout blocks (sections, tables of contents, galleries, columns, tabs)
+ * are rebuilt from the HTML comment directives written by the serializer,
+ * toggles from <details> elements
+ * @param {string} markdown - Markdown string
+ * @param {Object} options - Parse options
+ * @param {Function} options.resolveWikiLink - Looks up the document for a
+ *   [[Title]] link; without it (or when it returns null) the text is kept
+ * @returns {Object} Document object with blocks
+ */
+export function parseMarkdown(markdown, { resolveWikiLink } = {}) {
+    if (!markdown || typeof markdown !== "string") {
+        return {
+            id: uuidv4(),
+            title: "Imported Document",
+            blocks: [createBlock(BLOCK_TYPES.PARAGRAPH, "")],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Preprocess: Normalize line endings
+    const normalized = markdown
+        // Normalize Windows line endings
+        .replace(/\r\n/g, "\n")
+        // Normalize Mac line endings
+        .replace(/\r/g, "\n");
+
+    const items = splitDirectives(normalized);
     const blocks = [];
     let title = "Imported Document";
     let foundTitle = false;
 
-    // Process each token
-    for (const token of tokens) {
+    const handleToken = (token, target) => {
         // First H1 becomes document title
         if (!foundTitle && token.type === "heading" && token.depth === 1) {
             title = token.text;
             foundTitle = true;
-            continue;
+            return;
         }
 
-        tokenToBlocks(token, blocks);
+        tokenToBlocks(token, target);
+    };
+
+    const cursor = { index: 0 };
+    while (cursor.index < items.length) {
+        blocks.push(...itemsToBlocks(items, cursor, handleToken));
+        // Skip a stray column/tab marker or closing directive
+        cursor.index++;
     }
 
     // Ensure at least one block
@@ -295,6 +802,12 @@ export function parseMarkdown(markdown) {
         blocks.push(createBlock(BLOCK_TYPES.PARAGRAPH, ""));
     }
 
+    if (resolveWikiLink) {
+        transformBlockHtml(blocks, (html) =>
+            resolveWikiTitles(html, resolveWikiLink)
+        );
+    }
+
     return {
         id: uuidv4(),
         title,
@@ -307,16 +820,17 @@ export function parseMarkdown(markdown) {
 /**
  * Read file and parse as Markdown
  * @param {File} file - File object
+ * @param {Object} options - Parse options, see parseMarkdown
  * @returns {Promise<Object>} Document object
  */
-export function parseMarkdownFile(file) {
+export function parseMarkdownFile(file, options) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
 
         reader.onload = (e) => {
             try {
                 const markdown = e.target.result;
-                const document = parseMarkdown(markdown);
+                const document = parseMarkdown(markdown, options);
                 if (document.title === "Imported Document") {
                     document.title = file.name.replace(
                         /\.(md|txt|markdown)$/i,
@@ -0,0 +1,169 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock, htmlToPlainText } from "../utils/blocks";
+import { parseMarkdown } from "./markdownParser";
+import { serializeBlocks } from "./markdownSerializer";
+
+/**
+ * Serialize blocks and parse the Markdown back
+ */
+function roundTrip(blocks) {
+    return parseMarkdown(serializeBlocks(blocks)).blocks;
+}
+
+function paragraph(content) {
+    return createBlock(BLOCK_TYPES.PARAGRAPH, content);
+}
+
+function textOf(blocks) {
+    return blocks.map((block) => htmlToPlainText(block.content));
+}
+
+describe("Markdown round trip", () => {
+    it("keeps paragraphs that look like layout directives", () => {
+        const toggle = createBlock(BLOCK_TYPES.TOGGLE, "Summary");
+        toggle.children = [
+            paragraph("&lt;!-- tab --&gt;"),
+            paragraph("&lt;details open&gt;")
+        ];
+        const blocks = [
+            paragraph("Before"),
+            paragraph("&lt;!-- /tabs --&gt;"),
+            paragraph("&lt;!-- column --&gt;"),
+            toggle,
+            paragraph("After")
+        ];
+
+        const parsed = roundTrip(blocks);
+
+        expect(parsed.map((block) => block.type)).toEqual([
+            BLOCK_TYPES.PARAGRAPH,
+            BLOCK_TYPES.PARAGRAPH,
+            BLOCK_TYPES.PARAGRAPH,
+            BLOCK_TYPES.TOGGLE,
+            BLOCK_TYPES.PARAGRAPH
+        ]);
+        expect(textOf(parsed)).toEqual([
+            "Before",
+            "<!-- /tabs -->",
+            "<!-- column -->",
+            "Summary",
+            "After"
+        ]);
+        expect(textOf(parsed[3].children)).toEqual([
+            "<!-- tab -->",
+            "<details open>"
+        ]);
+        expect(serializeBlocks(parsed)).toBe(serializeBlocks(blocks));
+    });
+
+    it("keeps the variant and custom icon of callouts", () => {
+        const withIcon = createBlock(BLOCK_TYPES.CALLOUT, "Hot <b>take</b>");
+        withIcon.properties = { variant: "warning", icon: "🔥" };
+        const plain = createBlock(BLOCK_TYPES.CALLOUT, "Just a note");
+
+        const markdown = serializeBlocks([withIcon, plain]);
+        const parsed = parseMarkdown(markdown).blocks;
+
+        expect(markdown).toContain(
+            '> [!WARNING]\n> <!-- callout {"icon":"🔥"} -->'
+        );
+        expect(parsed.map((block) => block.properties)).toEqual([
+            { variant: "warning", icon: "🔥" },
+            { variant: "info", icon: null }
+        ]);
+        expect(textOf(parsed)).toEqual(["Hot take", "Just a note"]);
+    });
+
+    it("keeps images and their captions, also inside toggles", () => {
+        const image = (properties) => {
+            const block = createBlock(BLOCK_TYPES.IMAGE);
+            block.properties = properties;
+            return block;
+        };
+        const toggle = createBlock(BLOCK_TYPES.TOGGLE, "Photos");
+        toggle.children = [
+            image({
+                url: "https://example.com/a b.png",
+                alt: "A [1]",
+                caption: "Costs $5 *each*"
+            }),
+            image({ url: "https://example.com/b.png", alt: "", caption: "" })
+        ];
+        const blocks = [
+            image({
+                url: "https://example.com/c.png",
+                alt: "C",
+                caption: "Top"
+            }),
+            toggle
+        ];
+
+        const parsed = roundTrip(blocks);
+
+        expect(parsed.map((block) => block.type)).toEqual([
+            BLOCK_TYPES.IMAGE,
+            BLOCK_TYPES.TOGGLE
+        ]);
+        expect(parsed[0].properties).toEqual(blocks[0].properties);
+        expect(parsed[1].children.map((block) => block.properties)).toEqual(
+            toggle.children.map((block) => block.properties)
+        );
+        expect(serializeBlocks(parsed)).toBe(serializeBlocks(blocks));
+    });
+});
+
+describe("Markdown round trip of tables", () => {
+    const table = (hasHeader, rows) => {
+        const block = createBlock(BLOCK_TYPES.TABLE);
+        block.properties = {
+            columns: [
+                { id: "a", align: null },
+                { id: "b", align: "right" }
+            ],
+            rows: rows.map((cells, index) => ({ id: `r${index}`, cells })),
+            hasHeader
+        };
+        return block;
+    };
+    const cellsOf = (block) => block.properties.rows.map((row) => row.cells);
+
+    it("keeps tables without a header row", () => {
+        const blocks = [
+            table(false, [
+                ["a", "1"],
+                ["b", "2"]
+            ])
+        ];
+
+        const markdown = serializeBlocks(blocks);
+        const [parsed] = parseMarkdown(markdown).blocks;
+
+        expect(markdown).toContain('<!-- table {"hasHeader":false} -->');
+        expect(parsed.properties.hasHeader).toBe(false);
+        expect(cellsOf(parsed)).toEqual([
+            ["a", "1"],
+            ["b", "2"]
+        ]);
+        expect(serializeBlocks([parsed])).toBe(markdown);
+    });
+
+    it("keeps header rows whose cells are empty", () => {
+        const blocks = [
+            table(true, [
+                ["", ""],
+                ["b", "2"]
+            ])
+        ];
+
+        const markdown = serializeBlocks(blocks);
+        const [parsed] = parseMarkdown(markdown).blocks;
+
+        expect(markdown).not.toContain("<!-- table");
+        expect(parsed.properties.hasHeader).toBe(true);
+        expect(cellsOf(parsed)).toEqual([
+            ["", ""],
+            ["b", "2"]
+        ]);
+    });
+});
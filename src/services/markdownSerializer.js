@@ -3,7 +3,20 @@
  * Converts document blocks to Markdown string
  */
 
-import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { BLOCK_TYPES, CALLOUT_VARIANTS } from "../constants/BLOCK_TYPES";
+import {
+    flattenBlocks,
+    getListMarker,
+    getListNumbers,
+    htmlToPlainText,
+    isListBlock,
+    isPlainTextBlock
+} from "../utils/blocks";
+import { wikiLinksToMarkdown } from "../utils/wikiLinks";
+import { INLINE_MATH_PATTERN, replaceInlineMath } from "../utils/math";
+import { createSlugger, getDocumentHeadings } from "../utils/toc";
+import { blobToDataUrl, findAssetIds, toAssetUrl } from "../utils/assets";
+import { getAsset } from "./documentStorage";
 
 /**
  * Convert HTML inline formatting to Markdown
@@ -13,7 +26,12 @@ import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
 function htmlToMarkdown(html) {
     if (!html) return "";
 
-    let md = html;
+    // Formulas are set aside as $tex$ until the HTML around them is converted
+    const formulas = [];
+    let md = replaceInlineMath(html, (tex) => {
+        formulas.push(`$${tex}$`);
+        return `\uE000${formulas.length - 1}\uE000`;
+    });
 
     // Replace <strong> and <b> with **
     md = md.replace(/<(strong|b)>(.*?)<\/(strong|b)>/gi, "**$2**");
@@ -27,6 +45,9 @@ function htmlToMarkdown(html) {
     // Replace <u> - no standard MD, keep as HTML
     // md = md.replace(/<u>(.*?)<\/u>/gi, "<u>$1</u>");
 
+    // Replace links to other documents with [[Title]]
+    md = wikiLinksToMarkdown(md);
+
     // Replace <a href="url">text</a> with [text](url)
     md = md.replace(/<a\s+href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi, "[$2]($1)");
 
@@ -53,15 +74,225 @@ function htmlToMarkdown(html) {
     md = md.replace(/&gt;/g, ">");
     md = md.replace(/&quot;/g, '"');
 
+    // Dollars that would read back as a formula are escaped
+    md = md.replace(INLINE_MATH_PATTERN, (match) =>
+        match.replace(/\$/g, "\\$")
+    );
+
+    // Text lines that would read back as a layout directive or toggle tag
+    // (<!-- tabs -->, <details>) are escaped so they stay text
+    md = md.replace(/^(?=<(?:!--|\/?details\b|summary\b))/gim, "\\");
+    md = md.replace(/\uE000(\d+)\uE000/g, (match, index) => formulas[index]);
+
     return md;
 }
 
+/**
+ * Wrap code in a fence longer than any backtick run inside it
+ * @param {string} code - Plain text code
+ * @param {string} language - Language used as the fence info string
+ * @returns {string} Fenced code block
+ */
+function fenceCode(code, language) {
+    const longestRun = Math.max(
+        0,
+        ...(code.match(/`+/g) || []).map((run) => run.length)
+    );
+    const fence = "`".repeat(Math.max(3, longestRun + 1));
+    const info = language && language !== "plaintext" ? language : "";
+    return `${fence}${info}\n${code}\n${fence}`;
+}
+
+/**
+ * Write a table block as a GFM table
+ * GFM requires a header line, so tables without a header row get an
+ * empty one, inside a table directive that records the missing header
+ * @param {Object} properties - Table block properties
+ * @returns {string} Markdown table
+ */
+function serializeTable(properties) {
+    const { columns = [], rows = [], hasHeader = true } = properties || {};
+    if (columns.length === 0) return "";
+
+    const toCell = (html) =>
+        htmlToMarkdown(html || "")
+            .trim()
+            .replace(/\|/g, "\\|")
+            .replace(/\n/g, "<br>");
+    const toLine = (cells) => `| ${cells.join(" | ")} |`;
+    const delimiters = {
+        left: ":---",
+        center: ":---:",
+        right: "---:"
+    };
+
+    const headerRow = hasHeader ? rows[0] : null;
+    const bodyRows = hasHeader ? rows.slice(1) : rows;
+
+    const table = [
+        toLine(columns.map((_, i) => toCell(headerRow?.cells[i]))),
+        toLine(columns.map((column) => delimiters[column.align] || "---")),
+        ...bodyRows.map((row) =>
+            toLine(columns.map((_, i) => toCell(row.cells[i])))
+        )
+    ].join("\n");
+
+    if (hasHeader) return table;
+    return [
+        directive("table", { hasHeader: false }),
+        table,
+        directive("/table")
+    ].join("\n\n");
+}
+
+/**
+ * Write a layout directive as an HTML comment, e.g.
+ * <!-- columns {"count":2} -->
+ * Properties are JSON; "--" is escaped so it can't end the comment
+ * @param {string} name - Directive name, prefixed with / to close
+ * @param {Object} properties - Properties to store on the directive
+ * @returns {string} Directive line
+ */
+function directive(name, properties = {}) {
+    if (Object.keys(properties).length === 0) {
+        return `<!-- ${name} -->`;
+    }
+    const json = JSON.stringify(properties).replace(/-(?=-)/g, "\\u002d");
+    return `<!-- ${name} ${json} -->`;
+}
+
+/**
+ * Write a gallery image as Markdown, with the caption as image title
+ * @param {Object} image - Gallery image { url, alt, caption }
+ * @returns {string} Markdown image
+ */
+function serializeImage({ url = "", alt = "", caption = "" }) {
+    const text = alt.replace(/([[\]\\])/g, "\\$1");
+    const href = /[\s()<>]/.test(url) ? `<${url}>` : url;
+    const title = caption ? ` "${caption.replace(/(["\\])/g, "\\$1")}"` : "";
+    return `![${text}](${href}${title})`;
+}
+
+/**
+ * Create the state shared while serializing a document
+ * Headings get their GitHub anchors in document order, after the title
+ * (section titles are no Markdown headings, so they have none)
+ * @param {Array} blocks - Top-level blocks of the document
+ * @param {string} title - Title written as the first heading, if any
+ * @returns {Object} Context { blocks, anchors } with anchors by block ID
+ */
+function createContext(blocks, title) {
+    const slugger = createSlugger();
+    if (title) slugger(title);
+
+    const anchors = new Map();
+    for (const heading of getDocumentHeadings(blocks, {
+        includeNested: true
+    })) {
+        if (heading.type !== BLOCK_TYPES.SECTION) {
+            anchors.set(heading.id, slugger(heading.text));
+        }
+    }
+    return { blocks, anchors };
+}
+
+/**
+ * Serialize a table of contents as a list of anchor links between
+ * directives; the list is rebuilt from the headings when imported
+ * @param {Object} block - Table of contents block
+ * @param {Object} context - Serialization context, see createContext
+ * @returns {string} Markdown string
+ */
+function serializeToc(block, { blocks, anchors }) {
+    const headings = getDocumentHeadings(blocks, block.properties);
+    const minLevel = Math.min(...headings.map((heading) => heading.level));
+
+    // Items can't be nested deeper than one level below the previous one
+    let previousDepth = -1;
+    const items = headings.map((heading) => {
+        const depth = Math.min(heading.level - minLevel, previousDepth + 1);
+        previousDepth = depth;
+
+        const text = heading.text.replace(/([[\]\\*_`])/g, "\\$1");
+        const anchor = anchors.get(heading.id);
+        const item = anchor ? `[${text}](#${anchor})` : text;
+        return `${"  ".repeat(depth)}- ${item}`;
+    });
+
+    const lines = [directive("toc", block.properties)];
+    if (items.length > 0) lines.push(items.join("\n"));
+    lines.push(directive("/toc"));
+    return lines.join("\n\n") + "\n\n";
+}
+
+/**
+ * Blocks inside each column or tab of a container block
+ * @param {Object} block - Columns or Tabs block
+ * @returns {Array<Array<Object>>} Child blocks per column/tab
+ */
+function getChildGroups(block) {
+    if (block.type === BLOCK_TYPES.COLUMNS) {
+        const count = block.properties?.count || 2;
+        const columns = Array.isArray(block.children) ? block.children : [];
+        return Array.from(
+            { length: count },
+            (_, index) =>
+                columns.find((c) => c.columnIndex === index)?.blocks || []
+        );
+    }
+
+    if (block.type === BLOCK_TYPES.TABS) {
+        return (block.properties?.tabs || []).map(
+            (tab) => block.children?.[tab.id] || []
+        );
+    }
+
+    return [];
+}
+
+/**
+ * Serialize a Columns or Tabs block with its nested blocks
+ * @param {Object} block - Container block
+ * @param {Object} context - Serialization context, see createContext
+ * @returns {string} Markdown string
+ */
+function serializeContainer(block, context) {
+    const groups = getChildGroups(block);
+
+    let markers;
+    let opening;
+    if (block.type === BLOCK_TYPES.COLUMNS) {
+        opening = directive("columns", block.properties);
+        markers = groups.map(() => directive("column"));
+    } else {
+        const {
+            tabs = [],
+            activeTabId,
+            ...properties
+        } = block.properties || {};
+        const activeTab = tabs.findIndex((tab) => tab.id === activeTabId);
+        opening = directive("tabs", {
+            ...properties,
+            ...(activeTab > 0 && { activeTab })
+        });
+        markers = tabs.map((tab) => directive("tab", { label: tab.label }));
+    }
+
+    let markdown = `${opening}\n\n`;
+    groups.forEach((children, index) => {
+        markdown += `${markers[index]}\n\n`;
+        markdown += serializeBlockSequence(children, context);
+    });
+    return `${markdown}${directive(`/${block.type}`)}\n\n`;
+}
+
 /**
  * Serialize a single block to Markdown
  * @param {Object} block - Block object
+ * @param {Object} context - Serialization context, see createContext
  * @returns {string} Markdown string
  */
-function serializeBlock(block) {
+function serializeBlock(block, context) {
     const content = htmlToMarkdown(block.content || "");
     const indent = "  ".repeat(block.properties?.indent || 0);
 
@@ -78,22 +309,33 @@ function serializeBlock(block) {
         case BLOCK_TYPES.HEADING_3:
             return `### ${content}\n\n`;
 
-        case BLOCK_TYPES.TASK: {
-            const checked = block.properties?.checked ? "x" : " ";
-            return `${indent}- [${checked}] ${content}\n`;
-        }
-
         case BLOCK_TYPES.QUOTE:
             return `> ${content}\n\n`;
 
+        case BLOCK_TYPES.CALLOUT: {
+            // GitHub alert: > [!NOTE] followed by the quoted body
+            // A custom icon goes on a comment line, hidden when rendered
+            const variant =
+                CALLOUT_VARIANTS.find(
+                    (v) => v.id === block.properties?.variant
+                ) || CALLOUT_VARIANTS[0];
+            const icon = block.properties?.icon;
+            const lines = content.split("\n");
+            if (icon) lines.unshift(directive("callout", { icon }));
+            const body = lines
+                .map((line) => (line ? `> ${line}` : ">"))
+                .join("\n");
+            return `> [!${variant.alert}]\n${body}\n\n`;
+        }
+
         case BLOCK_TYPES.DIVIDER:
             return "---\n\n";
 
         case BLOCK_TYPES.IMAGE: {
             const { url = "", alt = "", caption = "" } = block.properties || {};
-            let md = `![${alt}](${url})`;
+            let md = serializeImage({ url, alt });
             if (caption) {
-                md += `\n*${caption}*`;
+                md += `\n*${caption.replace(/([\\*_`[\]<$])/g, "\\$1")}*`;
             }
             return md + "\n\n";
         }
@@ -103,11 +345,115 @@ function serializeBlock(block) {
             return `[${title || url}](${url})\n\n`;
         }
 
+        case BLOCK_TYPES.CODE:
+            return (
+                fenceCode(block.content || "", block.properties?.language) +
+                "\n\n"
+            );
+
+        case BLOCK_TYPES.EQUATION:
+            return `$$\n${block.content || ""}\n$$\n\n`;
+
+        case BLOCK_TYPES.TABLE:
+            return serializeTable(block.properties) + "\n\n";
+
+        case BLOCK_TYPES.SECTION:
+            return directive("section", block.properties) + "\n\n";
+
+        case BLOCK_TYPES.PAGE:
+            return directive("page", block.properties) + "\n\n";
+
+        case BLOCK_TYPES.GALLERY: {
+            const { images = [], ...properties } = block.properties || {};
+            const lines = [
+                directive("gallery", properties),
+                ...images.map(serializeImage),
+                directive("/gallery")
+            ];
+            return lines.join("\n\n") + "\n\n";
+        }
+
+        case BLOCK_TYPES.COLUMNS:
+        case BLOCK_TYPES.TABS:
+            return serializeContainer(block, context);
+
+        case BLOCK_TYPES.TOGGLE: {
+            // HTML <details>, nested blocks as Markdown after a blank line
+            const open = block.properties?.isOpen === false ? "" : " open";
+            return (
+                `<details${open}>\n<summary>${content}</summary>\n\n` +
+                serializeBlockSequence(block.children || [], context) +
+                "</details>\n\n"
+            );
+        }
+
+        case BLOCK_TYPES.TOC:
+            return serializeToc(block, context);
+
         default:
             return content ? `${content}\n\n` : "";
     }
 }
 
+/**
+ * Serialize a run of blocks, writing list items as GFM (nested) lists
+ * Nested items are indented to line up with their parent's content, so
+ * bullets, numbers and tasks can be mixed at any depth
+ * @param {Array} blocks - Array of block objects in document order
+ * @param {Object} context - Serialization context, see createContext
+ * @returns {string} Markdown string
+ */
+function serializeBlockSequence(blocks, context) {
+    const listNumbers = getListNumbers(blocks);
+    const contentIndents = []; // Per depth: indentation of the item content
+    let markdown = "";
+
+    for (const block of blocks) {
+        if (!isListBlock(block)) {
+            // A list must be followed by a blank line
+            if (contentIndents.length > 0) {
+                markdown += "\n";
+                contentIndents.length = 0;
+            }
+            markdown += serializeBlock(block, context);
+            continue;
+        }
+
+        // Items can't be nested deeper than one level below the previous one
+        const depth = Math.min(
+            block.properties?.indent || 0,
+            contentIndents.length
+        );
+        const prefix = depth > 0 ? contentIndents[depth - 1] : "";
+
+        let marker = "- ";
+        if (block.type === BLOCK_TYPES.NUMBERED_LIST) {
+            marker = `${listNumbers.get(block.id)}. `;
+        }
+
+        contentIndents.length = depth;
+        contentIndents[depth] = prefix + " ".repeat(marker.length);
+
+        const content = htmlToMarkdown(block.content || "").replace(
+            /\n/g,
+            "\n" + contentIndents[depth]
+        );
+
+        if (block.type === BLOCK_TYPES.TASK) {
+            const checked = block.properties?.checked ? "x" : " ";
+            markdown += `${prefix}${marker}[${checked}] ${content}\n`;
+        } else {
+            markdown += `${prefix}${marker}${content}\n`;
+        }
+    }
+
+    if (contentIndents.length > 0) {
+        markdown += "\n";
+    }
+
+    return markdown;
+}
+
 /**
  * Serialize entire document to Markdown
  * @param {Object} document - Document object with blocks array
@@ -124,13 +470,17 @@ export function serializeDocument(document) {
         markdown += `# ${document.title}\n\n`;
     }
 
-    // Serialize each block
-    for (const block of document.blocks) {
-        markdown += serializeBlock(block);
-    }
+    // Serialize each block, nesting column/tab contents in their container
+    markdown += serializeBlockSequence(
+        document.blocks,
+        createContext(document.blocks, document.title)
+    );
 
-    // Clean up excessive newlines
-    markdown = markdown.replace(/\n{3,}/g, "\n\n");
+    // Clean up excessive newlines (blank lines inside code fences are kept)
+    markdown = markdown.replace(
+        /(^(`{3,})[^\n]*\n[\s\S]*?\n\2$)|\n{3,}/gm,
+        (match, code) => code || "\n\n"
+    );
 
     return markdown.trim() + "\n";
 }
@@ -138,14 +488,13 @@ export function serializeDocument(document) {
 /**
  * Serialize specific blocks to Markdown
  * @param {Array} blocks - Array of block objects
+ * @param {Array} documentBlocks - Blocks of the whole document, listed by
+ *   tables of contents (defaults to `blocks`)
  * @returns {string} Markdown string
  */
-export function serializeBlocks(blocks) {
+export function serializeBlocks(blocks, documentBlocks = blocks) {
     if (!blocks || !blocks.length) return "";
-    return blocks
-        .map((block) => serializeBlock(block))
-        .join("")
-        .trim();
+    return serializeBlockSequence(blocks, createContext(documentBlocks)).trim();
 }
 
 /**
@@ -165,7 +514,31 @@ export function documentToPlainText(document) {
         lines.push("");
     }
 
-    for (const block of document.blocks) {
+    // Nested blocks follow the column/tab block that holds them
+    const blocks = flattenBlocks(document.blocks);
+    const listNumbers = getListNumbers(blocks);
+
+    for (const block of blocks) {
+        // Code and equations are already plain text
+        if (isPlainTextBlock(block)) {
+            lines.push(block.content || "");
+            continue;
+        }
+
+        // Tables become tab-separated rows
+        if (block.type === BLOCK_TYPES.TABLE) {
+            for (const row of block.properties?.rows || []) {
+                lines.push(
+                    row.cells
+                        .map((cell) =>
+                            htmlToPlainText(cell).replace(/\n/g, " ")
+                        )
+                        .join("\t")
+                );
+            }
+            continue;
+        }
+
         let content = htmlToMarkdown(block.content || "");
         // Strip remaining markdown syntax for plain text
         content = content.replace(/\*\*/g, "");
@@ -177,7 +550,19 @@ export function documentToPlainText(document) {
         switch (block.type) {
             case BLOCK_TYPES.TASK: {
                 const checked = block.properties?.checked ? "☑" : "☐";
-                lines.push(`${checked} ${content}`);
+                const indent = "  ".repeat(block.properties?.indent || 0);
+                lines.push(`${indent}${checked} ${content}`);
+                break;
+            }
+            case BLOCK_TYPES.BULLETED_LIST:
+            case BLOCK_TYPES.NUMBERED_LIST: {
+                const depth = block.properties?.indent || 0;
+                const marker = getListMarker(
+                    block.type,
+                    depth,
+                    listNumbers.get(block.id)
+                );
+                lines.push(`${"  ".repeat(depth)}${marker} ${content}`);
                 break;
             }
             case BLOCK_TYPES.QUOTE:
@@ -194,12 +579,36 @@ export function documentToPlainText(document) {
     return lines.join("\n");
 }
 
+/**
+ * Copy of a document with its uploaded images embedded as data URLs, so
+ * the exported Markdown doesn't depend on this app's storage
+ * @param {Object} document - Document object
+ * @returns {Promise<Object>} Document with asset URLs replaced
+ */
+async function embedAssets(document) {
+    const assetIds = findAssetIds(document.blocks);
+    if (assetIds.size === 0) return document;
+
+    let json = JSON.stringify(document);
+    for (const assetId of assetIds) {
+        const blob = await getAsset(assetId);
+        if (blob) {
+            json = json.replaceAll(
+                toAssetUrl(assetId),
+                await blobToDataUrl(blob)
+            );
+        }
+    }
+    return JSON.parse(json);
+}
+
 /**
  * Download document as Markdown file
  * @param {Object} document - Document object
+ * @returns {Promise<void>}
  */
-export function downloadAsMarkdown(document) {
-    const markdown = serializeDocument(document);
+export async function downloadAsMarkdown(document) {
+    const markdown = serializeDocument(await embedAssets(document));
     const filename = `${document.title || "Untitled"}.md`;
 
     const blob = new Blob([markdown], { type: "text/markdown;charset=utf-8" });
@@ -219,7 +628,7 @@ export function downloadAsMarkdown(document) {
  * @returns {Promise<void>}
  */
 export async function copyAsMarkdown(document) {
-    const markdown = serializeDocument(document);
+    const markdown = serializeDocument(await embedAssets(document));
     await navigator.clipboard.writeText(markdown);
 }
 
@@ -1,7 +1,33 @@
 import { create } from "zustand";
 import { immer } from "zustand/middleware/immer";
 import * as storage from "../services/documentStorage";
+import * as search from "../utils/searchIndex";
 import { createDocument as createDocBlock } from "../utils/blocks";
+import {
+    createGroup,
+    getChildGroups,
+    getDescendantGroupIds,
+    moveGroupInTree
+} from "../utils/groups";
+import { duplicatePageTree } from "../utils/pages";
+import { renameWikiLinks } from "../utils/wikiLinks";
+
+// Full-text index over all documents, kept outside of the (immutable)
+// store state and updated whenever a document is loaded or saved
+const searchIndex = search.createSearchIndex();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ids of trashed documents deleted longer ago than the retention period
+ */
+function getExpiredTrashIds(trash, retentionDays) {
+    if (!retentionDays) return [];
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    return trash
+        .filter((doc) => new Date(doc.deletedAt).getTime() < cutoff)
+        .map((doc) => doc.id);
+}
 
 /**
  * Documents Store - Manages multi-document state
@@ -10,11 +36,17 @@ export const useDocumentsStore = create(
     immer((set, get) => ({
         // State
         documents: [],
+        groups: [],
+        trash: [],
+        trashRetentionDays: storage.getTrashRetentionDays(),
         activeDocumentId: null,
         isLoading: true,
         isSaving: false,
         lastSaved: null,
         sidebarCollapsed: false,
+        outlineCollapsed: false,
+        snapshots: [],
+        isLoadingSnapshots: false,
 
         // ========== Document Actions ==========
 
@@ -27,15 +59,23 @@ export const useDocumentsStore = create(
             });
 
             try {
-                const documents = await storage.getAllDocuments();
+                const [documents, groups, trash] = await Promise.all([
+                    storage.getAllDocuments(),
+                    storage.getAllGroups(),
+                    storage.getTrashedDocuments()
+                ]);
+                search.rebuildIndex(searchIndex, documents);
                 set((state) => {
                     state.documents = documents;
+                    state.groups = groups;
+                    state.trash = trash;
                     state.isLoading = false;
                     // Select first document if none active
                     if (!state.activeDocumentId && documents.length > 0) {
                         state.activeDocumentId = documents[0].id;
                     }
                 });
+                await get().purgeExpiredTrash();
             } catch (error) {
                 console.error("Failed to load documents:", error);
                 set((state) => {
@@ -54,16 +94,30 @@ export const useDocumentsStore = create(
         },
 
         /**
-         * Create a new document
+         * Create a new document, optionally inside a group or as a sub-page
+         * Sub-pages share their parent's group. With select: false the
+         * current document stays open.
          */
-        createDocument: async () => {
-            const newDoc = createDocBlock("Untitled");
+        createDocument: async ({
+            groupId = null,
+            parentId = null,
+            select = true
+        } = {}) => {
+            const parent = get().documents.find((d) => d.id === parentId);
+            const newDoc = parent
+                ? {
+                      ...createDocBlock("Untitled"),
+                      groupId: parent.groupId ?? null,
+                      parentId
+                  }
+                : { ...createDocBlock("Untitled"), groupId };
 
             try {
                 await storage.saveDocument(newDoc);
+                search.addToIndex(searchIndex, newDoc);
                 set((state) => {
                     state.documents.unshift(newDoc);
-                    state.activeDocumentId = newDoc.id;
+                    if (select) state.activeDocumentId = newDoc.id;
                 });
                 return newDoc;
             } catch (error) {
@@ -76,21 +130,41 @@ export const useDocumentsStore = create(
          * Save the current document
          */
         saveDocument: async (document) => {
+            // A late autosave must not bring a trashed document back
+            if (get().trash.some((d) => d.id === document.id)) return;
+
             set((state) => {
                 state.isSaving = true;
             });
 
+            // The sidebar owns group membership and page nesting; the
+            // editor's copy of the document may predate a move
+            const listed = get().documents.find((d) => d.id === document.id);
+            const docToSave = listed
+                ? {
+                      ...document,
+                      groupId: listed.groupId ?? null,
+                      parentId: listed.parentId ?? null
+                  }
+                : document;
+
             try {
-                await storage.saveDocument(document);
+                await storage.saveDocument(docToSave);
+                search.addToIndex(searchIndex, docToSave);
                 set((state) => {
                     state.isSaving = false;
                     state.lastSaved = new Date().toISOString();
-                    // Update document in list
+                    // Update document in list, keeping a move made while
+                    // saving
                     const index = state.documents.findIndex(
                         (d) => d.id === document.id
                     );
                     if (index !== -1) {
-                        state.documents[index] = document;
+                        state.documents[index] = {
+                            ...docToSave,
+                            groupId: state.documents[index].groupId ?? null,
+                            parentId: state.documents[index].parentId ?? null
+                        };
                     }
                 });
             } catch (error) {
@@ -102,15 +176,28 @@ export const useDocumentsStore = create(
         },
 
         /**
-         * Delete a document
+         * Move a document to the trash
+         * Its sub-pages move up to the deleted page's parent and group
          */
-        deleteDocument: async (documentId) => {
+        trashDocument: async (documentId) => {
             try {
-                await storage.deleteDocument(documentId);
+                const trashed = await storage.trashDocument(documentId);
+                if (!trashed) return;
+                const placement = {
+                    parentId: trashed.parentId ?? null,
+                    groupId: trashed.groupId ?? null
+                };
+                search.removeFromIndex(searchIndex, documentId);
                 set((state) => {
                     state.documents = state.documents.filter(
                         (d) => d.id !== documentId
                     );
+                    for (const doc of state.documents) {
+                        if (doc.parentId === documentId) {
+                            Object.assign(doc, placement);
+                        }
+                    }
+                    state.trash.unshift(trashed);
                     // Select another document if the deleted one was active
                     if (state.activeDocumentId === documentId) {
                         state.activeDocumentId =
@@ -120,33 +207,31 @@ export const useDocumentsStore = create(
                     }
                 });
             } catch (error) {
-                console.error("Failed to delete document:", error);
+                console.error("Failed to move document to trash:", error);
             }
         },
 
         /**
          * Duplicate a document
+         * Its sub-pages are copied along with it
          */
         duplicateDocument: async (documentId) => {
-            const original = get().documents.find((d) => d.id === documentId);
-            if (!original) return;
+            const { documents } = get();
+            if (!documents.some((d) => d.id === documentId)) return;
 
-            const duplicated = {
-                ...original,
-                id: crypto.randomUUID(),
-                title: `${original.title} (copy)`,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            const copies = duplicatePageTree(documents, documentId);
 
             try {
-                await storage.saveDocument(duplicated);
+                await Promise.all(copies.map(storage.saveDocument));
+                for (const copy of copies) {
+                    search.addToIndex(searchIndex, copy);
+                }
                 set((state) => {
                     const index = state.documents.findIndex(
                         (d) => d.id === documentId
                     );
-                    state.documents.splice(index + 1, 0, duplicated);
-                    state.activeDocumentId = duplicated.id;
+                    state.documents.splice(index + 1, 0, ...copies);
+                    state.activeDocumentId = copies[0].id;
                 });
             } catch (error) {
                 console.error("Failed to duplicate document:", error);
@@ -155,9 +240,13 @@ export const useDocumentsStore = create(
 
         /**
          * Rename a document
+         * Wiki links to it in other documents take the new title; the open
+         * document's links are relabelled by the editor, which owns its
+         * unsaved content
          */
         renameDocument: async (documentId, newTitle) => {
             try {
+                const linkingIds = [];
                 set((state) => {
                     const doc = state.documents.find(
                         (d) => d.id === documentId
@@ -166,10 +255,30 @@ export const useDocumentsStore = create(
                         doc.title = newTitle;
                         doc.updatedAt = new Date().toISOString();
                     }
+                    for (const other of state.documents) {
+                        if (
+                            other.id !== state.activeDocumentId &&
+                            renameWikiLinks(
+                                other.blocks || [],
+                                documentId,
+                                newTitle
+                            )
+                        ) {
+                            linkingIds.push(other.id);
+                        }
+                    }
                 });
                 const doc = get().documents.find((d) => d.id === documentId);
                 if (doc) {
                     await storage.saveDocument(doc);
+                    search.addToIndex(searchIndex, doc);
+                }
+                const linking = get().documents.filter((d) =>
+                    linkingIds.includes(d.id)
+                );
+                await Promise.all(linking.map(storage.saveDocument));
+                for (const other of linking) {
+                    search.addToIndex(searchIndex, other);
                 }
             } catch (error) {
                 console.error("Failed to rename document:", error);
@@ -179,15 +288,304 @@ export const useDocumentsStore = create(
         /**
          * Create a version snapshot
          */
-        createSnapshot: async (documentId, blocks) => {
+        createSnapshot: async (documentId, blocks, comments) => {
             try {
-                await storage.createSnapshot(documentId, blocks);
+                const snapshot = await storage.createSnapshot(
+                    documentId,
+                    blocks,
+                    comments
+                );
                 await storage.cleanupSnapshots(documentId);
+                return snapshot;
             } catch (error) {
                 console.error("Failed to create snapshot:", error);
+                return null;
+            }
+        },
+
+        /**
+         * Load version snapshots for a document (newest first)
+         */
+        loadSnapshots: async (documentId) => {
+            set((state) => {
+                state.isLoadingSnapshots = true;
+            });
+
+            try {
+                const snapshots = await storage.getSnapshots(
+                    documentId,
+                    storage.MAX_SNAPSHOTS
+                );
+                set((state) => {
+                    state.snapshots = snapshots;
+                    state.isLoadingSnapshots = false;
+                });
+            } catch (error) {
+                console.error("Failed to load snapshots:", error);
+                set((state) => {
+                    state.snapshots = [];
+                    state.isLoadingSnapshots = false;
+                });
+            }
+        },
+
+        /**
+         * Move a document into a group (null for the top level)
+         * A sub-page becomes a top-level page of the group
+         */
+        moveDocumentToGroup: async (documentId, groupId) => {
+            try {
+                await storage.moveDocumentToGroup(documentId, groupId);
+                set((state) => {
+                    const doc = state.documents.find(
+                        (d) => d.id === documentId
+                    );
+                    if (doc) {
+                        doc.groupId = groupId;
+                        doc.parentId = null;
+                    }
+                });
+            } catch (error) {
+                console.error("Failed to move document:", error);
+            }
+        },
+
+        // ========== Group Actions ==========
+
+        /**
+         * Create a group at the end of its parent (null for the top level)
+         */
+        createGroup: async (parentId = null) => {
+            const siblings = getChildGroups(get().groups, parentId);
+            const group = createGroup(
+                "New folder",
+                parentId,
+                siblings.length > 0 ? siblings.at(-1).order + 1 : 0
+            );
+
+            try {
+                await storage.saveGroups([group]);
+                set((state) => {
+                    state.groups.push(group);
+                    // Show the new group inside its parent
+                    const parent = state.groups.find((g) => g.id === parentId);
+                    if (parent) parent.collapsed = false;
+                });
+                return group;
+            } catch (error) {
+                console.error("Failed to create group:", error);
+                return null;
+            }
+        },
+
+        /**
+         * Update a group's fields (name, collapsed)
+         */
+        updateGroup: async (groupId, changes) => {
+            const group = get().groups.find((g) => g.id === groupId);
+            if (!group) return;
+
+            try {
+                await storage.saveGroups([{ ...group, ...changes }]);
+                set((state) => {
+                    const target = state.groups.find((g) => g.id === groupId);
+                    Object.assign(target, changes);
+                });
+            } catch (error) {
+                console.error("Failed to update group:", error);
+            }
+        },
+
+        /**
+         * Move a group to a position inside another group (or the top level)
+         * Moving a group into itself or one of its sub-groups is ignored
+         */
+        moveGroup: async (groupId, parentId, index) => {
+            const changed = moveGroupInTree(
+                get().groups,
+                groupId,
+                parentId,
+                index
+            );
+            if (changed.length === 0) return;
+
+            try {
+                await storage.saveGroups(changed);
+                set((state) => {
+                    for (const group of changed) {
+                        const target = state.groups.find(
+                            (g) => g.id === group.id
+                        );
+                        Object.assign(target, group);
+                    }
+                });
+            } catch (error) {
+                console.error("Failed to move group:", error);
+            }
+        },
+
+        /**
+         * Delete a group
+         * Its sub-groups and documents move up to the parent group
+         */
+        deleteGroup: async (groupId) => {
+            try {
+                const parentId = await storage.deleteGroup(groupId);
+                set((state) => {
+                    state.groups = state.groups.filter((g) => g.id !== groupId);
+                    for (const group of state.groups) {
+                        if (group.parentId === groupId) {
+                            group.parentId = parentId;
+                        }
+                    }
+                    for (const doc of state.documents) {
+                        if (doc.groupId === groupId) doc.groupId = parentId;
+                    }
+                });
+            } catch (error) {
+                console.error("Failed to delete group:", error);
+            }
+        },
+
+        // ========== Trash ==========
+
+        /**
+         * Restore a document from the trash
+         * It goes back under its parent page and group when they still
+         * exist, otherwise to the top level
+         */
+        restoreDocument: async (documentId) => {
+            const { trash, documents, groups } = get();
+            const trashed = trash.find((d) => d.id === documentId);
+            if (!trashed) return null;
+
+            const parent = documents.find((d) => d.id === trashed.parentId);
+            const placement = parent
+                ? { parentId: parent.id, groupId: parent.groupId ?? null }
+                : {
+                      parentId: null,
+                      groupId: groups.some((g) => g.id === trashed.groupId)
+                          ? trashed.groupId
+                          : null
+                  };
+
+            try {
+                const restored = await storage.restoreDocument(
+                    documentId,
+                    placement
+                );
+                if (!restored) return null;
+                search.addToIndex(searchIndex, restored);
+                set((state) => {
+                    state.trash = state.trash.filter(
+                        (d) => d.id !== documentId
+                    );
+                    // Back into its place in the recently-updated order
+                    const index = state.documents.findIndex(
+                        (d) =>
+                            new Date(d.updatedAt) < new Date(restored.updatedAt)
+                    );
+                    state.documents.splice(
+                        index === -1 ? state.documents.length : index,
+                        0,
+                        restored
+                    );
+                });
+                return restored;
+            } catch (error) {
+                console.error("Failed to restore document:", error);
+                return null;
+            }
+        },
+
+        /**
+         * Permanently delete a document from the trash, with its snapshots
+         */
+        deleteDocumentForever: async (documentId) => {
+            try {
+                await storage.deleteTrashedDocuments([documentId]);
+                set((state) => {
+                    state.trash = state.trash.filter(
+                        (d) => d.id !== documentId
+                    );
+                });
+            } catch (error) {
+                console.error("Failed to delete document:", error);
+            }
+        },
+
+        /**
+         * Permanently delete every document in the trash
+         */
+        emptyTrash: async () => {
+            const ids = get().trash.map((d) => d.id);
+            if (ids.length === 0) return;
+
+            try {
+                await storage.deleteTrashedDocuments(ids);
+                set((state) => {
+                    state.trash = state.trash.filter(
+                        (d) => !ids.includes(d.id)
+                    );
+                });
+            } catch (error) {
+                console.error("Failed to empty trash:", error);
+            }
+        },
+
+        /**
+         * Permanently delete documents kept in the trash longer than the
+         * retention period
+         */
+        purgeExpiredTrash: async () => {
+            const { trash, trashRetentionDays } = get();
+            const ids = getExpiredTrashIds(trash, trashRetentionDays);
+            if (ids.length === 0) return;
+
+            try {
+                await storage.deleteTrashedDocuments(ids);
+                set((state) => {
+                    state.trash = state.trash.filter(
+                        (d) => !ids.includes(d.id)
+                    );
+                });
+            } catch (error) {
+                console.error("Failed to purge trash:", error);
             }
         },
 
+        /**
+         * Set how many days deleted documents are kept (0 for no limit)
+         * Documents already past the new limit are purged right away
+         */
+        setTrashRetention: async (days) => {
+            storage.setTrashRetentionDays(days);
+            set((state) => {
+                state.trashRetentionDays = days;
+            });
+            await get().purgeExpiredTrash();
+        },
+
+        // ========== Search ==========
+
+        /**
+         * Search titles and block contents of all documents
+         * With a groupId only documents in that group (or its sub-groups)
+         * are searched. Returns ranked results with highlighted snippets.
+         */
+        searchDocuments: (query, { groupId = null } = {}) => {
+            if (!groupId) return search.searchDocuments(searchIndex, query);
+
+            const { documents, groups } = get();
+            const groupIds = getDescendantGroupIds(groups, groupId);
+            const documentIds = documents
+                .filter((d) => groupIds.has(d.groupId))
+                .map((d) => d.id);
+            return search.searchDocuments(searchIndex, query, {
+                documentIds
+            });
+        },
+
         // ========== UI State ==========
 
         /**
@@ -199,6 +597,15 @@ export const useDocumentsStore = create(
             });
         },
 
+        /**
+         * Toggle outline panel collapsed state
+         */
+        toggleOutline: () => {
+            set((state) => {
+                state.outlineCollapsed = !state.outlineCollapsed;
+            });
+        },
+
         /**
          * Get active document
          */
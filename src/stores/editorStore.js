@@ -1,11 +1,32 @@
 import { create } from "zustand";
 import { immer } from "zustand/middleware/immer";
-import { createDocument, findBlockIndex, mergeBlocks } from "../utils/blocks";
+import { current } from "immer";
+import {
+    createDocument,
+    findBlockLocation,
+    findBlockInTree,
+    flattenBlocks,
+    duplicateBlock,
+    mergeBlocks,
+    htmlToPlainText,
+    plainTextToHtml,
+    isListBlock,
+    isPlainTextBlock,
+    getListSubtreeEnd
+} from "../utils/blocks";
 import {
     BLOCK_TYPES,
     DEFAULT_BLOCK_PROPERTIES,
     createBlockProperties
 } from "../constants/BLOCK_TYPES";
+import { findMatches, replaceMatches } from "../utils/findReplace";
+import { renameWikiLinks } from "../utils/wikiLinks";
+import { getHeadingLevel, getHeadingSectionEnd } from "../utils/toc";
+import {
+    createComment,
+    setCommentAnchorsResolved,
+    removeCommentAnchors
+} from "../utils/comments";
 
 /**
  * Editor store using Zustand with Immer for immutable updates
@@ -30,6 +51,15 @@ export const useEditorStore = create(
         slashMenuPosition: { x: 0, y: 0 },
         isFloatingToolbarVisible: false,
 
+        // Version history preview (read-only snapshot shown in the canvas)
+        previewSnapshot: null,
+        diffMode: null, // null | 'current' | 'previous'
+        diffBaseSnapshot: null, // Older version when diffMode is 'previous'
+
+        // Comments panel and the thread selected in it
+        isCommentsOpen: false,
+        activeCommentId: null,
+
         // History for undo/redo
         history: {
             past: [],
@@ -47,6 +77,10 @@ export const useEditorStore = create(
                 // Deep clone current blocks
                 const snapshot = {
                     blocks: JSON.parse(JSON.stringify(state.document.blocks)),
+                    // Comment threads go along with the anchors in the text
+                    comments: JSON.parse(
+                        JSON.stringify(state.document.comments || [])
+                    ),
                     activeBlockId: state.activeBlockId,
                     timestamp: Date.now()
                 };
@@ -74,6 +108,9 @@ export const useEditorStore = create(
                 // Save current state to future
                 const currentSnapshot = {
                     blocks: JSON.parse(JSON.stringify(state.document.blocks)),
+                    comments: JSON.parse(
+                        JSON.stringify(state.document.comments || [])
+                    ),
                     activeBlockId: state.activeBlockId,
                     timestamp: Date.now()
                 };
@@ -82,6 +119,7 @@ export const useEditorStore = create(
                 // Restore from past
                 const previousState = state.history.past.pop();
                 state.document.blocks = previousState.blocks;
+                state.document.comments = previousState.comments;
                 state.activeBlockId = previousState.activeBlockId;
                 state.document.updatedAt = new Date().toISOString();
             });
@@ -98,6 +136,9 @@ export const useEditorStore = create(
                 // Save current state to past
                 const currentSnapshot = {
                     blocks: JSON.parse(JSON.stringify(state.document.blocks)),
+                    comments: JSON.parse(
+                        JSON.stringify(state.document.comments || [])
+                    ),
                     activeBlockId: state.activeBlockId,
                     timestamp: Date.now()
                 };
@@ -106,11 +147,73 @@ export const useEditorStore = create(
                 // Restore from future
                 const nextState = state.history.future.shift();
                 state.document.blocks = nextState.blocks;
+                state.document.comments = nextState.comments;
                 state.activeBlockId = nextState.activeBlockId;
                 state.document.updatedAt = new Date().toISOString();
             });
         },
 
+        // ========== Version History Actions ==========
+
+        /**
+         * Show a saved snapshot read-only in the canvas
+         */
+        startSnapshotPreview: (snapshot) => {
+            set((state) => {
+                state.previewSnapshot = snapshot;
+                state.selectionLevel = 0;
+                state.selectedBlockIds = [];
+                state.selectionAnchorIndex = null;
+            });
+        },
+
+        /**
+         * Return to editing the live document
+         */
+        exitSnapshotPreview: () => {
+            set((state) => {
+                state.previewSnapshot = null;
+                state.diffMode = null;
+                state.diffBaseSnapshot = null;
+            });
+        },
+
+        /**
+         * Show the previewed snapshot as a diff
+         * 'current' compares it with the live document, 'previous' with
+         * the given older snapshot; null shows the plain snapshot
+         */
+        setSnapshotDiff: (mode, baseSnapshot = null) => {
+            set((state) => {
+                state.diffMode = mode;
+                state.diffBaseSnapshot =
+                    mode === "previous" ? baseSnapshot : null;
+            });
+        },
+
+        /**
+         * Replace the document blocks and comment threads with a snapshot's
+         * Goes through history so the restore can be undone in one step;
+         * snapshots saved before comments were kept leave them as they are
+         */
+        restoreBlocks: (blocks, comments) => {
+            get().saveToHistory();
+            set((state) => {
+                state.document.blocks = JSON.parse(JSON.stringify(blocks));
+                if (comments) {
+                    state.document.comments = JSON.parse(
+                        JSON.stringify(comments)
+                    );
+                    state.activeCommentId = null;
+                }
+                state.activeBlockId = state.document.blocks[0]?.id || null;
+                state.previewSnapshot = null;
+                state.diffMode = null;
+                state.diffBaseSnapshot = null;
+                state.document.updatedAt = new Date().toISOString();
+            });
+        },
+
         // ========== Selection Actions ==========
 
         /**
@@ -123,11 +226,7 @@ export const useEditorStore = create(
             set((state) => {
                 const currentLevel = state.selectionLevel;
                 // Only select top-level blocks (not nested blocks inside columns/tabs)
-                const topLevelBlocks = state.document.blocks.filter(
-                    (b) =>
-                        b.columnIndex === undefined &&
-                        b.parentTabId === undefined
-                );
+                const topLevelBlocks = state.document.blocks;
 
                 if (currentLevel === 0) {
                     // Level 1: Select current block
@@ -164,11 +263,7 @@ export const useEditorStore = create(
         extendSelectionDown: () => {
             set((state) => {
                 // Only consider top-level blocks
-                const topLevelBlocks = state.document.blocks.filter(
-                    (b) =>
-                        b.columnIndex === undefined &&
-                        b.parentTabId === undefined
-                );
+                const topLevelBlocks = state.document.blocks;
 
                 if (topLevelBlocks.length === 0) return;
 
@@ -213,11 +308,7 @@ export const useEditorStore = create(
         extendSelectionUp: () => {
             set((state) => {
                 // Only consider top-level blocks
-                const topLevelBlocks = state.document.blocks.filter(
-                    (b) =>
-                        b.columnIndex === undefined &&
-                        b.parentTabId === undefined
-                );
+                const topLevelBlocks = state.document.blocks;
 
                 if (topLevelBlocks.length === 0) return;
 
@@ -307,18 +398,62 @@ export const useEditorStore = create(
             });
         },
 
+        /**
+         * Make a block the active one and show it
+         * Tabs holding the block switch to the tab it lives in and toggles
+         * holding it open. With `focus: false` the tabs switch but the
+         * active block stays as is.
+         */
+        revealBlock: (blockId, { focus = true } = {}) => {
+            set((state) => {
+                let location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
+                if (!location) return;
+
+                if (focus) {
+                    state.activeBlockId = blockId;
+                    state.selectionLevel = 0;
+                    state.selectedBlockIds = [];
+                }
+
+                while (location?.parent) {
+                    const { parent, list } = location;
+                    if (parent.type === BLOCK_TYPES.TABS) {
+                        const tabId = Object.keys(parent.children).find(
+                            (id) => parent.children[id] === list
+                        );
+                        if (tabId) parent.properties.activeTabId = tabId;
+                    }
+                    if (parent.type === BLOCK_TYPES.TOGGLE) {
+                        parent.properties = {
+                            ...parent.properties,
+                            isOpen: true
+                        };
+                    }
+                    location = findBlockLocation(
+                        state.document.blocks,
+                        parent.id
+                    );
+                }
+            });
+        },
+
         /**
          * Add a new block after the specified block
          */
         addBlockAfter: (afterBlockId, newBlock) => {
             set((state) => {
-                const blocks = state.document.blocks;
-                const index = findBlockIndex(blocks, afterBlockId);
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    afterBlockId
+                );
 
-                if (index !== -1) {
-                    blocks.splice(index + 1, 0, newBlock);
+                if (location) {
+                    location.list.splice(location.index + 1, 0, newBlock);
                 } else {
-                    blocks.push(newBlock);
+                    state.document.blocks.push(newBlock);
                 }
 
                 state.activeBlockId = newBlock.id;
@@ -331,9 +466,7 @@ export const useEditorStore = create(
          */
         updateBlockContent: (blockId, content) => {
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
-                );
+                const block = findBlockInTree(state.document.blocks, blockId);
                 if (block) {
                     block.content = content;
                     state.document.updatedAt = new Date().toISOString();
@@ -346,9 +479,7 @@ export const useEditorStore = create(
          */
         updateBlockProperties: (blockId, properties) => {
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
-                );
+                const block = findBlockInTree(state.document.blocks, blockId);
                 if (block) {
                     Object.assign(block.properties, properties);
                     state.document.updatedAt = new Date().toISOString();
@@ -362,9 +493,7 @@ export const useEditorStore = create(
          */
         updateBlockFull: (blockId, updates) => {
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
-                );
+                const block = findBlockInTree(state.document.blocks, blockId);
                 if (block) {
                     if (updates.properties) {
                         block.properties = {
@@ -385,9 +514,7 @@ export const useEditorStore = create(
          */
         updateBlockType: (blockId, newType) => {
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
-                );
+                const block = findBlockInTree(state.document.blocks, blockId);
                 if (block) {
                     block.type = newType;
                     state.document.updatedAt = new Date().toISOString();
@@ -401,14 +528,20 @@ export const useEditorStore = create(
         deleteBlock: (blockId) => {
             get().saveToHistory();
             set((state) => {
-                const blocks = state.document.blocks;
-                const index = findBlockIndex(blocks, blockId);
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
 
-                if (index !== -1) {
+                if (location) {
+                    const { list: blocks, index, parent } = location;
                     blocks.splice(index, 1);
 
-                    // If all blocks are deleted, ensure we have at least one paragraph
-                    if (blocks.length === 0) {
+                    if (blocks.length === 0 && parent) {
+                        // Last block of a column/tab - focus its container
+                        state.activeBlockId = parent.id;
+                    } else if (blocks.length === 0) {
+                        // If all blocks are deleted, ensure we have at least one paragraph
                         const newBlock = {
                             id: crypto.randomUUID(),
                             type: BLOCK_TYPES.PARAGRAPH,
@@ -418,7 +551,7 @@ export const useEditorStore = create(
                         blocks.push(newBlock);
                         state.activeBlockId = newBlock.id;
                     } else {
-                        // Set active to previous block or first block
+                        // Set active to previous sibling or first sibling
                         const newActiveIndex = Math.max(0, index - 1);
                         state.activeBlockId = blocks[newActiveIndex].id;
                     }
@@ -442,29 +575,32 @@ export const useEditorStore = create(
         ) => {
             get().saveToHistory();
             set((state) => {
-                const blocks = state.document.blocks;
-                const index = findBlockIndex(blocks, blockId);
-                const block = blocks[index];
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
+
+                if (location) {
+                    const { block, list: blocks, index } = location;
 
-                if (block) {
                     // Update current block content
-                    blocks[index] = {
-                        ...block,
-                        content: contentBefore
-                    };
+                    block.content = contentBefore;
 
                     // Create new block with remaining content
                     const newBlock = {
                         id: crypto.randomUUID(),
                         type: newType,
                         content: contentAfter,
-                        properties:
-                            newType === BLOCK_TYPES.TASK
-                                ? { checked: false }
-                                : {},
+                        properties: { ...DEFAULT_BLOCK_PROPERTIES[newType] },
+                        children: [],
                         createdAt: new Date().toISOString()
                     };
 
+                    // Continue a list at the same nesting level
+                    if (isListBlock(newBlock) && block.properties?.indent) {
+                        newBlock.properties.indent = block.properties.indent;
+                    }
+
                     blocks.splice(index + 1, 0, newBlock);
 
                     state.activeBlockId = newBlock.id;
@@ -475,14 +611,18 @@ export const useEditorStore = create(
 
         /**
          * Merge current block with previous block (for Backspace at start)
+         * Only siblings merge, so the first block of a column/tab stays put
          */
         mergeWithPreviousBlock: (blockId) => {
             get().saveToHistory();
             set((state) => {
-                const blocks = state.document.blocks;
-                const index = findBlockIndex(blocks, blockId);
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
 
-                if (index > 0) {
+                if (location && location.index > 0) {
+                    const { list: blocks, index } = location;
                     const currentBlock = blocks[index];
                     const previousBlock = blocks[index - 1];
 
@@ -502,19 +642,54 @@ export const useEditorStore = create(
 
         /**
          * Convert a block to a different type
+         * `properties` are set on top of the new type's defaults in the same
+         * step, so one undo reverts the whole conversion
          */
-        convertBlockType: (blockId, newType, newContent = null) => {
+        convertBlockType: (
+            blockId,
+            newType,
+            newContent = null,
+            properties = null
+        ) => {
             get().saveToHistory();
             set((state) => {
-                const blocks = state.document.blocks;
-                const block = blocks.find((b) => b.id === blockId);
+                const block = findBlockInTree(state.document.blocks, blockId);
 
                 if (block) {
+                    // Code and equation blocks hold plain text, other text
+                    // blocks hold HTML
+                    const wasPlainText = isPlainTextBlock(block);
+                    const isPlainText = isPlainTextBlock({ type: newType });
+                    if (newContent === null && wasPlainText !== isPlainText) {
+                        block.content = isPlainText
+                            ? htmlToPlainText(block.content)
+                            : plainTextToHtml(block.content);
+                    }
+
+                    const indent = block.properties?.indent;
+                    const typeChanged = block.type !== newType;
+                    // A converted toggle leaves its nested blocks after it
+                    if (
+                        typeChanged &&
+                        block.type === BLOCK_TYPES.TOGGLE &&
+                        block.children?.length > 0
+                    ) {
+                        const { list, index } = findBlockLocation(
+                            state.document.blocks,
+                            blockId
+                        );
+                        list.splice(index + 1, 0, ...block.children);
+                    }
                     block.type = newType;
+                    // A new container type starts without nested blocks
+                    if (typeChanged) {
+                        block.children = newType === BLOCK_TYPES.TABS ? {} : [];
+                    }
                     // Use factory function for types that need generated IDs
                     if (
                         newType === BLOCK_TYPES.TABS ||
-                        newType === BLOCK_TYPES.COLUMNS
+                        newType === BLOCK_TYPES.COLUMNS ||
+                        newType === BLOCK_TYPES.TABLE
                     ) {
                         block.properties = createBlockProperties(newType);
                     } else {
@@ -522,6 +697,13 @@ export const useEditorStore = create(
                             ...DEFAULT_BLOCK_PROPERTIES[newType]
                         };
                     }
+                    // List items keep their nesting level
+                    if (indent && isListBlock(block)) {
+                        block.properties.indent = indent;
+                    }
+                    if (properties) {
+                        Object.assign(block.properties, properties);
+                    }
                     if (newContent !== null) {
                         block.content = newContent;
                     }
@@ -531,15 +713,19 @@ export const useEditorStore = create(
         },
 
         /**
-         * Move a block to a new position
+         * Move a block to a new position among its siblings
          */
         moveBlock: (blockId, toIndex) => {
             get().saveToHistory();
             set((state) => {
-                const blocks = state.document.blocks;
-                const fromIndex = findBlockIndex(blocks, blockId);
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
+                const blocks = location?.list;
+                const fromIndex = location?.index;
 
-                if (fromIndex !== -1 && fromIndex !== toIndex) {
+                if (location && fromIndex !== toIndex) {
                     const [removed] = blocks.splice(fromIndex, 1);
                     blocks.splice(toIndex, 0, removed);
                     state.document.updatedAt = new Date().toISOString();
@@ -548,20 +734,74 @@ export const useEditorStore = create(
         },
 
         /**
-         * Duplicate a block
+         * Move a heading together with the blocks under it (up to the next
+         * heading of the same or a higher level) next to another heading in
+         * the same list, as one undo step
+         * "before" puts it right above the target, "after" below the target
+         * and its own text, ahead of the target's first subheading
+         * Returns whether the blocks moved
+         */
+        moveHeadingSection: (headingId, targetId, placement = "before") => {
+            const { blocks } = get().document;
+            const location = findBlockLocation(blocks, headingId);
+            const target = findBlockLocation(blocks, targetId);
+            if (
+                !location ||
+                !target ||
+                headingId === targetId ||
+                location.list !== target.list ||
+                getHeadingLevel(location.block) === null
+            ) {
+                return false;
+            }
+
+            // A section can't move into itself
+            const end = getHeadingSectionEnd(location.list, location.index);
+            if (target.index > location.index && target.index < end) {
+                return false;
+            }
+
+            get().saveToHistory();
+            set((state) => {
+                const { list, index } = findBlockLocation(
+                    state.document.blocks,
+                    headingId
+                );
+                const moved = list.splice(
+                    index,
+                    getHeadingSectionEnd(list, index) - index
+                );
+
+                let insertAt = list.findIndex((b) => b.id === targetId);
+                if (placement === "after") {
+                    insertAt++;
+                    while (
+                        insertAt < list.length &&
+                        getHeadingLevel(list[insertAt]) === null
+                    ) {
+                        insertAt++;
+                    }
+                }
+
+                list.splice(insertAt, 0, ...moved);
+                state.document.updatedAt = new Date().toISOString();
+            });
+            return true;
+        },
+
+        /**
+         * Duplicate a block, including the blocks nested in it
          */
         duplicateBlock: (blockId) => {
             set((state) => {
-                const blocks = state.document.blocks;
-                const index = findBlockIndex(blocks, blockId);
-                const block = blocks[index];
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
 
-                if (block) {
-                    const duplicated = {
-                        ...block,
-                        id: crypto.randomUUID(),
-                        createdAt: new Date().toISOString()
-                    };
+                if (location) {
+                    const { block, list: blocks, index } = location;
+                    const duplicated = duplicateBlock(current(block));
 
                     blocks.splice(index + 1, 0, duplicated);
                     state.activeBlockId = duplicated.id;
@@ -572,14 +812,36 @@ export const useEditorStore = create(
 
         /**
          * Indent a block (increase nesting level)
-         * Max indent level is 3
+         * List items nest at most one level below the item above them and
+         * take their children along; other blocks stop at level 3
          */
         indentBlock: (blockId) => {
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
                 );
-                if (block) {
+                if (!location) return;
+                const { block, list: blocks, index } = location;
+
+                if (isListBlock(block)) {
+                    const currentIndent = block.properties?.indent || 0;
+                    const previous = blocks[index - 1];
+                    const maxIndent = isListBlock(previous)
+                        ? (previous.properties?.indent || 0) + 1
+                        : 0;
+
+                    if (currentIndent < maxIndent) {
+                        const end = getListSubtreeEnd(blocks, index);
+                        for (let i = index; i < end; i++) {
+                            blocks[i].properties = {
+                                ...blocks[i].properties,
+                                indent: (blocks[i].properties?.indent || 0) + 1
+                            };
+                        }
+                        state.document.updatedAt = new Date().toISOString();
+                    }
+                } else {
                     const currentIndent = block.properties?.indent || 0;
                     if (currentIndent < 3) {
                         block.properties = {
@@ -594,22 +856,29 @@ export const useEditorStore = create(
 
         /**
          * Outdent a block (decrease nesting level)
-         * Min indent level is 0
+         * Min indent level is 0; list items take their children along
          */
         outdentBlock: (blockId) => {
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
+                const location = findBlockLocation(
+                    state.document.blocks,
+                    blockId
                 );
-                if (block) {
-                    const currentIndent = block.properties?.indent || 0;
-                    if (currentIndent > 0) {
-                        block.properties = {
-                            ...block.properties,
-                            indent: currentIndent - 1
+                if (!location) return;
+                const { block, list: blocks, index } = location;
+                const currentIndent = block.properties?.indent || 0;
+
+                if (currentIndent > 0) {
+                    const end = isListBlock(block)
+                        ? getListSubtreeEnd(blocks, index)
+                        : index + 1;
+                    for (let i = index; i < end; i++) {
+                        blocks[i].properties = {
+                            ...blocks[i].properties,
+                            indent: (blocks[i].properties?.indent || 0) - 1
                         };
-                        state.document.updatedAt = new Date().toISOString();
                     }
+                    state.document.updatedAt = new Date().toISOString();
                 }
             });
         },
@@ -622,8 +891,9 @@ export const useEditorStore = create(
         addBlockToColumn: (columnsBlockId, columnIndex, newBlockData) => {
             get().saveToHistory();
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === columnsBlockId
+                const block = findBlockInTree(
+                    state.document.blocks,
+                    columnsBlockId
                 );
                 if (!block || block.type !== BLOCK_TYPES.COLUMNS) return;
 
@@ -638,7 +908,7 @@ export const useEditorStore = create(
                     type: newBlockData.type || BLOCK_TYPES.PARAGRAPH,
                     content: newBlockData.content || "",
                     properties: newBlockData.properties || {},
-                    columnIndex
+                    children: []
                 };
 
                 // Find or create column entry
@@ -650,10 +920,7 @@ export const useEditorStore = create(
                     block.children.push(column);
                 }
 
-                column.blocks.push(newBlock.id);
-
-                // Store the actual block in document
-                state.document.blocks.push(newBlock);
+                column.blocks.push(newBlock);
                 state.activeBlockId = newBlock.id;
                 state.document.updatedAt = new Date().toISOString();
             });
@@ -665,13 +932,14 @@ export const useEditorStore = create(
         addBlockToTab: (tabsBlockId, tabId, newBlockData) => {
             get().saveToHistory();
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === tabsBlockId
+                const block = findBlockInTree(
+                    state.document.blocks,
+                    tabsBlockId
                 );
                 if (!block || block.type !== BLOCK_TYPES.TABS) return;
 
                 // Initialize children object if needed
-                if (!block.children) {
+                if (!block.children || Array.isArray(block.children)) {
                     block.children = {};
                 }
 
@@ -681,7 +949,7 @@ export const useEditorStore = create(
                     type: newBlockData.type || BLOCK_TYPES.PARAGRAPH,
                     content: newBlockData.content || "",
                     properties: newBlockData.properties || {},
-                    parentTabId: tabId
+                    children: []
                 };
 
                 // Initialize tab blocks array if needed
@@ -689,32 +957,277 @@ export const useEditorStore = create(
                     block.children[tabId] = [];
                 }
 
-                block.children[tabId].push(newBlock.id);
+                block.children[tabId].push(newBlock);
+                state.activeBlockId = newBlock.id;
+                state.document.updatedAt = new Date().toISOString();
+            });
+        },
+
+        /**
+         * Add a block to a Toggle block, at the end or at `index`
+         */
+        addBlockToToggle: (toggleBlockId, newBlockData, index) => {
+            get().saveToHistory();
+            set((state) => {
+                const block = findBlockInTree(
+                    state.document.blocks,
+                    toggleBlockId
+                );
+                if (!block || block.type !== BLOCK_TYPES.TOGGLE) return;
+
+                // Initialize children array if needed
+                if (!Array.isArray(block.children)) {
+                    block.children = [];
+                }
+
+                // Create new block
+                const newBlock = {
+                    id: crypto.randomUUID(),
+                    type: newBlockData.type || BLOCK_TYPES.PARAGRAPH,
+                    content: newBlockData.content || "",
+                    properties: newBlockData.properties || {},
+                    children: []
+                };
 
-                // Store the actual block in document
-                state.document.blocks.push(newBlock);
+                block.children.splice(
+                    index ?? block.children.length,
+                    0,
+                    newBlock
+                );
+                block.properties = { ...block.properties, isOpen: true };
                 state.activeBlockId = newBlock.id;
                 state.document.updatedAt = new Date().toISOString();
             });
         },
 
         /**
-         * Update a block inside a container (Column/Tab)
+         * Move a block to the end of the Toggle block right above it
+         * Returns whether the block was moved
          */
-        updateNestedBlock: (blockId, updates) => {
+        moveBlockIntoToggle: (blockId) => {
+            const location = findBlockLocation(get().document.blocks, blockId);
+            const previous = location?.list[location.index - 1];
+            if (previous?.type !== BLOCK_TYPES.TOGGLE) return false;
+
+            get().saveToHistory();
             set((state) => {
-                const block = state.document.blocks.find(
-                    (b) => b.id === blockId
+                const { list, index } = findBlockLocation(
+                    state.document.blocks,
+                    blockId
                 );
-                if (block) {
-                    Object.assign(block, updates);
+                const toggle = list[index - 1];
+                const [block] = list.splice(index, 1);
+
+                if (!Array.isArray(toggle.children)) {
+                    toggle.children = [];
+                }
+                toggle.children.push(block);
+                toggle.properties = { ...toggle.properties, isOpen: true };
+                state.document.updatedAt = new Date().toISOString();
+            });
+            return true;
+        },
+
+        /**
+         * Move a block out of its Toggle block, to right after the toggle
+         * Returns whether the block was moved
+         */
+        moveBlockOutOfToggle: (blockId) => {
+            const location = findBlockLocation(get().document.blocks, blockId);
+            if (location?.parent?.type !== BLOCK_TYPES.TOGGLE) return false;
+
+            get().saveToHistory();
+            set((state) => {
+                const { parent, list, index } = findBlockLocation(
+                    state.document.blocks,
+                    blockId
+                );
+                const toggleLocation = findBlockLocation(
+                    state.document.blocks,
+                    parent.id
+                );
+                const [block] = list.splice(index, 1);
+
+                toggleLocation.list.splice(toggleLocation.index + 1, 0, block);
+                state.activeBlockId = block.id;
+                state.document.updatedAt = new Date().toISOString();
+            });
+            return true;
+        },
+
+        /**
+         * Open or close every Toggle block in the document
+         */
+        setAllTogglesOpen: (isOpen) => {
+            set((state) => {
+                const toggles = flattenBlocks(state.document.blocks).filter(
+                    (block) => block.type === BLOCK_TYPES.TOGGLE
+                );
+                if (toggles.length === 0) return;
+
+                for (const toggle of toggles) {
+                    toggle.properties = { ...toggle.properties, isOpen };
+                }
+                state.document.updatedAt = new Date().toISOString();
+            });
+        },
+
+        // ========== Find & Replace Actions ==========
+
+        /**
+         * Replace matches of a find pattern across the document
+         * Replaces only `target` (a match from findMatches) when given. All
+         * replacements form a single undo step. Returns the number replaced.
+         */
+        replaceInDocument: (pattern, replacement, options = {}) => {
+            const { target } = options;
+            const matches = findMatches(get().document.blocks, pattern).filter(
+                (match) =>
+                    !target ||
+                    (match.blockId === target.blockId &&
+                        match.field === target.field &&
+                        match.segment === target.segment &&
+                        match.start === target.start)
+            );
+            if (matches.length === 0) return 0;
+
+            let count = 0;
+            get().saveToHistory();
+            set((state) => {
+                count = replaceMatches(
+                    state.document.blocks,
+                    pattern,
+                    replacement,
+                    options
+                );
+                if (count > 0) {
                     state.document.updatedAt = new Date().toISOString();
                 }
             });
+            return count;
+        },
+
+        // ========== Comment Actions ==========
+
+        /**
+         * Open the comments panel, selecting a thread when given
+         */
+        openComments: (threadId = null) => {
+            set((state) => {
+                state.isCommentsOpen = true;
+                if (threadId) state.activeCommentId = threadId;
+            });
+        },
+
+        /**
+         * Close the comments panel
+         */
+        closeComments: () => {
+            set((state) => {
+                state.isCommentsOpen = false;
+                state.activeCommentId = null;
+            });
+        },
+
+        /**
+         * Select a thread in the comments panel (null to clear)
+         */
+        setActiveComment: (threadId) => {
+            set((state) => {
+                state.activeCommentId = threadId;
+            });
+        },
+
+        /**
+         * Add a thread whose anchor was just placed in the text, and
+         * select it so its first comment can be written
+         * The anchor is already in the blocks, so the undo step recorded
+         * here is the text without it
+         */
+        addCommentThread: (thread) => {
+            get().saveToHistory();
+            set((state) => {
+                removeCommentAnchors(
+                    state.history.past.at(-1).blocks,
+                    thread.id
+                );
+                state.document.comments ??= [];
+                state.document.comments.push(thread);
+                state.isCommentsOpen = true;
+                state.activeCommentId = thread.id;
+                state.document.updatedAt = new Date().toISOString();
+            });
+        },
+
+        /**
+         * Add a comment to a thread
+         */
+        addComment: (threadId, text) => {
+            get().saveToHistory();
+            set((state) => {
+                const thread = state.document.comments?.find(
+                    (t) => t.id === threadId
+                );
+                if (thread) {
+                    thread.comments.push(createComment(text));
+                    state.document.updatedAt = new Date().toISOString();
+                }
+            });
+        },
+
+        /**
+         * Resolve a thread or reopen it
+         * Anchors of resolved threads stay in the text without highlight
+         */
+        setCommentResolved: (threadId, resolved) => {
+            get().saveToHistory();
+            set((state) => {
+                const thread = state.document.comments?.find(
+                    (t) => t.id === threadId
+                );
+                if (thread) {
+                    thread.resolved = resolved;
+                    setCommentAnchorsResolved(
+                        state.document.blocks,
+                        threadId,
+                        resolved
+                    );
+                    state.document.updatedAt = new Date().toISOString();
+                }
+            });
+        },
+
+        /**
+         * Delete a thread and remove its anchors from the text
+         */
+        deleteCommentThread: (threadId) => {
+            get().saveToHistory();
+            set((state) => {
+                state.document.comments = (
+                    state.document.comments || []
+                ).filter((t) => t.id !== threadId);
+                removeCommentAnchors(state.document.blocks, threadId);
+                if (state.activeCommentId === threadId) {
+                    state.activeCommentId = null;
+                }
+                state.document.updatedAt = new Date().toISOString();
+            });
         },
 
         // ========== Document Actions ==========
 
+        /**
+         * Update the label of links to a renamed document
+         * Not recorded in history, the rename happened elsewhere
+         */
+        relabelWikiLinks: (documentId, title) => {
+            set((state) => {
+                if (renameWikiLinks(state.document.blocks, documentId, title)) {
+                    state.document.updatedAt = new Date().toISOString();
+                }
+            });
+        },
+
         /**
          * Update document title
          */
@@ -732,6 +1245,10 @@ export const useEditorStore = create(
             set((state) => {
                 state.document = document;
                 state.activeBlockId = document.blocks[0]?.id || null;
+                state.previewSnapshot = null;
+                state.diffMode = null;
+                state.diffBaseSnapshot = null;
+                state.activeCommentId = null;
             });
         },
 
@@ -795,14 +1312,16 @@ export const useEditorStore = create(
          * Get a block by ID
          */
         getBlockById: (blockId) => {
-            return get().document.blocks.find((b) => b.id === blockId);
+            return findBlockInTree(get().document.blocks, blockId);
         },
 
         /**
-         * Get the index of a block
+         * Get the index of a block among its siblings
          */
         getBlockIndex: (blockId) => {
-            return findBlockIndex(get().document.blocks, blockId);
+            return (
+                findBlockLocation(get().document.blocks, blockId)?.index ?? -1
+            );
         },
 
         /**
@@ -812,10 +1331,11 @@ export const useEditorStore = create(
             if (!newBlocks || newBlocks.length === 0) return;
 
             set((state) => {
-                const blocks = state.document.blocks;
-                const index = afterBlockId
-                    ? findBlockIndex(blocks, afterBlockId)
-                    : blocks.length - 1;
+                const location = afterBlockId
+                    ? findBlockLocation(state.document.blocks, afterBlockId)
+                    : null;
+                const blocks = location?.list || state.document.blocks;
+                const index = location ? location.index : blocks.length - 1;
 
                 if (index !== -1) {
                     // Insert all new blocks after the specified position
@@ -836,7 +1356,7 @@ export const useEditorStore = create(
          */
         getActiveBlock: () => {
             const { document, activeBlockId } = get();
-            return document.blocks.find((b) => b.id === activeBlockId);
+            return findBlockInTree(document.blocks, activeBlockId);
         }
     }))
 );
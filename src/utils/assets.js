@@ -0,0 +1,56 @@
+// Uploaded images are stored once as blobs and referenced from blocks by
+// "asset:<id>" in place of a URL; the id is the SHA-256 of the content
+const ASSET_URL_PREFIX = "asset:";
+const ASSET_URL_PATTERN = /asset:([0-9a-f]{64})/g;
+
+/**
+ * URL stored in a block for an uploaded image
+ */
+export function toAssetUrl(assetId) {
+    return `${ASSET_URL_PREFIX}${assetId}`;
+}
+
+/**
+ * Asset id of a stored URL, or null for regular URLs
+ */
+export function getAssetId(url) {
+    if (typeof url !== "string" || !url.startsWith(ASSET_URL_PREFIX)) {
+        return null;
+    }
+    return url.slice(ASSET_URL_PREFIX.length);
+}
+
+/**
+ * Ids of all assets referenced anywhere in a value (blocks, a document,
+ * a snapshot), at any depth
+ */
+export function findAssetIds(value) {
+    const json = JSON.stringify(value) ?? "";
+    return new Set([...json.matchAll(ASSET_URL_PATTERN)].map((m) => m[1]));
+}
+
+/**
+ * Content hash of a blob, used as its asset id so identical uploads are
+ * stored once
+ */
+export async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest(
+        "SHA-256",
+        await blob.arrayBuffer()
+    );
+    return [...new Uint8Array(digest)]
+        .map((byte) => byte.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+/**
+ * Read a blob as a data URL
+ */
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -0,0 +1,404 @@
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { flattenBlocks } from "./blocks";
+
+/**
+ * Block diff status values
+ */
+export const DIFF_STATUS = {
+    UNCHANGED: "unchanged",
+    ADDED: "added",
+    REMOVED: "removed",
+    CHANGED: "changed"
+};
+
+// Block types whose HTML content gets word-level highlighting
+const INLINE_DIFF_TYPES = new Set([
+    BLOCK_TYPES.PARAGRAPH,
+    BLOCK_TYPES.HEADING_1,
+    BLOCK_TYPES.HEADING_2,
+    BLOCK_TYPES.HEADING_3,
+    BLOCK_TYPES.TASK,
+    BLOCK_TYPES.BULLETED_LIST,
+    BLOCK_TYPES.NUMBERED_LIST
+]);
+
+// Above this many token comparisons the inline diff falls back to
+// replacing the whole content (and move detection to reporting no moves
+// within a list), to keep huge blocks and documents from stalling the UI
+const MAX_LCS_CELLS = 4_000_000;
+
+const TOP_LEVEL = "root";
+
+/**
+ * Longest common subsequence of two arrays
+ * Returns pairs of matched indexes [oldIndex, newIndex] in order
+ */
+function longestCommonSubsequence(a, b, isEqual = (x, y) => x === y) {
+    const n = a.length;
+    const m = b.length;
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * width + j] = isEqual(a[i], b[j])
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(
+                      table[(i + 1) * width + j],
+                      table[i * width + j + 1]
+                  );
+        }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (isEqual(a[i], b[j])) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Split HTML into tag, whitespace and word tokens
+ */
+function tokenizeHtml(html) {
+    return html.match(/<[^>]+>|\s+|[^<\s]+/g) || [];
+}
+
+function isTag(token) {
+    return token.startsWith("<");
+}
+
+/**
+ * Word-level diff of two HTML strings
+ * Returns the new HTML with removed words wrapped in <del> and added
+ * words wrapped in <ins>. Removed markup is dropped so the output keeps
+ * the (balanced) tag structure of the new content.
+ */
+export function diffInlineHtml(oldHtml = "", newHtml = "") {
+    const oldTokens = tokenizeHtml(oldHtml);
+    const newTokens = tokenizeHtml(newHtml);
+
+    // Trim common prefix and suffix before running the quadratic LCS
+    let start = 0;
+    while (
+        start < oldTokens.length &&
+        start < newTokens.length &&
+        oldTokens[start] === newTokens[start]
+    ) {
+        start++;
+    }
+    let oldEnd = oldTokens.length;
+    let newEnd = newTokens.length;
+    while (
+        oldEnd > start &&
+        newEnd > start &&
+        oldTokens[oldEnd - 1] === newTokens[newEnd - 1]
+    ) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const oldMiddle = oldTokens.slice(start, oldEnd);
+    const newMiddle = newTokens.slice(start, newEnd);
+    const pairs =
+        oldMiddle.length * newMiddle.length > MAX_LCS_CELLS
+            ? []
+            : longestCommonSubsequence(oldMiddle, newMiddle);
+
+    const out = newTokens.slice(0, start);
+    const pushRemoved = (tokens) => {
+        const text = tokens.filter((t) => !isTag(t)).join("");
+        if (text.trim()) out.push(`<del>${text}</del>`);
+    };
+    const pushAdded = (tokens) => {
+        // Wrap each text run separately so tags stay balanced
+        let run = "";
+        const flush = () => {
+            if (run.trim()) out.push(`<ins>${run}</ins>`);
+            else if (run) out.push(run);
+            run = "";
+        };
+        for (const token of tokens) {
+            if (isTag(token)) {
+                flush();
+                out.push(token);
+            } else {
+                run += token;
+            }
+        }
+        flush();
+    };
+
+    let i = 0;
+    let j = 0;
+    for (const [pi, pj] of [...pairs, [oldMiddle.length, newMiddle.length]]) {
+        pushRemoved(oldMiddle.slice(i, pi));
+        pushAdded(newMiddle.slice(j, pj));
+        if (pj < newMiddle.length) out.push(newMiddle[pj]);
+        i = pi + 1;
+        j = pj + 1;
+    }
+
+    out.push(...newTokens.slice(newEnd));
+    return out.join("");
+}
+
+/**
+ * Named child containers of a block (columns, tabs or toggle)
+ * Returns [{ key, label, ids }]
+ */
+function getChildContainers(block) {
+    if (block.type === BLOCK_TYPES.COLUMNS && Array.isArray(block.children)) {
+        return [...block.children]
+            .sort((a, b) => a.columnIndex - b.columnIndex)
+            .map((column) => ({
+                key: `column:${column.columnIndex}`,
+                label: `Column ${column.columnIndex + 1}`,
+                ids: (column.blocks || []).map((child) => child.id)
+            }));
+    }
+
+    if (block.type === BLOCK_TYPES.TABS && block.children) {
+        const tabs = block.properties?.tabs || [];
+        return tabs.map((tab) => ({
+            key: `tab:${tab.id}`,
+            label: tab.label,
+            ids: (block.children[tab.id] || []).map((child) => child.id)
+        }));
+    }
+
+    if (block.type === BLOCK_TYPES.TOGGLE && Array.isArray(block.children)) {
+        return [
+            {
+                key: "toggle",
+                label: "Toggle",
+                ids: block.children.map((child) => child.id)
+            }
+        ];
+    }
+
+    return [];
+}
+
+/**
+ * Index a block tree: lookup by id and the container each block lives in
+ */
+function indexBlocks(blocks) {
+    const allBlocks = flattenBlocks(blocks);
+    const byId = new Map(allBlocks.map((block) => [block.id, block]));
+    const containers = new Map();
+    const location = new Map();
+
+    containers.set(
+        TOP_LEVEL,
+        blocks.map((b) => b.id)
+    );
+
+    for (const block of allBlocks) {
+        for (const container of getChildContainers(block)) {
+            const key = `${block.id}/${container.key}`;
+            const ids = container.ids.filter((id) => byId.has(id));
+            containers.set(key, ids);
+        }
+    }
+
+    for (const [key, ids] of containers) {
+        for (const id of ids) location.set(id, key);
+    }
+
+    return { byId, containers, location };
+}
+
+/**
+ * Find blocks whose position changed: ones that switched container, or
+ * that fall outside the longest run of blocks kept in the same order
+ * (all blocks count as kept in lists too long to compare)
+ */
+function findMovedIds(oldIndex, newIndex) {
+    const moved = new Set();
+
+    for (const [key, newIds] of newIndex.containers) {
+        const oldIds = oldIndex.containers.get(key) || [];
+        const common = newIds.filter((id) => oldIndex.location.get(id) === key);
+        const oldCommon = oldIds.filter(
+            (id) => newIndex.location.get(id) === key
+        );
+
+        const kept = new Set(
+            oldCommon.length * common.length > MAX_LCS_CELLS
+                ? common
+                : longestCommonSubsequence(oldCommon, common).map(
+                      ([, j]) => common[j]
+                  )
+        );
+
+        for (const id of newIds) {
+            if (!oldIndex.byId.has(id)) continue;
+            if (oldIndex.location.get(id) !== key || !kept.has(id)) {
+                moved.add(id);
+            }
+        }
+    }
+
+    return moved;
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Build the diff entry for a block present in one or both versions
+ */
+function createEntry(id, oldBlock, newBlock, moved) {
+    if (!oldBlock) {
+        return { id, status: DIFF_STATUS.ADDED, block: newBlock };
+    }
+    if (!newBlock) {
+        return { id, status: DIFF_STATUS.REMOVED, block: oldBlock };
+    }
+
+    const retyped = oldBlock.type !== newBlock.type;
+    const contentChanged = oldBlock.content !== newBlock.content;
+    const edited =
+        contentChanged ||
+        !isSameValue(oldBlock.properties, newBlock.properties);
+
+    const entry = {
+        id,
+        status:
+            moved || retyped || edited
+                ? DIFF_STATUS.CHANGED
+                : DIFF_STATUS.UNCHANGED,
+        block: newBlock,
+        previousBlock: oldBlock,
+        moved,
+        retyped,
+        edited
+    };
+
+    if (
+        contentChanged &&
+        INLINE_DIFF_TYPES.has(oldBlock.type) &&
+        INLINE_DIFF_TYPES.has(newBlock.type)
+    ) {
+        entry.html = diffInlineHtml(oldBlock.content, newBlock.content);
+    }
+
+    return entry;
+}
+
+/**
+ * Merge two id lists into display order: new order, with removed ids
+ * placed right after the block that preceded them in the old list
+ */
+function mergeOrder(oldIds, newIds, newIdSet) {
+    const result = [...newIds];
+    let insertAt = 0;
+
+    for (const id of oldIds) {
+        if (newIdSet.has(id)) {
+            const index = result.indexOf(id);
+            if (index !== -1) insertAt = index + 1;
+        } else {
+            result.splice(insertAt, 0, id);
+            insertAt++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compare two block lists by block id
+ * Returns a tree of entries in display order. Each entry has
+ * { id, status, block, previousBlock?, moved?, retyped?, edited?, html?,
+ *   groups? } where groups lists the diffed contents of columns/tabs.
+ */
+export function diffBlocks(oldBlocks = [], newBlocks = []) {
+    const oldIndex = indexBlocks(oldBlocks);
+    const newIndex = indexBlocks(newBlocks);
+    const moved = findMovedIds(oldIndex, newIndex);
+
+    const buildEntries = (oldIds, newIds) => {
+        const newIdSet = new Set(newIds);
+        // Blocks moved to another container are listed there, not here
+        const ids = mergeOrder(
+            oldIds.filter((id) => newIdSet.has(id) || !newIndex.byId.has(id)),
+            newIds,
+            newIdSet
+        );
+
+        return ids.map((id) => {
+            const oldBlock = oldIndex.byId.get(id);
+            const newBlock = newIndex.byId.get(id);
+            const entry = createEntry(id, oldBlock, newBlock, moved.has(id));
+            const groups = buildGroups(oldBlock, newBlock);
+            if (groups.length > 0) entry.groups = groups;
+            return entry;
+        });
+    };
+
+    const buildGroups = (oldBlock, newBlock) => {
+        const oldContainers = oldBlock ? getChildContainers(oldBlock) : [];
+        const newContainers = newBlock ? getChildContainers(newBlock) : [];
+        const keys = mergeOrder(
+            oldContainers.map((c) => c.key),
+            newContainers.map((c) => c.key),
+            new Set(newContainers.map((c) => c.key))
+        );
+
+        return keys.map((key) => {
+            const oldContainer = oldContainers.find((c) => c.key === key);
+            const newContainer = newContainers.find((c) => c.key === key);
+            return {
+                key,
+                label: (newContainer || oldContainer).label,
+                entries: buildEntries(
+                    oldContainer
+                        ? oldIndex.containers.get(`${oldBlock.id}/${key}`)
+                        : [],
+                    newContainer
+                        ? newIndex.containers.get(`${newBlock.id}/${key}`)
+                        : []
+                )
+            };
+        });
+    };
+
+    return buildEntries(
+        oldIndex.containers.get(TOP_LEVEL),
+        newIndex.containers.get(TOP_LEVEL)
+    );
+}
+
+/**
+ * Count entries by kind of change across the whole diff tree
+ */
+export function summarizeDiff(entries) {
+    const summary = { added: 0, removed: 0, moved: 0, retyped: 0, edited: 0 };
+
+    const visit = (list) => {
+        for (const entry of list) {
+            if (entry.status === DIFF_STATUS.ADDED) summary.added++;
+            if (entry.status === DIFF_STATUS.REMOVED) summary.removed++;
+            if (entry.moved) summary.moved++;
+            if (entry.retyped) summary.retyped++;
+            if (entry.edited) summary.edited++;
+            entry.groups?.forEach((group) => visit(group.entries));
+        }
+    };
+    visit(entries);
+
+    return summary;
+}
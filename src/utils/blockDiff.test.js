@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import {
+    DIFF_STATUS,
+    diffBlocks,
+    diffInlineHtml,
+    summarizeDiff
+} from "./blockDiff";
+
+function paragraph(id, content = id) {
+    return { ...createBlock(BLOCK_TYPES.PARAGRAPH, content), id };
+}
+
+function statusOf(entries) {
+    return entries.map((entry) => [entry.id, entry.status]);
+}
+
+describe("diffInlineHtml", () => {
+    it("marks removed and added words", () => {
+        expect(diffInlineHtml("Hello old world", "Hello new world")).toBe(
+            "Hello <del>old</del><ins>new</ins> world"
+        );
+    });
+
+    it("keeps the tags of the new content balanced", () => {
+        expect(diffInlineHtml("Plain text", "Plain <b>bold</b> text")).toBe(
+            "Plain <b><ins>bold</ins></b> text"
+        );
+    });
+});
+
+describe("diffBlocks", () => {
+    it("lists added, removed and edited blocks in display order", () => {
+        const entries = diffBlocks(
+            [paragraph("a"), paragraph("b"), paragraph("c")],
+            [paragraph("a"), paragraph("c", "C!"), paragraph("d")]
+        );
+
+        expect(statusOf(entries)).toEqual([
+            ["a", DIFF_STATUS.UNCHANGED],
+            ["b", DIFF_STATUS.REMOVED],
+            ["c", DIFF_STATUS.CHANGED],
+            ["d", DIFF_STATUS.ADDED]
+        ]);
+        expect(entries[2].edited).toBe(true);
+        expect(entries[2].html).toBe("<del>c</del><ins>C!</ins>");
+    });
+
+    it("reports blocks moved within a list and into a toggle", () => {
+        const toggle = { ...createBlock(BLOCK_TYPES.TOGGLE, "T"), id: "t" };
+        const oldBlocks = [
+            paragraph("a"),
+            paragraph("b"),
+            paragraph("c"),
+            paragraph("d"),
+            { ...toggle, children: [] }
+        ];
+        const newBlocks = [
+            paragraph("b"),
+            paragraph("c"),
+            paragraph("a"),
+            { ...toggle, children: [paragraph("d")] }
+        ];
+
+        const entries = diffBlocks(oldBlocks, newBlocks);
+
+        expect(entries.map((entry) => [entry.id, entry.moved])).toEqual([
+            ["b", false],
+            ["c", false],
+            ["a", true],
+            ["t", false]
+        ]);
+        expect(entries[3].groups[0].entries[0]).toMatchObject({
+            id: "d",
+            moved: true
+        });
+        expect(summarizeDiff(entries)).toEqual({
+            added: 0,
+            removed: 0,
+            moved: 2,
+            retyped: 0,
+            edited: 0
+        });
+    });
+
+    it("reports no moves within lists too long to compare", () => {
+        const oldBlocks = Array.from({ length: 2100 }, (_, i) =>
+            paragraph(`p${i}`)
+        );
+        const newBlocks = [...oldBlocks].reverse();
+
+        const entries = diffBlocks(oldBlocks, newBlocks);
+
+        expect(entries).toHaveLength(2100);
+        expect(summarizeDiff(entries).moved).toBe(0);
+    });
+});
@@ -1,7 +1,11 @@
 import {
     BLOCK_TYPES,
-    DEFAULT_BLOCK_PROPERTIES
+    DEFAULT_BLOCK_PROPERTIES,
+    LIST_BLOCK_TYPES,
+    PLAIN_TEXT_BLOCK_TYPES,
+    CODE_LANGUAGE_ALIASES
 } from "../constants/BLOCK_TYPES";
+import { replaceInlineMath } from "./math";
 
 /**
  * Create a new block with default properties
@@ -26,7 +30,9 @@ export function createDocument(title = "Untitled") {
         title,
         icon: "📄",
         groupId: null,
+        parentId: null,
         blocks: [createBlock(BLOCK_TYPES.PARAGRAPH, "")],
+        comments: [],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
@@ -69,9 +75,16 @@ export function splitBlockAtCursor(block, cursorPosition) {
  * The second block's content is appended to the first
  */
 export function mergeBlocks(blockA, blockB) {
+    let contentB = blockB.content;
+    if (isPlainTextBlock(blockA) && !isPlainTextBlock(blockB)) {
+        contentB = htmlToPlainText(contentB);
+    } else if (!isPlainTextBlock(blockA) && isPlainTextBlock(blockB)) {
+        contentB = plainTextToHtml(contentB);
+    }
+
     return {
         ...blockA,
-        content: blockA.content + blockB.content
+        content: blockA.content + contentB
     };
 }
 
@@ -113,15 +126,157 @@ export function getNextBlock(blocks, currentBlockId) {
 
 /**
  * Duplicate a block with a new ID
+ * Nested blocks of columns/tabs/toggles are copied too, with new IDs
  */
 export function duplicateBlock(block) {
-    return {
+    const duplicated = {
         ...block,
         id: crypto.randomUUID(),
         properties: { ...block.properties },
-        children: [...block.children],
         createdAt: new Date().toISOString()
     };
+
+    if (block.type === BLOCK_TYPES.COLUMNS && Array.isArray(block.children)) {
+        duplicated.children = block.children.map((column) => ({
+            ...column,
+            blocks: (column.blocks || []).map(duplicateBlock)
+        }));
+    } else if (block.type === BLOCK_TYPES.TABS && block.children) {
+        duplicated.children = Object.fromEntries(
+            Object.entries(block.children).map(([tabId, children]) => [
+                tabId,
+                children.map(duplicateBlock)
+            ])
+        );
+    } else if (block.type === BLOCK_TYPES.TOGGLE) {
+        duplicated.children = (block.children || []).map(duplicateBlock);
+    } else {
+        duplicated.children = [];
+    }
+
+    return duplicated;
+}
+
+// ========== Block Tree ==========
+
+/**
+ * Get the child block lists of a container block, one per column or tab
+ * (toggles have a single list)
+ * The lists are the block's own arrays, so they can be edited in place
+ */
+export function getChildLists(block) {
+    if (!block?.children) return [];
+
+    if (block.type === BLOCK_TYPES.COLUMNS && Array.isArray(block.children)) {
+        return block.children.map((column) => column.blocks || []);
+    }
+
+    if (block.type === BLOCK_TYPES.TABS && !Array.isArray(block.children)) {
+        return Object.values(block.children);
+    }
+
+    if (block.type === BLOCK_TYPES.TOGGLE && Array.isArray(block.children)) {
+        return [block.children];
+    }
+
+    return [];
+}
+
+/**
+ * Find a block anywhere in the tree
+ * Returns { block, list, index, parent } where list is the array holding
+ * the block and parent the container that owns it (null at the top level)
+ */
+export function findBlockLocation(blocks, blockId, parent = null) {
+    for (let index = 0; index < blocks.length; index++) {
+        const block = blocks[index];
+        if (block.id === blockId) {
+            return { block, list: blocks, index, parent };
+        }
+
+        for (const list of getChildLists(block)) {
+            const location = findBlockLocation(list, blockId, block);
+            if (location) return location;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find a block anywhere in the tree by its ID
+ */
+export function findBlockInTree(blocks, blockId) {
+    return findBlockLocation(blocks, blockId)?.block;
+}
+
+/**
+ * List every block of the tree in document order
+ * Containers come right before the blocks nested in them
+ */
+export function flattenBlocks(blocks) {
+    return blocks.flatMap((block) => [
+        block,
+        ...getChildLists(block).flatMap(flattenBlocks)
+    ]);
+}
+
+/**
+ * Convert blocks saved in the old flat format into a tree
+ * Nested blocks used to live in the top-level array, tagged with
+ * columnIndex/parentTabId, and containers only listed their IDs. Blocks
+ * already in tree form are left as they are, so this is safe to re-run.
+ */
+export function nestFlatBlocks(blocks) {
+    const byId = new Map(blocks.map((block) => [block.id, block]));
+    const nestedIds = new Set();
+
+    const resolve = (children = []) =>
+        children
+            .map((child) => {
+                if (typeof child !== "string") return nest(child);
+                if (!byId.has(child) || nestedIds.has(child)) return null;
+                nestedIds.add(child);
+                return nest(byId.get(child));
+            })
+            .filter(Boolean);
+
+    const nest = (block) => {
+        const rest = { ...block };
+        delete rest.columnIndex;
+        delete rest.parentTabId;
+
+        if (rest.type === BLOCK_TYPES.COLUMNS && Array.isArray(rest.children)) {
+            rest.children = rest.children.map((column) => ({
+                columnIndex: column.columnIndex,
+                blocks: resolve(column.blocks)
+            }));
+        } else if (
+            rest.type === BLOCK_TYPES.TABS &&
+            rest.children &&
+            !Array.isArray(rest.children)
+        ) {
+            rest.children = Object.fromEntries(
+                Object.entries(rest.children).map(([tabId, children]) => [
+                    tabId,
+                    resolve(children)
+                ])
+            );
+        }
+
+        return rest;
+    };
+
+    const isFlatNested = (block) =>
+        block.columnIndex !== undefined || block.parentTabId !== undefined;
+
+    const roots = blocks.filter((block) => !isFlatNested(block)).map(nest);
+
+    // Keep nested blocks whose container lost track of them
+    const orphans = blocks
+        .filter((block) => isFlatNested(block) && !nestedIds.has(block.id))
+        .map(nest);
+
+    return [...roots, ...orphans];
 }
 
 /**
@@ -133,3 +288,231 @@ export function reorderBlocks(blocks, fromIndex, toIndex) {
     result.splice(toIndex, 0, removed);
     return result;
 }
+
+/**
+ * Split the HTML of a contentEditable element at the caret
+ * Returns { before, after }, or null when the caret is outside the element
+ */
+export function splitContentAtCaret(element) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!element.contains(range.commonAncestorContainer)) return null;
+
+    const container = document.createElement("div");
+
+    const rangeBefore = range.cloneRange();
+    rangeBefore.collapse(true);
+    rangeBefore.setStart(element, 0);
+    container.appendChild(rangeBefore.cloneContents());
+    const before = container.innerHTML;
+
+    const rangeAfter = range.cloneRange();
+    rangeAfter.collapse(false);
+    rangeAfter.setEnd(element, element.childNodes.length);
+    container.innerHTML = "";
+    container.appendChild(rangeAfter.cloneContents());
+    const after = container.innerHTML;
+
+    return { before, after };
+}
+
+/**
+ * Convert rich text HTML to plain text (line breaks kept as \n)
+ * Inline formulas become their $TeX$ source
+ */
+export function htmlToPlainText(html) {
+    if (!html) return "";
+    return replaceInlineMath(html, (tex) => `$${plainTextToHtml(tex)}$`)
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<div>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, "&")
+        .replace(/^\n/, "");
+}
+
+/**
+ * Convert plain text to HTML safe for contentEditable blocks
+ */
+export function plainTextToHtml(text) {
+    if (!text) return "";
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/\n/g, "<br>");
+}
+
+/**
+ * Resolve a fence info string (e.g. "js", "Python") to a language id
+ * Unknown languages are kept so they survive a Markdown round-trip
+ */
+export function normalizeCodeLanguage(info) {
+    const name = (info || "").trim().split(/\s+/)[0].toLowerCase();
+    if (!name) return "plaintext";
+    return CODE_LANGUAGE_ALIASES[name] || name;
+}
+
+/**
+ * Check if a block holds plain text (code, equation) instead of HTML
+ */
+export function isPlainTextBlock(block) {
+    return PLAIN_TEXT_BLOCK_TYPES.includes(block?.type);
+}
+
+/**
+ * Check if a block is a list item (bulleted, numbered or task)
+ */
+export function isListBlock(block) {
+    return LIST_BLOCK_TYPES.includes(block?.type);
+}
+
+// Markdown typed into an empty block and the block type it turns into
+const MARKDOWN_SHORTCUTS = [
+    { pattern: /^### $/, type: BLOCK_TYPES.HEADING_3 },
+    { pattern: /^## $/, type: BLOCK_TYPES.HEADING_2 },
+    { pattern: /^# $/, type: BLOCK_TYPES.HEADING_1 },
+    { pattern: /^> $/, type: BLOCK_TYPES.QUOTE },
+    { pattern: /^(?:- )?\[ ?\] $/, type: BLOCK_TYPES.TASK },
+    { pattern: /^[-*] $/, type: BLOCK_TYPES.BULLETED_LIST },
+    { pattern: /^(\d+)[.)] $/, type: BLOCK_TYPES.NUMBERED_LIST },
+    { pattern: /^```$/, type: BLOCK_TYPES.CODE },
+    { pattern: /^\$\$$/, type: BLOCK_TYPES.EQUATION },
+    { pattern: /^---$/, type: BLOCK_TYPES.DIVIDER }
+];
+
+/**
+ * Match the content of a block against the Markdown shortcuts
+ * Returns { type, properties } for the block to convert to, or null;
+ * "3. " starts a numbered list at 3
+ */
+export function getMarkdownShortcut(content) {
+    // Typed trailing spaces arrive as &nbsp; from contentEditable
+    const text = (content || "").replace(/&nbsp;/g, " ");
+
+    for (const { pattern, type } of MARKDOWN_SHORTCUTS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const start = Number(match[1]);
+        const properties =
+            type === BLOCK_TYPES.NUMBERED_LIST && start !== 1
+                ? { start }
+                : null;
+        return { type, properties };
+    }
+    return null;
+}
+
+/**
+ * Get the index just past a list item's nested children
+ * Children are the following list items indented deeper than it
+ */
+export function getListSubtreeEnd(blocks, index) {
+    const depth = blocks[index]?.properties?.indent || 0;
+    let end = index + 1;
+    while (
+        end < blocks.length &&
+        isListBlock(blocks[end]) &&
+        (blocks[end].properties?.indent || 0) > depth
+    ) {
+        end++;
+    }
+    return end;
+}
+
+/**
+ * Compute the displayed number of every numbered list item
+ * Numbering restarts whenever a run at the same depth is interrupted by
+ * another block type or a shallower block. Returns Map(blockId -> number)
+ */
+export function getListNumbers(blocks) {
+    const numbers = new Map();
+    const runs = []; // Per depth: { type, count }
+
+    for (const block of blocks) {
+        if (!block) continue;
+        const depth = block.properties?.indent || 0;
+
+        if (!isListBlock(block)) {
+            runs.length = Math.min(runs.length, depth);
+            continue;
+        }
+
+        runs.length = Math.min(runs.length, depth + 1);
+        const previous = runs[depth];
+
+        if (block.type === BLOCK_TYPES.NUMBERED_LIST) {
+            const count =
+                previous?.type === BLOCK_TYPES.NUMBERED_LIST
+                    ? previous.count + 1
+                    : block.properties?.start || 1;
+            runs[depth] = { type: block.type, count };
+            numbers.set(block.id, count);
+        } else {
+            runs[depth] = { type: block.type, count: 0 };
+        }
+    }
+
+    return numbers;
+}
+
+/**
+ * Convert a number to lowercase roman numerals
+ */
+function toRoman(number) {
+    const numerals = [
+        [1000, "m"],
+        [900, "cm"],
+        [500, "d"],
+        [400, "cd"],
+        [100, "c"],
+        [90, "xc"],
+        [50, "l"],
+        [40, "xl"],
+        [10, "x"],
+        [9, "ix"],
+        [5, "v"],
+        [4, "iv"],
+        [1, "i"]
+    ];
+    let result = "";
+    for (const [value, numeral] of numerals) {
+        while (number >= value) {
+            result += numeral;
+            number -= value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert a number to letters (1 -> a, 27 -> aa)
+ */
+function toLetters(number) {
+    let result = "";
+    while (number > 0) {
+        const remainder = (number - 1) % 26;
+        result = String.fromCharCode(97 + remainder) + result;
+        number = Math.floor((number - 1) / 26);
+    }
+    return result;
+}
+
+/**
+ * Get the marker shown before a list item
+ * Bullets and number styles cycle with depth, like in Notion
+ */
+export function getListMarker(type, depth = 0, number = 1) {
+    if (type === BLOCK_TYPES.NUMBERED_LIST) {
+        const styles = [String, toLetters, toRoman];
+        return `${styles[depth % 3](number)}.`;
+    }
+    return ["•", "◦", "▪"][depth % 3];
+}
@@ -0,0 +1,134 @@
+import { flattenBlocks } from "./blocks";
+import { getHtmlFields, transformBlockHtml } from "./wikiLinks";
+
+// Opening tag of a comment anchor: <mark data-comment="threadId">
+// Split and merged blocks keep the tag, so a range can have several pieces
+const COMMENT_ANCHOR_PATTERN = /<mark\b[^>]*\bdata-comment="([^"]*)"[^>]*>/gi;
+
+/**
+ * Create a comment (one message of a thread)
+ */
+export function createComment(text) {
+    return {
+        id: crypto.randomUUID(),
+        text,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Create a comment thread for the quoted text of its anchor
+ * The thread starts without comments until the first one is written
+ */
+export function createCommentThread(quote) {
+    return {
+        id: crypto.randomUUID(),
+        quote,
+        resolved: false,
+        comments: [],
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Ids of the threads anchored in an HTML string, in order
+ */
+export function getCommentAnchorIds(html) {
+    if (!html) return [];
+    return [...html.matchAll(COMMENT_ANCHOR_PATTERN)].map((match) => match[1]);
+}
+
+/**
+ * Block holding the first anchor of each thread, in document order
+ * Returns a Map of thread id to block id
+ */
+export function findCommentAnchors(blocks) {
+    const anchors = new Map();
+    for (const block of flattenBlocks(blocks)) {
+        for (const [html] of getHtmlFields(block)) {
+            for (const id of getCommentAnchorIds(html)) {
+                if (!anchors.has(id)) anchors.set(id, block.id);
+            }
+        }
+    }
+    return anchors;
+}
+
+/**
+ * Mark the anchors of a thread as resolved (shown without highlight) or
+ * open again
+ * Mutates the blocks; returns whether an anchor was found
+ */
+export function setCommentAnchorsResolved(blocks, threadId, resolved) {
+    return transformBlockHtml(blocks, (html) =>
+        html.replace(COMMENT_ANCHOR_PATTERN, (match, id) =>
+            id === threadId
+                ? `<mark data-comment="${id}"${resolved ? " data-resolved" : ""}>`
+                : match
+        )
+    );
+}
+
+/**
+ * Remove the anchors of a thread, keeping the text inside them
+ * Mutates the blocks; returns whether an anchor was found
+ */
+export function removeCommentAnchors(blocks, threadId) {
+    return transformBlockHtml(blocks, (html) => {
+        if (!html.includes(threadId)) return html;
+
+        // Anchors of other threads can be nested inside, so closing tags
+        // are paired with their opening tag
+        const openMarks = [];
+        return html
+            .split(/(<\/?mark\b[^>]*>)/i)
+            .filter((part) => {
+                if (/^<mark\b/i.test(part)) {
+                    const [, id] = part.match(/\bdata-comment="([^"]*)"/) || [];
+                    openMarks.push(id === threadId);
+                    return id !== threadId;
+                }
+                if (/^<\/mark/i.test(part)) {
+                    return !openMarks.pop();
+                }
+                return true;
+            })
+            .join("");
+    });
+}
+
+/**
+ * Start a comment thread on the selected text, wrapping it in an anchor
+ * The selection must lie within one rich-text field. Fires an input event
+ * so the block saves its new content. Returns the new thread, or null
+ * when nothing could be anchored.
+ */
+export function anchorSelectionToComment() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    let container = range.commonAncestorContainer;
+    if (container.nodeType === Node.TEXT_NODE) {
+        container = container.parentElement;
+    }
+    const editable = container?.closest('[contenteditable="true"]');
+    const quote = range.toString().trim();
+    if (!editable || !quote) return null;
+
+    const thread = createCommentThread(quote);
+    const anchor = window.document.createElement("mark");
+    anchor.setAttribute("data-comment", thread.id);
+    anchor.appendChild(range.extractContents());
+    range.insertNode(anchor);
+
+    range.selectNodeContents(anchor);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    editable.dispatchEvent(new Event("input", { bubbles: true }));
+    return thread;
+}
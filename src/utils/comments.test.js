@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import {
+    findCommentAnchors,
+    getCommentAnchorIds,
+    removeCommentAnchors,
+    setCommentAnchorsResolved
+} from "./comments";
+
+function paragraph(content) {
+    return createBlock(BLOCK_TYPES.PARAGRAPH, content);
+}
+
+describe("findCommentAnchors", () => {
+    it("maps each thread to the block of its first anchor", () => {
+        const first = paragraph('<mark data-comment="a">one</mark> two');
+        const toggle = createBlock(BLOCK_TYPES.TOGGLE, "More");
+        const nested = paragraph(
+            '<mark data-comment="b">three</mark> <mark data-comment="a">four</mark>'
+        );
+        toggle.children = [nested];
+
+        expect([...findCommentAnchors([first, toggle])]).toEqual([
+            ["a", first.id],
+            ["b", nested.id]
+        ]);
+    });
+});
+
+describe("setCommentAnchorsResolved", () => {
+    it("flags the anchors of one thread", () => {
+        const blocks = [
+            paragraph(
+                '<mark data-comment="a">one</mark> <mark data-comment="b">two</mark>'
+            )
+        ];
+
+        expect(setCommentAnchorsResolved(blocks, "a", true)).toBe(true);
+        expect(blocks[0].content).toBe(
+            '<mark data-comment="a" data-resolved>one</mark> <mark data-comment="b">two</mark>'
+        );
+
+        setCommentAnchorsResolved(blocks, "a", false);
+        expect(blocks[0].content).toBe(
+            '<mark data-comment="a">one</mark> <mark data-comment="b">two</mark>'
+        );
+    });
+});
+
+describe("removeCommentAnchors", () => {
+    it("keeps the text and the anchors of other threads", () => {
+        const table = createBlock(BLOCK_TYPES.TABLE);
+        table.properties = {
+            rows: [
+                {
+                    id: "r",
+                    cells: [
+                        '<mark data-comment="a">x <mark data-comment="b">y</mark> z</mark>'
+                    ]
+                }
+            ]
+        };
+
+        expect(removeCommentAnchors([table], "a")).toBe(true);
+        expect(table.properties.rows[0].cells[0]).toBe(
+            'x <mark data-comment="b">y</mark> z'
+        );
+        expect(removeCommentAnchors([table], "a")).toBe(false);
+        expect(getCommentAnchorIds(table.properties.rows[0].cells[0])).toEqual([
+            "b"
+        ]);
+    });
+});
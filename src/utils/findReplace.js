@@ -0,0 +1,294 @@
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { flattenBlocks } from "./blocks";
+import { INLINE_MATH_ELEMENT_PATTERN } from "./math";
+
+// Block types whose content is rich text HTML
+const RICH_TEXT_TYPES = new Set([
+    BLOCK_TYPES.PARAGRAPH,
+    BLOCK_TYPES.HEADING_1,
+    BLOCK_TYPES.HEADING_2,
+    BLOCK_TYPES.HEADING_3,
+    BLOCK_TYPES.TASK,
+    BLOCK_TYPES.BULLETED_LIST,
+    BLOCK_TYPES.NUMBERED_LIST,
+    BLOCK_TYPES.QUOTE,
+    BLOCK_TYPES.CALLOUT,
+    BLOCK_TYPES.TOGGLE
+]);
+
+const ENTITIES = {
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">",
+    "&quot;": '"',
+    "&#39;": "'",
+    "&nbsp;": " "
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Decode the entities in an HTML text segment
+ * Returns the text and, for every character of it, its offset in the raw
+ * segment (plus a final entry for the end) so replacements can be spliced
+ * into the original HTML without re-encoding the untouched text
+ */
+function decodeSegment(raw) {
+    const entityPattern = /&(?:amp|lt|gt|quot|nbsp|#39|#(\d+)|#x([\da-f]+));/gi;
+    let text = "";
+    const offsets = [];
+    let lastIndex = 0;
+
+    const append = (value, rawIndex, step) => {
+        for (let i = 0; i < value.length; i++) {
+            offsets.push(rawIndex + i * step);
+        }
+        text += value;
+    };
+
+    for (const match of raw.matchAll(entityPattern)) {
+        const [entity, decimal, hex] = match;
+        append(raw.slice(lastIndex, match.index), lastIndex, 1);
+
+        let value = ENTITIES[entity.toLowerCase()];
+        if (decimal) value = String.fromCodePoint(Number(decimal));
+        if (hex) value = String.fromCodePoint(parseInt(hex, 16));
+        append(value, match.index, 0);
+
+        lastIndex = match.index + entity.length;
+    }
+    append(raw.slice(lastIndex), lastIndex, 1);
+    offsets.push(raw.length);
+
+    return { text, offsets };
+}
+
+function encodeText(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build the pattern for a find query
+ * Returns null for an empty query; throws a SyntaxError when the query is
+ * an invalid regular expression
+ */
+export function createFindPattern(
+    query,
+    { caseSensitive = false, wholeWord = false, regex = false } = {}
+) {
+    if (!query) return null;
+
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) {
+        source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+    }
+    return new RegExp(source, caseSensitive ? "gu" : "giu");
+}
+
+/**
+ * Text fields of a block that find and replace look at
+ * Returns [{ field, value, isHtml }]; nested blocks are visited separately
+ */
+function getFields(block) {
+    const { type, content, properties = {} } = block;
+
+    if (RICH_TEXT_TYPES.has(type)) {
+        return [{ field: "content", value: content || "", isHtml: true }];
+    }
+
+    switch (type) {
+        case BLOCK_TYPES.CODE:
+        case BLOCK_TYPES.EQUATION:
+            return [{ field: "content", value: content || "", isHtml: false }];
+
+        case BLOCK_TYPES.IMAGE:
+            return [
+                {
+                    field: "caption",
+                    value: properties.caption || "",
+                    isHtml: false
+                }
+            ];
+
+        case BLOCK_TYPES.LINK:
+            return [
+                { field: "title", value: properties.title || "", isHtml: false }
+            ];
+
+        case BLOCK_TYPES.TABLE:
+            return (properties.rows || []).flatMap((row, rowIndex) =>
+                row.cells.map((cell, cellIndex) => ({
+                    field: `cell:${rowIndex}:${cellIndex}`,
+                    value: cell || "",
+                    isHtml: true
+                }))
+            );
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Write a field value back to a block (works on Immer drafts)
+ */
+function setField(block, field, value) {
+    if (field === "content") {
+        block.content = value;
+    } else if (field.startsWith("cell:")) {
+        const [, rowIndex, cellIndex] = field.split(":").map(Number);
+        block.properties.rows[rowIndex].cells[cellIndex] = value;
+    } else {
+        block.properties[field] = value;
+    }
+}
+
+/**
+ * Split a field into text segments
+ * HTML is split around tags so matches never touch markup; a match can't
+ * span formatting (e.g. half bold, half plain). Inline math elements count
+ * as a single tag: their rendered formula isn't text of the block.
+ */
+function getSegments({ value, isHtml }) {
+    if (!isHtml) return [value];
+
+    const elements = [];
+    const masked = value.replace(INLINE_MATH_ELEMENT_PATTERN, (match) => {
+        elements.push(match);
+        return "<\uE000>";
+    });
+    return masked
+        .split(/(<[^>]*>)/)
+        .map((part) => (part === "<\uE000>" ? elements.shift() : part));
+}
+
+function isTextSegment(index, isHtml) {
+    return !isHtml || index % 2 === 0;
+}
+
+/**
+ * Run a pattern over text, skipping empty matches
+ */
+function* matchText(text, pattern) {
+    for (const match of text.matchAll(pattern)) {
+        if (match[0].length > 0) yield match;
+    }
+}
+
+/**
+ * Find all matches in a block tree, in document order
+ * Returns [{ blockId, field, segment, start, end, offset, text }] where
+ * start/end are offsets in the (decoded) text of the segment and offset is
+ * the start within the field's whole text, as shown on screen
+ */
+export function findMatches(blocks, pattern) {
+    if (!pattern) return [];
+
+    const matches = [];
+    for (const block of flattenBlocks(blocks)) {
+        for (const field of getFields(block)) {
+            const segments = getSegments(field);
+            let textOffset = 0;
+            segments.forEach((segment, index) => {
+                if (!isTextSegment(index, field.isHtml)) return;
+                const text = field.isHtml
+                    ? decodeSegment(segment).text
+                    : segment;
+                for (const match of matchText(text, pattern)) {
+                    matches.push({
+                        blockId: block.id,
+                        field: field.field,
+                        segment: index,
+                        start: match.index,
+                        end: match.index + match[0].length,
+                        offset: textOffset + match.index,
+                        text: match[0]
+                    });
+                }
+                textOffset += text.length;
+            });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Expand $&, $1, $<name> and $$ in a regex replacement string
+ */
+function expandReplacement(replacement, match) {
+    return replacement.replace(
+        /\$(\$|&|\d{1,2}|<([^>]*)>)/g,
+        (token, ref, name) => {
+            if (ref === "$") return "$";
+            if (ref === "&") return match[0];
+            if (name !== undefined) return match.groups?.[name] ?? "";
+            return match[Number(ref)] ?? token;
+        }
+    );
+}
+
+/**
+ * Replace matches in a block tree, in place (use on an Immer draft)
+ * With `target` (a match from findMatches) only that match is replaced.
+ * Returns the number of replacements made.
+ */
+export function replaceMatches(
+    blocks,
+    pattern,
+    replacement,
+    { regex = false, target = null } = {}
+) {
+    if (!pattern) return 0;
+
+    let count = 0;
+    for (const block of flattenBlocks(blocks)) {
+        if (target && block.id !== target.blockId) continue;
+
+        for (const field of getFields(block)) {
+            if (target && field.field !== target.field) continue;
+
+            const segments = getSegments(field);
+            let changed = false;
+
+            segments.forEach((segment, index) => {
+                if (!isTextSegment(index, field.isHtml)) return;
+                if (target && index !== target.segment) return;
+
+                const { text, offsets } = field.isHtml
+                    ? decodeSegment(segment)
+                    : { text: segment, offsets: null };
+                const toRaw = (offset) => (offsets ? offsets[offset] : offset);
+
+                let result = "";
+                let lastIndex = 0;
+                let replaced = false;
+
+                for (const match of matchText(text, pattern)) {
+                    if (target && match.index !== target.start) continue;
+
+                    const value = regex
+                        ? expandReplacement(replacement, match)
+                        : replacement;
+                    result += segment.slice(lastIndex, toRaw(match.index));
+                    result += field.isHtml ? encodeText(value) : value;
+                    lastIndex = toRaw(match.index + match[0].length);
+                    replaced = true;
+                    count++;
+                }
+
+                if (replaced) {
+                    segments[index] = result + segment.slice(lastIndex);
+                    changed = true;
+                }
+            });
+
+            if (changed) setField(block, field.field, segments.join(""));
+        }
+    }
+    return count;
+}
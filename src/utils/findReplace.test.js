@@ -0,0 +1,119 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import { createFindPattern, findMatches, replaceMatches } from "./findReplace";
+import { renderInlineMath } from "./math";
+
+function paragraph(content) {
+    return createBlock(BLOCK_TYPES.PARAGRAPH, content);
+}
+
+function textOf(matches) {
+    return matches.map((match) => [match.text, match.offset]);
+}
+
+describe("createFindPattern", () => {
+    it("matches the query literally unless it is a regular expression", () => {
+        expect("a.b axb".match(createFindPattern("a.b"))).toEqual(["a.b"]);
+        expect(
+            "a.b axb".match(createFindPattern("a.b", { regex: true }))
+        ).toEqual(["a.b", "axb"]);
+        expect(createFindPattern("")).toBeNull();
+        expect(() => createFindPattern("(", { regex: true })).toThrow(
+            SyntaxError
+        );
+    });
+
+    it("respects case and whole words", () => {
+        const pattern = createFindPattern("Cat", {
+            caseSensitive: true,
+            wholeWord: true
+        });
+
+        expect("Cat cat Cats Tomcat Cat.".match(pattern)).toEqual([
+            "Cat",
+            "Cat"
+        ]);
+    });
+});
+
+describe("findMatches", () => {
+    it("finds text between tags and entities, at its offset on screen", () => {
+        const blocks = [paragraph("Tom &amp; <b>Jerry</b> &amp; Tom")];
+
+        const matches = findMatches(blocks, createFindPattern("tom"));
+        expect(textOf(matches)).toEqual([
+            ["Tom", 0],
+            ["Tom", 14]
+        ]);
+        expect(textOf(findMatches(blocks, createFindPattern("& J")))).toEqual(
+            []
+        );
+        expect(textOf(findMatches(blocks, createFindPattern("&")))).toEqual([
+            ["&", 4],
+            ["&", 12]
+        ]);
+    });
+
+    it("skips inline math and looks into nested blocks", () => {
+        const toggle = createBlock(BLOCK_TYPES.TOGGLE, "Sum");
+        toggle.children = [paragraph(`x is ${renderInlineMath("x^2")} x`)];
+
+        const matches = findMatches([toggle], createFindPattern("x"));
+
+        expect(matches.map((match) => match.blockId)).toEqual([
+            toggle.children[0].id,
+            toggle.children[0].id
+        ]);
+        expect(textOf(matches)).toEqual([
+            ["x", 0],
+            ["x", 6]
+        ]);
+    });
+});
+
+describe("replaceMatches", () => {
+    it("replaces every match and keeps the markup", () => {
+        const blocks = [paragraph("<b>red</b> red &amp; Red")];
+
+        const count = replaceMatches(
+            blocks,
+            createFindPattern("red"),
+            "<blue>"
+        );
+
+        expect(count).toBe(3);
+        expect(blocks[0].content).toBe(
+            "<b>&lt;blue&gt;</b> &lt;blue&gt; &amp; &lt;blue&gt;"
+        );
+    });
+
+    it("expands groups of regular expressions", () => {
+        const code = createBlock(BLOCK_TYPES.CODE, "let a = 1;\nlet b = 2;");
+        const pattern = createFindPattern("let (?<name>\\w) = (\\d)", {
+            regex: true
+        });
+
+        replaceMatches([code], pattern, "const $<name> = $2$2", {
+            regex: true
+        });
+
+        expect(code.content).toBe("const a = 11;\nconst b = 22;");
+    });
+
+    it("replaces only the target match", () => {
+        const blocks = [paragraph("one one"), paragraph("one")];
+        const pattern = createFindPattern("one");
+        const [, second] = findMatches(blocks, pattern);
+
+        const count = replaceMatches(blocks, pattern, "two", {
+            target: second
+        });
+
+        expect(count).toBe(1);
+        expect(blocks.map((block) => block.content)).toEqual([
+            "one two",
+            "one"
+        ]);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Create a new group (folder)
+ * Groups form a tree through parentId (null at the top level) and are
+ * ordered among their siblings by `order`
+ */
+export function createGroup(name = "New folder", parentId = null, order = 0) {
+    return {
+        id: crypto.randomUUID(),
+        name,
+        parentId,
+        order,
+        collapsed: false,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Child groups of a parent (null for the top level), in order
+ */
+export function getChildGroups(groups, parentId) {
+    return groups
+        .filter((group) => (group.parentId ?? null) === parentId)
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Ids of a group and all groups nested inside it
+ */
+export function getDescendantGroupIds(groups, groupId) {
+    const ids = new Set([groupId]);
+    let added = true;
+    while (added) {
+        added = false;
+        for (const group of groups) {
+            if (ids.has(group.parentId) && !ids.has(group.id)) {
+                ids.add(group.id);
+                added = true;
+            }
+        }
+    }
+    return ids;
+}
+
+/**
+ * Group of a document, or null when it is at the top level
+ * Documents pointing at a group that no longer exists count as top level
+ */
+export function getDocumentGroupId(document, groups) {
+    const groupId = document.groupId ?? null;
+    return groups.some((group) => group.id === groupId) ? groupId : null;
+}
+
+/**
+ * Groups in tree order with their nesting depth, as [{ group, depth }]
+ */
+export function flattenGroups(groups, parentId = null, depth = 0) {
+    return getChildGroups(groups, parentId).flatMap((group) => [
+        { group, depth },
+        ...flattenGroups(groups, group.id, depth + 1)
+    ]);
+}
+
+/**
+ * Move a group to a new parent and position
+ * Returns the groups whose parentId or order changed (copies), or an
+ * empty list when the move is not possible (into itself or a descendant)
+ */
+export function moveGroupInTree(groups, groupId, parentId, index) {
+    const group = groups.find((g) => g.id === groupId);
+    if (!group) return [];
+    if (parentId && getDescendantGroupIds(groups, groupId).has(parentId)) {
+        return [];
+    }
+
+    const siblings = getChildGroups(groups, parentId).filter(
+        (g) => g.id !== groupId
+    );
+    const position = Math.max(0, Math.min(index, siblings.length));
+    siblings.splice(position, 0, group);
+
+    return siblings
+        .map((sibling, order) => ({ ...sibling, parentId, order }))
+        .filter((sibling, order) => {
+            const previous = groups.find((g) => g.id === sibling.id);
+            return (
+                (previous.parentId ?? null) !== parentId ||
+                previous.order !== order
+            );
+        });
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+    flattenGroups,
+    getDescendantGroupIds,
+    getDocumentGroupId,
+    moveGroupInTree
+} from "./groups";
+
+function group(id, parentId = null, order = 0) {
+    return { id, name: id, parentId, order, collapsed: false };
+}
+
+// work
+// ├─ clients
+// │  └─ acme
+// └─ internal
+// home
+const groups = [
+    group("home", null, 1),
+    group("work", null, 0),
+    group("internal", "work", 1),
+    group("clients", "work", 0),
+    group("acme", "clients", 0)
+];
+
+function orderOf(changed) {
+    return changed.map(({ id, parentId, order }) => [id, parentId, order]);
+}
+
+describe("groups", () => {
+    it("flattens the tree in order with depths", () => {
+        expect(
+            flattenGroups(groups).map(({ group, depth }) => [group.id, depth])
+        ).toEqual([
+            ["work", 0],
+            ["clients", 1],
+            ["acme", 2],
+            ["internal", 1],
+            ["home", 0]
+        ]);
+    });
+
+    it("collects nested groups", () => {
+        expect([...getDescendantGroupIds(groups, "work")].sort()).toEqual([
+            "acme",
+            "clients",
+            "internal",
+            "work"
+        ]);
+        expect([...getDescendantGroupIds(groups, "home")]).toEqual(["home"]);
+    });
+
+    it("puts documents of missing groups at the top level", () => {
+        expect(getDocumentGroupId({ groupId: "acme" }, groups)).toBe("acme");
+        expect(getDocumentGroupId({ groupId: "gone" }, groups)).toBeNull();
+        expect(getDocumentGroupId({}, groups)).toBeNull();
+    });
+});
+
+describe("moveGroupInTree", () => {
+    it("returns only the groups whose position changed", () => {
+        expect(orderOf(moveGroupInTree(groups, "internal", "work", 0))).toEqual(
+            [
+                ["internal", "work", 0],
+                ["clients", "work", 1]
+            ]
+        );
+        expect(moveGroupInTree(groups, "clients", "work", 0)).toEqual([]);
+    });
+
+    it("moves groups to another parent, clamping the index", () => {
+        expect(orderOf(moveGroupInTree(groups, "acme", null, 99))).toEqual([
+            ["acme", null, 2]
+        ]);
+    });
+
+    it("refuses to move a group into itself or a descendant", () => {
+        expect(moveGroupInTree(groups, "work", "acme", 0)).toEqual([]);
+        expect(moveGroupInTree(groups, "work", "work", 0)).toEqual([]);
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Non-destructive image edits
+ * A transform is stored next to the image URL and applied when it is
+ * shown; the uploaded file itself is never changed:
+ * {
+ *   rotation: 0 | 90 | 180 | 270,  // Clockwise, applied first
+ *   flipX, flipY,                  // Mirrored after rotating
+ *   crop: { x, y, width, height }, // Fractions of the rotated image
+ *   focalPoint: { x, y },          // Fractions of the rotated image
+ *   sourceWidth, sourceHeight      // Size of the original, in pixels
+ * }
+ */
+
+// Crop aspect ratios offered in the editor (null is free-form)
+export const CROP_ASPECT_RATIOS = [
+    { label: "Free", value: null },
+    { label: "1:1", value: 1 },
+    { label: "4:3", value: 4 / 3 },
+    { label: "3:2", value: 3 / 2 },
+    { label: "16:9", value: 16 / 9 },
+    { label: "2:3", value: 2 / 3 }
+];
+
+// Smallest crop, as a fraction of the image side
+export const MIN_CROP_SIZE = 0.05;
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const CENTER = { x: 0.5, y: 0.5 };
+
+/**
+ * Transform that shows an image as it is
+ */
+export function createImageTransform(sourceWidth, sourceHeight) {
+    return {
+        rotation: 0,
+        flipX: false,
+        flipY: false,
+        crop: { ...FULL_CROP },
+        focalPoint: { ...CENTER },
+        sourceWidth,
+        sourceHeight
+    };
+}
+
+/**
+ * Check whether a transform changes how the image looks
+ */
+export function isImageEdited(transform) {
+    if (!transform) return false;
+    const { rotation, flipX, flipY, crop, focalPoint } = transform;
+    return (
+        rotation !== 0 ||
+        flipX ||
+        flipY ||
+        crop.x !== 0 ||
+        crop.y !== 0 ||
+        crop.width !== 1 ||
+        crop.height !== 1 ||
+        focalPoint.x !== CENTER.x ||
+        focalPoint.y !== CENTER.y
+    );
+}
+
+/**
+ * Pixel size of the image once rotated
+ */
+export function getRotatedSize(transform) {
+    const { sourceWidth, sourceHeight, rotation } = transform;
+    return rotation % 180 === 0
+        ? { width: sourceWidth, height: sourceHeight }
+        : { width: sourceHeight, height: sourceWidth };
+}
+
+/**
+ * Width / height of the cropped image
+ */
+export function getCropAspect(transform) {
+    const { width, height } = getRotatedSize(transform);
+    return (transform.crop.width * width) / (transform.crop.height * height);
+}
+
+/**
+ * Rotate a quarter turn (direction 1 is clockwise, -1 counter-clockwise)
+ * The crop and focal point turn with the image
+ */
+export function rotateImageTransform(transform, direction) {
+    const { crop, focalPoint } = transform;
+    const clockwise = direction > 0;
+
+    return {
+        ...transform,
+        rotation: (transform.rotation + (clockwise ? 90 : 270)) % 360,
+        crop: clockwise
+            ? {
+                  x: 1 - crop.y - crop.height,
+                  y: crop.x,
+                  width: crop.height,
+                  height: crop.width
+              }
+            : {
+                  x: crop.y,
+                  y: 1 - crop.x - crop.width,
+                  width: crop.height,
+                  height: crop.width
+              },
+        focalPoint: clockwise
+            ? { x: 1 - focalPoint.y, y: focalPoint.x }
+            : { x: focalPoint.y, y: 1 - focalPoint.x }
+    };
+}
+
+/**
+ * Mirror horizontally ("x") or vertically ("y")
+ * The crop and focal point are mirrored with the image
+ */
+export function flipImageTransform(transform, axis) {
+    const { crop, focalPoint } = transform;
+    return axis === "x"
+        ? {
+              ...transform,
+              flipX: !transform.flipX,
+              crop: { ...crop, x: 1 - crop.x - crop.width },
+              focalPoint: { ...focalPoint, x: 1 - focalPoint.x }
+          }
+        : {
+              ...transform,
+              flipY: !transform.flipY,
+              crop: { ...crop, y: 1 - crop.y - crop.height },
+              focalPoint: { ...focalPoint, y: 1 - focalPoint.y }
+          };
+}
+
+/**
+ * Largest centered crop with the given aspect ratio (null for free-form,
+ * which keeps the crop as it is)
+ */
+export function fitCropToAspect(transform, aspect) {
+    if (!aspect) return transform;
+
+    const { width, height } = getRotatedSize(transform);
+    const { crop } = transform;
+    // Crop height (as a fraction) that matches a crop width at this aspect
+    const heightFor = (w) => (w * width) / (height * aspect);
+
+    let cropWidth = crop.width;
+    let cropHeight = heightFor(cropWidth);
+    if (cropHeight > 1) {
+        cropHeight = 1;
+        cropWidth = (height * aspect) / width;
+    }
+    const centerX = crop.x + crop.width / 2;
+    const centerY = crop.y + crop.height / 2;
+
+    return {
+        ...transform,
+        crop: {
+            x: clamp(centerX - cropWidth / 2, 0, 1 - cropWidth),
+            y: clamp(centerY - cropHeight / 2, 0, 1 - cropHeight),
+            width: cropWidth,
+            height: cropHeight
+        }
+    };
+}
+
+/**
+ * Where to place the cropped image inside a frame of another aspect ratio
+ * so it covers the frame, keeping the focal point in view
+ * Returns the position and size of the crop as percentages of the frame.
+ */
+export function getCoverLayout(transform, frameAspect) {
+    const cropAspect = getCropAspect(transform);
+    const { crop, focalPoint } = transform;
+
+    // Focal point within the crop
+    const focusX = clamp((focalPoint.x - crop.x) / crop.width, 0, 1);
+    const focusY = clamp((focalPoint.y - crop.y) / crop.height, 0, 1);
+
+    if (cropAspect > frameAspect) {
+        // Wider than the frame: fill the height, slide horizontally
+        const width = (cropAspect / frameAspect) * 100;
+        const left = -clamp(focusX * width - 50, 0, width - 100);
+        return { left, top: 0, width, height: 100 };
+    }
+    // Taller than the frame: fill the width, slide vertically
+    const height = (frameAspect / cropAspect) * 100;
+    const top = -clamp(focusY * height - 50, 0, height - 100);
+    return { left: 0, top, width: 100, height };
+}
+
+/**
+ * Limit a value to a range
+ */
+export function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,109 @@
+import katex from "katex";
+
+// $tex$ in text: no space inside the dollars, no digit or word right after
+// the closing one (so "$5 and $10" stays text), \$ is a literal dollar
+export const INLINE_MATH_PATTERN =
+    /(?<![\\$\w])\$(?![\s$])([^$\n]*?[^\s\\$])\$(?![\w$])/g;
+
+// Inline math element written by renderInlineMath
+// KaTeX never outputs <var>, so the first </var> closes the element
+export const INLINE_MATH_ELEMENT_PATTERN =
+    /<var\b[^>]*\bdata-math="([^"]*)"[^>]*>[\s\S]*?<\/var>/gi;
+
+/**
+ * Escape text for HTML text or an attribute value
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Decode the entities the browser writes in HTML text and attributes
+ */
+function unescapeHtml(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&");
+}
+
+/**
+ * Render TeX to HTML with KaTeX
+ * Returns { html, error }; invalid TeX gives html null and the message
+ */
+export function renderTex(tex, { displayMode = false } = {}) {
+    try {
+        const html = katex.renderToString(tex, {
+            displayMode,
+            output: "html",
+            throwOnError: true
+        });
+        return { html, error: null };
+    } catch (error) {
+        return {
+            html: null,
+            error:
+                error instanceof katex.ParseError
+                    ? error.message
+                    : String(error)
+        };
+    }
+}
+
+/**
+ * HTML of an inline math element for rich-text content
+ * The element can't be edited in place; invalid TeX shows as red source
+ */
+export function renderInlineMath(tex) {
+    const { html, error } = renderTex(tex);
+    const body = html ?? escapeHtml(`$${tex}$`);
+    const errorAttribute = error ? ` title="${escapeHtml(error)}"` : "";
+    return `<var data-math="${escapeHtml(tex)}" contenteditable="false"${errorAttribute}>${body}</var>`;
+}
+
+/**
+ * Replace the inline math elements of rich-text HTML with `replace(tex)`
+ */
+export function replaceInlineMath(html, replace) {
+    return html.replace(INLINE_MATH_ELEMENT_PATTERN, (match, tex) =>
+        replace(unescapeHtml(tex))
+    );
+}
+
+/**
+ * Turn $tex$ in rich-text HTML into inline math elements
+ * Existing math elements and tags are left alone
+ */
+export function convertInlineMath(html) {
+    return mapOutsideInlineMath(html, (text) =>
+        text.replace(/(<[^>]*>)|([^<]+)/g, (match, tag, textRun) =>
+            tag
+                ? tag
+                : textRun.replace(INLINE_MATH_PATTERN, (m, tex) =>
+                      renderInlineMath(unescapeHtml(tex))
+                  )
+        )
+    );
+}
+
+/**
+ * Apply `transform` to the parts of rich-text HTML outside inline math
+ * elements, so Markdown shortcuts don't reach into rendered formulas
+ */
+export function mapOutsideInlineMath(html, transform) {
+    const elements = [];
+    const masked = html.replace(INLINE_MATH_ELEMENT_PATTERN, (match) => {
+        elements.push(match);
+        return `\uE000${elements.length - 1}\uE000`;
+    });
+    return transform(masked).replace(
+        /\uE000(\d+)\uE000/g,
+        (match, index) => elements[index]
+    );
+}
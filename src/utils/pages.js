@@ -0,0 +1,97 @@
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { flattenBlocks } from "./blocks";
+
+/**
+ * Parent page of a document, or null when it is a top-level page
+ * Pages pointing at a parent that no longer exists count as top level
+ */
+export function getParentPageId(document, documents) {
+    const parentId = document.parentId ?? null;
+    return documents.some((doc) => doc.id === parentId) ? parentId : null;
+}
+
+/**
+ * Sub-pages of a page (null for top-level pages), in list order
+ */
+export function getChildPages(documents, parentId) {
+    return documents.filter(
+        (doc) => getParentPageId(doc, documents) === parentId
+    );
+}
+
+/**
+ * Ids of a page and all pages nested inside it
+ */
+export function getDescendantPageIds(documents, documentId) {
+    const ids = new Set([documentId]);
+    let added = true;
+    while (added) {
+        added = false;
+        for (const doc of documents) {
+            if (ids.has(doc.parentId) && !ids.has(doc.id)) {
+                ids.add(doc.id);
+                added = true;
+            }
+        }
+    }
+    return ids;
+}
+
+/**
+ * Pages above a page, from the top level down to its parent
+ */
+export function getPageAncestors(documents, documentId) {
+    const ancestors = [];
+    const seen = new Set([documentId]);
+    let doc = documents.find((d) => d.id === documentId);
+
+    while (doc) {
+        const parentId = getParentPageId(doc, documents);
+        if (!parentId || seen.has(parentId)) break;
+        seen.add(parentId);
+        doc = documents.find((d) => d.id === parentId);
+        ancestors.unshift(doc);
+    }
+    return ancestors;
+}
+
+/**
+ * Copy a page together with its sub-pages
+ * Page blocks inside the copies point at the copied sub-pages, so the new
+ * tree is independent of the original. The copied page keeps the original's
+ * parent; the first entry of the returned list is that copy.
+ */
+export function duplicatePageTree(documents, documentId) {
+    const ids = getDescendantPageIds(documents, documentId);
+    const originals = [
+        documents.find((doc) => doc.id === documentId),
+        ...documents.filter((doc) => ids.has(doc.id) && doc.id !== documentId)
+    ];
+    const newIds = new Map(
+        originals.map((doc) => [doc.id, crypto.randomUUID()])
+    );
+    const now = new Date().toISOString();
+
+    return originals.map((doc) => {
+        const blocks = structuredClone(doc.blocks || []);
+        for (const block of flattenBlocks(blocks)) {
+            const pageId = block.properties?.pageId;
+            if (block.type === BLOCK_TYPES.PAGE && newIds.has(pageId)) {
+                block.properties.pageId = newIds.get(pageId);
+            }
+        }
+
+        const isRoot = doc.id === documentId;
+        return {
+            ...doc,
+            id: newIds.get(doc.id),
+            title: isRoot ? `${doc.title} (copy)` : doc.title,
+            parentId: isRoot
+                ? (doc.parentId ?? null)
+                : newIds.get(doc.parentId),
+            blocks,
+            createdAt: now,
+            updatedAt: now
+        };
+    });
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import {
+    duplicatePageTree,
+    getChildPages,
+    getDescendantPageIds,
+    getPageAncestors
+} from "./pages";
+
+function page(id, parentId = null, blocks = []) {
+    return { id, title: id, parentId, blocks };
+}
+
+function pageBlock(pageId) {
+    const block = createBlock(BLOCK_TYPES.PAGE);
+    block.properties = { pageId };
+    return block;
+}
+
+// handbook
+// ├─ onboarding
+// │  └─ laptop
+// └─ policies
+// orphan (parent deleted)
+const documents = [
+    page("handbook", null, [pageBlock("onboarding"), pageBlock("policies")]),
+    page("onboarding", "handbook", [pageBlock("laptop")]),
+    page("laptop", "onboarding"),
+    page("policies", "handbook"),
+    page("orphan", "deleted")
+];
+
+function idsOf(pages) {
+    return pages.map((doc) => doc.id);
+}
+
+describe("page tree", () => {
+    it("lists sub-pages, with orphans at the top level", () => {
+        expect(idsOf(getChildPages(documents, null))).toEqual([
+            "handbook",
+            "orphan"
+        ]);
+        expect(idsOf(getChildPages(documents, "handbook"))).toEqual([
+            "onboarding",
+            "policies"
+        ]);
+        expect([...getDescendantPageIds(documents, "onboarding")]).toEqual([
+            "onboarding",
+            "laptop"
+        ]);
+    });
+
+    it("lists the ancestors of a page from the top down", () => {
+        expect(idsOf(getPageAncestors(documents, "laptop"))).toEqual([
+            "handbook",
+            "onboarding"
+        ]);
+        expect(getPageAncestors(documents, "orphan")).toEqual([]);
+    });
+
+    it("stops at cycles in the parent chain", () => {
+        const cycle = [page("a", "b"), page("b", "a")];
+
+        expect(idsOf(getPageAncestors(cycle, "a"))).toEqual(["b"]);
+    });
+});
+
+describe("duplicatePageTree", () => {
+    it("copies sub-pages and points page blocks at the copies", () => {
+        const copies = duplicatePageTree(documents, "onboarding");
+        const [root, laptop] = copies;
+
+        expect(copies.map((doc) => doc.title)).toEqual([
+            "onboarding (copy)",
+            "laptop"
+        ]);
+        expect(root.parentId).toBe("handbook");
+        expect(laptop.parentId).toBe(root.id);
+        expect(root.blocks[0].properties.pageId).toBe(laptop.id);
+        expect(documents[1].blocks[0].properties.pageId).toBe("laptop");
+    });
+});
@@ -0,0 +1,317 @@
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { flattenBlocks, htmlToPlainText } from "./blocks";
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+// Score weights
+const TITLE_WEIGHT = 5;
+const PHRASE_BONUS = 3;
+
+/**
+ * Split text into lowercase word tokens
+ */
+export function tokenize(text) {
+    return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Parse a search query into words and "quoted phrases"
+ * The last word is matched as a prefix while it is still being typed
+ */
+export function parseQuery(query) {
+    const phrases = [];
+    const rest = (query || "").replace(/"([^"]*)"?/g, (match, phrase) => {
+        const words = tokenize(phrase);
+        if (words.length > 0) phrases.push(words.join(" "));
+        return " ";
+    });
+
+    const terms = [...new Set(tokenize(rest))];
+    const isTyping = /[\p{L}\p{N}]$/u.test(query || "");
+    const prefix = isTyping && !/"$/.test(query) ? terms.at(-1) : null;
+
+    return { terms, phrases, prefix };
+}
+
+/**
+ * Searchable plain text of a single block
+ */
+function getBlockText(block) {
+    const { type, content, properties = {} } = block;
+
+    switch (type) {
+        case BLOCK_TYPES.CODE:
+        case BLOCK_TYPES.EQUATION:
+            return content || "";
+
+        case BLOCK_TYPES.TABLE:
+            return (properties.rows || [])
+                .flatMap((row) => row.cells.map(htmlToPlainText))
+                .join(" ");
+
+        case BLOCK_TYPES.IMAGE:
+            return [properties.alt, properties.caption]
+                .filter(Boolean)
+                .join(" ");
+
+        case BLOCK_TYPES.LINK:
+            return [properties.title, properties.description, content]
+                .filter(Boolean)
+                .join(" ");
+
+        case BLOCK_TYPES.GALLERY:
+            return (properties.images || [])
+                .map((image) => [image.alt, image.caption].join(" "))
+                .join(" ");
+
+        case BLOCK_TYPES.SECTION:
+            return properties.title || "";
+
+        case BLOCK_TYPES.TABS:
+            return (properties.tabs || []).map((tab) => tab.label).join(" ");
+
+        default:
+            return htmlToPlainText(content).replace(/\n/g, " ");
+    }
+}
+
+/**
+ * Create an empty search index
+ * documents maps a document id to its indexed entry, terms maps a word
+ * to the ids of the documents containing it
+ */
+export function createSearchIndex() {
+    return { documents: new Map(), terms: new Map() };
+}
+
+/**
+ * Remove a document from the index
+ */
+export function removeFromIndex(index, documentId) {
+    const entry = index.documents.get(documentId);
+    if (!entry) return;
+
+    for (const term of entry.termSet) {
+        const ids = index.terms.get(term);
+        ids?.delete(documentId);
+        if (ids?.size === 0) index.terms.delete(term);
+    }
+    index.documents.delete(documentId);
+}
+
+/**
+ * Add or re-index a document, including blocks nested in columns/tabs
+ */
+export function addToIndex(index, document) {
+    removeFromIndex(index, document.id);
+
+    const title = document.title || "";
+    const blocks = flattenBlocks(document.blocks || [])
+        .map((block) => {
+            const text = getBlockText(block).trim();
+            return { blockId: block.id, text, tokens: tokenize(text) };
+        })
+        .filter((block) => block.tokens.length > 0);
+
+    const titleTokens = tokenize(title);
+    const termSet = new Set([
+        ...titleTokens,
+        ...blocks.flatMap((block) => block.tokens)
+    ]);
+
+    index.documents.set(document.id, {
+        id: document.id,
+        title,
+        titleTokens,
+        blocks,
+        termSet
+    });
+
+    for (const term of termSet) {
+        if (!index.terms.has(term)) index.terms.set(term, new Set());
+        index.terms.get(term).add(document.id);
+    }
+}
+
+/**
+ * Replace the whole index contents with a list of documents
+ */
+export function rebuildIndex(index, documents) {
+    index.documents.clear();
+    index.terms.clear();
+    documents.forEach((document) => addToIndex(index, document));
+}
+
+/**
+ * Ids of the documents containing a term (or a word starting with it)
+ */
+function findDocumentIds(index, term, isPrefix) {
+    if (!isPrefix) return index.terms.get(term) || new Set();
+
+    const ids = new Set();
+    for (const [word, wordIds] of index.terms) {
+        if (word.startsWith(term)) wordIds.forEach((id) => ids.add(id));
+    }
+    return ids;
+}
+
+/**
+ * Count how often the query words occur in a token list
+ */
+function countMatches(tokens, query) {
+    let count = 0;
+    for (const token of tokens) {
+        if (
+            query.terms.includes(token) ||
+            (query.prefix && token.startsWith(query.prefix))
+        ) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Check whether a phrase occurs as consecutive tokens
+ */
+function containsPhrase(tokens, phrase) {
+    return ` ${tokens.join(" ")} `.includes(` ${phrase} `);
+}
+
+/**
+ * Split text into { text, isMatch } parts around the query matches
+ * Long text is cut down to the area around the first match
+ */
+export function highlightText(text, query, maxContext = SNIPPET_CONTEXT) {
+    const patterns = [
+        ...query.phrases.map((phrase) =>
+            phrase.split(" ").map(escapeRegExp).join("[^\\p{L}\\p{N}]+")
+        ),
+        ...query.terms
+            .filter((term) => term !== query.prefix)
+            .map((term) => `${escapeRegExp(term)}(?![\\p{L}\\p{N}])`),
+        ...(query.prefix ? [escapeRegExp(query.prefix)] : [])
+    ];
+    if (patterns.length === 0) return [{ text, isMatch: false }];
+
+    const matcher = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${patterns.join("|")})`,
+        "giu"
+    );
+
+    // Trim to the area around the first match
+    let start = 0;
+    let end = text.length;
+    const first = matcher.exec(text);
+    if (maxContext !== null && first) {
+        start = Math.max(0, first.index - maxContext);
+        end = Math.min(
+            text.length,
+            first.index + first[0].length + maxContext * 2
+        );
+    }
+    const excerpt = text.slice(start, end);
+
+    const parts = [];
+    let lastIndex = 0;
+    matcher.lastIndex = 0;
+    for (const match of excerpt.matchAll(matcher)) {
+        if (match.index > lastIndex) {
+            parts.push({
+                text: excerpt.slice(lastIndex, match.index),
+                isMatch: false
+            });
+        }
+        parts.push({ text: match[0], isMatch: true });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < excerpt.length) {
+        parts.push({ text: excerpt.slice(lastIndex), isMatch: false });
+    }
+
+    if (start > 0) parts.unshift({ text: "…", isMatch: false });
+    if (end < text.length) parts.push({ text: "…", isMatch: false });
+    return parts;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Search the index
+ * Every word and phrase must occur in the document (title or blocks).
+ * Returns results by descending score as { documentId, title, score,
+ * blockId, titleParts, snippet } where blockId is the best matching block
+ * (null for title-only matches) and snippet its highlighted excerpt.
+ * `documentIds` limits the search to a set of documents.
+ */
+export function searchDocuments(
+    index,
+    queryText,
+    { limit = 50, documentIds = null } = {}
+) {
+    const query = parseQuery(queryText);
+    const words = [
+        ...query.terms.map((term) => [term, term === query.prefix]),
+        ...query.phrases.flatMap((phrase) =>
+            phrase.split(" ").map((word) => [word, false])
+        )
+    ];
+    if (words.length === 0) return [];
+
+    // Candidates contain every word somewhere
+    let candidates = documentIds ? new Set(documentIds) : null;
+    for (const [word, isPrefix] of words) {
+        const ids = findDocumentIds(index, word, isPrefix);
+        candidates = candidates
+            ? new Set([...candidates].filter((id) => ids.has(id)))
+            : new Set(ids);
+        if (candidates.size === 0) return [];
+    }
+
+    const results = [];
+    for (const id of candidates) {
+        const entry = index.documents.get(id);
+        const sources = [
+            entry.titleTokens,
+            ...entry.blocks.map((b) => b.tokens)
+        ];
+
+        // Each phrase has to appear within the title or a single block
+        const hasPhrases = query.phrases.every((phrase) =>
+            sources.some((tokens) => containsPhrase(tokens, phrase))
+        );
+        if (!hasPhrases) continue;
+
+        const scoreTokens = (tokens) =>
+            countMatches(tokens, query) +
+            query.phrases.filter((phrase) => containsPhrase(tokens, phrase))
+                .length *
+                PHRASE_BONUS;
+
+        let bestBlock = null;
+        let bestScore = 0;
+        let score = scoreTokens(entry.titleTokens) * TITLE_WEIGHT;
+        for (const block of entry.blocks) {
+            const blockScore = scoreTokens(block.tokens);
+            score += blockScore;
+            if (blockScore > bestScore) {
+                bestScore = blockScore;
+                bestBlock = block;
+            }
+        }
+
+        results.push({
+            documentId: id,
+            title: entry.title,
+            score,
+            blockId: bestBlock?.blockId || null,
+            titleParts: highlightText(entry.title || "Untitled", query, null),
+            snippet: bestBlock ? highlightText(bestBlock.text, query) : null
+        });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import {
+    addToIndex,
+    createSearchIndex,
+    highlightText,
+    parseQuery,
+    removeFromIndex,
+    searchDocuments
+} from "./searchIndex";
+
+function block(type, content, properties) {
+    const created = createBlock(type, content);
+    if (properties) created.properties = properties;
+    return created;
+}
+
+function indexOf(...documents) {
+    const index = createSearchIndex();
+    documents.forEach((document) => addToIndex(index, document));
+    return index;
+}
+
+function idsOf(results) {
+    return results.map((result) => result.documentId);
+}
+
+describe("parseQuery", () => {
+    it("splits words and quoted phrases, with the last word as prefix", () => {
+        expect(parseQuery('Apple "Green Tea" pie')).toEqual({
+            terms: ["apple", "pie"],
+            phrases: ["green tea"],
+            prefix: "pie"
+        });
+        expect(parseQuery("apple pie ").prefix).toBeNull();
+    });
+});
+
+describe("searchDocuments", () => {
+    const recipes = {
+        id: "recipes",
+        title: "Recipes",
+        blocks: [
+            block(BLOCK_TYPES.PARAGRAPH, "Bake the <b>apple</b> pie"),
+            block(BLOCK_TYPES.IMAGE, "", {
+                url: "pie.png",
+                alt: "",
+                caption: "Green tea cake"
+            })
+        ]
+    };
+    const garden = {
+        id: "garden",
+        title: "Apple trees",
+        blocks: [block(BLOCK_TYPES.PARAGRAPH, "Tea grows green in spring")]
+    };
+
+    it("needs every word and ranks title matches higher", () => {
+        const index = indexOf(recipes, garden);
+
+        expect(idsOf(searchDocuments(index, "apple"))).toEqual([
+            "garden",
+            "recipes"
+        ]);
+        expect(idsOf(searchDocuments(index, "apple pie"))).toEqual(["recipes"]);
+        expect(idsOf(searchDocuments(index, "appl"))).toHaveLength(2);
+    });
+
+    it("matches phrases within a single block", () => {
+        const index = indexOf(recipes, garden);
+
+        const [result, ...rest] = searchDocuments(index, '"green tea"');
+
+        expect(rest).toEqual([]);
+        expect(result.documentId).toBe("recipes");
+        expect(result.blockId).toBe(recipes.blocks[1].id);
+    });
+
+    it("finds blocks nested in toggles and forgets removed documents", () => {
+        const toggle = block(BLOCK_TYPES.TOGGLE, "Notes");
+        toggle.children = [block(BLOCK_TYPES.PARAGRAPH, "Hidden walnut")];
+        const index = indexOf({ id: "notes", title: "", blocks: [toggle] });
+
+        expect(searchDocuments(index, "walnut")[0].blockId).toBe(
+            toggle.children[0].id
+        );
+
+        removeFromIndex(index, "notes");
+        expect(searchDocuments(index, "walnut")).toEqual([]);
+        expect(index.terms.size).toBe(0);
+    });
+});
+
+describe("highlightText", () => {
+    it("marks whole words and the typed prefix", () => {
+        const parts = highlightText(
+            "Spinach and apple pies",
+            parseQuery("apple pi"),
+            null
+        );
+
+        expect(parts).toEqual([
+            { text: "Spinach and ", isMatch: false },
+            { text: "apple", isMatch: true },
+            { text: " ", isMatch: false },
+            { text: "pi", isMatch: true },
+            { text: "es", isMatch: false }
+        ]);
+    });
+});
@@ -0,0 +1,101 @@
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { getChildLists, htmlToPlainText } from "./blocks";
+
+// Outline level of each heading block type
+const HEADING_LEVELS = {
+    [BLOCK_TYPES.HEADING_1]: 1,
+    [BLOCK_TYPES.HEADING_2]: 2,
+    [BLOCK_TYPES.HEADING_3]: 3
+};
+
+/**
+ * Outline level of a heading block (1-3), sections count as level 1
+ * Returns null for other blocks
+ */
+export function getHeadingLevel(block) {
+    if (block?.type === BLOCK_TYPES.SECTION) return 1;
+    return HEADING_LEVELS[block?.type] ?? null;
+}
+
+/**
+ * Index right after the blocks that belong to a heading: everything up to
+ * the next heading of the same or a higher level (or the end of the list)
+ */
+export function getHeadingSectionEnd(blocks, index) {
+    const level = getHeadingLevel(blocks[index]);
+    let end = index + 1;
+    while (end < blocks.length) {
+        const nextLevel = getHeadingLevel(blocks[end]);
+        if (nextLevel !== null && nextLevel <= level) break;
+        end++;
+    }
+    return end;
+}
+
+/**
+ * List the headings of a document in order, as { id, type, level, text }
+ * Section titles count as top-level headings. Headings inside toggles are
+ * always listed, ones inside columns and tabs only with `includeNested`.
+ * Empty headings are skipped.
+ */
+export function getDocumentHeadings(blocks, { includeNested = false } = {}) {
+    const headings = [];
+
+    const visit = (list) => {
+        for (const block of list) {
+            const level = getHeadingLevel(block);
+            if (level !== null) {
+                const text =
+                    block.type === BLOCK_TYPES.SECTION
+                        ? block.properties?.title || ""
+                        : htmlToPlainText(block.content);
+                if (text.trim()) {
+                    headings.push({
+                        id: block.id,
+                        type: block.type,
+                        level,
+                        text: text.trim()
+                    });
+                }
+            }
+
+            if (block.type === BLOCK_TYPES.TOGGLE || includeNested) {
+                getChildLists(block).forEach(visit);
+            }
+        }
+    };
+
+    visit(blocks);
+    return headings;
+}
+
+/**
+ * Anchor of a heading the way GitHub writes it: lower case, punctuation
+ * removed and spaces turned into hyphens
+ */
+export function slugifyHeading(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, "")
+        .replace(/ /g, "-");
+}
+
+/**
+ * Create a slugger that numbers repeated anchors (intro, intro-1, ...)
+ * like GitHub does for headings with the same text
+ */
+export function createSlugger() {
+    const counts = new Map();
+
+    return (text) => {
+        const base = slugifyHeading(text);
+        let slug = base;
+        while (counts.has(slug)) {
+            const count = counts.get(base) + 1;
+            counts.set(base, count);
+            slug = `${base}-${count}`;
+        }
+        counts.set(slug, 0);
+        return slug;
+    };
+}
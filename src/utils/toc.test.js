@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import {
+    createSlugger,
+    getDocumentHeadings,
+    getHeadingSectionEnd,
+    slugifyHeading
+} from "./toc";
+
+function heading(level, content) {
+    return createBlock(BLOCK_TYPES[`HEADING_${level}`], content);
+}
+
+function section(title) {
+    const block = createBlock(BLOCK_TYPES.SECTION);
+    block.properties = { title };
+    return block;
+}
+
+function outlineOf(headings) {
+    return headings.map(({ level, text }) => [level, text]);
+}
+
+describe("getDocumentHeadings", () => {
+    it("lists headings and section titles, skipping empty ones", () => {
+        const blocks = [
+            section("Part one"),
+            heading(2, "Setup <b>guide</b>"),
+            createBlock(BLOCK_TYPES.PARAGRAPH, "Text"),
+            heading(3, "  "),
+            heading(3, "Details")
+        ];
+
+        expect(outlineOf(getDocumentHeadings(blocks))).toEqual([
+            [1, "Part one"],
+            [2, "Setup guide"],
+            [3, "Details"]
+        ]);
+    });
+
+    it("includes toggles, and columns only when asked", () => {
+        const toggle = createBlock(BLOCK_TYPES.TOGGLE, "More");
+        toggle.children = [heading(2, "In toggle")];
+        const columns = createBlock(BLOCK_TYPES.COLUMNS);
+        columns.children = [
+            { columnIndex: 0, blocks: [heading(2, "In column")] }
+        ];
+        const blocks = [toggle, columns];
+
+        expect(outlineOf(getDocumentHeadings(blocks))).toEqual([
+            [2, "In toggle"]
+        ]);
+        expect(
+            outlineOf(getDocumentHeadings(blocks, { includeNested: true }))
+        ).toEqual([
+            [2, "In toggle"],
+            [2, "In column"]
+        ]);
+    });
+});
+
+describe("getHeadingSectionEnd", () => {
+    it("ends at the next heading of the same or a higher level", () => {
+        const blocks = [
+            heading(2, "A"),
+            createBlock(BLOCK_TYPES.PARAGRAPH, "a"),
+            heading(3, "A.1"),
+            heading(2, "B"),
+            heading(1, "C")
+        ];
+
+        expect(getHeadingSectionEnd(blocks, 0)).toBe(3);
+        expect(getHeadingSectionEnd(blocks, 2)).toBe(3);
+        expect(getHeadingSectionEnd(blocks, 3)).toBe(4);
+        expect(getHeadingSectionEnd(blocks, 4)).toBe(5);
+    });
+});
+
+describe("heading anchors", () => {
+    it("slugify headings like GitHub", () => {
+        expect(slugifyHeading("What's new in v2.0?")).toBe("whats-new-in-v20");
+        expect(slugifyHeading("Über — uns")).toBe("über--uns");
+    });
+
+    it("number repeated anchors", () => {
+        const slug = createSlugger();
+
+        expect(["Intro", "Intro", "Intro-1", "Intro"].map(slug)).toEqual([
+            "intro",
+            "intro-1",
+            "intro-1-1",
+            "intro-2"
+        ]);
+    });
+});
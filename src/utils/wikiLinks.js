@@ -0,0 +1,211 @@
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { flattenBlocks, htmlToPlainText, plainTextToHtml } from "./blocks";
+
+// Block types whose content is rich-text HTML that can hold wiki links
+const RICH_TEXT_TYPES = new Set([
+    BLOCK_TYPES.PARAGRAPH,
+    BLOCK_TYPES.HEADING_1,
+    BLOCK_TYPES.HEADING_2,
+    BLOCK_TYPES.HEADING_3,
+    BLOCK_TYPES.TASK,
+    BLOCK_TYPES.BULLETED_LIST,
+    BLOCK_TYPES.NUMBERED_LIST,
+    BLOCK_TYPES.QUOTE,
+    BLOCK_TYPES.CALLOUT,
+    BLOCK_TYPES.TOGGLE
+]);
+
+// <a data-document-id="...">Title</a>, with attributes in any order
+const WIKI_LINK_PATTERN =
+    /(<a\b[^>]*\bdata-document-id="([^"]*)"[^>]*>)([\s\S]*?)<\/a>/gi;
+
+// [[Title]] as typed or written by the Markdown export
+const WIKI_TITLE_PATTERN = /\[\[([^[\]\n]+)\]\]/g;
+
+/**
+ * HTML for a wiki link to a document
+ * The link points at the document id, its text is only a label
+ */
+export function createWikiLinkHtml(document) {
+    const title = plainTextToHtml(document.title || "Untitled");
+    return `<a data-document-id="${document.id}" href="#" contenteditable="false">${title}</a>`;
+}
+
+/**
+ * Ids of the documents linked from an HTML string
+ */
+export function getWikiLinkIds(html) {
+    if (!html) return [];
+    return [...html.matchAll(WIKI_LINK_PATTERN)].map((match) => match[2]);
+}
+
+/**
+ * Replace wiki links with [[Title]] (for Markdown export)
+ */
+export function wikiLinksToMarkdown(html) {
+    if (!html) return "";
+    return html.replace(
+        WIKI_LINK_PATTERN,
+        (match, tag, id, label) => `[[${htmlToPlainText(label)}]]`
+    );
+}
+
+/**
+ * Turn [[Title]] text into wiki links
+ * resolve(title) returns the linked document or null; unresolved titles
+ * are left as typed. Tags, links and inline code are not touched.
+ */
+export function resolveWikiTitles(html, resolve) {
+    if (!html || !html.includes("[[")) return html;
+
+    let skipped = null; // Name of the link/code element being skipped
+    return html
+        .split(/(<[^>]*>)/)
+        .map((part) => {
+            if (part.startsWith("<")) {
+                const [, closing, tag] = part.match(/^<(\/?)(a|code)\b/i) || [];
+                const name = tag?.toLowerCase();
+                if (name && !closing && !skipped) skipped = name;
+                if (name && closing && skipped === name) skipped = null;
+                return part;
+            }
+            if (skipped) return part;
+            return part.replace(WIKI_TITLE_PATTERN, (match, title) => {
+                const document = resolve(htmlToPlainText(title).trim());
+                return document ? createWikiLinkHtml(document) : match;
+            });
+        })
+        .join("");
+}
+
+/**
+ * Rich-text fields of a block as [value, setter] pairs
+ */
+export function getHtmlFields(block) {
+    if (RICH_TEXT_TYPES.has(block.type)) {
+        return [[block.content || "", (html) => (block.content = html)]];
+    }
+    if (block.type === BLOCK_TYPES.TABLE) {
+        return (block.properties?.rows || []).flatMap((row) =>
+            row.cells.map((cell, index) => [
+                cell || "",
+                (html) => (row.cells[index] = html)
+            ])
+        );
+    }
+    return [];
+}
+
+/**
+ * Rewrite the HTML of every rich-text field in a block tree
+ * Mutates the blocks; returns whether anything changed
+ */
+export function transformBlockHtml(blocks, transform) {
+    let changed = false;
+    for (const block of flattenBlocks(blocks)) {
+        for (const [html, setHtml] of getHtmlFields(block)) {
+            const updated = transform(html);
+            if (updated !== html) {
+                setHtml(updated);
+                changed = true;
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * Update the label of links to a renamed document
+ * Mutates the blocks; returns whether any link was found
+ */
+export function renameWikiLinks(blocks, documentId, title) {
+    const label = plainTextToHtml(title || "Untitled");
+    return transformBlockHtml(blocks, (html) =>
+        html.replace(WIKI_LINK_PATTERN, (match, tag, id) =>
+            id === documentId ? `${tag}${label}</a>` : match
+        )
+    );
+}
+
+/**
+ * Blocks in other documents that reference a document, through a wiki
+ * link or a page block, as [{ document, blockId, text }]
+ */
+export function findBacklinks(documents, documentId) {
+    const backlinks = [];
+    for (const document of documents) {
+        if (document.id === documentId) continue;
+
+        for (const block of flattenBlocks(document.blocks || [])) {
+            const isPageLink =
+                block.type === BLOCK_TYPES.PAGE &&
+                block.properties?.pageId === documentId;
+            const htmlFields = getHtmlFields(block).map(([html]) => html);
+            const linkingField = htmlFields.find((html) =>
+                getWikiLinkIds(html).includes(documentId)
+            );
+
+            if (isPageLink || linkingField !== undefined) {
+                backlinks.push({
+                    document,
+                    blockId: block.id,
+                    text: isPageLink
+                        ? ""
+                        : htmlToPlainText(linkingField).replace(/\n/g, " ")
+                });
+            }
+        }
+    }
+    return backlinks;
+}
+
+/**
+ * Text typed after an unclosed [[ before the caret, or null
+ * Used to open the document picker while a wiki link is being typed
+ */
+export function getWikiLinkQueryAtCaret() {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (!selection?.isCollapsed || node?.nodeType !== Node.TEXT_NODE) {
+        return null;
+    }
+    if (node.parentElement?.closest("a, code")) return null;
+
+    const before = node.textContent.slice(0, selection.anchorOffset);
+    const match = before.match(/\[\[([^[\]\n]*)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Replace the [[query typed before the caret with a wiki link
+ * Fires an input event so the block saves its new content
+ */
+export function insertWikiLinkAtCaret(target) {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (node?.nodeType !== Node.TEXT_NODE) return false;
+
+    const offset = selection.anchorOffset;
+    const start = node.textContent.lastIndexOf("[[", offset - 2);
+    if (start === -1) return false;
+
+    const editable = node.parentElement?.closest('[contenteditable="true"]');
+    const range = window.document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, offset);
+    range.deleteContents();
+
+    // A space after the link so typing continues outside of it
+    const fragment = range.createContextualFragment(
+        `${createWikiLinkHtml(target)}&nbsp;`
+    );
+    const last = fragment.lastChild;
+    range.insertNode(fragment);
+    range.setStartAfter(last);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    editable?.dispatchEvent(new Event("input", { bubbles: true }));
+    return true;
+}
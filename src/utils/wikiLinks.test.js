@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { BLOCK_TYPES } from "../constants/BLOCK_TYPES";
+import { createBlock } from "./blocks";
+import {
+    createWikiLinkHtml,
+    findBacklinks,
+    getWikiLinkIds,
+    renameWikiLinks,
+    resolveWikiTitles
+} from "./wikiLinks";
+
+const roadmap = { id: "roadmap", title: "Roadmap" };
+const notes = { id: "notes", title: "Q&A notes" };
+
+function resolve(title) {
+    return [roadmap, notes].find((doc) => doc.title === title) || null;
+}
+
+function paragraph(content) {
+    return createBlock(BLOCK_TYPES.PARAGRAPH, content);
+}
+
+describe("resolveWikiTitles", () => {
+    it("links known titles and leaves unknown ones as typed", () => {
+        const html = resolveWikiTitles(
+            "See [[Roadmap]] and [[Q&amp;A notes]], not [[Nowhere]]",
+            resolve
+        );
+
+        expect(html).toBe(
+            `See ${createWikiLinkHtml(roadmap)} and ` +
+                `${createWikiLinkHtml(notes)}, not [[Nowhere]]`
+        );
+        expect(getWikiLinkIds(html)).toEqual(["roadmap", "notes"]);
+    });
+
+    it("leaves links and inline code alone", () => {
+        const html =
+            '<code>[[Roadmap]]</code> <a href="x">[[Roadmap]]</a> [[Roadmap]]';
+
+        expect(getWikiLinkIds(resolveWikiTitles(html, resolve))).toEqual([
+            "roadmap"
+        ]);
+        expect(resolveWikiTitles(html, resolve)).toMatch(
+            /^<code>\[\[Roadmap\]\]<\/code> <a href="x">\[\[Roadmap\]\]<\/a> /
+        );
+    });
+});
+
+describe("renameWikiLinks", () => {
+    it("updates the labels of links to the renamed document only", () => {
+        const table = createBlock(BLOCK_TYPES.TABLE);
+        table.properties = {
+            rows: [{ id: "r", cells: [createWikiLinkHtml(roadmap)] }]
+        };
+        const toggle = createBlock(BLOCK_TYPES.TOGGLE, "More");
+        toggle.children = [
+            paragraph(
+                `${createWikiLinkHtml(roadmap)} ${createWikiLinkHtml(notes)}`
+            )
+        ];
+        const blocks = [table, toggle];
+
+        expect(renameWikiLinks(blocks, "roadmap", "Plans <2027>")).toBe(true);
+        expect(renameWikiLinks(blocks, "missing", "Anything")).toBe(false);
+
+        const renamed = { ...roadmap, title: "Plans <2027>" };
+        expect(table.properties.rows[0].cells[0]).toBe(
+            createWikiLinkHtml(renamed)
+        );
+        expect(toggle.children[0].content).toBe(
+            `${createWikiLinkHtml(renamed)} ${createWikiLinkHtml(notes)}`
+        );
+    });
+});
+
+describe("findBacklinks", () => {
+    it("finds wiki links and page blocks in other documents", () => {
+        const pageBlock = createBlock(BLOCK_TYPES.PAGE);
+        pageBlock.properties = { pageId: "roadmap" };
+        const link = paragraph(`Read ${createWikiLinkHtml(roadmap)} first`);
+        const documents = [
+            { ...roadmap, blocks: [paragraph(createWikiLinkHtml(roadmap))] },
+            { ...notes, blocks: [paragraph("Nothing here"), link] },
+            { id: "index", title: "Index", blocks: [pageBlock] }
+        ];
+
+        const backlinks = findBacklinks(documents, "roadmap");
+
+        expect(
+            backlinks.map(({ document, blockId, text }) => [
+                document.id,
+                blockId,
+                text
+            ])
+        ).toEqual([
+            ["notes", link.id, "Read Roadmap first"],
+            ["index", pageBlock.id, ""]
+        ]);
+    });
+});